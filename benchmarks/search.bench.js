@@ -0,0 +1,101 @@
+/**
+ * 搜索基准 - 对比置换表开启前后 Normal / Hard / Hell 的展开节点数与耗时
+ * 用法：npm run bench
+ *
+ * 1. 固定深度：不限时间搜索到各难度的最大深度，比较节点数（Hell由VCF / VCT直接取胜时只列出着法）
+ * 2. 固定时间：以较短的思考时间搜索（各难度的默认思考时间在这些局面上都能搜满最大深度），比较完成的深度
+ */
+import MathUtils from '../js/utils/MathUtils.js';
+import GameState from '../js/core/GameState.js';
+import RuleEngine from '../js/core/RuleEngine.js';
+import AIEngine from '../js/core/AIEngine.js';
+import TranspositionTable from '../js/core/TranspositionTable.js';
+
+const LEVELS = ['NORMAL', 'HARD', 'HELL'];
+
+const SHORT_BUDGET = 100;
+
+const POSITIONS = [
+  { name: '15路 20手', size: 15, stones: 20, seed: 7 },
+  { name: '15路 40手', size: 15, stones: 40, seed: 11 },
+  { name: '19路 60手', size: 19, stones: 60, seed: 23 }
+];
+
+/**
+ * 以固定种子摆出没有三连以上的中盘局面，保证各次运行局面一致且尚未分出胜负
+ */
+const createPosition = ({ size, stones, seed }) => {
+  const state = new GameState(null, size);
+  state.reset({ ruleSet: 'FREESTYLE' });
+  let value = seed;
+  const random = () => {
+    value = (value * 16807) % 2147483647;
+    return value / 2147483647;
+  };
+  const margin = Math.floor(size / 4);
+  let player = 1;
+  let placed = 0;
+  while (placed < stones) {
+    const x = margin + Math.floor(random() * (size - margin * 2));
+    const y = margin + Math.floor(random() * (size - margin * 2));
+    if (state.board[y][x] !== 0) continue;
+    state.board[y][x] = player;
+    const quiet = MathUtils.BOARD_DIRECTIONS.every(dir =>
+      MathUtils.countDirection(state.board, x, y, dir.dx, dir.dy, player).count < 3);
+    state.board[y][x] = 0;
+    if (!quiet) continue;
+    state.setPiece(x, y, player);
+    player = MathUtils.getOpponent(player);
+    placed += 1;
+  }
+  state.currentPlayer = player;
+  state.gameStatus = 'playing';
+  return state;
+};
+
+const search = async (state, level, budget, useTable) => {
+  const ai = new AIEngine(state, new RuleEngine(state, null), null);
+  const strategy = ai.getStrategy(level);
+  strategy.table = useTable ? new TranspositionTable() : null;
+  const start = Date.now();
+  const move = await ai.searchInThread({ player: state.currentPlayer, level, budget });
+  return { ...move, time: Date.now() - start };
+};
+
+const formatMove = move => `${String.fromCharCode(65 + move.x)}${move.y + 1}`;
+
+const run = async () => {
+  console.log('固定深度（节点数 / 耗时）');
+  for (const position of POSITIONS) {
+    const state = createPosition(position);
+    for (const level of LEVELS) {
+      const plain = await search(state, level, Infinity, false);
+      const cached = await search(state, level, Infinity, true);
+      const forced = plain.vcf || plain.vct;
+      if (forced) {
+        // Hell由VCF / VCT直接给出取胜着法，没有进行Minimax搜索
+        console.log(`  ${position.name} ${level.padEnd(6)} ${plain.vcf ? 'VCF' : 'VCT'}取胜（${forced.length}手）  `
+          + `着法 ${formatMove(plain)} / ${formatMove(cached)}`);
+        continue;
+      }
+      const reduction = (1 - cached.nodes / plain.nodes) * 100;
+      console.log(`  ${position.name} ${level.padEnd(6)} 深度${plain.depth}  `
+        + `无置换表 ${String(plain.nodes).padStart(8)} 节点 ${String(plain.time).padStart(6)}ms  `
+        + `置换表 ${String(cached.nodes).padStart(8)} 节点 ${String(cached.time).padStart(6)}ms  `
+        + `节点减少 ${reduction.toFixed(1)}%  着法 ${formatMove(plain)} / ${formatMove(cached)}`);
+    }
+  }
+
+  console.log('固定时间（完成深度）');
+  for (const position of POSITIONS) {
+    const state = createPosition(position);
+    for (const level of ['HARD', 'HELL']) {
+      const plain = await search(state, level, SHORT_BUDGET, false);
+      const cached = await search(state, level, SHORT_BUDGET, true);
+      console.log(`  ${position.name} ${level.padEnd(6)} ${SHORT_BUDGET}ms  `
+        + `无置换表 深度${plain.depth}  置换表 深度${cached.depth}`);
+    }
+  }
+};
+
+run();
@@ -2,38 +2,197 @@
  * AI引擎 - 负责调度不同难度的AI策略
  */
 import MathUtils from '../utils/MathUtils.js';
+import LinePatterns from '../utils/LinePatterns.js';
+import Zobrist from '../utils/Zobrist.js';
+import GameState from './GameState.js';
+import RuleEngine from './RuleEngine.js';
+import RenjuOpening from './RenjuOpening.js';
+import OpeningBook from './OpeningBook.js';
+import PatternEvaluator from './PatternEvaluator.js';
+import TranspositionTable from './TranspositionTable.js';
+import VCFSolver from './VCFSolver.js';
+import VCTSolver from './VCTSolver.js';
 
 /**
- * AI策略基类
+ * AI策略基类，也是自定义策略的接口（AIEngine.AIStrategy）：
+ * 子类必须实现 compute(state, player, rules)，可覆盖 evaluate(board, player, ruleSet) 供开局选择、提和与认输判断使用；
+ * 思考时间由AIEngine调用 startSearch(budget) 设定，compute 中以 isTimeUp() 检查。
+ * CONFIG_OPTIONS 列出可由 configure() 调整的数值参数，子类可追加自己的参数
  */
 class AIStrategy {
+  static CONFIG_OPTIONS = ['maxDepth', 'timeout', 'maxCandidates'];
+
+  /**
+   * 评估分换算为胜率时的尺度：领先一个活三约为 73%
+   */
+  static WIN_RATE_SCALE = LinePatterns.SCORES.openThree;
+
   constructor(config) {
     this.name = config.name;
     this.maxDepth = config.maxDepth || 2;
-    this.timeout = config.timeout || 2000;
+    this.timeout = config.timeout || 2000; // 未启用对局计时时的思考时间
     this.maxCandidates = config.maxCandidates || 15;
+    this.deadline = null;
+    this.multiPV = null; // 分析时需要给出的着法数，compute 据此附带 lines
+  }
+
+  /**
+   * 调整策略参数，只接受 CONFIG_OPTIONS 中的正数参数
+   * @param {Object} options - 参数名 -> 数值
+   */
+  configure(options) {
+    Object.entries(options).forEach(([key, value]) => {
+      if (!this.constructor.CONFIG_OPTIONS.includes(key)) {
+        throw new Error(`Unknown strategy option: ${key}`);
+      }
+      if (typeof value !== 'number' || !(value > 0)) {
+        throw new Error(`Invalid strategy option ${key}: ${value}`);
+      }
+    });
+    Object.assign(this, options);
+  }
+
+  /**
+   * @returns {Object} CONFIG_OPTIONS 中各参数的当前值
+   */
+  getConfig() {
+    return Object.fromEntries(this.constructor.CONFIG_OPTIONS.map(key => [key, this[key]]));
+  }
+
+  /**
+   * 开始一次搜索并设定思考时间
+   * @param {number} budget - 毫秒
+   */
+  startSearch(budget) {
+    this.deadline = Date.now() + budget;
+  }
+
+  /**
+   * 思考时间是否用完，根节点循环据此提前返回已找到的最佳点
+   * @returns {boolean}
+   */
+  isTimeUp() {
+    return this.deadline !== null && Date.now() >= this.deadline;
   }
 
   /**
    * 计算最佳落子点
    * @param {Object} state - GameState实例
    * @param {number} player
+   * @param {Object} [rules] - RuleEngine实例，用于排除禁手点
    * @returns {Promise<{x:number, y:number, score?:number}>}
    */
-  async compute(state, player) {
+  async compute(state, player, rules) {
     throw new Error('AIStrategy.compute() must be implemented by subclass');
   }
 
   /**
-   * 评估局面
+   * 分析局面，给出得分最高的若干着法及各自的主变化。
+   * 子类的 compute 在 multiPV 不为 null 时可在结果中附带 lines，否则只给出 compute 选定的一手
+   * @param {Object} state - GameState实例
+   * @param {number} player
+   * @param {Object} [rules]
+   * @param {number} [multiPV] - 着法数
+   * @returns {Promise<{depth:number|null, nodes:number|null, winRate:number, lines:Array<{x:number, y:number,
+   *   score:number|null, winRate:number, pv:Array<{x:number, y:number, player:number}>}>}>} winRate 为落子方胜率，见 toWinRate
+   */
+  async analyze(state, player, rules, multiPV = 1) {
+    this.multiPV = multiPV;
+    let move;
+    try {
+      move = await this.compute(state, player, rules);
+    } finally {
+      this.multiPV = null;
+    }
+
+    const lines = (move.lines || [{
+      x: move.x,
+      y: move.y,
+      score: move.score ?? null,
+      pv: move.pv || move.vcf || move.vct || [{ x: move.x, y: move.y, player }]
+    }]).slice(0, multiPV).map(line => ({ ...line, winRate: this.toWinRate(line.score) }));
+    return { depth: move.depth ?? null, nodes: move.nodes ?? null, winRate: lines[0].winRate, lines };
+  }
+
+  /**
+   * 把分析分数换算为落子方的胜率（0 ~ 1），供评估条与候选点标注使用；默认按评估分的logistic曲线换算
+   * @param {number|null} score
+   * @returns {number}
+   */
+  toWinRate(score) {
+    if (score === null) return 0.5;
+    return 1 / (1 + Math.exp(-score / AIStrategy.WIN_RATE_SCALE));
+  }
+
+  /**
+   * 排除禁手点：禁手点要么无法落子，要么（禁手判负时）直接输棋
+   * 若全部候选都是禁手点则原样返回，交由AIEngine兜底
+   * @param {Array<{x:number, y:number}>} candidates
+   * @param {number} player
+   * @param {Object} [rules]
+   * @returns {Array<{x:number, y:number}>}
+   */
+  filterForbidden(candidates, player, rules) {
+    if (!rules) return candidates;
+    const legal = candidates.filter(candidate => !rules.detectForbidden(candidate.x, candidate.y, player).isForbidden);
+    return legal.length > 0 ? legal : candidates;
+  }
+
+  /**
+   * 生成根节点候选点：先按开局限制（Pro / Long Pro）筛选，再排除禁手点
+   * @param {GameState} state
+   * @param {number} player
+   * @param {Object} [rules]
+   * @returns {Array<{x:number, y:number, weight:number}>}
+   */
+  generateRootCandidates(state, player, rules) {
+    let candidates = MathUtils.generateCandidateMoves(state.board, 2);
+    const restriction = rules ? rules.getOpeningRestriction(player) : null;
+    if (restriction) {
+      candidates = this.applyOpeningRestriction(candidates, state.board, restriction, rules);
+    }
+    return this.filterForbidden(candidates, player, rules);
+  }
+
+  /**
+   * 去掉开局限制禁入区内的候选点；邻近区域全部受限时，改用限制边界上距离天元最近的空点
+   * @param {Array<{x:number, y:number, weight:number}>} candidates
+   * @param {number[][]} board
+   * @param {Object} restriction
+   * @param {Object} rules
+   * @returns {Array<{x:number, y:number, weight:number}>}
+   */
+  applyOpeningRestriction(candidates, board, restriction, rules) {
+    const { center, minDistance } = restriction;
+    if (restriction.requireCenter) {
+      return [{ x: center.x, y: center.y, weight: 1000 }];
+    }
+
+    const allowed = candidates.filter(candidate => !rules.isRestrictedPoint(candidate.x, candidate.y, restriction));
+    if (allowed.length > 0) return allowed;
+
+    const ring = [];
+    for (let dy = -minDistance; dy <= minDistance; dy += 1) {
+      for (let dx = -minDistance; dx <= minDistance; dx += 1) {
+        if (Math.max(Math.abs(dx), Math.abs(dy)) !== minDistance) continue;
+        const x = center.x + dx;
+        const y = center.y + dy;
+        if (!MathUtils.inBounds(x, y, board.length) || board[y][x] !== 0) continue;
+        ring.push({ x, y, weight: minDistance * 4 - (Math.abs(dx) + Math.abs(dy)) });
+      }
+    }
+    return ring.sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * 评估局面：按规则集的棋型分数计分
    * @param {number[][]} board
    * @param {number} player
+   * @param {RuleSet|null} [ruleSet]
    * @returns {number}
    */
-  evaluate(board, player) {
-    const myScore = MathUtils.evaluateBoard(board, player);
-    const opponentScore = MathUtils.evaluateBoard(board, MathUtils.getOpponent(player));
-    return myScore - opponentScore * 0.9;
+  evaluate(board, player, ruleSet = null) {
+    return PatternEvaluator.evaluateBoard(board, player, ruleSet);
   }
 }
 
@@ -45,8 +204,8 @@ class BeginnerStrategy extends AIStrategy {
     super({ name: 'BEGINNER', maxDepth: 1, timeout: 600, maxCandidates: 20 });
   }
 
-  async compute(state, player) {
-    const candidates = MathUtils.generateCandidateMoves(state.board, 2);
+  async compute(state, player, rules) {
+    const candidates = this.generateRootCandidates(state, player, rules);
     if (candidates.length === 0) {
       const mid = Math.floor(state.boardSize / 2);
       return { x: mid, y: mid, score: 0 };
@@ -60,229 +219,458 @@ class BeginnerStrategy extends AIStrategy {
 }
 
 /**
- * 普通策略 - Minimax + Alpha-Beta剪枝
+ * 迭代加深搜索策略 - Minimax + Alpha-Beta剪枝，普通、困难、地狱策略共用
+ * 从1层开始逐层加深，直到思考时间用完或达到深度上限（maxDepth），返回最后一个完整搜索层的最佳点；
+ * 某一层中途超时则放弃该层，上一层的结果决定根节点下一层的搜索顺序。
+ * 搜索中随落子增量维护Zobrist哈希，借助置换表跳过经不同次序到达的相同局面，并优先展开表中记录的最佳着法。
+ * 规则集有禁手时直接在GameState的棋盘上搜索（每步落子均在返回前恢复），以便RuleEngine按搜索中的局面判定禁手：
+ * 黑棋在每一层都不走禁手点，白棋叶节点评估计入黑棋只能在禁手点上防守的冲四。
+ * 叶节点按规则集的棋型分数评估，PatternEvaluator随落子增量更新，只重算经过落子点的四条直线
  */
-class NormalStrategy extends AIStrategy {
-  constructor() {
-    super({ name: 'NORMAL', maxDepth: 2, timeout: 1000, maxCandidates: 12 });
+class MinimaxStrategy extends AIStrategy {
+  /**
+   * 搜索得分达到该值视为已分胜负，不再加深
+   */
+  static WIN_SCORE = MathUtils.SCORE_TABLE.FIVE / 2;
+
+  /**
+   * 估计下一层耗时为本层的倍数，剩余时间不够时不再开始新的一层
+   */
+  static DEEPENING_FACTOR = 4;
+
+  /**
+   * @param {Object} config
+   * @param {TranspositionTable|null} [table] - 置换表，null时不使用
+   */
+  constructor(config, table = null) {
+    super(config);
+    this.table = table;
+    this.aborted = false;
+    this.nodes = 0; // 本次搜索展开的节点数
+    this.hashLow = 0;
+    this.hashHigh = 0;
+    this.rules = null; // 按规则集判定成五的RuleEngine
+    this.forbiddenRules = null; // 对黑棋启用禁手时为RuleEngine
+    this.evaluator = null; // 搜索中的PatternEvaluator
+    this.lastX = 0; // 最后一手落子点
+    this.lastY = 0;
   }
 
-  async compute(state, player) {
-    const candidates = MathUtils.generateCandidateMoves(state.board, 2);
+  async compute(state, player, rules) {
+    const candidates = this.generateRootCandidates(state, player, rules);
     if (candidates.length === 0) {
       const mid = Math.floor(state.boardSize / 2);
-      return { x: mid, y: mid, score: 0 };
+      return { x: mid, y: mid, score: 0, depth: 0 };
     }
 
-    let bestMove = null;
-    let bestScore = -Infinity;
+    this.rules = rules || null;
+    this.forbiddenRules = rules && rules.hasForbiddenMoves() ? rules : null;
+    // RuleEngine 读取GameState的棋盘，有规则引擎时直接在其上搜索，以便按规则集判定成五与禁手
+    const board = rules ? state.board : MathUtils.cloneBoard(state.board);
+    let rootMoves = candidates.slice(0, Math.min(this.maxCandidates, candidates.length)).map(({ x, y }) => {
+      board[y][x] = player;
+      const bonus = this.rootBonus(board, x, y, player);
+      board[y][x] = 0;
+      return { x, y, bonus };
+    });
+    this.evaluator = new PatternEvaluator(rules ? rules.getRuleSet() : null);
+    this.evaluator.reset(board);
 
-    const topCandidates = candidates.slice(0, Math.min(this.maxCandidates, candidates.length));
+    this.aborted = false;
+    this.nodes = 0;
+    this.hashLow = state.hashLow;
+    this.hashHigh = state.hashHigh;
+    // 同一局面以黑、白为最大化方时分数不同，视角计入哈希
+    if (player === 2) {
+      this.hashLow = (this.hashLow ^ Zobrist.PERSPECTIVE_KEY.low) >>> 0;
+      this.hashHigh ^= Zobrist.PERSPECTIVE_KEY.high;
+    }
+    // 计入禁手与否，同一局面的分数不同
+    if (this.forbiddenRules) {
+      this.hashLow = (this.hashLow ^ Zobrist.FORBIDDEN_KEY.low) >>> 0;
+      this.hashHigh ^= Zobrist.FORBIDDEN_KEY.high;
+    }
+    if (this.table) {
+      this.table.ensureContext(state.boardSize, rules ? rules.getRuleSet().name : null);
+    }
 
-    for (const candidate of topCandidates) {
-      const { x, y } = candidate;
-      const board = MathUtils.cloneBoard(state.board);
-      board[y][x] = player;
+    let bestMove = null;
+    for (let depth = 1; depth <= this.maxDepth; depth += 1) {
+      const iterationStart = Date.now();
+      const result = this.searchRoot(board, player, rootMoves, depth);
+      if (!result) break;
 
-      const score = this._minimax(board, player, 1, -Infinity, Infinity, false);
-      if (score > bestScore) {
-        bestScore = score;
-        bestMove = { x, y, score };
+      bestMove = { ...result.best, depth, nodes: this.nodes };
+      rootMoves = result.ordered;
+      if (Math.abs(bestMove.score) >= MinimaxStrategy.WIN_SCORE) break;
+      if (this.deadline !== null
+        && this.deadline - Date.now() < (Date.now() - iterationStart) * MinimaxStrategy.DEEPENING_FACTOR) {
+        break;
       }
     }
 
-    return bestMove || topCandidates[0];
+    if (bestMove && this.multiPV) {
+      bestMove.lines = rootMoves.slice(0, this.multiPV).map(({ x, y, score }) => ({
+        x, y, score, pv: this._principalVariation(board, player, x, y, bestMove.depth)
+      }));
+    }
+    this.evaluator = null;
+    return bestMove;
   }
 
-  _minimax(board, player, depth, alpha, beta, isMaximizing) {
-    if (depth >= this.maxDepth) {
-      return this.evaluate(board, player);
+  /**
+   * 以固定深度搜索全部根节点候选
+   * @param {number[][]} board
+   * @param {number} player
+   * @param {Array<{x:number, y:number, bonus:number}>} rootMoves - 按上一层结果排好序的候选
+   * @param {number} depth - 包含根节点落子在内的层数
+   * @returns {{best:{x:number, y:number, score:number}, ordered:Array}|null} 超时未完成时返回null
+   */
+  searchRoot(board, player, rootMoves, depth) {
+    let best = null;
+    const scored = [];
+    // 分析多个着法时以第multiPV好的分数为下界，前multiPV个着法的分数都是精确值
+    const width = this.multiPV || 1;
+    const top = [];
+
+    for (const move of rootMoves) {
+      const { x, y, bonus } = move;
+      this._place(board, x, y, player);
+      let score;
+      if (this._isFive(board, x, y, player)) {
+        score = MathUtils.SCORE_TABLE.FIVE;
+      } else {
+        const alpha = top.length >= width ? top[width - 1] - bonus : -Infinity;
+        score = this._minimax(board, player, 1, depth, alpha, Infinity, false) + bonus;
+      }
+      this._remove(board, x, y, player);
+      if (this.aborted) return null;
+
+      scored.push({ ...move, score });
+      top.push(score);
+      top.sort((a, b) => b - a);
+      if (!best || score > best.score) {
+        best = { x, y, score };
+      }
     }
 
-    const candidates = MathUtils.generateCandidateMoves(board, 2).slice(0, this.maxCandidates);
-    if (candidates.length === 0) {
-      return this.evaluate(board, player);
+    scored.sort((a, b) => b.score - a.score);
+    return { best, ordered: scored };
+  }
+
+  /**
+   * 从根节点着法出发沿置换表记录的最佳着法取出主变化
+   * @param {number[][]} board
+   * @param {number} player - 根节点落子方
+   * @param {number} x
+   * @param {number} y
+   * @param {number} depth - 主变化的最大手数
+   * @returns {Array<{x:number, y:number, player:number}>}
+   */
+  _principalVariation(board, player, x, y, depth) {
+    const pv = [{ x, y, player }];
+    this._place(board, x, y, player);
+    let toMove = MathUtils.getOpponent(player);
+    let finished = this._isFive(board, x, y, player);
+    while (!finished && this.table && pv.length < depth) {
+      const entry = this.table.probe(Zobrist.combine(this.hashLow, this.hashHigh));
+      if (!entry || !entry.move || board[entry.move.y][entry.move.x] !== 0) break;
+      const move = { x: entry.move.x, y: entry.move.y, player: toMove };
+      this._place(board, move.x, move.y, toMove);
+      pv.push(move);
+      finished = this._isFive(board, move.x, move.y, toMove);
+      toMove = MathUtils.getOpponent(toMove);
     }
+    [...pv].reverse().forEach(move => this._remove(board, move.x, move.y, move.player));
+    return pv;
+  }
 
-    const currentPlayer = isMaximizing ? player : MathUtils.getOpponent(player);
+  /**
+   * 根节点候选的附加分，默认没有
+   * @param {number[][]} board - 已落下该候选
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player
+   * @returns {number}
+   */
+  rootBonus(board, x, y, player) {
+    return 0;
+  }
 
-    if (isMaximizing) {
-      let maxEval = -Infinity;
-      for (const candidate of candidates) {
-        const { x, y } = candidate;
-        board[y][x] = currentPlayer;
-        const evalScore = this._minimax(board, player, depth + 1, alpha, beta, false);
-        board[y][x] = 0;
-        maxEval = Math.max(maxEval, evalScore);
-        alpha = Math.max(alpha, evalScore);
-        if (beta <= alpha) break;
+  _minimax(board, player, ply, depth, alpha, beta, isMaximizing) {
+    this.nodes += 1;
+    const key = this.table ? Zobrist.combine(this.hashLow, this.hashHigh) : 0;
+    const entry = this.table ? this.table.probe(key) : undefined;
+    const remaining = depth - ply;
+
+    if (remaining <= 0) {
+      // 计入禁手时叶节点分数含最后一手的冲四陷阱，取决于走到该局面的路径，不能按局面哈希缓存
+      const cacheLeaf = this.table && !this.forbiddenRules;
+      if (cacheLeaf && entry && entry.flag === TranspositionTable.EXACT) {
+        return entry.score;
       }
-      return maxEval;
-    } else {
-      let minEval = Infinity;
-      for (const candidate of candidates) {
-        const { x, y } = candidate;
-        board[y][x] = currentPlayer;
-        const evalScore = this._minimax(board, player, depth + 1, alpha, beta, true);
-        board[y][x] = 0;
-        minEval = Math.min(minEval, evalScore);
-        beta = Math.min(beta, evalScore);
-        if (beta <= alpha) break;
+      const score = this.evaluateNode(board, player, isMaximizing ? player : MathUtils.getOpponent(player));
+      if (cacheLeaf) {
+        this.table.store(key, 0, score, TranspositionTable.EXACT, null);
       }
-      return minEval;
+      return score;
+    }
+    if (this.aborted || this.isTimeUp()) {
+      this.aborted = true;
+      return 0;
     }
-  }
-}
 
-/**
- * 困难策略 - 更深的搜索
- */
-class HardStrategy extends AIStrategy {
-  constructor() {
-    super({ name: 'HARD', maxDepth: 3, timeout: 2000, maxCandidates: 10 });
-  }
+    if (entry && entry.depth >= remaining) {
+      if (entry.flag === TranspositionTable.EXACT) return entry.score;
+      if (entry.flag === TranspositionTable.LOWER) alpha = Math.max(alpha, entry.score);
+      if (entry.flag === TranspositionTable.UPPER) beta = Math.min(beta, entry.score);
+      if (alpha >= beta) return entry.score;
+    }
 
-  async compute(state, player) {
-    const candidates = MathUtils.generateCandidateMoves(state.board, 2);
+    const currentPlayer = isMaximizing ? player : MathUtils.getOpponent(player);
+    const candidates = this.orderCandidates(this.generateCandidates(board, currentPlayer), entry && entry.move);
     if (candidates.length === 0) {
-      const mid = Math.floor(state.boardSize / 2);
-      return { x: mid, y: mid, score: 0 };
+      return this.evaluateNode(board, player, currentPlayer);
     }
 
+    const alphaOrigin = alpha;
+    const betaOrigin = beta;
+    // 越早成五分数越高，越晚被成五扣分越少
+    const winScore = MathUtils.SCORE_TABLE.FIVE - ply;
+    let bestScore = isMaximizing ? -Infinity : Infinity;
     let bestMove = null;
-    let bestScore = -Infinity;
 
-    const topCandidates = candidates.slice(0, Math.min(this.maxCandidates, candidates.length));
-
-    for (const candidate of topCandidates) {
+    for (const candidate of candidates) {
       const { x, y } = candidate;
-      const board = MathUtils.cloneBoard(state.board);
-      board[y][x] = player;
+      this._place(board, x, y, currentPlayer);
+      let evalScore;
+      if (this._isFive(board, x, y, currentPlayer)) {
+        evalScore = isMaximizing ? winScore : -winScore;
+      } else {
+        evalScore = this._minimax(board, player, ply + 1, depth, alpha, beta, !isMaximizing);
+      }
+      this._remove(board, x, y, currentPlayer);
 
-      const score = this._minimax(board, player, 1, -Infinity, Infinity, false);
-      if (score > bestScore) {
-        bestScore = score;
-        bestMove = { x, y, score };
+      if (isMaximizing ? evalScore > bestScore : evalScore < bestScore) {
+        bestScore = evalScore;
+        bestMove = { x, y };
+      }
+      if (isMaximizing) {
+        alpha = Math.max(alpha, evalScore);
+      } else {
+        beta = Math.min(beta, evalScore);
       }
+      if (beta <= alpha) break;
     }
 
-    return bestMove || topCandidates[0];
+    if (this.table && !this.aborted) {
+      let flag = TranspositionTable.EXACT;
+      if (bestScore <= alphaOrigin) {
+        flag = TranspositionTable.UPPER;
+      } else if (bestScore >= betaOrigin) {
+        flag = TranspositionTable.LOWER;
+      }
+      this.table.store(key, remaining, bestScore, flag, bestMove);
+    }
+    return bestScore;
   }
 
-  _minimax(board, player, depth, alpha, beta, isMaximizing) {
-    if (depth >= this.maxDepth) {
-      return this.evaluate(board, player);
+  /**
+   * 搜索树内部节点的候选点，启用禁手时黑棋跳过禁手点
+   * @param {number[][]} board
+   * @param {number} currentPlayer - 本层落子方
+   * @returns {Array<{x:number, y:number}>}
+   */
+  generateCandidates(board, currentPlayer) {
+    const moves = MathUtils.generateCandidateMoves(board, 2);
+    if (!this.forbiddenRules || currentPlayer !== 1) {
+      return moves.slice(0, this.maxCandidates);
     }
 
-    const candidates = MathUtils.generateCandidateMoves(board, 2).slice(0, this.maxCandidates);
-    if (candidates.length === 0) {
-      return this.evaluate(board, player);
+    const legal = [];
+    for (const move of moves) {
+      if (!this.forbiddenRules.detectForbidden(move.x, move.y, 1).isForbidden) {
+        legal.push(move);
+        if (legal.length >= this.maxCandidates) break;
+      }
     }
+    return legal;
+  }
 
-    const currentPlayer = isMaximizing ? player : MathUtils.getOpponent(player);
+  /**
+   * 叶节点评估：启用禁手且轮到黑棋时，白棋刚走出的冲四若只能挡在黑棋禁手点上，按活四计分
+   * @param {number[][]} board
+   * @param {number} player - 最大化方
+   * @param {number} toMove - 该局面的落子方
+   * @returns {number}
+   */
+  evaluateNode(board, player, toMove) {
+    const score = this.evaluator ? this.evaluator.evaluate(player) : this.evaluate(board, player);
+    if (!this.forbiddenRules || toMove !== 1 || !this._hasForbiddenBlock(board, this.lastX, this.lastY)) {
+      return score;
+    }
+    const trap = MathUtils.SCORE_TABLE.OPEN_FOUR;
+    return player === 2 ? score + trap : score - trap;
+  }
 
-    if (isMaximizing) {
-      let maxEval = -Infinity;
-      for (const candidate of candidates) {
-        const { x, y } = candidate;
-        board[y][x] = currentPlayer;
-        const evalScore = this._minimax(board, player, depth + 1, alpha, beta, false);
-        board[y][x] = 0;
-        maxEval = Math.max(maxEval, evalScore);
-        alpha = Math.max(alpha, evalScore);
-        if (beta <= alpha) break;
-      }
-      return maxEval;
-    } else {
-      let minEval = Infinity;
-      for (const candidate of candidates) {
-        const { x, y } = candidate;
-        board[y][x] = currentPlayer;
-        const evalScore = this._minimax(board, player, depth + 1, alpha, beta, true);
-        board[y][x] = 0;
-        minEval = Math.min(minEval, evalScore);
-        beta = Math.min(beta, evalScore);
-        if (beta <= alpha) break;
+  /**
+   * 经过白子(x, y)的直线上，是否有黑棋无法挡住的成五点（该点对黑棋是禁手）
+   * @param {number[][]} board - 即GameState的棋盘
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  _hasForbiddenBlock(board, x, y) {
+    for (const dir of MathUtils.BOARD_DIRECTIONS) {
+      for (let offset = -4; offset <= 4; offset += 1) {
+        const nx = x + dir.dx * offset;
+        const ny = y + dir.dy * offset;
+        if (!MathUtils.inBounds(nx, ny, board.length) || board[ny][nx] !== 0) continue;
+        if (MathUtils.countDirection(board, nx, ny, dir.dx, dir.dy, 2).count >= 5
+          && this.forbiddenRules.detectForbidden(nx, ny, 1).isForbidden) {
+          return true;
+        }
       }
-      return minEval;
     }
+    return false;
+  }
+
+  /**
+   * 把置换表记录的最佳着法提到最前
+   * @param {Array<{x:number, y:number}>} candidates
+   * @param {{x:number, y:number}|null} hashMove
+   * @returns {Array<{x:number, y:number}>}
+   */
+  orderCandidates(candidates, hashMove) {
+    if (!hashMove) return candidates;
+    const index = candidates.findIndex(candidate => candidate.x === hashMove.x && candidate.y === hashMove.y);
+    if (index <= 0) return candidates;
+    return [candidates[index], ...candidates.slice(0, index), ...candidates.slice(index + 1)];
+  }
+
+  _place(board, x, y, player) {
+    board[y][x] = player;
+    this.lastX = x; // 叶节点评估只检查最后一手
+    this.lastY = y;
+    this._toggleHash(x, y, player, board.length);
+    if (this.evaluator) this.evaluator.update(board, x, y);
+  }
+
+  _remove(board, x, y, player) {
+    board[y][x] = 0;
+    this._toggleHash(x, y, player, board.length);
+    if (this.evaluator) this.evaluator.update(board, x, y);
+  }
+
+  _toggleHash(x, y, player, size) {
+    const table = Zobrist.getTable(size);
+    const index = Zobrist.keyIndex(x, y, player, size);
+    this.hashLow = (this.hashLow ^ table[index]) >>> 0;
+    this.hashHigh ^= table[index + 1];
+  }
+
+  /**
+   * (x, y)落子后是否获胜：有规则引擎时按当前规则集判定（标准规则与连珠黑棋的长连、Caro 两端被堵的五连不算）
+   * @param {number[][]} board
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player
+   * @returns {boolean}
+   */
+  _isFive(board, x, y, player) {
+    if (this.rules) return this.rules.checkWin(x, y, player).isWin;
+    return MathUtils.BOARD_DIRECTIONS.some(dir =>
+      MathUtils.countDirection(board, x, y, dir.dx, dir.dy, player).count >= 5);
   }
 }
 
 /**
- * 地狱策略 - 最深搜索和威胁检测
+ * 普通策略 - 迭代加深的Minimax + Alpha-Beta剪枝
  */
-class HellStrategy extends AIStrategy {
-  constructor() {
-    super({ name: 'HELL', maxDepth: 4, timeout: 2400, maxCandidates: 8 });
+class NormalStrategy extends MinimaxStrategy {
+  constructor(table = null) {
+    super({ name: 'NORMAL', maxDepth: 4, timeout: 1000, maxCandidates: 12 }, table);
   }
+}
 
-  async compute(state, player) {
-    const candidates = MathUtils.generateCandidateMoves(state.board, 2);
-    if (candidates.length === 0) {
-      const mid = Math.floor(state.boardSize / 2);
-      return { x: mid, y: mid, score: 0 };
-    }
-
-    let bestMove = null;
-    let bestScore = -Infinity;
+/**
+ * 困难策略 - 更深的搜索
+ */
+class HardStrategy extends MinimaxStrategy {
+  constructor(table = null) {
+    super({ name: 'HARD', maxDepth: 6, timeout: 2000, maxCandidates: 10 }, table);
+  }
+}
 
-    const topCandidates = candidates.slice(0, Math.min(this.maxCandidates, candidates.length));
+/**
+ * 地狱策略 - 最深搜索和威胁检测
+ * 搜索前先找己方VCF，有则直接按连续冲四取胜；对方有VCF时只在能破解它的点中搜索；
+ * 双方都没有VCF时再找己方VCT，有则按连续威胁进攻
+ */
+class HellStrategy extends MinimaxStrategy {
+  /**
+   * 思考时间中VCF搜索（己方取胜与破解对方VCF）可用的比例
+   */
+  static VCF_TIME_SHARE = 0.3;
 
-    for (const candidate of topCandidates) {
-      const { x, y } = candidate;
-      const board = MathUtils.cloneBoard(state.board);
-      board[y][x] = player;
+  /**
+   * VCF之后剩余思考时间中VCT搜索可用的比例
+   */
+  static VCT_TIME_SHARE = 0.3;
 
-      let score = this._minimax(board, player, 1, -Infinity, Infinity, false);
-      score += this._threatBonus(board, x, y, player);
+  constructor(table = null) {
+    super({ name: 'HELL', maxDepth: 8, timeout: 2400, maxCandidates: 8 }, table);
+    this.defences = null; // 破解对方VCF的落子点
+  }
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestMove = { x, y, score };
+  async compute(state, player, rules) {
+    this.defences = null;
+    const solver = rules ? new VCFSolver(state, rules) : null;
+    if (solver && solver.isSupported()) {
+      const options = {
+        deadline: this.deadline === null
+          ? null
+          : Date.now() + (this.deadline - Date.now()) * HellStrategy.VCF_TIME_SHARE
+      };
+      const win = solver.solve(player, options);
+      if (win) {
+        const [first] = win.sequence;
+        return {
+          x: first.x, y: first.y, score: MathUtils.SCORE_TABLE.FIVE, depth: win.sequence.length, vcf: win.sequence
+        };
       }
-    }
 
-    return bestMove || topCandidates[0];
-  }
+      const defence = solver.findDefences(player, options);
+      if (defence && defence.defences.length > 0) {
+        this.defences = defence.defences;
+      }
 
-  _minimax(board, player, depth, alpha, beta, isMaximizing) {
-    if (depth >= this.maxDepth) {
-      return this.evaluate(board, player);
+      if (!defence) {
+        const vct = new VCTSolver(state, rules).solve(player, {
+          deadline: this.deadline === null
+            ? null
+            : Date.now() + (this.deadline - Date.now()) * HellStrategy.VCT_TIME_SHARE
+        });
+        if (vct) {
+          const [first] = vct.sequence;
+          return {
+            x: first.x, y: first.y, score: MathUtils.SCORE_TABLE.FIVE, depth: vct.sequence.length, vct: vct.sequence
+          };
+        }
+      }
     }
+    return super.compute(state, player, rules);
+  }
 
-    const candidates = MathUtils.generateCandidateMoves(board, 2).slice(0, this.maxCandidates);
-    if (candidates.length === 0) {
-      return this.evaluate(board, player);
+  generateRootCandidates(state, player, rules) {
+    if (this.defences) {
+      return this.defences.map(({ x, y }) => ({ x, y, weight: 0 }));
     }
+    return super.generateRootCandidates(state, player, rules);
+  }
 
-    const currentPlayer = isMaximizing ? player : MathUtils.getOpponent(player);
-
-    if (isMaximizing) {
-      let maxEval = -Infinity;
-      for (const candidate of candidates) {
-        const { x, y } = candidate;
-        board[y][x] = currentPlayer;
-        const evalScore = this._minimax(board, player, depth + 1, alpha, beta, false);
-        board[y][x] = 0;
-        maxEval = Math.max(maxEval, evalScore);
-        alpha = Math.max(alpha, evalScore);
-        if (beta <= alpha) break;
-      }
-      return maxEval;
-    } else {
-      let minEval = Infinity;
-      for (const candidate of candidates) {
-        const { x, y } = candidate;
-        board[y][x] = currentPlayer;
-        const evalScore = this._minimax(board, player, depth + 1, alpha, beta, true);
-        board[y][x] = 0;
-        minEval = Math.min(minEval, evalScore);
-        beta = Math.min(beta, evalScore);
-        if (beta <= alpha) break;
-      }
-      return minEval;
-    }
+  rootBonus(board, x, y, player) {
+    return this._threatBonus(board, x, y, player);
   }
 
   _threatBonus(board, x, y, player) {
@@ -302,84 +690,1712 @@ class HellStrategy extends AIStrategy {
 }
 
 /**
- * AI引擎主类
+ * 蒙特卡洛树搜索策略 - UCT选点 + 棋型引导的随机对弈（playout），按思考时间而非深度扩展
+ * 树中每个节点按落子方统计胜率，子节点按棋型价值从高到低逐个展开；
+ * 对弈中优先成五、其次堵住对方的成五点，否则在最近两手附近抽样若干空点，按棋型价值加权随机落子，
+ * 达到手数上限时以棋型评估判定优势方。成五、禁手均由RuleEngine按当前规则集判定，因此直接在GameState的棋盘上模拟并在返回前恢复。
+ * 结果按访问次数选点，并给出各候选点的访问次数与胜率。六子棋与Pente没有该难度，使用各自变体的Normal策略
  */
-class AIEngine {
-  constructor(gameState, ruleEngine, eventBus) {
-    this.state = gameState;
-    this.rules = ruleEngine;
-    this.eventBus = eventBus;
+class MCTSStrategy extends AIStrategy {
+  static CONFIG_OPTIONS = [...AIStrategy.CONFIG_OPTIONS, 'maxSimulations'];
 
-    this.strategies = new Map([
-      ['BEGINNER', new BeginnerStrategy()],
-      ['NORMAL', new NormalStrategy()],
-      ['HARD', new HardStrategy()],
-      ['HELL', new HellStrategy()]
-    ]);
+  static EXPLORATION = Math.SQRT2; // UCT探索系数
 
-    this.currentDifficulty = {
-      black: 'NORMAL',
-      white: 'NORMAL'
-    };
-  }
+  static MAX_SIMULATIONS = 50000; // 不限思考时间时的模拟次数上限
+
+  static PLAYOUT_DEPTH = 24; // 每次对弈的最大手数
+
+  static PLAYOUT_SAMPLES = 8; // 对弈中每手评估的候选点数
+
+  static PLAYOUT_RADIUS = 2; // 对弈候选点与最近两手的最大距离
 
   /**
-   * 设置AI难度
-   * @param {number} player - 1=黑, 2=白
-   * @param {string} level - BEGINNER | NORMAL | HARD | HELL
+   * 对弈到达手数上限时，评估分超过该值的一方判胜，否则按和棋计
    */
-  setDifficulty(player, level) {
-    const key = player === 1 ? 'black' : 'white';
-    if (!this.strategies.has(level)) {
-      throw new Error(`Unknown difficulty level: ${level}`);
-    }
-    this.currentDifficulty[key] = level;
-    if (this.eventBus) {
-      this.eventBus.emit('ai:difficultyChanged', { player, level });
-    }
-  }
+  static CUTOFF_MARGIN = LinePatterns.SCORES.openThree;
 
   /**
-   * 计算最佳落子点
-   * @param {number} player
-   * @returns {Promise<{x:number, y:number, score?:number, thinkingTime?:number}>}
+   * @param {Object} [config]
+   * @param {number} [config.maxSimulations]
+   * @param {Function} [config.random] - 返回 [0, 1) 的随机数
    */
-  async computeMove(player) {
-    const key = player === 1 ? 'black' : 'white';
-    const level = this.currentDifficulty[key];
-    const strategy = this.strategies.get(level);
+  constructor(config = {}) {
+    super({ name: 'MCTS', timeout: 2000, maxCandidates: 10, ...config });
+    this.maxSimulations = config.maxSimulations || MCTSStrategy.MAX_SIMULATIONS;
+    this.random = config.random || Math.random;
+    this.rules = null;
+    this.ruleSet = null;
+    this.forbidden = false; // 黑棋是否受禁手限制
+    this.simulations = 0; // 本次搜索的模拟次数
+  }
 
-    if (this.eventBus) {
-      this.eventBus.emit('ai:thinking', { player, level });
+  async compute(state, player, rules) {
+    const candidates = this.generateRootCandidates(state, player, rules);
+    if (candidates.length === 0) {
+      const mid = Math.floor(state.boardSize / 2);
+      return { x: mid, y: mid, visits: 0, candidates: [] };
     }
 
-    const startTime = Date.now();
-    let move = await strategy.compute(this.state, player);
-    const thinkingTime = Date.now() - startTime;
+    this.rules = rules || null;
+    this.ruleSet = rules ? rules.getRuleSet() : null;
+    this.forbidden = Boolean(rules && rules.hasForbiddenMoves());
+    this.simulations = 0;
+    // RuleEngine 读取GameState的棋盘，没有规则引擎时在副本上模拟
+    const board = rules ? state.board : MathUtils.cloneBoard(state.board);
+    const opponent = MathUtils.getOpponent(player);
+    const root = this._createNode(-1, -1, opponent, null);
+    root.untried = this._orderMoves(board, candidates, player).slice(0, this.maxCandidates);
+    const threats = { 1: this._findFivePoints(board, 1), 2: this._findFivePoints(board, 2) };
 
-    const validation = this.rules.validateMove(move.x, move.y, player);
-    if (!validation.valid) {
-      const fallback = this._findFallbackMove(player, move.x, move.y);
-      if (fallback) {
-        move = fallback;
-      }
+    while (this.simulations < this.maxSimulations && !this.isTimeUp()) {
+      this._simulate(board, root, threats);
+      this.simulations += 1;
+      // 根节点某一手直接成五时不必再模拟
+      if (root.children.some(child => child.winner === player)) break;
     }
 
-    if (this.eventBus) {
-      this.eventBus.emit('ai:computed', { player, move, thinkingTime, level });
+    const ranked = root.children
+      .map(child => ({
+        x: child.x, y: child.y, visits: child.visits, winRate: child.visits > 0 ? child.wins / child.visits : 0
+      }))
+      .sort((a, b) => b.visits - a.visits || b.winRate - a.winRate);
+    if (ranked.length === 0) {
+      // 第一次模拟之前就已到时：退回按棋型排序的第一个候选点，胜率未知
+      const [first] = root.untried;
+      ranked.push({ x: first.x, y: first.y, visits: 0, winRate: 0.5 });
+    }
+    const winning = root.children.find(child => child.winner === player);
+    const best = winning ? ranked.find(item => item.x === winning.x && item.y === winning.y) : ranked[0];
+    const result = {
+      x: best.x,
+      y: best.y,
+      winRate: winning ? 1 : best.winRate,
+      visits: root.visits,
+      nodes: root.visits,
+      // 一次模拟都没有时着法只来自候选排序，置信度为0
+      confidence: winning ? 1 : root.visits > 0 ? best.visits / root.visits : 0,
+      candidates: ranked
+    };
+    if (this.multiPV) {
+      // 分析时以胜率作为分数，主变化沿访问次数最多的子节点展开
+      const lines = [best, ...ranked.filter(item => item !== best)].slice(0, this.multiPV);
+      result.lines = lines.map((item) => {
+        const child = root.children.find(node => node.x === item.x && node.y === item.y);
+        return {
+          x: item.x,
+          y: item.y,
+          score: winning && child === winning ? 1 : item.winRate,
+          visits: item.visits,
+          pv: child ? this._principalVariation(child) : [{ x: item.x, y: item.y, player }]
+        };
+      });
+    }
+    return result;
+  }
+
+  /**
+   * MCTS的分析分数即胜率
+   * @param {number|null} score
+   * @returns {number}
+   */
+  toWinRate(score) {
+    return score === null ? 0.5 : score;
+  }
+
+  /**
+   * 从节点出发沿访问次数最多的子节点取出主变化
+   * @param {Object} node
+   * @returns {Array<{x:number, y:number, player:number}>}
+   */
+  _principalVariation(node) {
+    const pv = [];
+    let item = node;
+    while (item) {
+      pv.push({ x: item.x, y: item.y, player: item.player });
+      if (item.winner !== null || item.children.length === 0) break;
+      item = item.children.reduce((most, child) => (child.visits > most.visits ? child : most));
+    }
+    return pv;
+  }
+
+  /**
+   * 一次模拟：选点、展开、对弈、回传，棋盘在返回前恢复
+   */
+  _simulate(board, root, rootThreats) {
+    const path = [];
+    let node = root;
+    while (node.winner === null && node.untried !== null && node.untried.length === 0 && node.children.length > 0) {
+      node = this._select(node);
+      board[node.y][node.x] = node.player;
+      path.push(node);
+    }
+
+    if (node.winner === null) {
+      const toMove = MathUtils.getOpponent(node.player);
+      if (node.untried === null) {
+        node.untried = this._expandMoves(board, toMove);
+      }
+      if (node.untried.length > 0) {
+        const move = node.untried.shift();
+        const child = this._createNode(move.x, move.y, toMove, node);
+        board[child.y][child.x] = child.player;
+        path.push(child);
+        if (this._isWin(board, child.x, child.y, child.player)) {
+          child.winner = child.player;
+        }
+        node.children.push(child);
+        node = child;
+      } else if (node.children.length === 0) {
+        node.winner = 0; // 无处落子，和棋
+      }
+    }
+
+    const winner = node.winner !== null ? node.winner : this._playout(board, path, rootThreats);
+    path.forEach((item) => {
+      board[item.y][item.x] = 0;
+    });
+
+    for (let item = node; item; item = item.parent) {
+      item.visits += 1;
+      if (winner === item.player) {
+        item.wins += 1;
+      } else if (winner === 0) {
+        item.wins += 0.5;
+      }
+    }
+  }
+
+  /**
+   * UCT：胜率 + 探索项，已证明成五的子节点直接选中
+   */
+  _select(node) {
+    const logVisits = Math.log(node.visits);
+    let best = null;
+    let bestValue = -Infinity;
+    for (const child of node.children) {
+      if (child.winner === child.player) return child;
+      const value = child.wins / child.visits + MCTSStrategy.EXPLORATION * Math.sqrt(logVisits / child.visits);
+      if (value > bestValue) {
+        bestValue = value;
+        best = child;
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 树内节点的候选着法，按棋型价值排序；受禁手限制时黑棋跳过禁手点
+   */
+  _expandMoves(board, player) {
+    const ordered = this._orderMoves(board, MathUtils.generateCandidateMoves(board, 2), player);
+    if (!this.forbidden || player !== 1) {
+      return ordered.slice(0, this.maxCandidates);
+    }
+    const legal = [];
+    for (const move of ordered) {
+      if (!this.rules.detectForbidden(move.x, move.y, 1).isForbidden) {
+        legal.push(move);
+        if (legal.length >= this.maxCandidates) break;
+      }
+    }
+    return legal;
+  }
+
+  _orderMoves(board, moves, player) {
+    return moves
+      .map(move => ({ x: move.x, y: move.y, value: this._pointValue(board, move.x, move.y, player) }))
+      .sort((a, b) => b.value - a.value);
+  }
+
+  /**
+   * 随机对弈，返回胜方（和棋为0）；对弈中的落子在返回前撤回
+   * @param {number[][]} board
+   * @param {Array<{x:number, y:number, player:number}>} path - 本次模拟在树中走过的着法
+   * @param {{1:Array, 2:Array}} rootThreats - 根局面双方的成五点
+   * @returns {number}
+   */
+  _playout(board, path, rootThreats) {
+    const threats = { 1: rootThreats[1].slice(), 2: rootThreats[2].slice() };
+    path.forEach((move) => {
+      threats[move.player].push(...this._fivePointsThrough(board, move.x, move.y, move.player));
+    });
+    const recent = path.slice(-2);
+    let current = path.length > 0 ? MathUtils.getOpponent(path[path.length - 1].player) : 1;
+    const placed = [];
+    let winner = null;
+
+    for (let step = 0; step < MCTSStrategy.PLAYOUT_DEPTH && winner === null; step += 1) {
+      const move = this._playoutMove(board, current, threats, recent);
+      if (!move) {
+        winner = 0;
+        break;
+      }
+      board[move.y][move.x] = current;
+      placed.push(move);
+      if (this._isWin(board, move.x, move.y, current)) {
+        winner = current;
+        break;
+      }
+      threats[current].push(...this._fivePointsThrough(board, move.x, move.y, current));
+      recent.push({ x: move.x, y: move.y });
+      if (recent.length > 2) recent.shift();
+      current = MathUtils.getOpponent(current);
+    }
+
+    if (winner === null) {
+      const score = PatternEvaluator.evaluateBoard(board, current, this.ruleSet);
+      if (score > MCTSStrategy.CUTOFF_MARGIN) {
+        winner = current;
+      } else if (score < -MCTSStrategy.CUTOFF_MARGIN) {
+        winner = MathUtils.getOpponent(current);
+      } else {
+        winner = 0;
+      }
+    }
+
+    placed.forEach((move) => {
+      board[move.y][move.x] = 0;
+    });
+    return winner;
+  }
+
+  /**
+   * 对弈中的一手：能成五就成五，对方有成五点就去堵，否则按棋型价值加权抽样
+   */
+  _playoutMove(board, player, threats, recent) {
+    const win = threats[player].find(point => board[point.y][point.x] === 0);
+    if (win && !this._isForbidden(board, win.x, win.y, player)) return win;
+    const block = threats[MathUtils.getOpponent(player)].find(point => board[point.y][point.x] === 0);
+    if (block && !this._isForbidden(board, block.x, block.y, player)) return block;
+
+    const samples = this._samplePoints(board, recent);
+    const weighted = samples.map(point => ({ ...point, value: this._pointValue(board, point.x, point.y, player) }));
+    while (weighted.length > 0) {
+      let target = this.random() * weighted.reduce((sum, point) => sum + point.value, 0);
+      let index = weighted.length - 1;
+      for (let i = 0; i < weighted.length; i += 1) {
+        target -= weighted[i].value;
+        if (target < 0) {
+          index = i;
+          break;
+        }
+      }
+      const [move] = weighted.splice(index, 1);
+      if (!this._isForbidden(board, move.x, move.y, player)) return move;
+    }
+    return null;
+  }
+
+  /**
+   * 在最近两手附近随机抽取若干空点，附近没有空点时退回全盘候选
+   */
+  _samplePoints(board, recent) {
+    const size = board.length;
+    const radius = MCTSStrategy.PLAYOUT_RADIUS;
+    const points = [];
+    const seen = new Set();
+    recent.forEach(({ x, y }) => {
+      for (let dy = -radius; dy <= radius; dy += 1) {
+        for (let dx = -radius; dx <= radius; dx += 1) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (!MathUtils.inBounds(nx, ny, size) || board[ny][nx] !== 0) continue;
+          const key = ny * size + nx;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          points.push({ x: nx, y: ny });
+        }
+      }
+    });
+    if (points.length === 0) {
+      return MathUtils.generateCandidateMoves(board, 1).slice(0, MCTSStrategy.PLAYOUT_SAMPLES);
+    }
+
+    for (let i = 0; i < Math.min(MCTSStrategy.PLAYOUT_SAMPLES, points.length); i += 1) {
+      const j = i + Math.floor(this.random() * (points.length - i));
+      [points[i], points[j]] = [points[j], points[i]];
+    }
+    return points.slice(0, MCTSStrategy.PLAYOUT_SAMPLES);
+  }
+
+  /**
+   * 落子点的棋型价值：己方落子后经过该点的棋型分，加上对方在该点落子的棋型分（防守价值）
+   */
+  _pointValue(board, x, y, player) {
+    let value = 1;
+    [player, MathUtils.getOpponent(player)].forEach((side, index) => {
+      const scores = this.ruleSet ? this.ruleSet.getPatternScores(side) : LinePatterns.SCORES;
+      const exactFive = this.ruleSet ? this.ruleSet.requiresExactFive(side) : false;
+      board[y][x] = side;
+      for (const dir of MathUtils.BOARD_DIRECTIONS) {
+        const cells = LinePatterns.readLine(board, x, y, dir.dx, dir.dy, side);
+        const patterns = LinePatterns.analyze(cells, exactFive);
+        for (const pattern of patterns) {
+          if (pattern.stones.includes(LinePatterns.RADIUS)) {
+            value += (scores[pattern.type] || 0) * (index === 0 ? 1 : 0.9);
+          }
+        }
+      }
+      board[y][x] = 0;
+    });
+    return value;
+  }
+
+  /**
+   * 经过(x, y)的四的成五点（调用前(x, y)已落子）
+   */
+  _fivePointsThrough(board, x, y, player) {
+    const exactFive = this.ruleSet ? this.ruleSet.requiresExactFive(player) : false;
+    const { OPEN_FOUR, FOUR } = LinePatterns.TYPES;
+    const points = [];
+    for (const dir of MathUtils.BOARD_DIRECTIONS) {
+      const cells = LinePatterns.readLine(board, x, y, dir.dx, dir.dy, player);
+      LinePatterns.through(cells, LinePatterns.RADIUS, exactFive)
+        .filter(pattern => pattern.type === OPEN_FOUR || pattern.type === FOUR)
+        .forEach((pattern) => {
+          pattern.points.forEach((index) => {
+            const offset = index - LinePatterns.RADIUS;
+            points.push({ x: x + dir.dx * offset, y: y + dir.dy * offset });
+          });
+        });
+    }
+    return points;
+  }
+
+  /**
+   * 根局面中player的全部成五点
+   */
+  _findFivePoints(board, player) {
+    const points = [];
+    board.forEach((row, y) => row.forEach((cell, x) => {
+      if (cell === 0 && this._isWin(board, x, y, player, true)) points.push({ x, y });
+    }));
+    return points;
+  }
+
+  /**
+   * @param {boolean} [trial] - (x, y)尚未落子，临时落子判定
+   */
+  _isWin(board, x, y, player, trial = false) {
+    if (trial) board[y][x] = player;
+    try {
+      if (this.rules) return this.rules.checkWin(x, y, player).isWin;
+      return MathUtils.BOARD_DIRECTIONS.some(dir =>
+        MathUtils.countDirection(board, x, y, dir.dx, dir.dy, player).count >= 5);
+    } finally {
+      if (trial) board[y][x] = 0;
+    }
+  }
+
+  _isForbidden(board, x, y, player) {
+    return this.forbidden && player === 1 && this.rules.detectForbidden(x, y, 1).isForbidden;
+  }
+
+  _createNode(x, y, player, parent) {
+    return {
+      x, y, player, parent, children: [], untried: null, visits: 0, wins: 0, winner: null
+    };
+  }
+}
+
+/**
+ * 六子棋策略 - 以六格窗口评估局面，每回合两子成对搜索
+ */
+class Connect6Strategy extends AIStrategy {
+  /**
+   * 六格窗口内只有一方棋子时，按子数计分
+   */
+  static WINDOW_SCORES = [0, 1, 12, 120, 4000, 5000, 1000000];
+
+  static WIN_SCORE = 10000000;
+
+  /**
+   * 各难度参与成对搜索的候选点数
+   */
+  static PAIR_WIDTH = { BEGINNER: 6, NORMAL: 10, HARD: 14, HELL: 18 };
+
+  constructor(level = 'NORMAL') {
+    super({
+      name: `CONNECT6_${level}`,
+      maxDepth: 1,
+      timeout: 2000,
+      maxCandidates: Connect6Strategy.PAIR_WIDTH[level] || 10
+    });
+    this.pendingStone = null; // 成对搜索得到的本回合第二子
+  }
+
+  async compute(state, player, rules) {
+    const candidates = this.rankCandidates(state.board, player, this.generateRootCandidates(state, player, rules))
+      .slice(0, this.maxCandidates);
+    if (candidates.length === 0) {
+      const mid = Math.floor(state.boardSize / 2);
+      return { x: mid, y: mid, score: 0 };
+    }
+
+    const remaining = state.getStonesForTurn() - state.turnStones;
+    if (remaining >= 2 && candidates.length >= 2) {
+      const pair = this.searchPair(state.board, player, candidates);
+      this.pendingStone = { ...pair.second, score: pair.score, turn: state.turnNumber, player };
+      const pv = [pair.first, pair.second].map(({ x, y }) => ({ x, y, player }));
+      return { x: pair.first.x, y: pair.first.y, score: pair.score, pv };
+    }
+
+    const pending = this.pendingStone;
+    this.pendingStone = null;
+    if (pending && pending.turn === state.turnNumber && pending.player === player
+      && state.board[pending.y][pending.x] === 0) {
+      return { x: pending.x, y: pending.y, score: pending.score };
+    }
+
+    return this.searchSingle(state.board, player, candidates);
+  }
+
+  /**
+   * 分析不影响对局中已搜索好的本回合第二子；成对搜索时主变化为本回合的两子
+   */
+  async analyze(state, player, rules, multiPV = 1) {
+    const pending = this.pendingStone;
+    try {
+      return await super.analyze(state, player, rules, multiPV);
+    } finally {
+      this.pendingStone = pending;
+    }
+  }
+
+  /**
+   * 枚举候选点两两组合，取落子后局面评估最高的一对
+   * @param {number[][]} board
+   * @param {number} player
+   * @param {Array<{x:number, y:number}>} candidates
+   * @returns {{first:{x:number, y:number}, second:{x:number, y:number}, score:number}}
+   */
+  searchPair(board, player, candidates) {
+    let best = null;
+    for (let i = 0; i < candidates.length; i += 1) {
+      const a = candidates[i];
+      board[a.y][a.x] = player;
+      for (let j = i + 1; j < candidates.length; j += 1) {
+        const b = candidates[j];
+        board[b.y][b.x] = player;
+        const score = this.scorePosition(board, player);
+        board[b.y][b.x] = 0;
+        if (!best || score > best.score) {
+          best = { first: { x: a.x, y: a.y }, second: { x: b.x, y: b.y }, score };
+        }
+      }
+      board[a.y][a.x] = 0;
+      if (best.score >= Connect6Strategy.WIN_SCORE || this.isTimeUp()) break;
+    }
+    return best;
+  }
+
+  /**
+   * 本回合只剩一子时，逐点评估
+   * @param {number[][]} board
+   * @param {number} player
+   * @param {Array<{x:number, y:number}>} candidates
+   * @returns {{x:number, y:number, score:number}}
+   */
+  searchSingle(board, player, candidates) {
+    let best = null;
+    for (const candidate of candidates) {
+      board[candidate.y][candidate.x] = player;
+      const score = this.scorePosition(board, player);
+      board[candidate.y][candidate.x] = 0;
+      if (!best || score > best.score) {
+        best = { x: candidate.x, y: candidate.y, score };
+      }
+    }
+    return best;
+  }
+
+  /**
+   * 本方回合结束、轮到对手时的局面分：对手任一窗口已有四子即可在下一回合成六
+   * @param {number[][]} board
+   * @param {number} player
+   * @returns {number}
+   */
+  scorePosition(board, player) {
+    const { score, mySix, opponentThreats } = this._scanWindows(board, player);
+    if (mySix) return Connect6Strategy.WIN_SCORE;
+    if (opponentThreats > 0) return -Connect6Strategy.WIN_SCORE + score;
+    return score;
+  }
+
+  /**
+   * 按单点所在的六格窗口估算进攻与防守价值，用于候选点排序
+   * @param {number[][]} board
+   * @param {number} player
+   * @param {Array<{x:number, y:number, weight:number}>} candidates
+   * @returns {Array<{x:number, y:number, weight:number}>}
+   */
+  rankCandidates(board, player, candidates) {
+    const scores = Connect6Strategy.WINDOW_SCORES;
+    const opponent = MathUtils.getOpponent(player);
+    const size = board.length;
+
+    return candidates
+      .map((candidate) => {
+        let value = 0;
+        for (const dir of MathUtils.BOARD_DIRECTIONS) {
+          for (let start = -5; start <= 0; start += 1) {
+            let mine = 0;
+            let theirs = 0;
+            let inside = true;
+            for (let i = 0; i < 6; i += 1) {
+              const x = candidate.x + (start + i) * dir.dx;
+              const y = candidate.y + (start + i) * dir.dy;
+              if (!MathUtils.inBounds(x, y, size)) {
+                inside = false;
+                break;
+              }
+              if (board[y][x] === player) mine += 1;
+              else if (board[y][x] === opponent) theirs += 1;
+            }
+            if (!inside) continue;
+            if (theirs === 0) value += scores[mine + 1] - scores[mine];
+            if (mine === 0) value += (scores[theirs + 1] - scores[theirs]) * 0.9;
+          }
+        }
+        return { ...candidate, weight: value + candidate.weight * 0.01 };
+      })
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  evaluate(board, player) {
+    return this._scanWindows(board, player).score;
+  }
+
+  _scanWindows(board, player) {
+    const scores = Connect6Strategy.WINDOW_SCORES;
+    const opponent = MathUtils.getOpponent(player);
+    const size = board.length;
+    let score = 0;
+    let mySix = false;
+    let opponentThreats = 0;
+
+    for (const dir of MathUtils.BOARD_DIRECTIONS) {
+      for (let y = 0; y < size; y += 1) {
+        for (let x = 0; x < size; x += 1) {
+          const endX = x + dir.dx * 5;
+          const endY = y + dir.dy * 5;
+          if (!MathUtils.inBounds(endX, endY, size)) continue;
+
+          let mine = 0;
+          let theirs = 0;
+          for (let i = 0; i < 6; i += 1) {
+            const value = board[y + dir.dy * i][x + dir.dx * i];
+            if (value === player) mine += 1;
+            else if (value === opponent) theirs += 1;
+          }
+
+          if (theirs === 0) {
+            score += scores[mine];
+            if (mine === 6) mySix = true;
+          } else if (mine === 0) {
+            score -= scores[theirs];
+            if (theirs >= 4) opponentThreats += 1;
+          }
+        }
+      }
+    }
+
+    return { score, mySix, opponentThreats };
+  }
+}
+
+/**
+ * Pente策略 - 搜索时执行提子，评估同时计入连子、已提对数与提子威胁
+ */
+class PenteStrategy extends AIStrategy {
+  /**
+   * 按已提对数计分，提满五对即胜
+   */
+  static CAPTURE_SCORES = [0, 400, 1200, 3500, 12000, 1000000];
+
+  /**
+   * 每个可提子的点（下一手即可夹吃）的分值
+   */
+  static CAPTURE_THREAT = 350;
+
+  static WIN_SCORE = 10000000;
+
+  static LEVELS = {
+    BEGINNER: { maxDepth: 1, maxCandidates: 8 },
+    NORMAL: { maxDepth: 2, maxCandidates: 10 },
+    HARD: { maxDepth: 3, maxCandidates: 10 },
+    HELL: { maxDepth: 3, maxCandidates: 14 }
+  };
+
+  constructor(level = 'NORMAL') {
+    const config = PenteStrategy.LEVELS[level] || PenteStrategy.LEVELS.NORMAL;
+    super({ name: `PENTE_${level}`, timeout: 2000, ...config });
+    this.line = []; // 搜索中从根局面起已走的着法（含被提的棋子）
+    this.threatBase = null; // 根局面每个点的提子威胁数，搜索时叶节点只重算被改动的点
+  }
+
+  async compute(state, player, rules) {
+    const board = MathUtils.cloneBoard(state.board);
+    const captures = { 1: state.captures[1], 2: state.captures[2] };
+    const candidates = this.orderMoves(board, player, this.generateRootCandidates(state, player, rules))
+      .slice(0, this.maxCandidates);
+    if (candidates.length === 0) {
+      const mid = Math.floor(state.boardSize / 2);
+      return { x: mid, y: mid, score: 0 };
+    }
+
+    let bestMove = null;
+    this.line = [];
+    this.threatBase = this._scanThreats(board);
+    try {
+      for (const candidate of candidates) {
+        const played = this._play(board, captures, candidate.x, candidate.y, player);
+        const score = this._isWin(board, captures, played)
+          ? PenteStrategy.WIN_SCORE
+          : this._minimax(board, captures, player, 1, -Infinity, Infinity, false);
+        this._undo(board, captures, played);
+
+        if (!bestMove || score > bestMove.score) {
+          bestMove = { x: candidate.x, y: candidate.y, score };
+        }
+        if (score >= PenteStrategy.WIN_SCORE || this.isTimeUp()) break;
+      }
+    } finally {
+      this.threatBase = null;
+    }
+
+    return bestMove;
+  }
+
+  _minimax(board, captures, player, depth, alpha, beta, isMaximizing) {
+    // 时间用完时不再展开，以当前局面评估代替
+    if (depth >= this.maxDepth || this.isTimeUp()) {
+      return this.evaluatePosition(board, captures, player);
+    }
+
+    const current = isMaximizing ? player : MathUtils.getOpponent(player);
+    const candidates = this.orderMoves(board, current, MathUtils.generateCandidateMoves(board, 2))
+      .slice(0, this.maxCandidates);
+    if (candidates.length === 0) {
+      return this.evaluatePosition(board, captures, player);
+    }
+
+    let best = isMaximizing ? -Infinity : Infinity;
+    for (const candidate of candidates) {
+      const played = this._play(board, captures, candidate.x, candidate.y, current);
+      let score;
+      if (this._isWin(board, captures, played)) {
+        // 越早获胜分值越高
+        score = (isMaximizing ? 1 : -1) * (PenteStrategy.WIN_SCORE - depth);
+      } else {
+        score = this._minimax(board, captures, player, depth + 1, alpha, beta, !isMaximizing);
+      }
+      this._undo(board, captures, played);
+
+      if (isMaximizing) {
+        best = Math.max(best, score);
+        alpha = Math.max(alpha, score);
+      } else {
+        best = Math.min(best, score);
+        beta = Math.min(beta, score);
+      }
+      if (beta <= alpha) break;
+    }
+    return best;
+  }
+
+  /**
+   * 候选点排序：能提子的点优先，其次是对手可借以提子的点（抢占即化解）
+   * @param {number[][]} board
+   * @param {number} player
+   * @param {Array<{x:number, y:number, weight:number}>} candidates
+   * @returns {Array<{x:number, y:number, weight:number}>}
+   */
+  orderMoves(board, player, candidates) {
+    const opponent = MathUtils.getOpponent(player);
+    return candidates
+      .map((candidate) => {
+        const gain = MathUtils.findCaptures(board, candidate.x, candidate.y, player).length / 2;
+        const denial = MathUtils.findCaptures(board, candidate.x, candidate.y, opponent).length / 2;
+        return { ...candidate, weight: candidate.weight + gain * 60 + denial * 30 };
+      })
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * 局面评估：连子棋型 + 已提对数 + 双方提子威胁
+   * @param {number[][]} board
+   * @param {{1:number, 2:number}} captures
+   * @param {number} player
+   * @returns {number}
+   */
+  evaluatePosition(board, captures, player) {
+    const opponent = MathUtils.getOpponent(player);
+    const scores = PenteStrategy.CAPTURE_SCORES;
+    const maxIndex = scores.length - 1;
+
+    let score = MathUtils.evaluateBoard(board, player) - MathUtils.evaluateBoard(board, opponent) * 0.9;
+    score += scores[Math.min(captures[player], maxIndex)] - scores[Math.min(captures[opponent], maxIndex)];
+    const changed = this._changedPoints(board.length);
+    score += (this.countCaptureThreats(board, player, changed) - this.countCaptureThreats(board, opponent, changed))
+      * PenteStrategy.CAPTURE_THREAT;
+    return score;
+  }
+
+  /**
+   * 统计player下一手可以提走的对数
+   * @param {number[][]} board
+   * @param {number} player
+   * @param {Set<number>|null} [changed] - 与根局面相比可能变化的点，其余点沿用根局面的统计；null时全盘扫描
+   * @returns {number}
+   */
+  countCaptureThreats(board, player, changed = null) {
+    if (changed) {
+      const base = this.threatBase[player];
+      let threats = base.total;
+      changed.forEach((index) => {
+        const x = index % board.length;
+        const y = (index - x) / board.length;
+        threats += this._threatsAt(board, x, y, player) - base.points[index];
+      });
+      return threats;
+    }
+
+    let threats = 0;
+    for (let y = 0; y < board.length; y += 1) {
+      for (let x = 0; x < board.length; x += 1) {
+        threats += this._threatsAt(board, x, y, player);
+      }
+    }
+    return threats;
+  }
+
+  _threatsAt(board, x, y, player) {
+    return board[y][x] === 0 ? MathUtils.findCaptures(board, x, y, player).length / 2 : 0;
+  }
+
+  /**
+   * 逐点统计根局面双方的提子威胁
+   * @param {number[][]} board
+   * @returns {{1:{points:number[], total:number}, 2:{points:number[], total:number}}}
+   */
+  _scanThreats(board) {
+    const size = board.length;
+    const result = {};
+    [1, 2].forEach((player) => {
+      const points = new Array(size * size).fill(0);
+      let total = 0;
+      for (let y = 0; y < size; y += 1) {
+        for (let x = 0; x < size; x += 1) {
+          points[y * size + x] = this._threatsAt(board, x, y, player);
+          total += points[y * size + x];
+        }
+      }
+      result[player] = { points, total };
+    });
+    return result;
+  }
+
+  /**
+   * 搜索线上落下或提走的棋子只影响3路以内的提子点
+   * @param {number} size
+   * @returns {Set<number>|null} 不在搜索中时返回null
+   */
+  _changedPoints(size) {
+    if (!this.threatBase) return null;
+    const points = new Set();
+    this.line.forEach((played) => {
+      [played, ...played.captured].forEach((stone) => {
+        for (let y = Math.max(0, stone.y - 3); y <= Math.min(size - 1, stone.y + 3); y += 1) {
+          for (let x = Math.max(0, stone.x - 3); x <= Math.min(size - 1, stone.x + 3); x += 1) {
+            points.add(y * size + x);
+          }
+        }
+      });
+    });
+    return points;
+  }
+
+  evaluate(board, player) {
+    return this.evaluatePosition(board, { 1: 0, 2: 0 }, player);
+  }
+
+  _play(board, captures, x, y, player) {
+    board[y][x] = player;
+    const captured = MathUtils.findCaptures(board, x, y, player);
+    captured.forEach((stone) => {
+      board[stone.y][stone.x] = 0;
+    });
+    captures[player] += captured.length / 2;
+    const played = { x, y, player, captured };
+    this.line.push(played);
+    return played;
+  }
+
+  _undo(board, captures, played) {
+    this.line.pop();
+    board[played.y][played.x] = 0;
+    played.captured.forEach((stone) => {
+      board[stone.y][stone.x] = stone.player;
+    });
+    captures[played.player] -= played.captured.length / 2;
+  }
+
+  _isWin(board, captures, played) {
+    if (captures[played.player] >= PenteStrategy.CAPTURE_SCORES.length - 1) return true;
+    return MathUtils.BOARD_DIRECTIONS.some(dir =>
+      MathUtils.countDirection(board, played.x, played.y, dir.dx, dir.dy, played.player).count >= 5);
+  }
+}
+
+/**
+ * AI引擎主类
+ */
+class AIEngine {
+  /**
+   * 先手方摆前三子（黑、白、黑）的均衡定式，坐标为相对天元的偏移
+   */
+  static BALANCED_OPENINGS = [
+    [[0, 0], [1, 1], [-1, 2]],
+    [[0, 0], [0, 1], [2, -1]],
+    [[0, 0], [1, 0], [-2, 1]],
+    [[0, 0], [1, -1], [1, 2]]
+  ];
+
+  static OPENING_BALANCE_MARGIN = 300;
+
+  /**
+   * 走完最佳点后局面分仍低于此值即认输
+   */
+  static RESIGN_THRESHOLD = 70000;
+
+  /**
+   * 局面分不高于此值（未明显占优）时接受提和
+   */
+  static DRAW_ACCEPT_MARGIN = 1000;
+
+  /**
+   * 开局库取着的随机程度（0 总是走权重最高的着法）
+   */
+  static BOOK_VARIETY = 0.5;
+
+  /**
+   * analyze() 默认给出的着法数
+   */
+  static ANALYSIS_LINES = 3;
+
+  /**
+   * 自定义策略的基类
+   */
+  static AIStrategy = AIStrategy;
+
+  /**
+   * 内置策略的显示信息
+   */
+  static BUILTIN_STRATEGIES = {
+    BEGINNER: { label: '新手', description: '随机选取邻近点' },
+    NORMAL: { label: '标准', description: '迭代加深 Minimax + Alpha-Beta' },
+    HARD: { label: '困难', description: '更深的迭代加深搜索' },
+    HELL: { label: '地狱', description: '迭代加深 + VCF / VCT' },
+    MCTS: { label: '蒙特卡洛', description: '蒙特卡洛树搜索，按思考时间扩展' }
+  };
+
+  /**
+   * 未载入开局库时使用的默认库：规则集 -> 三子模板
+   */
+  static DEFAULT_BOOK_TEMPLATES = {
+    FREESTYLE: () => AIEngine.BALANCED_OPENINGS,
+    RENJU: () => RenjuOpening.getTemplates(RenjuOpening.AI_OPENINGS)
+  };
+
+  /**
+   * @param {GameState} gameState
+   * @param {RuleEngine} ruleEngine
+   * @param {EventBus} eventBus
+   * @param {GameClock} [clock] - 启用对局计时后按剩余时间分配思考时间，可选
+   */
+  constructor(gameState, ruleEngine, eventBus, clock = null) {
+    this.state = gameState;
+    this.rules = ruleEngine;
+    this.eventBus = eventBus;
+    this.clock = clock;
+
+    this.transpositionTable = new TranspositionTable(); // Normal / Hard / Hell 共用
+    this.strategies = new Map([
+      ['BEGINNER', new BeginnerStrategy()],
+      ['NORMAL', new NormalStrategy(this.transpositionTable)],
+      ['HARD', new HardStrategy(this.transpositionTable)],
+      ['HELL', new HellStrategy(this.transpositionTable)],
+      ['MCTS', new MCTSStrategy()]
+    ]);
+    // 策略id -> {id, label, description, author, ruleSets, builtin}
+    this.strategyInfo = new Map(Object.entries(AIEngine.BUILTIN_STRATEGIES).map(([id, info]) => [
+      id, {
+        id, author: 'built-in', ruleSets: null, ...info, builtin: true
+      }
+    ]));
+
+    // 规则变体专用策略：变体名 -> (难度 -> 策略)
+    this.variantStrategies = new Map([
+      ['CONNECT6', new Map(['BEGINNER', 'NORMAL', 'HARD', 'HELL'].map(level => [level, new Connect6Strategy(level)]))],
+      ['PENTE', new Map(['BEGINNER', 'NORMAL', 'HARD', 'HELL'].map(level => [level, new PenteStrategy(level)]))]
+    ]);
+
+    this.currentDifficulty = {
+      black: 'NORMAL',
+      white: 'NORMAL'
+    };
+
+    this.openingTemplate = null;
+
+    this.openingBooks = new Map(); // "规则集:尺寸" -> OpeningBook
+    this.bookEnabled = true;
+    this.bookVariety = AIEngine.BOOK_VARIETY;
+
+    // Web Worker搜索：未启用或不支持Worker（如Node测试）时在主线程内搜索
+    this.workerUrl = null;
+    this.worker = null;
+    this.requestId = 0;
+    this.pendingSearches = new Map(); // 请求id -> {resolve, reject, request}
+    this.cancellations = 0; // cancel() 调用次数，主线程内的分析据此判断是否已被取消
+
+    // 与模块注册中心同步的自定义策略：策略id -> 模块名
+    this.registry = null;
+    this.strategyModules = new Map();
+  }
+
+  /**
+   * 启用Web Worker执行搜索
+   * @param {string|URL} url - AIWorker.js 的地址
+   * @returns {boolean} 当前环境是否支持Worker
+   */
+  useWorker(url) {
+    if (typeof Worker === 'undefined') {
+      return false;
+    }
+    this.workerUrl = url;
+    return true;
+  }
+
+  /**
+   * 取消进行中的搜索。搜索无法被消息打断，因此直接终止Worker，下次搜索时重建；
+   * 未返回的请求以 code 为 cancelled 的错误拒绝
+   */
+  cancel() {
+    this.cancellations += 1;
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    const pending = Array.from(this.pendingSearches.values());
+    this.pendingSearches.clear();
+    pending.forEach(({ reject }) => reject(AIEngine.createCancelError()));
+
+    if (pending.length > 0 && this.eventBus) {
+      this.eventBus.emit('ai:cancelled', { count: pending.length });
+    }
+  }
+
+  /**
+   * @returns {Error}
+   */
+  static createCancelError() {
+    const error = new Error('AI search cancelled');
+    error.code = 'cancelled';
+    return error;
+  }
+
+  /**
+   * 执行一次搜索：启用Worker时把局面、执子方、规则与思考时间发给Worker，否则在主线程内同步搜索
+   * @param {number} player
+   * @param {string} level
+   * @param {number} budget - 毫秒
+   * @returns {Promise<{x:number, y:number, score?:number}>}
+   */
+  _search(player, level, budget) {
+    return this._dispatch({
+      type: 'compute',
+      snapshot: this.state.getSnapshot(),
+      player,
+      level,
+      budget
+    });
+  }
+
+  /**
+   * 把搜索或分析请求发给Worker；未启用Worker或使用自定义策略（只存在于主线程的AIEngine中）时在主线程内执行
+   * @param {Object} request
+   * @returns {Promise<Object>}
+   */
+  _dispatch(request) {
+    const info = this.strategyInfo.get(request.level);
+    if (!this.workerUrl || (info && !info.builtin)) {
+      return this.searchInThread(request);
+    }
+    request.config = this.getStrategy(request.level, request.snapshot.settings.ruleSet).getConfig();
+
+    this.requestId += 1;
+    const id = this.requestId;
+    return new Promise((resolve, reject) => {
+      this.pendingSearches.set(id, { resolve, reject, request });
+      this._getWorker().postMessage({ ...request, id });
+    });
+  }
+
+  /**
+   * 主线程内搜索，也是Worker内部的实现。
+   * compute 请求在当前对局上搜索；analyze 请求在快照的副本上分析，不影响对局
+   * @param {{type:string, snapshot:Object, player:number, level:string, budget:number, multiPV?:number, config?:Object}} request
+   *   - config 为主线程中该策略的参数
+   * @returns {Promise<Object>} compute 返回落子点，analyze 返回 AIStrategy.analyze 的结果
+   */
+  searchInThread(request) {
+    if (request.type === 'analyze') {
+      const state = new GameState(null);
+      state.restoreSnapshot(request.snapshot);
+      const rules = new RuleEngine(state, null);
+      const strategy = this._prepareStrategy(request, state.settings.ruleSet);
+      return strategy.analyze(state, request.player, rules, request.multiPV);
+    }
+    const strategy = this._prepareStrategy(request);
+    return strategy.compute(this.state, request.player, this.rules);
+  }
+
+  _prepareStrategy(request, ruleSet) {
+    const strategy = this.getStrategy(request.level, ruleSet);
+    if (request.config) {
+      strategy.configure(request.config);
+    }
+    strategy.startSearch(request.budget);
+    return strategy;
+  }
+
+  _getWorker() {
+    if (!this.worker) {
+      this.worker = new Worker(this.workerUrl, { type: 'module' });
+      this.worker.onmessage = (event) => this._handleWorkerMessage(event.data);
+      this.worker.onerror = (event) => this._handleWorkerFailure(event);
+    }
+    return this.worker;
+  }
+
+  _handleWorkerMessage(message) {
+    const pending = this.pendingSearches.get(message.id);
+    if (!pending) return; // 已取消的请求
+
+    this.pendingSearches.delete(message.id);
+    if (message.type === 'result') {
+      pending.resolve(message.move);
+    } else {
+      pending.reject(new Error(message.error || 'AI worker error'));
+    }
+  }
+
+  /**
+   * Worker无法加载或崩溃时改为主线程搜索，未完成的请求在主线程重新执行
+   */
+  _handleWorkerFailure(event) {
+    if (event && typeof event.preventDefault === 'function') {
+      event.preventDefault();
+    }
+    if (this.worker) {
+      this.worker.terminate();
+      this.worker = null;
+    }
+    this.workerUrl = null;
+
+    const pending = Array.from(this.pendingSearches.values());
+    this.pendingSearches.clear();
+    if (this.eventBus) {
+      this.eventBus.emit('ai:workerFailed', { message: event && event.message });
+    }
+    pending.forEach(({ resolve, reject, request }) => {
+      this.searchInThread(request).then(resolve, reject);
+    });
+  }
+
+  /**
+   * 设置AI难度
+   * @param {number} player - 1=黑, 2=白
+   * @param {string} level - BEGINNER | NORMAL | HARD | HELL | MCTS
+   */
+  setDifficulty(player, level) {
+    const key = player === 1 ? 'black' : 'white';
+    if (!this.strategies.has(level)) {
+      throw new Error(`Unknown difficulty level: ${level}`);
+    }
+    this.currentDifficulty[key] = level;
+    if (this.eventBus) {
+      this.eventBus.emit('ai:difficultyChanged', { player, level });
+    }
+  }
+
+  /**
+   * 按当前规则变体与难度取得策略：自定义策略在其适用的规则集之外、
+   * 或变体未提供该难度时，使用变体（或通用）的Normal策略
+   * @param {string} level
+   * @param {string|null} [ruleSet] - 规则集名称，缺省为当前规则集
+   * @returns {AIStrategy}
+   */
+  getStrategy(level, ruleSet = this.rules ? this.rules.getRuleSet().name : null) {
+    const info = this.strategyInfo.get(level);
+    const variant = ruleSet ? this.variantStrategies.get(ruleSet) : null;
+    const pool = variant || this.strategies;
+    if (info && !info.builtin) {
+      const applies = !info.ruleSets || info.ruleSets.includes(ruleSet);
+      return applies ? this.strategies.get(level) : pool.get('NORMAL');
+    }
+    return pool.get(level) || pool.get('NORMAL');
+  }
+
+  /**
+   * 注册自定义策略，注册后即可用于 setDifficulty
+   * @param {string} id - 大写字母开头，由大写字母、数字与下划线组成
+   * @param {AIStrategy} strategy - AIEngine.AIStrategy 的子类实例
+   * @param {Object} [options]
+   * @param {string} [options.label] - 界面显示名称，缺省为id
+   * @param {string} [options.description]
+   * @param {string} [options.author]
+   * @param {string[]} [options.ruleSets] - 适用的规则集，缺省为全部
+   * @param {Object} [options.config] - 传给 strategy.configure() 的参数
+   * @returns {Object} 策略信息
+   */
+  registerStrategy(id, strategy, options = {}) {
+    if (typeof id !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(id)) {
+      throw new Error(`Invalid strategy id: ${id}`);
+    }
+    if (this.strategies.has(id)) {
+      throw new Error(`Strategy already registered: ${id}`);
+    }
+    if (!(strategy instanceof AIStrategy)) {
+      throw new Error(`Strategy ${id} must extend AIEngine.AIStrategy`);
+    }
+    if (options.config) {
+      strategy.configure(options.config);
+    }
+
+    const info = {
+      id,
+      label: options.label || id,
+      description: options.description || '',
+      author: options.author || 'unknown',
+      ruleSets: options.ruleSets || null,
+      builtin: false
+    };
+    this.strategies.set(id, strategy);
+    this.strategyInfo.set(id, info);
+    this._registerStrategyModule(id);
+    if (this.eventBus) {
+      this.eventBus.emit('ai:strategyRegistered', { ...info, config: strategy.getConfig() });
+    }
+    return info;
+  }
+
+  /**
+   * 移除自定义策略，正在使用该策略的一方改回Normal
+   * @param {string} id
+   * @returns {boolean} 是否移除了策略
+   */
+  unregisterStrategy(id) {
+    const info = this.strategyInfo.get(id);
+    if (!info) return false;
+    if (info.builtin) {
+      throw new Error(`Cannot unregister built-in strategy: ${id}`);
+    }
+
+    this.strategies.delete(id);
+    this.strategyInfo.delete(id);
+    const moduleName = this.strategyModules.get(id);
+    this.strategyModules.delete(id);
+    if (this.registry && this.registry.get(moduleName)) {
+      this.registry.unregister(moduleName);
+    }
+    [1, 2].forEach((player) => {
+      if (this.currentDifficulty[player === 1 ? 'black' : 'white'] === id) {
+        this.setDifficulty(player, 'NORMAL');
+      }
+    });
+    if (this.eventBus) {
+      this.eventBus.emit('ai:strategyUnregistered', { id });
+    }
+    return true;
+  }
+
+  /**
+   * 调整策略参数（内置策略与自定义策略均可）
+   * @param {string} id
+   * @param {Object} options - 见各策略的 CONFIG_OPTIONS
+   * @returns {Object} 调整后的参数
+   */
+  configureStrategy(id, options) {
+    const strategy = this.strategies.get(id);
+    if (!strategy) {
+      throw new Error(`Unknown difficulty level: ${id}`);
+    }
+    strategy.configure(options);
+    return strategy.getConfig();
+  }
+
+  /**
+   * @param {string} id
+   * @returns {boolean}
+   */
+  hasStrategy(id) {
+    return this.strategies.has(id);
+  }
+
+  /**
+   * 列出全部策略，供难度选择等界面使用（内置策略在前，自定义策略按注册顺序）
+   * @returns {Array<{id:string, label:string, description:string, author:string,
+   *   ruleSets:string[]|null, builtin:boolean, config:Object}>}
+   */
+  listStrategies() {
+    return Array.from(this.strategyInfo.values()).map(info => ({
+      ...info,
+      config: this.strategies.get(info.id).getConfig()
+    }));
+  }
+
+  /**
+   * 与模块注册中心同步自定义策略（注册中心需与AIEngine共用事件总线）：
+   * 以 type 'ai-strategy' 注册的模块自动注册为策略，模块信息中 strategy 为策略实例，
+   * strategyId 为策略id（缺省为模块名），label / description / ruleSets / config 同 registerStrategy；
+   * 直接调用 registerStrategy 注册的策略以 'AIStrategy:<id>' 为名登记到注册中心，两侧的移除同样互相同步
+   * @param {ModuleRegistry} registry
+   */
+  attachRegistry(registry) {
+    this.registry = registry;
+
+    const register = (info) => {
+      if (info.type !== 'ai-strategy' || !info.strategy) return;
+      const id = info.strategyId || info.name;
+      if (this.strategies.has(id)) return;
+      this.strategyModules.set(id, info.name);
+      try {
+        this.registerStrategy(id, info.strategy, info);
+      } catch (error) {
+        this.strategyModules.delete(id);
+        registry.unregister(info.name);
+        throw error;
+      }
+    };
+
+    registry.listByType('ai-strategy').forEach(register);
+    this.strategyInfo.forEach((info, id) => {
+      if (!info.builtin) this._registerStrategyModule(id);
+    });
+
+    if (this.eventBus) {
+      this.eventBus.on('module:registered', register);
+      this.eventBus.on('module:unregistered', (info) => {
+        const id = info.strategyId || info.name;
+        if (info.type === 'ai-strategy' && this.strategyModules.get(id) === info.name) {
+          this.unregisterStrategy(id);
+        }
+      });
+    }
+  }
+
+  /**
+   * 将自定义策略登记到模块注册中心（已登记时跳过）
+   * @param {string} id
+   */
+  _registerStrategyModule(id) {
+    if (!this.strategyModules.has(id)) {
+      this.strategyModules.set(id, `AIStrategy:${id}`);
+    }
+    const name = this.strategyModules.get(id);
+    if (!this.registry || this.registry.get(name)) return;
+
+    this.registry.register({
+      ...this.strategyInfo.get(id),
+      name,
+      type: 'ai-strategy',
+      strategyId: id,
+      strategy: this.strategies.get(id),
+      dependencies: ['AIEngine']
+    });
+  }
+
+  /**
+   * 本手思考时间：启用对局计时时由时钟按剩余时间分配，否则使用策略的固定时长
+   * @param {number} player
+   * @param {AIStrategy} strategy
+   * @returns {number} 毫秒
+   */
+  getThinkingBudget(player, strategy) {
+    const budget = this.clock ? this.clock.getThinkingBudget(player) : null;
+    return budget === null ? strategy.timeout : budget;
+  }
+
+  /**
+   * 计算最佳落子点
+   * @param {number} player
+   * @returns {Promise<{x:number, y:number, score?:number, thinkingTime?:number}>}
+   */
+  async computeMove(player) {
+    const key = player === 1 ? 'black' : 'white';
+    const level = this.currentDifficulty[key];
+    const strategy = this.getStrategy(level);
+    const budget = this.getThinkingBudget(player, strategy);
+
+    if (this.eventBus) {
+      this.eventBus.emit('ai:thinking', { player, level, budget });
+    }
+
+    const startTime = Date.now();
+    let move = this.findBookMove(player) || await this._search(player, level, budget);
+    const thinkingTime = Date.now() - startTime;
+
+    const validation = this.rules.validateMove(move.x, move.y, player);
+    if (!validation.valid) {
+      const fallback = this._findFallbackMove(player, move.x, move.y);
+      if (fallback) {
+        move = fallback;
+      }
+    }
+
+    if (this.eventBus) {
+      this.eventBus.emit('ai:computed', {
+        player, move, thinkingTime, level, depth: move.depth ?? null, book: Boolean(move.book)
+      });
     }
 
     return { ...move, thinkingTime };
   }
 
   /**
-   * 获取AI提示（建议落子点）
+   * 载入开局库，替换同规则集、同尺寸的已有开局库
+   * @param {OpeningBook} book
+   */
+  setOpeningBook(book) {
+    this.openingBooks.set(OpeningBook.bookKey(book.ruleSet, book.boardSize), book);
+  }
+
+  /**
+   * 把开局库并入同规则集、同尺寸的现有开局库（包括默认库），没有现有库时直接载入
+   * @param {OpeningBook} book
+   */
+  mergeOpeningBook(book) {
+    const existing = this.getOpeningBook(book.ruleSet, book.boardSize);
+    if (existing) {
+      existing.merge(book);
+    } else {
+      this.setOpeningBook(book);
+    }
+  }
+
+  /**
+   * 取得开局库，未载入时按默认模板建立（仅无禁手与连珠规则有默认库）
+   * @param {string} [ruleSet] - 缺省为当前规则集
+   * @param {number} [boardSize] - 缺省为当前棋盘尺寸
+   * @returns {OpeningBook|null}
+   */
+  getOpeningBook(ruleSet = this.rules.getRuleSet().name, boardSize = this.state.boardSize) {
+    const key = OpeningBook.bookKey(ruleSet, boardSize);
+    if (!this.openingBooks.has(key)) {
+      const templates = AIEngine.DEFAULT_BOOK_TEMPLATES[ruleSet];
+      this.openingBooks.set(key, templates ? OpeningBook.fromTemplates(ruleSet, boardSize, templates()) : null);
+    }
+    return this.openingBooks.get(key);
+  }
+
+  /**
+   * 启用或停用开局库，停用后每手都直接搜索
+   * @param {boolean} enabled
+   */
+  setOpeningBookEnabled(enabled) {
+    this.bookEnabled = Boolean(enabled);
+  }
+
+  /**
+   * 设置开局库取着的随机程度
+   * @param {number} variety - 0 ~ 1
+   */
+  setBookVariety(variety) {
+    if (!Number.isFinite(variety) || variety < 0 || variety > 1) {
+      throw new Error(`Invalid opening book variety: ${variety}`);
+    }
+    this.bookVariety = variety;
+  }
+
+  /**
+   * 在开局库中查找当前局面的着法，只返回当前规则下合法的点
+   * @param {number} player
+   * @returns {{x:number, y:number, score:number, depth:number, book:boolean}|null} 未启用或库中没有该局面时返回null
+   */
+  findBookMove(player) {
+    const book = this.bookEnabled ? this.getOpeningBook() : null;
+    if (!book) return null;
+    const move = book.pickMove(this.state.board, player, {
+      variety: this.bookVariety,
+      filter: ({ x, y }) => this.rules.validateMove(x, y, player).valid
+    });
+    return move ? { x: move.x, y: move.y, score: 0, depth: 0, book: true } : null;
+  }
+
+  /**
+   * 开局协议中的AI落子
+   * 作为先手方摆前三子时使用相对均衡的定式，避免对手轻易选到优势方；
+   * Swap2加摆两子时按正常搜索落子
+   * @param {number} player - 本子颜色
+   * @param {string} level - 执行该步的AI难度
+   * @param {Object} [options]
+   * @param {boolean} [options.proposing] - 是否为先手方摆前三子
+   * @param {number[][][]} [options.templates] - 可选的三子模板，缺省使用均衡定式
+   * @returns {Promise<{x:number, y:number, score?:number}>}
+   */
+  async computeOpeningMove(player, level, options = {}) {
+    if (options.proposing) {
+      const stoneIndex = this.state.getStoneCount();
+      if (stoneIndex === 0 || !this.openingTemplate) {
+        const templates = options.templates || AIEngine.BALANCED_OPENINGS;
+        this.openingTemplate = templates[Math.floor(Math.random() * templates.length)];
+      }
+
+      const offset = this.openingTemplate[stoneIndex];
+      const center = Math.floor(this.state.boardSize / 2);
+      if (offset) {
+        const x = center + offset[0];
+        const y = center + offset[1];
+        if (this.rules.validateMove(x, y, player).valid) {
+          return { x, y, score: 0 };
+        }
+      }
+    }
+
+    const strategy = this.getStrategy(level);
+    const budget = this.getThinkingBudget(this.state.currentPlayer, strategy);
+    const move = await this._search(player, level, budget);
+    const validation = this.rules.validateMove(move.x, move.y, player);
+    if (!validation.valid) {
+      return this._findFallbackMove(player, move.x, move.y) || move;
+    }
+    return move;
+  }
+
+  /**
+   * 开局协议中的AI选择：按黑方视角评估当前局面，
+   * 明显偏向一方时选择该方，接近均衡且允许时选择加摆两子
+   * @param {string[]} options - black | white | place2
+   * @param {string} level
+   * @returns {string}
+   */
+  chooseOpeningOption(options, level) {
+    const strategy = this.getStrategy(level);
+    const blackScore = strategy.evaluate(this.state.board, 1, this.rules.getRuleSet());
+
+    let option;
+    if (options.includes('place2') && Math.abs(blackScore) < AIEngine.OPENING_BALANCE_MARGIN) {
+      option = 'place2';
+    } else {
+      // 开局结束后轮到白棋落子，持平时选白
+      option = blackScore > 0 ? 'black' : 'white';
+    }
+
+    if (this.eventBus) {
+      this.eventBus.emit('ai:openingChoice', { level, options, option, blackScore });
+    }
+
+    return option;
+  }
+
+  /**
+   * 声明第五手打点数：黑方优势越大，声明越多的打点供白方挑选以求均衡
+   * @param {string[]} options - "1" ~ "8"
+   * @param {string} level
+   * @returns {string}
+   */
+  chooseFifthCount(options, level) {
+    const strategy = this.getStrategy(level);
+    const blackScore = strategy.evaluate(this.state.board, 1, this.rules.getRuleSet());
+    const extra = Math.max(0, Math.ceil(blackScore / AIEngine.OPENING_BALANCE_MARGIN));
+    const index = Math.min(options.length - 1, 1 + extra);
+    const option = options[index];
+
+    if (this.eventBus) {
+      this.eventBus.emit('ai:openingChoice', { level, options, option, blackScore });
+    }
+
+    return option;
+  }
+
+  /**
+   * 黑方提交第五手打点：白方会挑最差的一个，因此取评估最高且互不对称的若干点
+   * @param {number} count - 需提交的打点数
+   * @param {string} level
+   * @param {Function} isValid - (x, y) => boolean，校验单个打点是否合法
+   * @returns {Promise<{x:number, y:number}[]>}
+   */
+  async computeFifthOffers(count, level, isValid) {
+    const strategy = this.getStrategy(level);
+    const board = this.state.board;
+    const scored = MathUtils.generateCandidateMoves(board, 2)
+      .filter(candidate => isValid(candidate.x, candidate.y))
+      .map((candidate) => {
+        board[candidate.y][candidate.x] = 1;
+        const score = strategy.evaluate(board, 1, this.rules.getRuleSet());
+        board[candidate.y][candidate.x] = 0;
+        return { x: candidate.x, y: candidate.y, score };
+      })
+      .sort((a, b) => b.score - a.score);
+
+    const offers = [];
+    for (const candidate of scored) {
+      if (offers.length >= count) break;
+      if (RenjuOpening.isEquivalentOffer(board, offers, candidate.x, candidate.y)) continue;
+      offers.push({ x: candidate.x, y: candidate.y });
+    }
+    return offers;
+  }
+
+  /**
+   * 白方从黑方的第五手打点中选择对黑方最不利的一个
+   * @param {{x:number, y:number}[]} offers
+   * @param {string} level
+   * @returns {{x:number, y:number}}
+   */
+  chooseFifthOffer(offers, level) {
+    const strategy = this.getStrategy(level);
+    const board = this.state.board;
+    let best = offers[0];
+    let bestScore = Infinity;
+    for (const offer of offers) {
+      board[offer.y][offer.x] = 1;
+      const score = strategy.evaluate(board, 1, this.rules.getRuleSet());
+      board[offer.y][offer.x] = 0;
+      if (score < bestScore) {
+        bestScore = score;
+        best = offer;
+      }
+    }
+
+    if (this.eventBus) {
+      this.eventBus.emit('ai:openingChoice', { level, options: offers, option: best, blackScore: bestScore });
+    }
+
+    return best;
+  }
+
+  /**
+   * 按player所用难度的策略评估局面
+   * @param {number} player
+   * @param {number[][]} [board]
+   * @returns {number}
+   */
+  evaluatePosition(player, board = this.state.board) {
+    const level = this.currentDifficulty[player === 1 ? 'black' : 'white'];
+    return this.getStrategy(level).evaluate(board, player, this.rules.getRuleSet());
+  }
+
+  /**
+   * 是否接受对方提和
+   * @param {number} player - 被提和的AI一方
+   * @returns {boolean}
+   */
+  shouldAcceptDraw(player) {
+    const accept = this.evaluatePosition(player) <= AIEngine.DRAW_ACCEPT_MARGIN;
+    if (this.eventBus) {
+      this.eventBus.emit('ai:drawDecision', { player, accept });
+    }
+    return accept;
+  }
+
+  /**
+   * 是否认输：本回合最后一子走完最佳点后，对手仍有一步成胜的点，或局面评估已无可挽回
+   * @param {number} player
+   * @param {{x:number, y:number}} move - 本手计算出的最佳点
+   * @returns {boolean}
+   */
+  shouldResign(player, move) {
+    if (this.state.getStonesForTurn() - this.state.turnStones > 1) return false;
+
+    const board = this.state.board;
+    if (board[move.y][move.x] !== 0) return false;
+
+    const opponent = MathUtils.getOpponent(player);
+    board[move.y][move.x] = player;
+    try {
+      if (this.rules.checkWin(move.x, move.y, player).isWin) return false;
+
+      const opponentWins = MathUtils.generateCandidateMoves(board, 1)
+        .some(candidate => this.rules.checkWin(candidate.x, candidate.y, opponent).isWin);
+      return opponentWins || this.evaluatePosition(player, board) <= -AIEngine.RESIGN_THRESHOLD;
+    } finally {
+      board[move.y][move.x] = 0;
+    }
+  }
+
+  /**
+   * 搜索player的VCF（连续冲四取胜），假定轮到player落子
+   * @param {number} [player]
+   * @param {Object} [options] - maxDepth / maxNodes / deadline，见 VCFSolver.solve
+   * @returns {{winner:number, sequence:Array<{x:number, y:number, player:number}>}|null}
+   */
+  findVCF(player = this.state.currentPlayer, options = {}) {
+    return new VCFSolver(this.state, this.rules).solve(player, options);
+  }
+
+  /**
+   * 搜索player的VCT（连续威胁取胜：冲四与活三），假定轮到player落子
+   * @param {number} [player]
+   * @param {Object} [options] - maxDepth / maxNodes / deadline，见 VCTSolver.solve
+   * @returns {{winner:number, sequence:Array<{x:number, y:number, player:number}>}|null}
+   */
+  findVCT(player = this.state.currentPlayer, options = {}) {
+    return new VCTSolver(this.state, this.rules).solve(player, options);
+  }
+
+  /**
+   * 分析局面：给出得分最高的若干着法、各自的分数与主变化，以及完成的搜索深度与节点数。
+   * 分析在局面的副本上进行，可由 cancel() 取消（以 code 为 cancelled 的错误拒绝）。
+   * 分数的含义随策略而定：Minimax 为评估分，MCTS 为胜率（0 ~ 1）
+   * @param {Object|null} [position] - GameState.getSnapshot() 的快照，缺省为当前对局
+   * @param {Object} [options]
+   * @param {number} [options.player] - 分析哪一方落子，缺省为快照中的行棋方
+   * @param {string} [options.level] - 分析使用的策略，缺省为 HARD
+   * @param {number} [options.lines] - 着法数，缺省为 ANALYSIS_LINES
+   * @param {number} [options.budget] - 思考时间（毫秒），缺省为该策略的 timeout
+   * @returns {Promise<{player:number, level:string, depth:number|null, nodes:number|null, winRate:number, thinkingTime:number,
+   *   lines:Array<{x:number, y:number, score:number|null, winRate:number, pv:Array<{x:number, y:number, player:number}>}>}>}
+   */
+  async analyze(position = null, options = {}) {
+    const snapshot = position || this.state.getSnapshot();
+    const player = options.player || snapshot.currentPlayer;
+    const level = options.level || 'HARD';
+    if (!this.strategies.has(level)) {
+      throw new Error(`Unknown difficulty level: ${level}`);
+    }
+    const multiPV = options.lines ?? AIEngine.ANALYSIS_LINES;
+    if (!Number.isInteger(multiPV) || multiPV < 1) {
+      throw new Error(`Invalid analysis line count: ${options.lines}`);
+    }
+    const strategy = this.getStrategy(level, snapshot.settings.ruleSet);
+    const budget = options.budget ?? strategy.timeout;
+
+    const cancellations = this.cancellations;
+    const startTime = Date.now();
+    const result = await this._dispatch({ type: 'analyze', snapshot, player, level, budget, multiPV });
+    if (this.cancellations !== cancellations) {
+      throw AIEngine.createCancelError();
+    }
+
+    const analysis = { player, level, ...result, thinkingTime: Date.now() - startTime };
+    if (this.eventBus) {
+      this.eventBus.emit('ai:analyzed', analysis);
+    }
+    return analysis;
+  }
+
+  /**
+   * 获取AI提示：以Normal分析当前局面，返回最佳点并附带其他候选着法（lines）
    * @param {number} player
-   * @returns {Promise<{x:number, y:number}>}
+   * @returns {Promise<{x:number, y:number, score:number|null, lines:Array}>}
    */
   async getHint(player) {
-    const strategy = this.strategies.get('NORMAL');
-    return strategy.compute(this.state, player);
+    const { lines } = await this.analyze(null, { player, level: 'NORMAL' });
+    const [best] = lines;
+    return { x: best.x, y: best.y, score: best.score, lines };
   }
 
   /**
@@ -405,7 +2421,11 @@ class AIEngine {
 AIEngine.__moduleInfo = {
   name: 'AIEngine',
   version: '2.0.0',
-  dependencies: ['GameState', 'RuleEngine', 'MathUtils']
+  dependencies: [
+    'GameState', 'RuleEngine', 'RenjuOpening', 'OpeningBook', 'TranspositionTable', 'VCFSolver', 'VCTSolver',
+    'MathUtils', 'Zobrist'
+  ],
+  optionalDependencies: ['ModuleRegistry']
 };
 
 if (typeof window !== 'undefined') {
@@ -0,0 +1,61 @@
+/**
+ * AI搜索Worker - 在独立线程中执行AI搜索，避免阻塞画布与HUD
+ *
+ * 消息协议：
+ *   请求 {id, type: 'compute', snapshot, player, level, budget, config}
+ *        snapshot 为 GameState.getSnapshot()，包含棋盘、规则设置与回合信息；budget 为思考时间（毫秒）；
+ *        config 为主线程中该策略的参数（AIStrategy.getConfig()）。自定义策略不经过Worker，在主线程内搜索
+ *   请求 {id, type: 'analyze', snapshot, player, level, budget, multiPV, config}
+ *        分析局面，给出 multiPV 个着法及主变化
+ *   响应 {id, type: 'result', move} 或 {id, type: 'error', error}；分析请求的 move 为 AIStrategy.analyze 的结果
+ * Worker内保留同一个AIEngine实例，六子棋成对搜索得到的第二子可在下一次请求中直接使用
+ */
+import GameState from './GameState.js';
+import RuleEngine from './RuleEngine.js';
+import AIEngine from './AIEngine.js';
+
+class AIWorker {
+  constructor() {
+    this.state = new GameState(null);
+    this.rules = new RuleEngine(this.state, null);
+    this.ai = new AIEngine(this.state, this.rules, null);
+  }
+
+  /**
+   * 处理一条请求消息
+   * @param {{id:number, type:string, snapshot:Object, player:number, level:string, budget:number, config?:Object}} message
+   * @returns {Promise<{id:number, type:string, move?:Object, error?:string}>}
+   */
+  async handleMessage(message) {
+    const { id, type } = message;
+    try {
+      if (type !== 'compute' && type !== 'analyze') {
+        throw new Error(`Unknown AI worker message: ${type}`);
+      }
+      this.state.restoreSnapshot(message.snapshot);
+      const move = await this.ai.searchInThread(message);
+      return { id, type: 'result', move };
+    } catch (error) {
+      return { id, type: 'error', error: error.message };
+    }
+  }
+}
+
+AIWorker.__moduleInfo = {
+  name: 'AIWorker',
+  version: '2.0.0',
+  dependencies: ['GameState', 'RuleEngine', 'AIEngine']
+};
+
+if (typeof WorkerGlobalScope !== 'undefined' && self instanceof WorkerGlobalScope) {
+  const worker = new AIWorker();
+  self.onmessage = async (event) => {
+    self.postMessage(await worker.handleMessage(event.data));
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AIWorker;
+}
+
+export default AIWorker;
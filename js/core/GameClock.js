@@ -0,0 +1,383 @@
+/**
+ * 对局时钟 - 双方倒计时与多种计时制度
+ * 支持包干（SUDDEN_DEATH）、Fischer加秒（FISCHER）、日式读秒（BYOYOMI）与加拿大式加时（CANADIAN）
+ * 时钟从第一手落下后开始走，随 player:switched 在双方之间切换，超时后以 timeout 结束对局
+ */
+class GameClock {
+  static TYPES = ['NONE', 'SUDDEN_DEATH', 'FISCHER', 'BYOYOMI', 'CANADIAN'];
+
+  /**
+   * 计时配置（毫秒）：
+   * mainTime 基本用时；increment 每手加秒（FISCHER）；
+   * periods / periodTime 读秒次数与每次时长（BYOYOMI）；
+   * periodTime / periodMoves 每段加时时长与须完成的手数（CANADIAN）
+   */
+  static DEFAULT_CONFIG = {
+    type: 'NONE',
+    mainTime: 600000,
+    increment: 0,
+    periods: 0,
+    periodTime: 0,
+    periodMoves: 0
+  };
+
+  static PRESETS = {
+    NONE: { type: 'NONE' },
+    SUDDEN_10: { type: 'SUDDEN_DEATH', mainTime: 600000 },
+    FISCHER_5_5: { type: 'FISCHER', mainTime: 300000, increment: 5000 },
+    BYOYOMI_10_30X5: { type: 'BYOYOMI', mainTime: 600000, periods: 5, periodTime: 30000 },
+    CANADIAN_10_5M10: { type: 'CANADIAN', mainTime: 600000, periodTime: 300000, periodMoves: 10 }
+  };
+
+  /**
+   * AI按“剩余时间 / 预计剩余手数”分配每手思考时间
+   */
+  static MOVES_TO_GO = 30;
+
+  static SAFETY_FACTOR = 0.8;
+
+  static MIN_THINKING_TIME = 50;
+
+  static TICK_INTERVAL = 200;
+
+  /**
+   * @param {GameState} gameState
+   * @param {EventBus} eventBus
+   * @param {Object} [options]
+   * @param {Function} [options.now] - 时间源，便于测试
+   */
+  constructor(gameState, eventBus, options = {}) {
+    this.state = gameState;
+    this.eventBus = eventBus;
+    this.now = options.now || (() => Date.now());
+
+    this.config = GameClock.normalize(gameState.settings.timeControl);
+    this.clocks = { 1: this._initialClock(), 2: this._initialClock() };
+    this.activePlayer = null;
+    this.turnStartedAt = null;
+    this.timer = null;
+
+    this._setupEventListeners();
+  }
+
+  /**
+   * 校验并补全计时配置
+   * @param {Object|string} [config] - 配置对象或 PRESETS 中的名称
+   * @returns {Object}
+   */
+  static normalize(config) {
+    const source = typeof config === 'string' ? GameClock.PRESETS[config] : config;
+    if (typeof config === 'string' && !source) {
+      throw new Error(`Invalid time control preset: ${config}`);
+    }
+
+    const normalized = { ...GameClock.DEFAULT_CONFIG, ...(source || {}) };
+    if (!GameClock.TYPES.includes(normalized.type)) {
+      throw new Error(`Invalid time control: ${normalized.type}`);
+    }
+    for (const key of ['mainTime', 'increment', 'periods', 'periodTime', 'periodMoves']) {
+      if (!Number.isFinite(normalized[key]) || normalized[key] < 0) {
+        throw new Error(`Invalid time control ${key}: ${normalized[key]}`);
+      }
+    }
+    if (normalized.type === 'BYOYOMI' && (normalized.periods < 1 || normalized.periodTime <= 0)) {
+      throw new Error('Byo-yomi requires at least one period');
+    }
+    if (normalized.type === 'CANADIAN' && (normalized.periodMoves < 1 || normalized.periodTime <= 0)) {
+      throw new Error('Canadian overtime requires a period time and move count');
+    }
+    return normalized;
+  }
+
+  /**
+   * 查找与配置一致的预设名称
+   * @param {Object} config
+   * @returns {string|null}
+   */
+  static findPreset(config) {
+    const normalized = GameClock.normalize(config);
+    const match = Object.keys(GameClock.PRESETS).find((key) => {
+      const preset = GameClock.normalize(GameClock.PRESETS[key]);
+      return Object.keys(preset).every(field => preset[field] === normalized[field]);
+    });
+    return match || null;
+  }
+
+  _setupEventListeners() {
+    if (!this.eventBus) return;
+
+    // 读档与导入棋谱不保留用时，按当前设置重新计时
+    const restart = () => {
+      this.reset();
+      if (this.state.gameStatus === 'playing') {
+        this.start(this.state.currentPlayer);
+      }
+    };
+    this.eventBus.on('state:reset', () => this.reset());
+    this.eventBus.on('state:restored', restart);
+    this.eventBus.on('save:imported', restart);
+    this.eventBus.on('rules:changed', (data) => {
+      if (data && data.timeControl && this.state.gameStatus !== 'playing') {
+        this.reset();
+      }
+    });
+    this.eventBus.on('player:switched', () => this.switchTurn());
+    this.eventBus.on('move:undone', () => {
+      if (this.activePlayer === null || this.activePlayer === this.state.currentPlayer) return;
+      // 悔棋不加秒，已用时间照常计入
+      this._charge(this.activePlayer, false);
+      this._stopTimer();
+      this.activePlayer = null;
+      if (this.state.gameStatus === 'playing') {
+        this.start(this.state.currentPlayer);
+      } else {
+        this._emitTick();
+      }
+    });
+    this.eventBus.on('game:finished', () => this.stop());
+  }
+
+  /**
+   * 是否启用计时
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return this.config.type !== 'NONE';
+  }
+
+  /**
+   * 按当前设置重置双方时钟
+   */
+  reset() {
+    this._stopTimer();
+    this.config = GameClock.normalize(this.state.settings.timeControl);
+    this.clocks = { 1: this._initialClock(), 2: this._initialClock() };
+    this.activePlayer = null;
+    this.turnStartedAt = null;
+    this._emitTick();
+  }
+
+  /**
+   * 开始为player计时
+   * @param {number} player
+   */
+  start(player) {
+    if (!this.isEnabled()) return;
+    this.activePlayer = player;
+    this.turnStartedAt = this.now();
+    if (!this.timer && typeof setInterval === 'function') {
+      this.timer = setInterval(() => this.check(), GameClock.TICK_INTERVAL);
+    }
+    this._emitTick();
+  }
+
+  /**
+   * 停止计时，已用时间计入当前行棋方（不加秒）
+   */
+  stop() {
+    if (this.activePlayer !== null) {
+      this._charge(this.activePlayer, false);
+    }
+    this.activePlayer = null;
+    this.turnStartedAt = null;
+    this._stopTimer();
+    this._emitTick();
+  }
+
+  /**
+   * 回合结束：结算行棋方用时（含加秒/读秒重置），转为对方计时
+   * 第一回合结束时才开始计时
+   */
+  switchTurn() {
+    if (!this.isEnabled() || this.state.gameStatus !== 'playing') return;
+
+    if (this.activePlayer !== null) {
+      const player = this.activePlayer;
+      if (this._project(player).flagged) {
+        this._flag(player);
+        return;
+      }
+      this._charge(player, true);
+    }
+    this.start(this.state.currentPlayer);
+  }
+
+  /**
+   * 检查当前行棋方是否超时，由计时器定期调用
+   * @returns {boolean} 是否超时
+   */
+  check() {
+    if (this.activePlayer === null) return false;
+    if (this._project(this.activePlayer).flagged) {
+      this._flag(this.activePlayer);
+      return true;
+    }
+    this._emitTick();
+    return false;
+  }
+
+  /**
+   * 获取player的时钟（含当前回合已用时间）
+   * @param {number} player
+   * @returns {{remaining:number, periodsLeft:number, periodRemaining:number, movesLeft:number,
+   *   overtime:boolean, flagged:boolean, active:boolean}}
+   */
+  getClock(player) {
+    const projected = this._project(player);
+    return {
+      ...projected,
+      overtime: projected.remaining <= 0 && this.config.type !== 'SUDDEN_DEATH' && this.config.type !== 'FISCHER',
+      active: this.activePlayer === player
+    };
+  }
+
+  /**
+   * 为AI分配本手思考时间：基本用时按预计剩余手数平分，进入读秒/加时后只使用当前时段的一部分
+   * @param {number} player
+   * @returns {number|null} 毫秒；未启用计时返回null
+   */
+  getThinkingBudget(player) {
+    if (!this.isEnabled()) return null;
+
+    const clock = this.getClock(player);
+    const { type, increment, periodTime } = this.config;
+    let budget;
+    if (type === 'FISCHER') {
+      budget = Math.min(clock.remaining / GameClock.MOVES_TO_GO + increment * GameClock.SAFETY_FACTOR,
+        clock.remaining * 0.5);
+    } else if (type === 'BYOYOMI') {
+      // 读秒时段内完成不消耗次数，可放心使用
+      budget = Math.max(clock.remaining / GameClock.MOVES_TO_GO, periodTime * GameClock.SAFETY_FACTOR);
+    } else if (type === 'CANADIAN' && clock.overtime) {
+      budget = (clock.periodRemaining / clock.movesLeft) * GameClock.SAFETY_FACTOR;
+    } else {
+      budget = clock.remaining / GameClock.MOVES_TO_GO;
+    }
+    return Math.max(GameClock.MIN_THINKING_TIME, Math.floor(budget));
+  }
+
+  _initialClock() {
+    const { mainTime, periods, periodTime, periodMoves, type } = this.config;
+    return {
+      remaining: mainTime,
+      periodsLeft: type === 'BYOYOMI' ? periods : 0,
+      periodRemaining: periodTime,
+      movesLeft: periodMoves
+    };
+  }
+
+  _elapsed(player) {
+    if (player !== this.activePlayer || this.turnStartedAt === null) return 0;
+    return Math.max(0, this.now() - this.turnStartedAt);
+  }
+
+  /**
+   * 计算扣除本回合已用时间后的时钟
+   * @param {number} player
+   * @returns {{remaining:number, periodsLeft:number, periodRemaining:number, movesLeft:number, flagged:boolean}}
+   */
+  _project(player) {
+    const clock = { ...this.clocks[player] };
+    let rest = this._elapsed(player);
+
+    const fromMain = Math.min(clock.remaining, rest);
+    clock.remaining -= fromMain;
+    rest -= fromMain;
+
+    let flagged = false;
+    if (this.config.type === 'BYOYOMI') {
+      while (rest > 0 && clock.periodsLeft > 0) {
+        if (rest >= clock.periodRemaining) {
+          rest -= clock.periodRemaining;
+          clock.periodsLeft -= 1;
+          clock.periodRemaining = this.config.periodTime;
+        } else {
+          clock.periodRemaining -= rest;
+          rest = 0;
+        }
+      }
+      flagged = clock.remaining <= 0 && clock.periodsLeft <= 0;
+    } else if (this.config.type === 'CANADIAN') {
+      if (rest >= clock.periodRemaining) {
+        clock.periodRemaining = 0;
+        flagged = true;
+      } else {
+        clock.periodRemaining -= rest;
+      }
+    } else {
+      flagged = clock.remaining <= 0;
+    }
+
+    return { ...clock, flagged };
+  }
+
+  /**
+   * 结算player本回合用时
+   * @param {number} player
+   * @param {boolean} completed - 是否完成了一回合（决定是否加秒/重置读秒）
+   */
+  _charge(player, completed) {
+    const { flagged, ...clock } = this._project(player);
+    if (completed) {
+      if (this.config.type === 'FISCHER') {
+        clock.remaining += this.config.increment;
+      } else if (this.config.type === 'BYOYOMI' && clock.remaining <= 0) {
+        clock.periodRemaining = this.config.periodTime;
+      } else if (this.config.type === 'CANADIAN' && clock.remaining <= 0) {
+        clock.movesLeft -= 1;
+        if (clock.movesLeft <= 0) {
+          clock.movesLeft = this.config.periodMoves;
+          clock.periodRemaining = this.config.periodTime;
+        }
+      }
+    }
+    this.clocks[player] = clock;
+    this.turnStartedAt = this.now();
+  }
+
+  _flag(player) {
+    const { flagged, ...clock } = this._project(player);
+    this.clocks[player] = clock;
+    this.activePlayer = null;
+    this.turnStartedAt = null;
+    this._stopTimer();
+
+    if (this.eventBus) {
+      this.eventBus.emit('clock:flagged', { player });
+    }
+    this.state.finishGame({ winner: player === 1 ? 2 : 1, reason: 'timeout' });
+  }
+
+  _stopTimer() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  _emitTick() {
+    if (!this.eventBus) return;
+    this.eventBus.emit('clock:tick', {
+      type: this.config.type,
+      activePlayer: this.activePlayer,
+      clocks: { 1: this.getClock(1), 2: this.getClock(2) }
+    });
+  }
+}
+
+GameClock.__moduleInfo = {
+  name: 'GameClock',
+  version: '2.0.0',
+  dependencies: ['GameState', 'EventBus']
+};
+
+if (typeof window !== 'undefined') {
+  window.GameClock = GameClock;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: GameClock.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = GameClock;
+}
+
+export default GameClock;
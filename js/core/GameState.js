@@ -1,33 +1,85 @@
 /**
  * 游戏状态管理 - 数据层核心
  * 负责维护游戏的完整状态，包括棋盘数据、移动历史、当前玩家等
+ * 着法保存在变化树中：悔棋后走出不同的着法会新建分支，moveHistory 是从根到当前节点的一条线
  */
+import Zobrist from '../utils/Zobrist.js';
+
 class GameState {
+  static DEFAULT_SETTINGS = {
+    forbiddenRules: true,
+    forbiddenMoveLoses: false, // true时黑棋落在禁手点直接判负，而非拒绝落子
+    ruleSet: 'RENJU', // FREESTYLE | STANDARD | RENJU | CARO | PENTE | CONNECT6
+    openingProtocol: 'NONE', // NONE | SWAP | SWAP2 | RIF | YAMAGUCHI | SOOSYRV8
+    openingRestriction: 'NONE', // NONE | PRO | LONG_PRO，限制黑棋前两子的位置
+    timeControl: { type: 'NONE' }, // 计时制度，字段见 GameClock.DEFAULT_CONFIG
+    moveLimit: 0, // 总手数达到该值仍未分胜负即判和，0表示不限
+    aiDifficulty: 'NORMAL',
+    blackAI: 'NORMAL',
+    whiteAI: 'NORMAL',
+    firstPlayer: 1,
+    playerSide: 1
+  };
+
+  static MIN_BOARD_SIZE = 9;
+
+  static MAX_BOARD_SIZE = 26; // 坐标使用 A-Z 标注
+
   constructor(eventBus, boardSize = 15) {
     this.eventBus = eventBus;
-    this.boardSize = boardSize;
+    this.boardSize = GameState.normalizeBoardSize(boardSize);
+    this.turnPolicy = () => 1; // 每回合落子数，由RuleEngine按规则变体设置
     this.reset();
   }
 
+  /**
+   * 校验棋盘尺寸
+   * @param {number} size
+   * @returns {number}
+   */
+  static normalizeBoardSize(size) {
+    const value = Number(size);
+    if (!Number.isInteger(value) || value < GameState.MIN_BOARD_SIZE || value > GameState.MAX_BOARD_SIZE) {
+      throw new Error(`Invalid board size: ${size}`);
+    }
+    return value;
+  }
+
+  /**
+   * 修改棋盘尺寸并以当前设置重置对局
+   * @param {number} size - 9 ~ 26
+   */
+  setBoardSize(size) {
+    this.boardSize = GameState.normalizeBoardSize(size);
+    this.reset(this.settings);
+  }
+
   /**
    * 重置游戏状态
+   * @param {Object} [settings] - 需要沿用到新对局的设置（如规则集），未指定的项使用默认值
    */
-  reset() {
+  reset(settings = null) {
     this.board = Array(this.boardSize).fill().map(() => Array(this.boardSize).fill(0));
+    this.hashLow = 0; // 棋盘的Zobrist哈希，随落子、提子与悔棋增量更新
+    this.hashHigh = 0;
     this.currentPlayer = 1; // 1=黑棋, 2=白棋
-    this.moveHistory = [];
-    this.mode = 'PvP'; // PvP | PvE | EvE
-    this.settings = {
-      forbiddenRules: true,
-      aiDifficulty: 'NORMAL',
-      blackAI: 'NORMAL',
-      whiteAI: 'NORMAL',
-      firstPlayer: 1,
-      playerSide: 1
-    };
+    this.turnNumber = 0; // 当前回合序号（从0开始）
+    this.turnStones = 0; // 当前回合已落子数
+    this.captures = { 1: 0, 2: 0 }; // 提子规则下双方已提对数
+    this.moveHistory = []; // 当前变化线：从根到当前节点的着法记录
+    this.variationRoot = { id: 0, move: null, children: [] }; // 变化树，children[0] 为主线
+    this.nodePath = [this.variationRoot]; // 从根到当前节点
+    this.nextNodeId = 1;
+    this.redoStack = []; // 悔棋撤回的节点，最近撤回的在末尾
+    this.mode = 'PvP'; // PvP | PvE | EvE | Analysis
+    this.settings = { ...GameState.DEFAULT_SETTINGS, ...(settings || {}) };
     this.gameStatus = 'ready'; // ready | playing | finished
     this.winner = null;
     this.winLine = null;
+    this.forbiddenInfo = null;
+    this.finishReason = null;
+    this.drawOffer = null; // 待答复的提和 {player, moveCount}，由ModeManager维护
+    this.opening = null; // 开局协议进行中的状态，由ModeManager维护
     this.startTime = null;
     this.endTime = null;
 
@@ -69,7 +121,56 @@ class GameState {
     if (!this.isValidPosition(x, y)) {
       throw new Error(`Invalid position: (${x}, ${y})`);
     }
+    this._toggleHash(x, y, this.board[y][x]);
     this.board[y][x] = player;
+    this._toggleHash(x, y, player);
+  }
+
+  /**
+   * 当前棋盘的Zobrist哈希
+   * @returns {number}
+   */
+  getHash() {
+    return Zobrist.combine(this.hashLow, this.hashHigh);
+  }
+
+  /**
+   * 在哈希中加入或移除一枚棋子
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player - 0 时不变
+   */
+  _toggleHash(x, y, player) {
+    if (player === 0) return;
+    const table = Zobrist.getTable(this.boardSize);
+    const index = Zobrist.keyIndex(x, y, player, this.boardSize);
+    this.hashLow = (this.hashLow ^ table[index]) >>> 0;
+    this.hashHigh ^= table[index + 1];
+  }
+
+  /**
+   * 设置回合结构：turnPolicy(turnNumber) 返回该回合需落子数
+   * @param {Function} policy
+   */
+  setTurnPolicy(policy) {
+    this.turnPolicy = policy;
+  }
+
+  /**
+   * 获取某回合需落子数
+   * @param {number} [turn]
+   * @returns {number}
+   */
+  getStonesForTurn(turn = this.turnNumber) {
+    return this.turnPolicy(turn);
+  }
+
+  /**
+   * 当前回合是否已落满
+   * @returns {boolean}
+   */
+  isTurnComplete() {
+    return this.turnStones >= this.getStonesForTurn();
   }
 
   /**
@@ -78,6 +179,8 @@ class GameState {
    * @param {number} move.x
    * @param {number} move.y
    * @param {number} [move.player] - 如未指定，使用当前玩家
+   * @param {number} [move.turn] - 所属回合（回放/导入时沿用原记录），如未指定，使用当前回合
+   * @param {Array<{x:number, y:number, player:number}>} [move.captured] - 本手提走的棋子，随记录保存
    * @returns {{success: boolean, error?: string}}
    */
   applyMove(move) {
@@ -96,15 +199,34 @@ class GameState {
       return { success: false, error: 'Game already finished' };
     }
 
+    if (Number.isInteger(move.turn) && move.turn !== this.turnNumber) {
+      this.turnNumber = move.turn;
+      this.turnStones = 0;
+    }
+
     this.board[y][x] = player;
+    this._toggleHash(x, y, player);
+    this.turnStones += 1;
     const moveRecord = {
       step: this.moveHistory.length + 1,
       x,
       y,
       player,
+      turn: this.turnNumber,
       timestamp: Date.now()
     };
-    this.moveHistory.push(moveRecord);
+
+    const captured = Array.isArray(move.captured) ? move.captured : [];
+    if (captured.length > 0) {
+      const opponent = player === 1 ? 2 : 1;
+      moveRecord.captured = captured.map(stone => ({ x: stone.x, y: stone.y, player: stone.player || opponent }));
+      moveRecord.captured.forEach((stone) => {
+        this._toggleHash(stone.x, stone.y, this.board[stone.y][stone.x]);
+        this.board[stone.y][stone.x] = 0;
+      });
+      this.captures[player] += captured.length / 2;
+    }
+    this._enterNode(moveRecord);
 
     if (this.gameStatus === 'ready') {
       this.gameStatus = 'playing';
@@ -113,6 +235,9 @@ class GameState {
 
     if (this.eventBus) {
       this.eventBus.emit('move:applied', moveRecord);
+      if (moveRecord.captured) {
+        this.eventBus.emit('stones:captured', { player, stones: moveRecord.captured, captures: { ...this.captures } });
+      }
       this.eventBus.emit('state:changed', this.getSnapshot());
     }
 
@@ -120,7 +245,52 @@ class GameState {
   }
 
   /**
-   * 撤回最后一步
+   * 记录开局协议中的选择（选黑、选白、加摆两子、声明打点数或选定第五手）
+   * @param {Object} choice
+   * @param {string} choice.protocol - SWAP | SWAP2 | RIF | YAMAGUCHI | SOOSYRV8
+   * @param {string} choice.choice - black | white | place2 | declare | fifth
+   * @param {string} choice.by - first | second
+   * @param {string} [choice.opening] - 连珠开局名称
+   * @param {number} [choice.count] - 声明的第五手打点数
+   * @param {{x:number, y:number}[]} [choice.offers] - 黑方提交的全部第五手打点
+   * @param {{x:number, y:number}} [choice.selected] - 白方选定的第五手
+   * @returns {Object} 记录
+   */
+  recordOpeningChoice(choice) {
+    const record = {
+      step: this.moveHistory.length + 1,
+      type: 'opening_choice',
+      protocol: choice.protocol,
+      choice: choice.choice,
+      by: choice.by,
+      timestamp: choice.timestamp || Date.now()
+    };
+    for (const key of ['opening', 'count', 'offers', 'selected']) {
+      if (choice[key] !== undefined && choice[key] !== null) {
+        record[key] = JSON.parse(JSON.stringify(choice[key]));
+      }
+    }
+    this._enterNode(record);
+
+    if (this.eventBus) {
+      this.eventBus.emit('opening:recorded', record);
+      this.eventBus.emit('state:changed', this.getSnapshot());
+    }
+
+    return record;
+  }
+
+  /**
+   * 统计棋盘上的落子数（不含开局选择记录）
+   * @returns {number}
+   */
+  getStoneCount() {
+    return this.moveHistory.filter(record => record.type !== 'opening_choice').length;
+  }
+
+  /**
+   * 撤回最后一步，并把行棋方、回合进度与被提走的棋子恢复到该子落下之前。
+   * 被撤回的着法仍保留在变化树中，可经 goToNode 回到该处，并压入重做栈
    * @returns {{success: boolean, move?: Object}}
    */
   undoMove() {
@@ -128,8 +298,12 @@ class GameState {
       return { success: false, error: 'No moves to undo' };
     }
 
-    const lastMove = this.moveHistory.pop();
-    this.board[lastMove.y][lastMove.x] = 0;
+    if (this.moveHistory[this.moveHistory.length - 1].type === 'opening_choice') {
+      return { success: false, error: 'Cannot undo opening choice' };
+    }
+
+    this.redoStack.push(this.currentNode);
+    const lastMove = this._retractNode();
 
     if (this.moveHistory.length === 0) {
       this.gameStatus = 'ready';
@@ -145,12 +319,373 @@ class GameState {
   }
 
   /**
-   * 切换当前玩家
+   * 重做最近一次悔棋撤回的着法；棋盘、行棋方与提子数恢复到悔棋之前，该着法结束了对局时恢复结果
+   * @returns {{success: boolean, move?: Object, error?: string}}
+   */
+  redoMove() {
+    const node = this.redoStack[this.redoStack.length - 1];
+    if (!node || !this.currentNode.children.includes(node)) {
+      this.redoStack = [];
+      return { success: false, error: 'No moves to redo' };
+    }
+
+    this.redoStack.pop();
+    this._replayNode(node);
+    this._restoreNodeStatus();
+
+    if (this.eventBus) {
+      this.eventBus.emit('move:redone', node.move);
+      this.eventBus.emit('state:changed', this.getSnapshot());
+    }
+
+    return { success: true, move: node.move };
+  }
+
+  /**
+   * 是否有可重做的着法
+   * @returns {boolean}
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * 清空重做栈
+   */
+  clearRedo() {
+    this.redoStack = [];
+  }
+
+  /**
+   * 当前节点
+   * @returns {{id:number, move:Object|null, children:Array, result?:Object}}
+   */
+  get currentNode() {
+    return this.nodePath[this.nodePath.length - 1];
+  }
+
+  /**
+   * 进入当前节点下记录该着法的子节点：已有相同落子的分支时沿用，否则新建分支
+   * @param {Object} record
+   */
+  _enterNode(record) {
+    const parent = this.currentNode;
+    let node = record.type === 'opening_choice' ? null : parent.children.find(child => (
+      child.move.type !== 'opening_choice'
+      && child.move.x === record.x && child.move.y === record.y && child.move.player === record.player
+    ));
+    if (node) {
+      node.move = record;
+      delete node.result;
+    } else {
+      node = { id: this.nextNodeId, move: record, children: [] };
+      this.nextNodeId += 1;
+      parent.children.push(node);
+    }
+    this.nodePath.push(node);
+    this.moveHistory.push(record);
+
+    // 重新走出被撤回的着法等同于重做，走出其他着法则重做栈失效
+    if (this.redoStack[this.redoStack.length - 1] === node) {
+      this.redoStack.pop();
+    } else {
+      this.redoStack = [];
+    }
+  }
+
+  /**
+   * 退回父节点并撤销当前节点的落子，节点保留在树中
+   * @returns {Object} 被撤销的着法记录
+   */
+  _retractNode() {
+    this.nodePath.pop();
+    const lastMove = this.moveHistory.pop();
+    if (lastMove.type === 'opening_choice') return lastMove;
+
+    this.board[lastMove.y][lastMove.x] = 0;
+    this._toggleHash(lastMove.x, lastMove.y, lastMove.player);
+    if (lastMove.captured) {
+      lastMove.captured.forEach((stone) => {
+        this.board[stone.y][stone.x] = stone.player;
+        this._toggleHash(stone.x, stone.y, stone.player);
+      });
+      this.captures[lastMove.player] -= lastMove.captured.length / 2;
+    }
+    this.currentPlayer = lastMove.player;
+    if (Number.isInteger(lastMove.turn)) {
+      this.turnNumber = lastMove.turn;
+      this.turnStones = this.moveHistory
+        .filter(record => record.type !== 'opening_choice' && record.turn === lastMove.turn).length;
+    }
+    return lastMove;
+  }
+
+  /**
+   * 按节点保存的记录重新落子，回合走满时轮到对方
+   * @param {Object} node
+   */
+  _replayNode(node) {
+    this.nodePath.push(node);
+    this.moveHistory.push(node.move);
+    const move = node.move;
+    if (move.type === 'opening_choice') return;
+
+    this.board[move.y][move.x] = move.player;
+    this._toggleHash(move.x, move.y, move.player);
+    if (move.captured) {
+      move.captured.forEach((stone) => {
+        this._toggleHash(stone.x, stone.y, this.board[stone.y][stone.x]);
+        this.board[stone.y][stone.x] = 0;
+      });
+      this.captures[move.player] += move.captured.length / 2;
+    }
+    this.currentPlayer = move.player;
+    if (Number.isInteger(move.turn)) {
+      this.turnNumber = move.turn;
+      this.turnStones = this.moveHistory
+        .filter(record => record.type !== 'opening_choice' && record.turn === move.turn).length;
+    } else {
+      this.turnStones += 1;
+    }
+    if (this.isTurnComplete()) {
+      this.currentPlayer = move.player === 1 ? 2 : 1;
+      this.turnNumber += 1;
+      this.turnStones = 0;
+    }
+  }
+
+  /**
+   * 查找从根到指定节点的路径
+   * @param {number} id
+   * @returns {Array|null}
+   */
+  _findPath(id) {
+    const search = (node, path) => {
+      path.push(node);
+      if (node.id === id) return path;
+      for (const child of node.children) {
+        if (search(child, path)) return path;
+      }
+      path.pop();
+      return null;
+    };
+    return search(this.variationRoot, []);
+  }
+
+  /**
+   * 跳到变化树中的任一节点，棋盘、行棋方与提子数随之更新；
+   * 节点记录过对局结果时恢复为已结束，否则恢复为对弈中
+   * @param {number} id
+   * @returns {{success: boolean, error?: string}}
+   */
+  goToNode(id) {
+    if (this.gameStatus === 'replay') {
+      return { success: false, error: 'Cannot navigate during replay' };
+    }
+    if (this.opening && this.opening.phase !== 'done') {
+      return { success: false, error: 'Cannot navigate during opening protocol' };
+    }
+    const path = this._findPath(id);
+    if (!path) {
+      return { success: false, error: `Unknown variation node: ${id}` };
+    }
+
+    let common = 0;
+    while (common < path.length && this.nodePath[common] === path[common]) {
+      common += 1;
+    }
+    while (this.nodePath.length > common) {
+      this._retractNode();
+    }
+    path.slice(common).forEach(node => this._replayNode(node));
+    this._restoreNodeStatus();
+    this.redoStack = [];
+
+    this._emitVariationChange('navigate', id);
+    return { success: true };
+  }
+
+  /**
+   * 按当前节点恢复对局状态：节点记录过结果时为已结束，否则为对弈中（无着法时为准备中）
+   */
+  _restoreNodeStatus() {
+    const result = this.currentNode.result;
+    this.gameStatus = result ? 'finished' : (this.moveHistory.length > 0 ? 'playing' : 'ready');
+    this.winner = result ? result.winner : null;
+    this.winLine = result ? result.winLine : null;
+    this.forbiddenInfo = result ? result.forbiddenInfo : null;
+    this.finishReason = result ? result.reason : null;
+    this.endTime = result ? result.endTime : null;
+    this.drawOffer = null;
+    if (this.gameStatus === 'ready') {
+      this.startTime = null;
+    } else if (!this.startTime) {
+      this.startTime = Date.now();
+    }
+  }
+
+  /**
+   * 切换到当前节点的相邻变化（同一父节点下的兄弟分支）
+   * @param {number} [offset] - 1 为下一个变化，-1 为上一个
+   * @returns {{success: boolean, error?: string}}
+   */
+  switchVariation(offset = 1) {
+    if (this.nodePath.length < 2) {
+      return { success: false, error: 'No variations at the root' };
+    }
+    const siblings = this.nodePath[this.nodePath.length - 2].children;
+    const target = siblings[siblings.indexOf(this.currentNode) + offset];
+    if (!target) {
+      return { success: false, error: 'No other variation' };
+    }
+    return this.goToNode(target.id);
+  }
+
+  /**
+   * 把节点所在的变化提升为主线：从根到该节点的每一步都移到兄弟分支的首位
+   * @param {number} [id] - 默认当前节点
+   * @returns {{success: boolean, error?: string}}
+   */
+  promoteVariation(id = this.currentNode.id) {
+    const path = this._findPath(id);
+    if (!path) {
+      return { success: false, error: `Unknown variation node: ${id}` };
+    }
+    for (let i = 1; i < path.length; i += 1) {
+      const siblings = path[i - 1].children;
+      siblings.splice(siblings.indexOf(path[i]), 1);
+      siblings.unshift(path[i]);
+    }
+    this._emitVariationChange('promote', id);
+    return { success: true };
+  }
+
+  /**
+   * 删除以该节点开始的分支；当前位置位于该分支内时先退到其父节点
+   * @param {number} [id] - 默认当前节点
+   * @returns {{success: boolean, error?: string}}
+   */
+  deleteVariation(id = this.currentNode.id) {
+    const path = this._findPath(id);
+    if (!path) {
+      return { success: false, error: `Unknown variation node: ${id}` };
+    }
+    if (path.length < 2) {
+      return { success: false, error: 'Cannot delete the root' };
+    }
+    const node = path[path.length - 1];
+    const parent = path[path.length - 2];
+    if (this.nodePath.includes(node)) {
+      const result = this.goToNode(parent.id);
+      if (!result.success) return result;
+    }
+    parent.children.splice(parent.children.indexOf(node), 1);
+    this.redoStack = [];
+    this._emitVariationChange('delete', id);
+    return { success: true };
+  }
+
+  /**
+   * 获取节点的后续变化
+   * @param {number} [id] - 默认当前节点
+   * @returns {Array<{id:number, move:Object, main:boolean, variations:number}>} main 表示第一个分支，variations 为其后续分支数
+   */
+  getVariations(id = this.currentNode.id) {
+    const path = id === this.currentNode.id ? this.nodePath : this._findPath(id);
+    if (!path) return [];
+    return path[path.length - 1].children.map((child, index) => ({
+      id: child.id,
+      move: { ...child.move },
+      main: index === 0,
+      variations: child.children.length
+    }));
+  }
+
+  /**
+   * 主线着法：从根沿每个节点的第一个分支走到底
+   * @returns {Array}
+   */
+  getMainLine() {
+    const line = [];
+    let node = this.variationRoot;
+    while (node.children.length > 0) {
+      node = node.children[0];
+      line.push(node.move);
+    }
+    return JSON.parse(JSON.stringify(line));
+  }
+
+  /**
+   * 当前节点是否位于主线上
+   * @returns {boolean}
+   */
+  isOnMainLine() {
+    return this.nodePath.every((node, index) => index === 0 || this.nodePath[index - 1].children[0] === node);
+  }
+
+  /**
+   * 变化树的可序列化形式
+   * @returns {{root: Object, currentId: number, nextId: number}}
+   */
+  getVariationTree() {
+    return JSON.parse(JSON.stringify({
+      root: this.variationRoot,
+      currentId: this.currentNode.id,
+      nextId: this.nextNodeId
+    }));
+  }
+
+  /**
+   * 载入变化树并跳到其中记录的当前节点（缺省时为主线末端）
+   * @param {{root: Object, currentId?: number, nextId?: number}} tree
+   * @returns {{success: boolean, error?: string}}
+   */
+  loadVariationTree(tree) {
+    if (!tree || !tree.root || !Array.isArray(tree.root.children)) {
+      return { success: false, error: 'Invalid variation tree' };
+    }
+    while (this.nodePath.length > 1) {
+      this._retractNode();
+    }
+    this.variationRoot = JSON.parse(JSON.stringify(tree.root));
+    this.nodePath = [this.variationRoot];
+    this.nextNodeId = Math.max(tree.nextId || 0, this._maxNodeId() + 1);
+
+    let targetId = tree.currentId;
+    if (!Number.isInteger(targetId)) {
+      let node = this.variationRoot;
+      while (node.children.length > 0) node = node.children[0];
+      targetId = node.id;
+    }
+    return this.goToNode(targetId);
+  }
+
+  _maxNodeId() {
+    let maxId = 0;
+    const visit = (node) => {
+      maxId = Math.max(maxId, node.id);
+      node.children.forEach(visit);
+    };
+    visit(this.variationRoot);
+    return maxId;
+  }
+
+  _emitVariationChange(action, id) {
+    if (this.eventBus) {
+      this.eventBus.emit('variation:changed', { action, nodeId: id, currentId: this.currentNode.id });
+      this.eventBus.emit('state:changed', this.getSnapshot());
+    }
+  }
+
+  /**
+   * 切换当前玩家并进入下一回合
    */
   switchPlayer() {
     this.currentPlayer = this.currentPlayer === 1 ? 2 : 1;
+    this.turnNumber += 1;
+    this.turnStones = 0;
     if (this.eventBus) {
-      this.eventBus.emit('player:switched', { currentPlayer: this.currentPlayer });
+      this.eventBus.emit('player:switched', { currentPlayer: this.currentPlayer, turnNumber: this.turnNumber });
     }
   }
 
@@ -159,19 +694,31 @@ class GameState {
    * @param {Object} result
    * @param {number|null} result.winner - 获胜玩家，null表示平局
    * @param {Array} [result.winLine] - 胜利连线
-   * @param {string} [result.reason] - 结束原因
+   * @param {string} [result.reason] - 结束原因：five_in_row | six_in_row | captures | draw | timeout | resign | draw_agreed | move_limit | 禁手类型
+   * @param {Object} [result.forbiddenInfo] - 禁手判负时的禁手点与构成禁手的连线
    */
   finishGame(result) {
     this.gameStatus = 'finished';
     this.winner = result.winner;
     this.winLine = result.winLine || null;
+    this.forbiddenInfo = result.forbiddenInfo || null;
+    this.finishReason = result.reason || 'five_in_row';
+    this.drawOffer = null;
     this.endTime = Date.now();
+    this.currentNode.result = {
+      winner: this.winner,
+      winLine: this.winLine,
+      forbiddenInfo: this.forbiddenInfo,
+      reason: this.finishReason,
+      endTime: this.endTime
+    };
 
     if (this.eventBus) {
       this.eventBus.emit('game:finished', {
         winner: this.winner,
         winLine: this.winLine,
-        reason: result.reason || 'five_in_row',
+        forbiddenInfo: this.forbiddenInfo,
+        reason: this.finishReason,
         duration: this.endTime - this.startTime
       });
       this.eventBus.emit('state:changed', this.getSnapshot());
@@ -186,12 +733,20 @@ class GameState {
     return JSON.parse(JSON.stringify({
       board: this.board,
       currentPlayer: this.currentPlayer,
+      turnNumber: this.turnNumber,
+      turnStones: this.turnStones,
+      captures: this.captures,
       moveHistory: this.moveHistory,
+      variations: { root: this.variationRoot, currentId: this.currentNode.id, nextId: this.nextNodeId },
       mode: this.mode,
       settings: this.settings,
       gameStatus: this.gameStatus,
       winner: this.winner,
       winLine: this.winLine,
+      forbiddenInfo: this.forbiddenInfo,
+      finishReason: this.finishReason,
+      drawOffer: this.drawOffer,
+      opening: this.opening,
       startTime: this.startTime,
       endTime: this.endTime,
       boardSize: this.boardSize
@@ -206,14 +761,25 @@ class GameState {
     this.board = JSON.parse(JSON.stringify(snapshot.board));
     this.currentPlayer = snapshot.currentPlayer;
     this.moveHistory = JSON.parse(JSON.stringify(snapshot.moveHistory));
+    this._restoreVariations(snapshot.variations);
+    this.turnNumber = Number.isInteger(snapshot.turnNumber) ? snapshot.turnNumber : this.getStoneCount();
+    this.turnStones = snapshot.turnStones || 0;
+    this.captures = snapshot.captures ? { ...snapshot.captures } : { 1: 0, 2: 0 };
     this.mode = snapshot.mode;
-    this.settings = JSON.parse(JSON.stringify(snapshot.settings));
+    this.settings = { ...GameState.DEFAULT_SETTINGS, ...JSON.parse(JSON.stringify(snapshot.settings || {})) };
     this.gameStatus = snapshot.gameStatus;
     this.winner = snapshot.winner;
     this.winLine = snapshot.winLine;
+    this.forbiddenInfo = snapshot.forbiddenInfo || null;
+    this.finishReason = snapshot.finishReason || null;
+    this.drawOffer = snapshot.drawOffer || null;
+    this.opening = snapshot.opening ? JSON.parse(JSON.stringify(snapshot.opening)) : null;
     this.startTime = snapshot.startTime;
     this.endTime = snapshot.endTime;
-    this.boardSize = snapshot.boardSize || 15;
+    this.boardSize = snapshot.boardSize || snapshot.board.length;
+    const hash = Zobrist.hashBoard(this.board);
+    this.hashLow = hash.low;
+    this.hashHigh = hash.high;
 
     if (this.eventBus) {
       this.eventBus.emit('state:restored', this.getSnapshot());
@@ -221,6 +787,36 @@ class GameState {
     }
   }
 
+  /**
+   * 从快照恢复变化树；旧快照或与 moveHistory 不一致时，以 moveHistory 重建为单一主线
+   * @param {Object} [variations]
+   */
+  _restoreVariations(variations) {
+    this.redoStack = [];
+    if (variations && variations.root) {
+      const root = JSON.parse(JSON.stringify(variations.root));
+      this.variationRoot = root;
+      const path = this._findPath(variations.currentId);
+      const matches = path && path.length === this.moveHistory.length + 1
+        && path.every((node, index) => index === 0 || JSON.stringify(node.move) === JSON.stringify(this.moveHistory[index - 1]));
+      if (matches) {
+        this.nodePath = path;
+        this.moveHistory = path.slice(1).map(node => node.move);
+        this.nextNodeId = Math.max(variations.nextId || 0, this._maxNodeId() + 1);
+        return;
+      }
+    }
+
+    this.variationRoot = { id: 0, move: null, children: [] };
+    this.nodePath = [this.variationRoot];
+    this.moveHistory.forEach((record, index) => {
+      const node = { id: index + 1, move: record, children: [] };
+      this.currentNode.children.push(node);
+      this.nodePath.push(node);
+    });
+    this.nextNodeId = this.moveHistory.length + 1;
+  }
+
   /**
    * 获取游戏持续时间
    * @returns {number} 毫秒
@@ -250,7 +846,7 @@ class GameState {
 GameState.__moduleInfo = {
   name: 'GameState',
   version: '2.0.0',
-  dependencies: ['EventBus']
+  dependencies: ['EventBus', 'Zobrist']
 };
 
 if (typeof window !== 'undefined') {
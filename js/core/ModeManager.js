@@ -1,9 +1,70 @@
 /**
- * 模式管理器 - 负责PvP/PvE/EvE模式切换和流程控制
+ * 模式管理器 - 负责PvP/PvE/EvE/分析模式切换和流程控制
  */
 import Logger from '../utils/Logger.js';
+import RenjuOpening from './RenjuOpening.js';
+import GameClock from './GameClock.js';
 
 class ModeManager {
+  static MODES = ['PvP', 'PvE', 'EvE', 'Analysis'];
+
+  /**
+   * 分析模式：局面变化后等待该时间（毫秒）再开始分析，连续落子时只分析最后的局面
+   */
+  static ANALYSIS_DELAY = 150;
+
+  /**
+   * 分析模式每轮的思考时间从 ANALYSIS_BUDGET 起逐轮加倍，到 ANALYSIS_MAX_BUDGET 为止
+   */
+  static ANALYSIS_BUDGET = 500;
+
+  static ANALYSIS_MAX_BUDGET = 8000;
+
+  static ANALYSIS_LINES = 5;
+
+  static OPENING_PROTOCOLS = ['NONE', 'SWAP', 'SWAP2', 'RIF', 'YAMAGUCHI', 'SOOSYRV8'];
+
+  /**
+   * 各开局协议的步骤表
+   * phase: place 摆子 | offer 提交第五手打点 | choose 选择
+   * role: first/second 为先手方/后手方，black/white 为当前执该色的一方
+   * canonical: 前三手须构成连珠26种开局之一；propose: 由先手方摆出供对手选择的局面
+   */
+  static OPENING_STEPS = {
+    SWAP: [
+      { phase: 'place', role: 'first', count: 3, propose: true },
+      { phase: 'choose', role: 'second', decision: 'swap' }
+    ],
+    SWAP2: [
+      { phase: 'place', role: 'first', count: 3, propose: true },
+      { phase: 'choose', role: 'second', decision: 'swap2' }
+    ],
+    RIF: [
+      { phase: 'place', role: 'first', count: 3, propose: true, canonical: true },
+      { phase: 'choose', role: 'second', decision: 'swap' },
+      { phase: 'place', role: 'white', count: 1 },
+      { phase: 'offer', role: 'black', count: 2 },
+      { phase: 'choose', role: 'white', decision: 'fifth' }
+    ],
+    YAMAGUCHI: [
+      { phase: 'place', role: 'first', count: 3, propose: true, canonical: true },
+      { phase: 'choose', role: 'first', decision: 'declare' },
+      { phase: 'choose', role: 'second', decision: 'swap' },
+      { phase: 'place', role: 'white', count: 1 },
+      { phase: 'offer', role: 'black', count: null },
+      { phase: 'choose', role: 'white', decision: 'fifth' }
+    ],
+    SOOSYRV8: [
+      { phase: 'place', role: 'first', count: 3, propose: true, canonical: true },
+      { phase: 'choose', role: 'second', decision: 'swap' },
+      { phase: 'place', role: 'white', count: 1 },
+      { phase: 'choose', role: 'white', decision: 'declare' },
+      { phase: 'choose', role: 'black', decision: 'swap' },
+      { phase: 'offer', role: 'black', count: null },
+      { phase: 'choose', role: 'white', decision: 'fifth' }
+    ]
+  };
+
   constructor(gameState, aiEngine, ruleEngine, eventBus) {
     this.state = gameState;
     this.ai = aiEngine;
@@ -15,23 +76,68 @@ class ModeManager {
     this.eveAutoPlay = false;
     this.eveIntervalId = null;
     this.isReplayMode = false;
+
+    this.aiGeneration = 0; // 每次取消AI后递增，返回时代次已变化的搜索结果直接丢弃
+    this.aiTimers = new Set();
+    this.aiSearching = false; // AI落子的搜索进行中
+    this.pendingRuleSet = null; // 对局中选择的规则集，下一局开始时生效
+
+    this.analysisOptions = { level: 'HARD', lines: ModeManager.ANALYSIS_LINES };
+    this.analysisBudget = ModeManager.ANALYSIS_BUDGET; // 下一轮分析的思考时间
+
+    if (this.eventBus) {
+      this.eventBus.on('ai:strategyUnregistered', (data) => this._replaceStrategy(data.id));
+      // 对局可能不经ModeManager结束（如GameClock超时判负），此时仍须停止AI搜索与自动对战
+      this.eventBus.on('game:finished', () => {
+        this.stopEvE();
+        this.cancelAI();
+      });
+      ['state:changed', 'state:reset', 'state:restored'].forEach((event) => {
+        this.eventBus.on(event, () => this.restartAnalysis());
+      });
+    }
+  }
+
+  /**
+   * 自定义策略被移除后，设置与开局执子安排中使用该策略的AI改用Normal
+   * @param {string} id
+   */
+  _replaceStrategy(id) {
+    const settings = this.state.settings;
+    ['aiDifficulty', 'blackAI', 'whiteAI'].forEach((key) => {
+      if (settings[key] === id) settings[key] = 'NORMAL';
+    });
+    const controllers = this.state.opening ? this.state.opening.controllers : null;
+    if (controllers) {
+      Object.keys(controllers).forEach((role) => {
+        if (controllers[role] === id) controllers[role] = 'NORMAL';
+      });
+    }
   }
 
   /**
    * 设置游戏模式
-   * @param {string} mode - PvP | PvE | EvE
+   * @param {string} mode - PvP | PvE | EvE | Analysis
    * @param {Object} [options]
    * @param {string} [options.aiDifficulty] - AI难度（PvE模式）
    * @param {string} [options.blackAI] - 黑方AI难度（EvE模式）
    * @param {string} [options.whiteAI] - 白方AI难度（EvE模式）
    * @param {number} [options.playerSide] - 玩家执哪方（PvE模式，1=黑，2=白）
+   * @param {string} [options.analysisLevel] - 分析使用的策略（分析模式），默认 HARD
+   * @param {number} [options.analysisLines] - 分析给出的候选着法数（分析模式）
    */
   setMode(mode, options = {}) {
-    if (!['PvP', 'PvE', 'EvE'].includes(mode)) {
+    if (!ModeManager.MODES.includes(mode)) {
       throw new Error(`Invalid mode: ${mode}`);
     }
+    if (mode === 'Analysis' && options.analysisLevel && !this.ai.hasStrategy(options.analysisLevel)) {
+      throw new Error(`Unknown difficulty level: ${options.analysisLevel}`);
+    }
 
+    const leavingAnalysis = this.currentMode === 'Analysis' && mode !== 'Analysis';
     this.stopEvE();
+    this.cancelAI();
+    this.state.clearRedo(); // 悔棋时的执子安排已不再适用
     this.currentMode = mode;
     this.state.mode = mode;
 
@@ -45,11 +151,139 @@ class ModeManager {
       this.state.settings.whiteAI = options.whiteAI || 'HARD';
       this.ai.setDifficulty(1, this.state.settings.blackAI);
       this.ai.setDifficulty(2, this.state.settings.whiteAI);
+    } else if (mode === 'Analysis') {
+      this.analysisOptions = {
+        level: options.analysisLevel || 'HARD',
+        lines: options.analysisLines || ModeManager.ANALYSIS_LINES
+      };
     }
 
     this.logger.info(`Mode changed to ${mode}`, options);
     if (this.eventBus) {
       this.eventBus.emit('mode:changed', { mode, options });
+      if (leavingAnalysis) {
+        this.eventBus.emit('analysis:stopped', {});
+      }
+    }
+    this.restartAnalysis();
+  }
+
+  /**
+   * 设置规则集：尚未落子时立即生效，对局开始后记为待定，由下一次 startNewGame 应用
+   * @param {string} name - FREESTYLE | STANDARD | RENJU | CARO | PENTE | CONNECT6
+   */
+  setRuleSet(name) {
+    if (!this.rules.ruleSets.has(name)) {
+      throw new Error(`Invalid rule set: ${name}`);
+    }
+
+    // RuleEngine 实时读取 settings.ruleSet，对局中途改写会同时改变胜负判定、轮次与禁手
+    const inProgress = this.state.gameStatus !== 'ready' || this.state.moveHistory.length > 0;
+    if (inProgress) {
+      this.pendingRuleSet = name === this.state.settings.ruleSet ? null : name;
+    } else {
+      this.pendingRuleSet = null;
+      this.state.settings.ruleSet = name;
+    }
+
+    this.logger.info(`Rule set changed to ${name}${inProgress ? ' (next game)' : ''}`);
+    if (this.eventBus) {
+      this.eventBus.emit('rules:changed', { ruleSet: name, pending: inProgress });
+    }
+  }
+
+  /**
+   * 设置棋盘尺寸（立即重置棋盘）
+   * @param {number} size - 9 ~ 26，常用 15 或 19
+   */
+  setBoardSize(size) {
+    this.stopEvE();
+    this.cancelAI();
+    this.state.setBoardSize(size);
+
+    this.logger.info(`Board size changed to ${this.state.boardSize}`);
+    if (this.eventBus) {
+      this.eventBus.emit('board:resized', { boardSize: this.state.boardSize });
+    }
+  }
+
+  /**
+   * 设置开局协议（下一局生效）
+   * @param {string} protocol - NONE | SWAP | SWAP2 | RIF | YAMAGUCHI | SOOSYRV8
+   */
+  setOpeningProtocol(protocol) {
+    if (!ModeManager.OPENING_PROTOCOLS.includes(protocol)) {
+      throw new Error(`Invalid opening protocol: ${protocol}`);
+    }
+
+    this.state.settings.openingProtocol = protocol;
+
+    this.logger.info(`Opening protocol changed to ${protocol}`);
+    if (this.eventBus) {
+      this.eventBus.emit('rules:changed', { openingProtocol: protocol });
+    }
+  }
+
+  /**
+   * 设置开局限制：Pro要求黑棋第二子距天元至少3路，Long Pro至少4路
+   * @param {string} restriction - NONE | PRO | LONG_PRO
+   */
+  setOpeningRestriction(restriction) {
+    if (!this.rules.listOpeningRestrictions().includes(restriction)) {
+      throw new Error(`Invalid opening restriction: ${restriction}`);
+    }
+
+    this.state.settings.openingRestriction = restriction;
+
+    this.logger.info(`Opening restriction changed to ${restriction}`);
+    if (this.eventBus) {
+      this.eventBus.emit('rules:changed', { openingRestriction: restriction });
+    }
+  }
+
+  /**
+   * 设置计时制度（下一局生效）
+   * @param {Object|string} timeControl - 计时配置或 GameClock.PRESETS 中的名称
+   */
+  setTimeControl(timeControl) {
+    const config = GameClock.normalize(timeControl);
+
+    this.state.settings.timeControl = config;
+
+    this.logger.info(`Time control changed to ${config.type}`);
+    if (this.eventBus) {
+      this.eventBus.emit('rules:changed', { timeControl: config });
+    }
+  }
+
+  /**
+   * 设置和棋手数上限（下一局生效）
+   * @param {number} limit - 总手数达到该值仍未分胜负即判和，0表示不限
+   */
+  setMoveLimit(limit) {
+    const value = Number(limit);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`Invalid move limit: ${limit}`);
+    }
+
+    this.state.settings.moveLimit = value;
+
+    this.logger.info(`Move limit changed to ${value}`);
+    if (this.eventBus) {
+      this.eventBus.emit('rules:changed', { moveLimit: value });
+    }
+  }
+
+  /**
+   * 设置禁手判负（开启后黑棋落在禁手点直接判负）
+   * @param {boolean} enabled
+   */
+  setForbiddenMoveLoses(enabled) {
+    this.state.settings.forbiddenMoveLoses = Boolean(enabled);
+
+    this.logger.info(`Forbidden move loses: ${this.state.settings.forbiddenMoveLoses}`);
+    if (this.eventBus) {
+      this.eventBus.emit('rules:changed', { forbiddenMoveLoses: this.state.settings.forbiddenMoveLoses });
     }
   }
 
@@ -70,7 +304,32 @@ class ModeManager {
       return false;
     }
 
+    if (this.isOpeningActive() && this.state.opening.phase === 'choose') {
+      this.logger.warn('Opening choice pending');
+      return false;
+    }
+
+    if (this.isOpeningActive() && this.state.opening.phase === 'offer') {
+      return this._handleFifthOffer(x, y);
+    }
+
+    const openingStep = this.isOpeningActive() ? this._currentOpeningStep() : null;
+    if (openingStep && openingStep.canonical) {
+      const openingCheck = RenjuOpening.validateOpeningStone(this.state.board, this.state.getStoneCount(), x, y);
+      if (!openingCheck.valid) {
+        this.logger.warn('Invalid opening stone', openingCheck);
+        if (this.eventBus) {
+          this.eventBus.emit('move:invalid', { ...openingCheck, x, y, player: this.state.currentPlayer });
+        }
+        return false;
+      }
+    }
+
     const validation = this.rules.validateMove(x, y, this.state.currentPlayer);
+    if (!validation.valid && validation.error === 'forbidden_move' && this.state.settings.forbiddenMoveLoses) {
+      return this._handleForbiddenLoss(x, y, validation.forbiddenInfo);
+    }
+
     if (!validation.valid) {
       this.logger.warn('Invalid move', validation);
       if (this.eventBus) {
@@ -79,18 +338,28 @@ class ModeManager {
       return false;
     }
 
-    const moveResult = this.state.applyMove({ x, y });
+    const captured = this.rules.findCaptures(x, y, this.state.currentPlayer);
+    const moveResult = this.state.applyMove({ x, y, captured });
     if (!moveResult.success) {
       this.logger.error('Failed to apply move', moveResult);
       return false;
     }
 
+    // 对方落子即视为拒绝提和
+    const drawOffer = this.state.drawOffer;
+    if (drawOffer && drawOffer.player !== this.state.currentPlayer) {
+      this.state.drawOffer = null;
+      if (this.eventBus) {
+        this.eventBus.emit('draw:declined', { ...drawOffer, implicit: true });
+      }
+    }
+
     const winCheck = this.rules.checkWin(x, y, this.state.currentPlayer);
     if (winCheck.isWin) {
       this.state.finishGame({
         winner: this.state.currentPlayer,
         winLine: winCheck.winLine,
-        reason: 'five_in_row'
+        reason: winCheck.reason || this.rules.getRuleSet().winReason
       });
       this.stopEvE();
       return true;
@@ -102,32 +371,531 @@ class ModeManager {
       return true;
     }
 
-    this.state.switchPlayer();
+    const moveLimit = this.state.settings.moveLimit;
+    if (moveLimit > 0 && this.state.getStoneCount() >= moveLimit) {
+      this.state.finishGame({ winner: null, reason: 'move_limit' });
+      this.stopEvE();
+      return true;
+    }
+
+    if (this.state.isTurnComplete()) {
+      this.state.switchPlayer();
+    }
+
+    if (this.isOpeningActive()) {
+      this._advanceOpening();
+    }
+
+    if (this.shouldAIMove()) {
+      this._scheduleAI(() => this.triggerAIMove(), 300);
+    }
+
+    return true;
+  }
+
+  /**
+   * 开局协议是否仍在进行
+   * @returns {boolean}
+   */
+  isOpeningActive() {
+    return Boolean(this.state.opening) && this.state.opening.phase !== 'done';
+  }
+
+  /**
+   * 新对局开始时初始化开局协议，按协议步骤表依次推进
+   */
+  _startOpening() {
+    const protocol = this.state.settings.openingProtocol;
+    if (!protocol || protocol === 'NONE') {
+      this.state.opening = null;
+      return;
+    }
+
+    if (this.rules.getStonesForTurn(1) !== 1) {
+      this.logger.warn(`Opening protocol ${protocol} requires one stone per turn`);
+      this.state.opening = null;
+      return;
+    }
+
+    if (RenjuOpening.isRenjuProtocol(protocol)) {
+      if (this.state.settings.ruleSet !== 'RENJU' || !RenjuOpening.supportsBoard(this.state.boardSize)) {
+        this.logger.warn(`Opening protocol ${protocol} requires Renju rules on an odd-sized board`);
+        this.state.opening = null;
+        return;
+      }
+    }
+
+    this.state.opening = {
+      protocol,
+      steps: ModeManager.OPENING_STEPS[protocol].map(step => ({ ...step })),
+      stepIndex: 0,
+      phase: 'place',
+      actor: null,
+      stonesRemaining: 0,
+      chooser: null,
+      decision: null,
+      options: [],
+      colors: { first: 1, second: 2 },
+      controllers: this._resolveOpeningControllers(),
+      name: null,
+      fifthCount: null,
+      offers: []
+    };
+
+    if (this.eventBus) {
+      this.eventBus.emit('opening:started', { protocol, controllers: this.state.opening.controllers });
+    }
+
+    this._enterOpeningStep(0);
+  }
+
+  /**
+   * 确定先手方/后手方由谁操作：'human' 或 AI难度
+   * @returns {{first: string, second: string}}
+   */
+  _resolveOpeningControllers() {
+    const settings = this.state.settings;
+    if (this.currentMode === 'PvE') {
+      const humanFirst = settings.playerSide === 1;
+      return humanFirst
+        ? { first: 'human', second: settings.aiDifficulty }
+        : { first: settings.aiDifficulty, second: 'human' };
+    }
+    if (this.currentMode === 'EvE') {
+      return { first: settings.blackAI, second: settings.whiteAI };
+    }
+    return { first: 'human', second: 'human' };
+  }
+
+  /**
+   * 将步骤中的角色（first/second/black/white）解析为先手方或后手方
+   * @param {string} role
+   * @returns {string} first | second
+   */
+  _resolveOpeningRole(role) {
+    if (role === 'first' || role === 'second') return role;
+    const color = role === 'black' ? 1 : 2;
+    return this.state.opening.colors.first === color ? 'first' : 'second';
+  }
+
+  /**
+   * 当前开局步骤
+   * @returns {Object|null}
+   */
+  _currentOpeningStep() {
+    const opening = this.state.opening;
+    return opening ? opening.steps[opening.stepIndex] || null : null;
+  }
+
+  /**
+   * 进入开局协议的第 index 步，全部完成后结束开局
+   * @param {number} index
+   */
+  _enterOpeningStep(index) {
+    const opening = this.state.opening;
+    opening.stepIndex = index;
+    opening.actor = null;
+    opening.chooser = null;
+    opening.decision = null;
+    opening.options = [];
+    opening.stonesRemaining = 0;
+
+    const step = opening.steps[index];
+    if (!step) {
+      opening.phase = 'done';
+      this.logger.info(`Opening ${opening.protocol} completed`);
+      if (this.eventBus) {
+        this.eventBus.emit('opening:completed', { protocol: opening.protocol, name: opening.name, colors: opening.colors });
+      }
+      return;
+    }
+
+    opening.phase = step.phase;
+    const role = this._resolveOpeningRole(step.role);
+
+    if (step.phase !== 'choose') {
+      opening.actor = role;
+      opening.stonesRemaining = step.phase === 'offer' ? (step.count || opening.fifthCount) : step.count;
+      if (step.phase === 'offer') {
+        opening.offers = [];
+      }
+      return;
+    }
+
+    opening.chooser = role;
+    opening.decision = step.decision;
+    opening.options = this._getOpeningOptions(step.decision);
+
+    const controller = opening.controllers[role];
+    if (this.eventBus) {
+      this.eventBus.emit('opening:choiceRequired', {
+        chooser: role,
+        decision: step.decision,
+        options: opening.options.slice(),
+        byHuman: controller === 'human'
+      });
+    }
+
+    if (controller !== 'human' && (this.currentMode !== 'EvE' || this.eveAutoPlay)) {
+      this._scheduleAI(() => this._aiChooseOpening(), 300);
+    }
+  }
+
+  /**
+   * 各类开局选择的可选项
+   * @param {string} decision - swap | swap2 | declare | fifth
+   * @returns {string[]}
+   */
+  _getOpeningOptions(decision) {
+    if (decision === 'swap2') return ['black', 'white', 'place2'];
+    if (decision === 'declare') {
+      return Array.from({ length: RenjuOpening.MAX_FIFTH_OFFERS }, (_, i) => String(i + 1));
+    }
+    if (decision === 'fifth') {
+      return this.state.opening.offers.map(offer => `${offer.x},${offer.y}`);
+    }
+    return ['black', 'white'];
+  }
+
+  /**
+   * 开局摆子后推进协议；连珠开局摆完前三手时识别开局名称
+   */
+  _advanceOpening() {
+    const opening = this.state.opening;
+    const step = this._currentOpeningStep();
+    opening.stonesRemaining -= 1;
+
+    if (step.canonical && opening.stonesRemaining === 0) {
+      const identified = RenjuOpening.identify(this.state.board);
+      opening.name = identified ? identified.name : null;
+      if (identified && this.eventBus) {
+        this.eventBus.emit('opening:identified', identified);
+      }
+    }
+
+    if (opening.stonesRemaining > 0) return;
+    this._enterOpeningStep(opening.stepIndex + 1);
+  }
+
+  /**
+   * 校验第五手打点：须为黑方合法落点，且不与已提交打点重复或对称等价
+   * @param {number} x
+   * @param {number} y
+   * @returns {{valid: boolean, error?: string}}
+   */
+  _validateFifthOffer(x, y) {
+    const validation = this.rules.validateMove(x, y, this.state.currentPlayer);
+    if (!validation.valid) {
+      return validation;
+    }
+    if (RenjuOpening.isEquivalentOffer(this.state.board, this.state.opening.offers, x, y)) {
+      return { valid: false, error: 'symmetric_offer' };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * 黑方提交一个第五手打点（不落子），提交满后交由白方选择
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  _handleFifthOffer(x, y) {
+    const opening = this.state.opening;
+    const validation = this._validateFifthOffer(x, y);
+    if (!validation.valid) {
+      this.logger.warn('Invalid fifth move offer', validation);
+      if (this.eventBus) {
+        this.eventBus.emit('move:invalid', { ...validation, x, y, player: this.state.currentPlayer });
+      }
+      return false;
+    }
+
+    opening.offers.push({ x, y });
+    opening.stonesRemaining -= 1;
+
+    if (this.eventBus) {
+      this.eventBus.emit('opening:offered', { x, y, offers: opening.offers.slice(), remaining: opening.stonesRemaining });
+      this.eventBus.emit('state:changed', this.state.getSnapshot());
+    }
+
+    if (opening.stonesRemaining === 0) {
+      this._enterOpeningStep(opening.stepIndex + 1);
+    }
+    return true;
+  }
+
+  /**
+   * AI在开局协议中做出选择
+   */
+  _aiChooseOpening() {
+    if (!this.isOpeningActive() || this.state.opening.phase !== 'choose') return;
+    const { chooser, decision, options, offers, controllers } = this.state.opening;
+    const level = controllers[chooser];
+
+    let option;
+    if (decision === 'declare') {
+      option = this.ai.chooseFifthCount(options, level);
+    } else if (decision === 'fifth') {
+      const selected = this.ai.chooseFifthOffer(offers, level);
+      option = `${selected.x},${selected.y}`;
+    } else {
+      option = this.ai.chooseOpeningOption(options, level);
+    }
+    this.chooseOpening(option);
+  }
+
+  /**
+   * 开局协议选择：执黑/执白（交换）、Swap2加摆两子、声明第五手打点数，或从打点中选定第五手
+   * @param {string} option - black | white | place2 | 1~8 | "x,y"
+   * @returns {boolean}
+   */
+  chooseOpening(option) {
+    if (!this.isOpeningActive() || this.state.opening.phase !== 'choose') {
+      this.logger.warn('No opening choice pending');
+      return false;
+    }
+
+    const opening = this.state.opening;
+    if (!opening.options.includes(option)) {
+      this.logger.warn(`Invalid opening option: ${option}`);
+      return false;
+    }
+
+    const chooser = opening.chooser;
+    const decision = opening.decision;
+    const record = { protocol: opening.protocol, choice: option, by: chooser, opening: opening.name };
+
+    if (option === 'place2') {
+      opening.steps.splice(opening.stepIndex + 1, 0,
+        { phase: 'place', role: 'second', count: 2 },
+        { phase: 'choose', role: 'first', decision: 'swap' });
+    } else if (decision === 'declare') {
+      opening.fifthCount = Number(option);
+      record.choice = 'declare';
+      record.count = opening.fifthCount;
+    } else if (decision === 'fifth') {
+      const [x, y] = option.split(',').map(Number);
+      const moveResult = this.state.applyMove({ x, y });
+      if (!moveResult.success) {
+        this.logger.error('Failed to apply fifth move', moveResult);
+        return false;
+      }
+      this.state.switchPlayer();
+      record.choice = 'fifth';
+      record.offers = opening.offers.slice();
+      record.selected = { x, y };
+    } else {
+      const chosenColor = option === 'black' ? 1 : 2;
+      const otherColor = chosenColor === 1 ? 2 : 1;
+      opening.colors = chooser === 'first'
+        ? { first: chosenColor, second: otherColor }
+        : { first: otherColor, second: chosenColor };
+      this._applyOpeningColors(opening);
+    }
+
+    this.state.recordOpeningChoice(record);
+
+    this.logger.info(`Opening choice by ${chooser}: ${option}`);
+    if (this.eventBus) {
+      this.eventBus.emit('opening:chosen', { chooser, decision, option, colors: opening.colors });
+    }
+
+    this._enterOpeningStep(opening.stepIndex + 1);
 
     if (this.shouldAIMove()) {
-      setTimeout(() => this.triggerAIMove(), 300);
+      this._scheduleAI(() => this.triggerAIMove(), 300);
+    }
+
+    return true;
+  }
+
+  /**
+   * 按开局结果分配执子：PvE更新玩家执子方，EvE交换双方AI难度
+   * @param {Object} opening
+   */
+  _applyOpeningColors(opening) {
+    const { colors, controllers } = opening;
+    const settings = this.state.settings;
+
+    if (this.currentMode === 'PvE') {
+      const humanRole = controllers.first === 'human' ? 'first' : 'second';
+      settings.playerSide = colors[humanRole];
+      this.ai.setDifficulty(settings.playerSide === 1 ? 2 : 1, settings.aiDifficulty);
+    } else if (this.currentMode === 'EvE') {
+      settings.blackAI = colors.first === 1 ? controllers.first : controllers.second;
+      settings.whiteAI = colors.first === 1 ? controllers.second : controllers.first;
+      this.ai.setDifficulty(1, settings.blackAI);
+      this.ai.setDifficulty(2, settings.whiteAI);
     }
+  }
 
+  /**
+   * 禁手判负：接受落子，由对方获胜，并记录构成禁手的连线作为证据
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} forbiddenInfo
+   * @returns {boolean}
+   */
+  _handleForbiddenLoss(x, y, forbiddenInfo) {
+    const player = this.state.currentPlayer;
+    const moveResult = this.state.applyMove({ x, y });
+    if (!moveResult.success) {
+      this.logger.error('Failed to apply move', moveResult);
+      return false;
+    }
+
+    this.logger.info(`Forbidden move by ${player === 1 ? 'Black' : 'White'}: ${forbiddenInfo.type}`);
+    this.state.finishGame({
+      winner: player === 1 ? 2 : 1,
+      reason: forbiddenInfo.type,
+      forbiddenInfo: {
+        x,
+        y,
+        type: forbiddenInfo.type,
+        lines: (forbiddenInfo.details && forbiddenInfo.details.lines) || []
+      }
+    });
+    this.stopEvE();
     return true;
   }
 
   /**
-   * 触发AI计算并自动落子
+   * 触发AI计算并自动落子，分析模式下从不落子
    */
   async triggerAIMove() {
-    if (this.state.gameStatus === 'finished') {
+    if (this.state.gameStatus === 'finished' || this.currentMode === 'Analysis') {
       return;
     }
 
     const player = this.state.currentPlayer;
+    const generation = this.aiGeneration;
+    this.aiSearching = true;
     try {
-      const move = await this.ai.computeMove(player);
+      let move;
+      if (this.isOpeningActive() && this.state.opening.phase === 'offer') {
+        const { actor, controllers, stonesRemaining } = this.state.opening;
+        const offers = await this.ai.computeFifthOffers(stonesRemaining, controllers[actor],
+          (x, y) => this._validateFifthOffer(x, y).valid);
+        if (generation !== this.aiGeneration) return;
+        offers.forEach(offer => this._handleFifthOffer(offer.x, offer.y));
+        return;
+      }
+      if (this.isOpeningActive()) {
+        const { actor, controllers } = this.state.opening;
+        const step = this._currentOpeningStep();
+        move = await this.ai.computeOpeningMove(player, controllers[actor], {
+          proposing: Boolean(step.propose),
+          templates: step.canonical ? RenjuOpening.getTemplates(RenjuOpening.AI_OPENINGS) : null
+        });
+      } else {
+        move = await this.ai.computeMove(player);
+        if (generation !== this.aiGeneration) return;
+        if (this.ai.shouldResign(player, move)) {
+          this.resign(player);
+          return;
+        }
+      }
+      if (generation !== this.aiGeneration) {
+        this.logger.info('Discard stale AI result');
+        return;
+      }
       await this.handleMove(move.x, move.y);
     } catch (error) {
+      if (error.code === 'cancelled') return;
       this.logger.error('AI move error:', error);
       if (this.eventBus) {
         this.eventBus.emit('ai:error', { player, error: error.message });
       }
+    } finally {
+      if (generation === this.aiGeneration) {
+        this.aiSearching = false;
+      }
+    }
+  }
+
+  /**
+   * 取消进行中的AI搜索与已排队的AI动作，之后返回的搜索结果不会落到棋盘上
+   */
+  cancelAI() {
+    this.aiGeneration += 1;
+    this.aiSearching = false;
+    this.aiTimers.forEach(timer => clearTimeout(timer));
+    this.aiTimers.clear();
+    this.ai.cancel();
+  }
+
+  /**
+   * AI是否正在为落子或开局选择思考（含已排队、尚未开始的动作），分析模式的分析不计在内
+   * @returns {boolean}
+   */
+  isAIThinking() {
+    if (this.currentMode === 'Analysis') return false;
+    return this.aiSearching || this.aiTimers.size > 0;
+  }
+
+  /**
+   * 延迟执行AI动作，cancelAI 后尚未执行的动作被丢弃
+   * @param {Function} task
+   * @param {number} delay - 毫秒
+   */
+  _scheduleAI(task, delay) {
+    const generation = this.aiGeneration;
+    const timer = setTimeout(() => {
+      this.aiTimers.delete(timer);
+      if (generation === this.aiGeneration) {
+        task();
+      }
+    }, delay);
+    this.aiTimers.add(timer);
+  }
+
+  /**
+   * 分析模式下重新分析当前局面：取消进行中的分析，稍后从最短的思考时间开始逐轮加深。
+   * 局面每次变化（state:changed / state:reset / state:restored）时自动调用；对局结束或回放中不分析
+   */
+  restartAnalysis() {
+    if (this.currentMode !== 'Analysis') return;
+
+    this.cancelAI();
+    this.analysisBudget = ModeManager.ANALYSIS_BUDGET;
+    if (this.isReplayMode || this.state.gameStatus === 'finished') {
+      if (this.eventBus) {
+        this.eventBus.emit('analysis:stopped', {});
+      }
+      return;
+    }
+    this._scheduleAI(() => this._runAnalysis(), ModeManager.ANALYSIS_DELAY);
+  }
+
+  /**
+   * 分析一轮并发布 analysis:updated，思考时间未到上限时加倍再分析
+   */
+  async _runAnalysis() {
+    const generation = this.aiGeneration;
+    const player = this.state.currentPlayer;
+    const budget = this.analysisBudget;
+    try {
+      const analysis = await this.ai.analyze(null, { ...this.analysisOptions, player, budget });
+      if (generation !== this.aiGeneration) return;
+
+      if (this.eventBus) {
+        this.eventBus.emit('analysis:updated', {
+          ...analysis,
+          budget,
+          blackWinRate: player === 1 ? analysis.winRate : 1 - analysis.winRate
+        });
+      }
+      if (budget < ModeManager.ANALYSIS_MAX_BUDGET) {
+        this.analysisBudget = budget * 2;
+        this._scheduleAI(() => this._runAnalysis(), 0);
+      }
+    } catch (error) {
+      if (error.code === 'cancelled') return;
+      this.logger.error('Analysis error:', error);
+      if (this.eventBus) {
+        this.eventBus.emit('ai:error', { player, error: error.message });
+      }
     }
   }
 
@@ -138,7 +906,13 @@ class ModeManager {
   shouldAIMove() {
     if (this.isReplayMode) return false;
     if (this.state.gameStatus === 'finished') return false;
-    if (this.currentMode === 'PvP') return false;
+    if (this.currentMode === 'PvP' || this.currentMode === 'Analysis') return false;
+    if (this.isOpeningActive()) {
+      const { phase, actor, controllers } = this.state.opening;
+      if (phase !== 'place' && phase !== 'offer') return false;
+      if (this.currentMode === 'EvE' && !this.eveAutoPlay) return false;
+      return controllers[actor] !== 'human';
+    }
     if (this.currentMode === 'EvE') return this.eveAutoPlay;
     if (this.currentMode === 'PvE') {
       const playerSide = this.state.settings.playerSide;
@@ -157,26 +931,199 @@ class ModeManager {
       return false;
     }
 
+    if (this.isOpeningActive()) {
+      this.logger.warn('Cannot undo during opening protocol');
+      return false;
+    }
+
+    this.cancelAI();
+
     const result = this.state.undoMove();
     if (result.success && this.currentMode === 'PvE') {
+      // 连同AI的整回合一起撤回，直到轮到玩家落子
       const playerSide = this.state.settings.playerSide;
-      const lastMove = this.state.moveHistory[this.state.moveHistory.length - 1];
-      if (lastMove && lastMove.player !== playerSide) {
-        this.state.undoMove();
+      let undone = result;
+      while (undone.success && this.state.currentPlayer !== playerSide) {
+        undone = this.state.undoMove();
       }
     }
     return result.success;
   }
 
+  /**
+   * 重做：恢复最近一次悔棋撤回的着法。PvE 中连同AI的整回合一起恢复，直到再次轮到玩家；
+   * AI思考中、悔棋后切换过模式或悔棋后走了其他着法时不能重做
+   * @returns {boolean}
+   */
+  redo() {
+    if (this.currentMode === 'EvE' && this.eveAutoPlay) {
+      this.logger.warn('Cannot redo in EvE auto-play mode');
+      return false;
+    }
+
+    if (this.isOpeningActive() || this.isReplayMode) {
+      this.logger.warn('Cannot redo during opening protocol or replay');
+      return false;
+    }
+
+    if (this.isAIThinking()) {
+      this.logger.warn('Cannot redo while AI is thinking');
+      return false;
+    }
+
+    const result = this.state.redoMove();
+    if (result.success && this.currentMode === 'PvE') {
+      const playerSide = this.state.settings.playerSide;
+      let redone = result;
+      while (redone.success && this.state.gameStatus !== 'finished' && this.state.currentPlayer !== playerSide) {
+        redone = this.state.redoMove();
+      }
+      // AI的回合没有可重做的着法（如悔棋前AI尚未落子）时由AI接着走
+      if (this.state.gameStatus !== 'finished' && this.shouldAIMove()) {
+        this._scheduleAI(() => this.triggerAIMove(), 500);
+      }
+    }
+    return result.success;
+  }
+
+  /**
+   * 在变化树中移动：跳到节点、切换相邻变化、提升为主线或删除分支。
+   * 局面改变时取消进行中的AI（分析模式随 state:changed 自行重新分析）；PvE 中跳到AI一方行棋的局面后由AI接着落子
+   * @param {string} action - goTo | switch | promote | delete
+   * @param {number} [target] - goTo / promote / delete 为节点id（后两者默认当前节点），switch 为偏移（默认 1）
+   * @returns {{success: boolean, error?: string}}
+   */
+  navigateVariation(action, target) {
+    if (this.currentMode === 'EvE' && this.eveAutoPlay) {
+      return { success: false, error: 'Cannot navigate in EvE auto-play mode' };
+    }
+    if (this.isReplayMode) {
+      return { success: false, error: 'Cannot navigate during replay' };
+    }
+
+    const actions = {
+      goTo: () => this.state.goToNode(target),
+      switch: () => this.state.switchVariation(target),
+      promote: () => this.state.promoteVariation(target),
+      delete: () => this.state.deleteVariation(target)
+    };
+    if (!actions[action]) {
+      throw new Error(`Invalid variation action: ${action}`);
+    }
+
+    const nodeId = this.state.currentNode.id;
+    const result = actions[action]();
+    if (result.success && this.state.currentNode.id !== nodeId && this.currentMode !== 'Analysis') {
+      this.cancelAI();
+      if (this.currentMode === 'PvE' && this.shouldAIMove()) {
+        this._scheduleAI(() => this.triggerAIMove(), 500);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * 认输
+   * @param {number} [player] - 认输方，默认当前行棋方
+   * @returns {{success: boolean, error?: string}}
+   */
+  resign(player = this.state.currentPlayer) {
+    const check = this._checkGameInProgress();
+    if (!check.success) return check;
+
+    this.logger.info(`Player ${player} resigned`);
+    this.state.finishGame({ winner: player === 1 ? 2 : 1, reason: 'resign' });
+    this.stopEvE();
+    return { success: true };
+  }
+
+  /**
+   * 提和：对方为AI时立即按局面评估答复，否则等待 respondToDraw
+   * 提和在对方落子前有效，对方落子即视为拒绝
+   * @param {number} [player] - 提和方，默认当前行棋方
+   * @returns {{success: boolean, error?: string}}
+   */
+  offerDraw(player = this.state.currentPlayer) {
+    const check = this._checkGameInProgress();
+    if (!check.success) return check;
+    if (this.state.drawOffer) {
+      return { success: false, error: 'draw_offer_pending' };
+    }
+
+    const recipient = player === 1 ? 2 : 1;
+    this.state.drawOffer = { player, moveCount: this.state.getStoneCount() };
+    const byHuman = this._isHumanControlled(recipient);
+
+    this.logger.info(`Player ${player} offered a draw`);
+    if (this.eventBus) {
+      this.eventBus.emit('draw:offered', { player, recipient, byHuman });
+    }
+
+    if (!byHuman) {
+      this.respondToDraw(this.ai.shouldAcceptDraw(recipient));
+    }
+    return { success: true };
+  }
+
+  /**
+   * 答复提和
+   * @param {boolean} accept
+   * @returns {{success: boolean, accepted?: boolean, error?: string}}
+   */
+  respondToDraw(accept) {
+    const offer = this.state.drawOffer;
+    if (!offer) {
+      return { success: false, error: 'no_draw_offer' };
+    }
+
+    this.state.drawOffer = null;
+    if (this.eventBus) {
+      this.eventBus.emit(accept ? 'draw:accepted' : 'draw:declined', { ...offer, implicit: false });
+    }
+
+    if (accept) {
+      this.state.finishGame({ winner: null, reason: 'draw_agreed' });
+      this.stopEvE();
+    }
+    return { success: true, accepted: Boolean(accept) };
+  }
+
+  _checkGameInProgress() {
+    if (this.isReplayMode) {
+      return { success: false, error: 'replay_mode' };
+    }
+    if (this.state.gameStatus !== 'playing') {
+      return { success: false, error: 'not_playing' };
+    }
+    return { success: true };
+  }
+
+  /**
+   * 该方是否由玩家操作
+   * @param {number} player
+   * @returns {boolean}
+   */
+  _isHumanControlled(player) {
+    if (this.currentMode === 'PvP' || this.currentMode === 'Analysis') return true;
+    if (this.currentMode === 'PvE') return player === this.state.settings.playerSide;
+    return false;
+  }
+
   /**
    * 开始新游戏
    */
   startNewGame() {
     this.stopEvE();
+    this.cancelAI();
     this.isReplayMode = false;
-    this.state.reset();
+    if (this.pendingRuleSet) {
+      this.state.settings.ruleSet = this.pendingRuleSet;
+      this.pendingRuleSet = null;
+    }
+    this.state.reset(this.state.settings);
     this.state.mode = this.currentMode;
     this.state.gameStatus = 'ready';
+    this._startOpening();
 
     if (this.eventBus) {
       this.eventBus.emit('game:started', { mode: this.currentMode, settings: this.state.settings });
@@ -184,8 +1131,8 @@ class ModeManager {
 
     if (this.currentMode === 'EvE') {
       this.startEvE();
-    } else if (this.currentMode === 'PvE' && this.state.settings.playerSide === 2) {
-      setTimeout(() => this.triggerAIMove(), 500);
+    } else if (this.shouldAIMove()) {
+      this._scheduleAI(() => this.triggerAIMove(), 500);
     }
   }
 
@@ -206,6 +1153,11 @@ class ModeManager {
       this.state.startTime = Date.now();
     }
 
+    if (this.isOpeningActive() && this.state.opening.phase === 'choose') {
+      this._aiChooseOpening();
+      return;
+    }
+
     this.triggerAIMove();
   }
 
@@ -223,7 +1175,7 @@ class ModeManager {
 
   /**
    * 请求AI提示
-   * @returns {Promise<{x:number, y:number}>}
+   * @returns {Promise<{x:number, y:number, lines:Array}|null>} lines 为包括最佳点在内的候选着法，见 AIEngine.analyze
    */
   async requestHint() {
     if (this.currentMode === 'EvE') {
@@ -241,6 +1193,7 @@ class ModeManager {
   enterReplayMode() {
     this.isReplayMode = true;
     this.stopEvE();
+    this.cancelAI();
   }
 
   /**
@@ -254,7 +1207,7 @@ class ModeManager {
 ModeManager.__moduleInfo = {
   name: 'ModeManager',
   version: '2.0.0',
-  dependencies: ['GameState', 'AIEngine', 'RuleEngine', 'EventBus']
+  dependencies: ['GameState', 'AIEngine', 'RuleEngine', 'RenjuOpening', 'GameClock', 'EventBus']
 };
 
 if (typeof window !== 'undefined') {
@@ -0,0 +1,271 @@
+/**
+ * 开局库 - 记录开局阶段各局面的推荐着法，每个规则集、棋盘尺寸各用一本
+ * 局面按棋盘的8种对称变换归一化：取变换后编码最小者为键，着法也以该变换下的坐标保存，
+ * 因此对称等价的局面共用同一条记录。每个着法带有权重，取着时按权重随机挑选，
+ * variety 控制随机程度（0 总是走权重最高的着法）
+ *
+ * 序列化格式：
+ *   {version, ruleSet, boardSize, maxPly, positions: {键: [{x, y, weight, games}]}}
+ *   键为 "落子方|棋子列表"，棋子列表是按格子序号排序的 "颜色.序号"，以逗号分隔
+ */
+import MathUtils from '../utils/MathUtils.js';
+
+class OpeningBook {
+  static VERSION = '2.0.0';
+
+  static MAX_PLY = 12; // 只记录前若干手
+
+  /**
+   * @param {Object} config
+   * @param {string} config.ruleSet
+   * @param {number} config.boardSize
+   * @param {number} [config.maxPly]
+   */
+  constructor(config) {
+    if (!config || !config.ruleSet || !config.boardSize) {
+      throw new Error('OpeningBook requires ruleSet and boardSize');
+    }
+    this.ruleSet = config.ruleSet;
+    this.boardSize = config.boardSize;
+    this.maxPly = config.maxPly || OpeningBook.MAX_PLY;
+    this.positions = new Map(); // 键 -> [{x, y, weight, games}]，坐标为归一化后的坐标
+  }
+
+  /**
+   * 开局库的索引键
+   * @param {string} ruleSet
+   * @param {number} boardSize
+   * @returns {string}
+   */
+  static bookKey(ruleSet, boardSize) {
+    return `${ruleSet}:${boardSize}`;
+  }
+
+  /**
+   * 从序列化数据创建
+   * @param {Object} data - toJSON() 的结果
+   * @returns {OpeningBook}
+   */
+  static fromJSON(data) {
+    const book = new OpeningBook(data);
+    Object.entries(data.positions || {}).forEach(([key, moves]) => {
+      book.positions.set(key, moves.map(({ x, y, weight, games }) => ({ x, y, weight, games: games || 0 })));
+    });
+    return book;
+  }
+
+  /**
+   * 用三子模板（相对天元的偏移，黑、白、黑交替）建立开局库，各着法权重相同
+   * @param {string} ruleSet
+   * @param {number} boardSize
+   * @param {number[][][]} templates
+   * @returns {OpeningBook}
+   */
+  static fromTemplates(ruleSet, boardSize, templates) {
+    const book = new OpeningBook({ ruleSet, boardSize });
+    const center = Math.floor(boardSize / 2);
+    templates.forEach((template) => {
+      book.addLine(template.map(([dx, dy], index) => ({
+        x: center + dx,
+        y: center + dy,
+        player: index % 2 === 0 ? 1 : 2
+      })));
+    });
+    return book;
+  }
+
+  /**
+   * 归一化局面
+   * @param {number[][]} board
+   * @param {number} player - 落子方
+   * @returns {{key:string, symmetries:number[]}} symmetries 为得到该键的全部对称变换
+   */
+  static normalize(board, player) {
+    const size = board.length;
+    const stones = [];
+    board.forEach((row, y) => row.forEach((cell, x) => {
+      if (cell !== 0) stones.push({ x, y, player: cell });
+    }));
+
+    let key = null;
+    let symmetries = [];
+    for (let symmetry = 0; symmetry < MathUtils.SYMMETRY_COUNT; symmetry += 1) {
+      const encoded = stones
+        .map((stone) => {
+          const point = MathUtils.transformPoint(stone.x, stone.y, size, symmetry);
+          return { index: point.y * size + point.x, player: stone.player };
+        })
+        .sort((a, b) => a.index - b.index)
+        .map(stone => `${stone.player}.${stone.index}`)
+        .join(',');
+      const candidate = `${player}|${encoded}`;
+      if (key === null || candidate < key) {
+        key = candidate;
+        symmetries = [symmetry];
+      } else if (candidate === key) {
+        symmetries.push(symmetry);
+      }
+    }
+    return { key, symmetries };
+  }
+
+  /**
+   * 对称变换的逆变换：镜像类变换是自身的逆，旋转取反向
+   * @param {number} symmetry
+   * @returns {number}
+   */
+  static inverseSymmetry(symmetry) {
+    return symmetry & 4 ? symmetry : (4 - symmetry) % 4;
+  }
+
+  /**
+   * 记录一局的着法序列，每手以落子前的局面为键累加权重
+   * @param {Array<{x:number, y:number, player:number, captured?:Array}>} moves
+   * @param {number|Function} [weight] - 每手的权重，或 (move, index) => 权重
+   */
+  addLine(moves, weight = 1) {
+    const board = Array.from({ length: this.boardSize }, () => new Array(this.boardSize).fill(0));
+    moves.slice(0, this.maxPly).forEach((move, index) => {
+      if (!MathUtils.inBounds(move.x, move.y, this.boardSize) || board[move.y][move.x] !== 0) {
+        throw new Error(`Invalid opening line move at ${index + 1}: (${move.x}, ${move.y})`);
+      }
+      const value = typeof weight === 'function' ? weight(move, index) : weight;
+      this.addMove(board, move.player, move.x, move.y, value);
+      board[move.y][move.x] = move.player;
+      (move.captured || []).forEach((stone) => {
+        board[stone.y][stone.x] = 0;
+      });
+    });
+  }
+
+  /**
+   * 为一个局面添加（或累加）着法
+   * @param {number[][]} board - 落子前的局面
+   * @param {number} player
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [weight]
+   */
+  addMove(board, player, x, y, weight = 1) {
+    const { key, symmetries } = OpeningBook.normalize(board, player);
+    // 局面自身对称时，对称等价的着法取序号最小的一种保存
+    const point = symmetries
+      .map(symmetry => MathUtils.transformPoint(x, y, this.boardSize, symmetry))
+      .reduce((best, item) => (item.y * this.boardSize + item.x < best.y * this.boardSize + best.x ? item : best));
+
+    const moves = this.positions.get(key) || [];
+    const existing = moves.find(move => move.x === point.x && move.y === point.y);
+    if (existing) {
+      existing.weight += weight;
+      existing.games += 1;
+    } else {
+      moves.push({ x: point.x, y: point.y, weight, games: 1 });
+    }
+    this.positions.set(key, moves);
+  }
+
+  /**
+   * 查询局面的全部库内着法，坐标已还原到实际棋盘，按权重从高到低排列
+   * @param {number[][]} board
+   * @param {number} player
+   * @returns {Array<{x:number, y:number, weight:number, games:number}>}
+   */
+  lookup(board, player) {
+    if (board.length !== this.boardSize) return [];
+    const { key, symmetries } = OpeningBook.normalize(board, player);
+    const moves = this.positions.get(key);
+    if (!moves) return [];
+
+    const inverse = OpeningBook.inverseSymmetry(symmetries[0]);
+    return moves
+      .map((move) => {
+        const point = MathUtils.transformPoint(move.x, move.y, this.boardSize, inverse);
+        return { x: point.x, y: point.y, weight: move.weight, games: move.games };
+      })
+      .filter(move => board[move.y][move.x] === 0)
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  /**
+   * 从库内着法中挑选一手
+   * @param {number[][]} board
+   * @param {number} player
+   * @param {Object} [options]
+   * @param {number} [options.variety] - 0 ~ 1，0 总是走权重最高的着法，1 按权重比例随机
+   * @param {Function} [options.filter] - (move) => boolean，排除不合法的着法
+   * @param {Function} [options.random] - 返回 [0, 1) 的随机数
+   * @returns {{x:number, y:number, weight:number, games:number}|null}
+   */
+  pickMove(board, player, options = {}) {
+    const { variety = 0, filter = null, random = Math.random } = options;
+    const moves = this.lookup(board, player).filter(move => move.weight > 0 && (!filter || filter(move)));
+    if (moves.length === 0) return null;
+    if (variety <= 0) return moves[0];
+
+    // 权重取 1/variety 次方：variety 越小越集中于高权重着法
+    const scaled = moves.map(move => move.weight ** (1 / Math.min(variety, 1)));
+    let target = random() * scaled.reduce((sum, value) => sum + value, 0);
+    for (let i = 0; i < moves.length; i += 1) {
+      target -= scaled[i];
+      if (target < 0) return moves[i];
+    }
+    return moves[moves.length - 1];
+  }
+
+  /**
+   * 合并另一本同规则集、同尺寸的开局库
+   * @param {OpeningBook} other
+   */
+  merge(other) {
+    if (other.ruleSet !== this.ruleSet || other.boardSize !== this.boardSize) {
+      throw new Error(`Cannot merge ${other.ruleSet} ${other.boardSize} book into ${this.ruleSet} ${this.boardSize}`);
+    }
+    other.positions.forEach((moves, key) => {
+      const own = this.positions.get(key) || [];
+      moves.forEach((move) => {
+        const existing = own.find(item => item.x === move.x && item.y === move.y);
+        if (existing) {
+          existing.weight += move.weight;
+          existing.games += move.games;
+        } else {
+          own.push({ ...move });
+        }
+      });
+      this.positions.set(key, own);
+    });
+  }
+
+  /**
+   * @returns {Object}
+   */
+  toJSON() {
+    return {
+      version: OpeningBook.VERSION,
+      ruleSet: this.ruleSet,
+      boardSize: this.boardSize,
+      maxPly: this.maxPly,
+      positions: Object.fromEntries(this.positions)
+    };
+  }
+
+  get size() {
+    return this.positions.size;
+  }
+}
+
+OpeningBook.__moduleInfo = {
+  name: 'OpeningBook',
+  version: '2.0.0',
+  dependencies: ['MathUtils']
+};
+
+if (typeof window !== 'undefined') {
+  window.OpeningBook = OpeningBook;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: OpeningBook.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OpeningBook;
+}
+
+export default OpeningBook;
@@ -0,0 +1,105 @@
+/**
+ * 棋型评估器 - 按规则集的棋型分数评估局面，供AI搜索使用
+ * 棋盘的每条直线分别计分并缓存，落子或提起后只重算经过该点的四条直线，
+ * 叶节点评估无需再扫描全盘。局面分为己方总分减去对方总分的 OPPONENT_WEIGHT 倍
+ */
+import MathUtils from '../utils/MathUtils.js';
+import LinePatterns from '../utils/LinePatterns.js';
+
+class PatternEvaluator {
+  static OPPONENT_WEIGHT = 0.9;
+
+  /**
+   * @param {RuleSet|null} [ruleSet] - 决定棋型分数与长连是否成五，null时使用默认分数、长连成五
+   */
+  constructor(ruleSet = null) {
+    this.scores = {
+      1: ruleSet ? ruleSet.getPatternScores(1) : LinePatterns.SCORES,
+      2: ruleSet ? ruleSet.getPatternScores(2) : LinePatterns.SCORES
+    };
+    this.exactFive = {
+      1: ruleSet ? ruleSet.requiresExactFive(1) : false,
+      2: ruleSet ? ruleSet.requiresExactFive(2) : false
+    };
+    this.size = 0;
+    this.lines = [];
+    this.lineScores = { 1: null, 2: null }; // 直线下标 -> 该方在这条直线上的棋型分
+    this.totals = { 1: 0, 2: 0 };
+  }
+
+  /**
+   * 直接评估一个局面
+   * @param {number[][]} board
+   * @param {number} player
+   * @param {RuleSet|null} [ruleSet]
+   * @returns {number}
+   */
+  static evaluateBoard(board, player, ruleSet = null) {
+    const evaluator = new PatternEvaluator(ruleSet);
+    evaluator.reset(board);
+    return evaluator.evaluate(player);
+  }
+
+  /**
+   * 重新计算全部直线
+   * @param {number[][]} board
+   */
+  reset(board) {
+    this.size = board.length;
+    this.lines = LinePatterns.boardLines(this.size);
+    [1, 2].forEach((player) => {
+      this.lineScores[player] = new Float64Array(this.lines.length);
+      this.totals[player] = 0;
+      this.lines.forEach((line, index) => {
+        const score = this._scoreLine(board, index, player);
+        this.lineScores[player][index] = score;
+        this.totals[player] += score;
+      });
+    });
+  }
+
+  /**
+   * (x, y)落子或提起后更新经过该点的四条直线
+   * @param {number[][]} board - 已完成变化的棋盘
+   * @param {number} x
+   * @param {number} y
+   */
+  update(board, x, y) {
+    LinePatterns.lineIndexes(x, y, this.size).forEach((index) => {
+      [1, 2].forEach((player) => {
+        const score = this._scoreLine(board, index, player);
+        this.totals[player] += score - this.lineScores[player][index];
+        this.lineScores[player][index] = score;
+      });
+    });
+  }
+
+  /**
+   * @param {number} player - 评估视角
+   * @returns {number}
+   */
+  evaluate(player) {
+    return this.totals[player] - this.totals[MathUtils.getOpponent(player)] * PatternEvaluator.OPPONENT_WEIGHT;
+  }
+
+  _scoreLine(board, index, player) {
+    return LinePatterns.scoreBoardLine(board, this.lines[index], player, this.exactFive[player], this.scores[player]);
+  }
+}
+
+PatternEvaluator.__moduleInfo = {
+  name: 'PatternEvaluator',
+  version: '2.0.0',
+  dependencies: ['MathUtils', 'LinePatterns']
+};
+
+if (typeof window !== 'undefined') {
+  window.PatternEvaluator = PatternEvaluator;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: PatternEvaluator.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PatternEvaluator;
+}
+
+export default PatternEvaluator;
@@ -0,0 +1,208 @@
+/**
+ * 连珠开局规则 - 26种标准开局、开局摆子校验与第五手打点对称判定
+ */
+import MathUtils from '../utils/MathUtils.js';
+
+class RenjuOpening {
+  static PROTOCOLS = ['RIF', 'YAMAGUCHI', 'SOOSYRV8'];
+
+  static MAX_FIFTH_OFFERS = 8;
+
+  /**
+   * 直指开局：白2位于黑1正上方 (0,-1)，偏移为黑3相对天元的坐标
+   */
+  static DIRECT_OPENINGS = [
+    { id: 'D1', name: 'Kansei', label: '寒星', offset: [0, -2] },
+    { id: 'D2', name: 'Keigetsu', label: '溪月', offset: [1, -2] },
+    { id: 'D3', name: 'Sosei', label: '疏星', offset: [2, -2] },
+    { id: 'D4', name: 'Kagetsu', label: '花月', offset: [1, -1] },
+    { id: 'D5', name: 'Zangetsu', label: '残月', offset: [2, -1] },
+    { id: 'D6', name: 'Ugetsu', label: '雨月', offset: [1, 0] },
+    { id: 'D7', name: 'Kinsei', label: '金星', offset: [2, 0] },
+    { id: 'D8', name: 'Shogetsu', label: '松月', offset: [1, 1] },
+    { id: 'D9', name: 'Kyugetsu', label: '丘月', offset: [0, 1] },
+    { id: 'D10', name: 'Shingetsu', label: '新月', offset: [2, 1] },
+    { id: 'D11', name: 'Zuisei', label: '瑞星', offset: [2, 2] },
+    { id: 'D12', name: 'Sangetsu', label: '山月', offset: [1, 2] },
+    { id: 'D13', name: 'Yusei', label: '游星', offset: [0, 2] }
+  ];
+
+  /**
+   * 斜指开局：白2位于黑1右上方 (1,-1)
+   */
+  static INDIRECT_OPENINGS = [
+    { id: 'I1', name: 'Chosei', label: '长星', offset: [2, -2] },
+    { id: 'I2', name: 'Kyogetsu', label: '峡月', offset: [2, -1] },
+    { id: 'I3', name: 'Kosei', label: '恒星', offset: [2, 0] },
+    { id: 'I4', name: 'Suigetsu', label: '水月', offset: [2, 1] },
+    { id: 'I5', name: 'Ryusei', label: '流星', offset: [2, 2] },
+    { id: 'I6', name: 'Ungetsu', label: '云月', offset: [1, 0] },
+    { id: 'I7', name: 'Hogetsu', label: '浦月', offset: [1, 1] },
+    { id: 'I8', name: 'Rangetsu', label: '岚月', offset: [1, 2] },
+    { id: 'I9', name: 'Gingetsu', label: '银月', offset: [0, 1] },
+    { id: 'I10', name: 'Meisei', label: '明星', offset: [0, 2] },
+    { id: 'I11', name: 'Shagetsu', label: '斜月', offset: [-1, 1] },
+    { id: 'I12', name: 'Meigetsu', label: '名月', offset: [-1, 2] },
+    { id: 'I13', name: 'Suisei', label: '彗星', offset: [-2, 2] }
+  ];
+
+  /**
+   * AI作为假先方时倾向选择的开局，黑白差距不大，不易被对手直接交换
+   */
+  static AI_OPENINGS = ['D1', 'D5', 'D10', 'D12', 'I2', 'I7', 'I12'];
+
+  /**
+   * 是否为连珠开局协议
+   * @param {string} protocol
+   * @returns {boolean}
+   */
+  static isRenjuProtocol(protocol) {
+    return RenjuOpening.PROTOCOLS.includes(protocol);
+  }
+
+  /**
+   * 连珠开局依赖天元对称，仅支持奇数路棋盘
+   * @param {number} size
+   * @returns {boolean}
+   */
+  static supportsBoard(size) {
+    return size % 2 === 1;
+  }
+
+  /**
+   * 校验开局前三手：黑1天元，白2紧邻天元，黑3位于天元周围5×5范围内
+   * @param {number[][]} board
+   * @param {number} stoneIndex - 0 ~ 2
+   * @param {number} x
+   * @param {number} y
+   * @returns {{valid: boolean, error?: string}}
+   */
+  static validateOpeningStone(board, stoneIndex, x, y) {
+    const center = Math.floor(board.length / 2);
+    const distance = Math.max(Math.abs(x - center), Math.abs(y - center));
+    const limits = [0, 1, 2];
+    if (stoneIndex >= limits.length) {
+      return { valid: true };
+    }
+    if (stoneIndex > 0 && distance === 0) {
+      return { valid: false, error: 'invalid_opening' };
+    }
+    if (distance > limits[stoneIndex]) {
+      return { valid: false, error: 'invalid_opening' };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * 识别棋盘上的前三手属于26种开局中的哪一种
+   * @param {number[][]} board
+   * @returns {{id:string, name:string, label:string, type:string}|null}
+   */
+  static identify(board) {
+    const size = board.length;
+    const center = Math.floor(size / 2);
+    if (board[center][center] !== 1) return null;
+
+    let white = null;
+    let third = null;
+    for (let dy = -2; dy <= 2; dy += 1) {
+      for (let dx = -2; dx <= 2; dx += 1) {
+        const value = board[center + dy] && board[center + dy][center + dx];
+        if (value === 2 && Math.max(Math.abs(dx), Math.abs(dy)) === 1) {
+          white = { x: center + dx, y: center + dy };
+        } else if (value === 1 && (dx !== 0 || dy !== 0)) {
+          third = { x: center + dx, y: center + dy };
+        }
+      }
+    }
+    if (!white || !third) return null;
+
+    for (let symmetry = 0; symmetry < MathUtils.SYMMETRY_COUNT; symmetry += 1) {
+      const w = MathUtils.transformPoint(white.x, white.y, size, symmetry);
+      const t = MathUtils.transformPoint(third.x, third.y, size, symmetry);
+      const wx = w.x - center;
+      const wy = w.y - center;
+      let table = null;
+      let type = null;
+      if (wx === 0 && wy === -1) {
+        table = RenjuOpening.DIRECT_OPENINGS;
+        type = 'direct';
+      } else if (wx === 1 && wy === -1) {
+        table = RenjuOpening.INDIRECT_OPENINGS;
+        type = 'indirect';
+      } else {
+        continue;
+      }
+
+      const match = table.find(item => item.offset[0] === t.x - center && item.offset[1] === t.y - center);
+      if (match) {
+        return { id: match.id, name: match.name, label: match.label, type };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 获取开局的三子模板（相对天元的偏移：黑1、白2、黑3）
+   * @param {string[]} ids
+   * @returns {number[][][]}
+   */
+  static getTemplates(ids) {
+    const all = [...RenjuOpening.DIRECT_OPENINGS, ...RenjuOpening.INDIRECT_OPENINGS];
+    return all
+      .filter(item => ids.includes(item.id))
+      .map(item => [[0, 0], item.id.startsWith('D') ? [0, -1] : [1, -1], item.offset]);
+  }
+
+  /**
+   * 判断第五手打点是否与已提交的打点重复或对称等价
+   * 只考虑保持当前局面不变的对称变换
+   * @param {number[][]} board
+   * @param {{x:number, y:number}[]} offers
+   * @param {number} x
+   * @param {number} y
+   * @returns {boolean}
+   */
+  static isEquivalentOffer(board, offers, x, y) {
+    const size = board.length;
+    for (let symmetry = 0; symmetry < MathUtils.SYMMETRY_COUNT; symmetry += 1) {
+      if (!RenjuOpening._preservesBoard(board, symmetry)) continue;
+      const mapped = MathUtils.transformPoint(x, y, size, symmetry);
+      if (offers.some(offer => offer.x === mapped.x && offer.y === mapped.y)) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  static _preservesBoard(board, symmetry) {
+    const size = board.length;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (board[y][x] === 0) continue;
+        const mapped = MathUtils.transformPoint(x, y, size, symmetry);
+        if (board[mapped.y][mapped.x] !== board[y][x]) {
+          return false;
+        }
+      }
+    }
+    return true;
+  }
+}
+
+RenjuOpening.__moduleInfo = {
+  name: 'RenjuOpening',
+  version: '2.0.0',
+  dependencies: ['MathUtils']
+};
+
+if (typeof window !== 'undefined') {
+  window.RenjuOpening = RenjuOpening;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: RenjuOpening.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RenjuOpening;
+}
+
+export default RenjuOpening;
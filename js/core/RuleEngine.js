@@ -2,11 +2,277 @@
  * 规则引擎 - 负责胜负判定、禁手检测、棋型分析
  */
 import MathUtils from '../utils/MathUtils.js';
+import LinePatterns from '../utils/LinePatterns.js';
+import RenjuOpening from './RenjuOpening.js';
+
+/**
+ * 规则集基类 - 定义胜负条件与禁手策略
+ */
+class RuleSet {
+  constructor(config) {
+    this.name = config.name;
+    this.label = config.label || config.name;
+    this.hasForbidden = config.hasForbidden || false;
+    this.winReason = config.winReason || 'five_in_row';
+    this.capturesToWin = config.capturesToWin || 0; // 大于0时启用提子，提满该对数获胜
+    this.patternScores = config.patternScores || {}; // 覆盖 LinePatterns.SCORES 的棋型分数
+    this.playerPatternScores = config.playerPatternScores || {}; // 执子方 -> 仅对该方生效的棋型分数
+  }
+
+  /**
+   * 该规则集下player各棋型的评估分数
+   * @param {number} player
+   * @returns {Object} 棋型 -> 分数
+   */
+  getPatternScores(player) {
+    return { ...LinePatterns.SCORES, ...this.patternScores, ...this.playerPatternScores[player] };
+  }
+
+  /**
+   * player是否须恰好五连（长连不算胜），决定棋型分析时长连是否计为成五
+   * @param {number} player
+   * @returns {boolean}
+   */
+  requiresExactFive(player) {
+    return !this.isWinningRun({ count: 6, blockedEnds: 0 }, player);
+  }
+
+  /**
+   * 校验落子（棋盘边界与占位已由RuleEngine检查）
+   * @param {RuleEngine} engine
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player
+   * @returns {{valid: boolean, error?: string, forbiddenInfo?: Object}}
+   */
+  validateMove(engine, x, y, player) {
+    const forbiddenInfo = this.detectForbidden(engine, x, y, player);
+    if (forbiddenInfo.isForbidden) {
+      return { valid: false, error: 'forbidden_move', forbiddenInfo };
+    }
+    return { valid: true };
+  }
+
+  /**
+   * 检查胜负
+   * @param {RuleEngine} engine
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player
+   * @returns {{isWin: boolean, winLine?: Array<{x:number,y:number}>, direction?: string, reason?: string}}
+   */
+  checkWin(engine, x, y, player) {
+    for (const dir of MathUtils.BOARD_DIRECTIONS) {
+      const run = engine._scanRun(x, y, dir, player);
+      if (this.isWinningRun(run, player)) {
+        return { isWin: true, winLine: run.line, direction: dir.name };
+      }
+    }
+    return { isWin: false };
+  }
+
+  /**
+   * 判断单个方向上的连子是否构成胜利
+   * @param {{count:number, blockedEnds:number}} run
+   * @param {number} player
+   * @returns {boolean}
+   */
+  isWinningRun(run, player) {
+    return run.count >= 5;
+  }
+
+  /**
+   * 检测禁手，默认无禁手
+   * @param {RuleEngine} engine
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player
+   * @returns {{isForbidden: boolean, type?: string, details?: Object}}
+   */
+  detectForbidden(engine, x, y, player) {
+    return { isForbidden: false };
+  }
+
+  /**
+   * 落子后被提走的棋子，默认无提子
+   * @param {RuleEngine} engine
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player
+   * @returns {Array<{x:number, y:number, player:number}>}
+   */
+  findCaptures(engine, x, y, player) {
+    return [];
+  }
+
+  /**
+   * 回合结构：某回合需落子数，默认每回合一子
+   * @param {number} turn - 回合序号（从0开始）
+   * @returns {number}
+   */
+  getStonesForTurn(turn) {
+    return 1;
+  }
+}
+
+/**
+ * 无禁手规则 - 五连及以上（含长连）均获胜
+ */
+class FreestyleRuleSet extends RuleSet {
+  constructor() {
+    super({ name: 'FREESTYLE', label: '无禁手' });
+  }
+}
+
+/**
+ * 标准五子棋 - 双方均须恰好五连，长连不算胜
+ */
+class StandardRuleSet extends RuleSet {
+  constructor() {
+    super({ name: 'STANDARD', label: '标准五子棋' });
+  }
+
+  isWinningRun(run) {
+    return run.count === 5;
+  }
+}
+
+/**
+ * 连珠规则 - 黑棋受禁手限制且须恰好五连，白棋长连亦胜
+ */
+class RenjuRuleSet extends RuleSet {
+  constructor() {
+    super({
+      name: 'RENJU',
+      label: '连珠（禁手）',
+      hasForbidden: true,
+      // 黑棋的三受三三禁手限制，难以同时利用，价值低于白棋的三
+      playerPatternScores: { 1: { openThree: 4500, splitThree: 3500 } }
+    });
+  }
+
+  isWinningRun(run, player) {
+    return player === 1 ? run.count === 5 : run.count >= 5;
+  }
+
+  detectForbidden(engine, x, y, player) {
+    if (player !== 1 || !engine.state.settings.forbiddenRules) {
+      return { isForbidden: false };
+    }
+    return engine._detectRenjuForbidden(x, y, player);
+  }
+}
+
+/**
+ * Caro规则 - 两端均被对方棋子堵住的五连不算胜（棋盘边缘不视为封堵）
+ */
+class CaroRuleSet extends RuleSet {
+  constructor() {
+    super({
+      name: 'CARO',
+      label: 'Caro（两端封堵无效）',
+      // 一端已被堵住的四、三再被堵住另一端就无法取胜
+      patternScores: { four: 25000, closedThree: 1000 }
+    });
+  }
+
+  isWinningRun(run) {
+    return run.count >= 5 && run.blockedEnds < 2;
+  }
+}
+
+/**
+ * Pente / 忍棋（Ninuki）- 夹住恰好两枚对方棋子即提走，五连或提满五对获胜
+ */
+class PenteRuleSet extends RuleSet {
+  constructor() {
+    super({ name: 'PENTE', label: 'Pente（提子）', capturesToWin: 5 });
+  }
+
+  checkWin(engine, x, y, player) {
+    const result = super.checkWin(engine, x, y, player);
+    if (result.isWin) return result;
+    if (engine.state.captures[player] >= this.capturesToWin) {
+      return { isWin: true, winLine: [], reason: 'captures' };
+    }
+    return result;
+  }
+
+  findCaptures(engine, x, y, player) {
+    return MathUtils.findCaptures(engine.state.board, x, y, player);
+  }
+}
+
+/**
+ * 六子棋（Connect6）- 黑棋首回合一子，此后双方每回合两子，六连及以上获胜
+ */
+class Connect6RuleSet extends RuleSet {
+  constructor() {
+    super({ name: 'CONNECT6', label: '六子棋', winReason: 'six_in_row' });
+  }
+
+  isWinningRun(run) {
+    return run.count >= 6;
+  }
+
+  getStonesForTurn(turn) {
+    return turn === 0 ? 1 : 2;
+  }
+}
 
 class RuleEngine {
+  static DEFAULT_RULE_SET = 'RENJU';
+
+  static FORBIDDEN_MAX_DEPTH = 3;
+
+  /**
+   * 开局限制：黑棋第一子须下天元，第二子与天元的距离（切比雪夫距离）不得小于该值
+   */
+  static OPENING_RESTRICTIONS = {
+    NONE: 0,
+    PRO: 3,
+    LONG_PRO: 4
+  };
+
   constructor(gameState, eventBus) {
     this.state = gameState;
     this.eventBus = eventBus;
+
+    this.ruleSets = new Map([
+      ['FREESTYLE', new FreestyleRuleSet()],
+      ['STANDARD', new StandardRuleSet()],
+      ['RENJU', new RenjuRuleSet()],
+      ['CARO', new CaroRuleSet()],
+      ['PENTE', new PenteRuleSet()],
+      ['CONNECT6', new Connect6RuleSet()]
+    ]);
+
+    this.state.setTurnPolicy(turn => this.getStonesForTurn(turn));
+  }
+
+  /**
+   * 获取当前对局使用的规则集
+   * @returns {RuleSet}
+   */
+  getRuleSet() {
+    const name = this.state.settings.ruleSet || RuleEngine.DEFAULT_RULE_SET;
+    const ruleSet = this.ruleSets.get(name);
+    if (!ruleSet) {
+      throw new Error(`Unknown rule set: ${name}`);
+    }
+    return ruleSet;
+  }
+
+  /**
+   * 列出可选规则集
+   * @returns {Array<{name:string, label:string, hasForbidden:boolean}>}
+   */
+  listRuleSets() {
+    return Array.from(this.ruleSets.values()).map(ruleSet => ({
+      name: ruleSet.name,
+      label: ruleSet.label,
+      hasForbidden: ruleSet.hasForbidden
+    }));
   }
 
   /**
@@ -25,14 +291,60 @@ class RuleEngine {
       return { valid: false, error: 'position_occupied' };
     }
 
-    if (player === 1 && this.state.settings.forbiddenRules) {
-      const forbiddenInfo = this.detectForbidden(x, y, player);
-      if (forbiddenInfo.isForbidden) {
-        return { valid: false, error: 'forbidden_move', forbiddenInfo };
-      }
+    const restriction = this.getOpeningRestriction(player);
+    if (restriction && this.isRestrictedPoint(x, y, restriction)) {
+      return { valid: false, error: 'opening_restriction', restriction };
     }
 
-    return { valid: true };
+    return this.getRuleSet().validateMove(this, x, y, player);
+  }
+
+  /**
+   * 列出可选开局限制
+   * @returns {string[]} NONE | PRO | LONG_PRO
+   */
+  listOpeningRestrictions() {
+    return Object.keys(RuleEngine.OPENING_RESTRICTIONS);
+  }
+
+  /**
+   * 获取本手适用的开局限制（Pro / Long Pro），仅约束黑棋前两子
+   * 连珠开局协议自带摆子规则，此时不再叠加限制
+   * @param {number} [player]
+   * @returns {{center:{x:number, y:number}, requireCenter:boolean, minDistance:number}|null}
+   */
+  getOpeningRestriction(player = this.state.currentPlayer) {
+    const minDistance = RuleEngine.OPENING_RESTRICTIONS[this.state.settings.openingRestriction] || 0;
+    if (!minDistance || player !== 1) return null;
+
+    const opening = this.state.opening;
+    if (opening && RenjuOpening.isRenjuProtocol(opening.protocol)) return null;
+
+    const blackStones = this.state.moveHistory
+      .filter(record => record.type !== 'opening_choice' && record.player === 1).length;
+    if (blackStones > 1) return null;
+
+    const mid = Math.floor(this.state.boardSize / 2);
+    return {
+      center: { x: mid, y: mid },
+      requireCenter: blackStones === 0,
+      minDistance: blackStones === 0 ? 0 : minDistance
+    };
+  }
+
+  /**
+   * 判断某点是否落在开局限制的禁入区域
+   * @param {number} x
+   * @param {number} y
+   * @param {Object} restriction - getOpeningRestriction 的返回值
+   * @returns {boolean}
+   */
+  isRestrictedPoint(x, y, restriction) {
+    const { center } = restriction;
+    if (restriction.requireCenter) {
+      return x !== center.x || y !== center.y;
+    }
+    return Math.max(Math.abs(x - center.x), Math.abs(y - center.y)) < restriction.minDistance;
   }
 
   /**
@@ -40,58 +352,148 @@ class RuleEngine {
    * @param {number} x
    * @param {number} y
    * @param {number} player
-   * @returns {{isWin: boolean, winLine?: Array<{x:number,y:number}>, direction?: string}}
+   * @returns {{isWin: boolean, winLine?: Array<{x:number,y:number}>, direction?: string, reason?: string}}
    */
   checkWin(x, y, player) {
-    const board = this.state.board;
-    const winLine = [];
+    return this.getRuleSet().checkWin(this, x, y, player);
+  }
 
-    for (const dir of MathUtils.BOARD_DIRECTIONS) {
-      let count = 1;
-      const line = [{ x, y }];
-
-      // 正向
-      let nx = x + dir.dx;
-      let ny = y + dir.dy;
-      while (this.state.isValidPosition(nx, ny) && board[ny][nx] === player) {
-        count += 1;
-        line.push({ x: nx, y: ny });
-        nx += dir.dx;
-        ny += dir.dy;
-      }
+  /**
+   * 落子(x, y)将提走的棋子（需在落子前调用）
+   * @param {number} x
+   * @param {number} y
+   * @param {number} [player]
+   * @returns {Array<{x:number, y:number, player:number}>}
+   */
+  findCaptures(x, y, player = this.state.currentPlayer) {
+    return this.getRuleSet().findCaptures(this, x, y, player);
+  }
 
-      // 反向
-      nx = x - dir.dx;
-      ny = y - dir.dy;
-      const prepend = [];
-      while (this.state.isValidPosition(nx, ny) && board[ny][nx] === player) {
-        count += 1;
-        prepend.push({ x: nx, y: ny });
-        nx -= dir.dx;
-        ny -= dir.dy;
-      }
+  /**
+   * 某回合需落子数，由当前规则集决定
+   * @param {number} [turn]
+   * @returns {number}
+   */
+  getStonesForTurn(turn = this.state.turnNumber) {
+    return this.getRuleSet().getStonesForTurn(turn);
+  }
 
-      if (count >= 5) {
-        winLine.push(...prepend.reverse(), ...line);
-        return { isWin: true, winLine, direction: dir.name };
-      }
+  /**
+   * 沿指定方向统计经过(x, y)的连子
+   * @param {number} x
+   * @param {number} y
+   * @param {{dx:number, dy:number}} dir
+   * @param {number} player
+   * @returns {{count:number, line:Array<{x:number,y:number}>, blockedEnds:number}}
+   */
+  _scanRun(x, y, dir, player) {
+    const board = this.state.board;
+    const opponent = MathUtils.getOpponent(player);
+    const line = [{ x, y }];
+    let blockedEnds = 0;
+
+    // 正向
+    let nx = x + dir.dx;
+    let ny = y + dir.dy;
+    while (this.state.isValidPosition(nx, ny) && board[ny][nx] === player) {
+      line.push({ x: nx, y: ny });
+      nx += dir.dx;
+      ny += dir.dy;
+    }
+    if (this.state.isValidPosition(nx, ny) && board[ny][nx] === opponent) {
+      blockedEnds += 1;
     }
 
-    return { isWin: false };
+    // 反向
+    nx = x - dir.dx;
+    ny = y - dir.dy;
+    while (this.state.isValidPosition(nx, ny) && board[ny][nx] === player) {
+      line.unshift({ x: nx, y: ny });
+      nx -= dir.dx;
+      ny -= dir.dy;
+    }
+    if (this.state.isValidPosition(nx, ny) && board[ny][nx] === opponent) {
+      blockedEnds += 1;
+    }
+
+    return { count: line.length, line, blockedEnds };
+  }
+
+  /**
+   * 当前对局是否对黑棋启用禁手（规则集有禁手且设置中未关闭）
+   * @returns {boolean}
+   */
+  hasForbiddenMoves() {
+    return this.getRuleSet().hasForbidden && Boolean(this.state.settings.forbiddenRules);
   }
 
   /**
-   * 检测禁手（仅黑棋）
+   * 检测禁手（由当前规则集决定）
    * @param {number} x
    * @param {number} y
    * @param {number} player
    * @returns {{isForbidden: boolean, type?: string, details?: Object}}
    */
   detectForbidden(x, y, player = 1) {
-    if (player !== 1 || !this.state.settings.forbiddenRules) {
-      return { isForbidden: false };
+    return this.getRuleSet().detectForbidden(this, x, y, player);
+  }
+
+  /**
+   * 棋型分析：假定player在(x, y)落子，逐方向统计经过该点的四与活三，供威胁搜索使用
+   * 活三以能走成活四的延伸点判定，延伸点对该方是禁手时不计
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player
+   * @returns {Array<{direction:string, dx:number, dy:number, openFours:number, rushFours:number,
+   *   openThree:boolean, extensions:Array<{x:number, y:number}>}>}
+   */
+  analyzePatterns(x, y, player) {
+    const board = this.state.board;
+    const placed = board[y][x] === 0;
+    if (placed) board[y][x] = player;
+    const exactFive = this.getRuleSet().requiresExactFive(player);
+
+    try {
+      return MathUtils.BOARD_DIRECTIONS.map((dir) => {
+        const patterns = this._linePatterns(board, x, y, dir, player, exactFive);
+        const openFours = patterns.filter(item => item.type === LinePatterns.TYPES.OPEN_FOUR).length;
+        const rushFours = patterns.filter(item => item.type === LinePatterns.TYPES.FOUR).length;
+        const extensions = [];
+        if (openFours + rushFours === 0) {
+          this._threeExtensions(patterns).forEach((offset) => {
+            const nx = x + dir.dx * offset;
+            const ny = y + dir.dy * offset;
+            if (!extensions.some(point => point.x === nx && point.y === ny)
+              && !this.detectForbidden(nx, ny, player).isForbidden) {
+              extensions.push({ x: nx, y: ny });
+            }
+          });
+        }
+        return {
+          direction: dir.name,
+          dx: dir.dx,
+          dy: dir.dy,
+          openFours,
+          rushFours,
+          openThree: extensions.length > 0,
+          extensions
+        };
+      });
+    } finally {
+      if (placed) board[y][x] = 0;
     }
+  }
 
+  /**
+   * 连珠禁手判定（三三、四四、长连）
+   * 成五优先于任何禁手；活三须能走成活四，且该延伸点本身不是禁手（递归判定）
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player
+   * @param {number} [depth] - 当前递归层数
+   * @returns {{isForbidden: boolean, type?: string, details?: Object}}
+   */
+  _detectRenjuForbidden(x, y, player, depth = 0) {
     const board = this.state.board;
     if (board[y][x] !== 0) {
       return { isForbidden: true, type: 'position_occupied' };
@@ -100,16 +502,29 @@ class RuleEngine {
     board[y][x] = player;
 
     try {
-      const hasLongLine = MathUtils.hasLongLine(board, x, y, player);
-      if (hasLongLine) {
+      const makesFive = MathUtils.BOARD_DIRECTIONS.some(
+        dir => MathUtils.countDirection(board, x, y, dir.dx, dir.dy, player).count === 5
+      );
+      if (makesFive) {
+        return { isForbidden: false };
+      }
+
+      const longLineDir = MathUtils.BOARD_DIRECTIONS.find(
+        dir => MathUtils.countDirection(board, x, y, dir.dx, dir.dy, player).count >= 6
+      );
+      if (longLineDir) {
         return {
           isForbidden: true,
           type: 'long_line',
-          details: { direction: 'any', description: 'Overline detected (>=6)' }
+          details: {
+            direction: longLineDir.name,
+            description: 'Overline detected (>=6)',
+            lines: [this._scanRun(x, y, longLineDir, player).line]
+          }
         };
       }
 
-      const directionStats = this._analyzeDirections(board, x, y, player);
+      const directionStats = this._analyzeDirections(board, x, y, player, depth);
       const openThrees = directionStats.reduce((sum, item) => sum + item.openThrees, 0);
       const openFours = directionStats.reduce((sum, item) => sum + item.openFours, 0);
       const rushFours = directionStats.reduce((sum, item) => sum + item.rushFours, 0);
@@ -121,7 +536,8 @@ class RuleEngine {
           details: {
             openFours,
             rushFours,
-            directions: directionStats
+            directions: directionStats,
+            lines: this._collectEvidence(board, x, y, player, directionStats, item => item.openFours + item.rushFours)
           }
         };
       }
@@ -132,7 +548,8 @@ class RuleEngine {
           type: 'double_three',
           details: {
             openThrees,
-            directions: directionStats
+            directions: directionStats,
+            lines: this._collectEvidence(board, x, y, player, directionStats, item => item.openThrees)
           }
         };
       }
@@ -144,235 +561,154 @@ class RuleEngine {
   }
 
   /**
-   * 分析每个方向的棋型数据
+   * 分析每个方向的棋型数据（调用前(x, y)已落子）
    * @param {number[][]} board
    * @param {number} x
    * @param {number} y
    * @param {number} player
+   * @param {number} depth
    * @returns {Array<{direction:string, openThrees:number, openFours:number, rushFours:number}>}
    */
-  _analyzeDirections(board, x, y, player) {
+  _analyzeDirections(board, x, y, player, depth) {
     const result = [];
     for (const dir of MathUtils.BOARD_DIRECTIONS) {
-      const line = this._getLineArray(board, x, y, dir.dx, dir.dy, player);
-      const centerIndex = Math.floor(line.length / 2);
-      const openThrees = this._countOpenThrees(line, centerIndex);
-      const { openFours, rushFours } = this._countFours(line, centerIndex);
+      const { openFours, rushFours } = this._countFours(board, x, y, dir, player);
+      const hasFour = openFours + rushFours > 0;
+      const openThrees = !hasFour && this._hasTrueThree(board, x, y, dir, player, depth) ? 1 : 0;
       result.push({ direction: dir.name, openThrees, openFours, rushFours });
     }
     return result;
   }
 
   /**
-   * 获取指定方向的线性数组表示
+   * 收集构成禁手的各方向棋子，用作禁手判负时的盘面证据
    * @param {number[][]} board
    * @param {number} x
    * @param {number} y
-   * @param {number} dx
-   * @param {number} dy
    * @param {number} player
-   * @param {number} range
-   * @returns {number[]}
+   * @param {Array<Object>} directionStats
+   * @param {Function} counter - 返回该方向计入禁手的棋型数量
+   * @returns {Array<Array<{x:number,y:number}>>}
    */
-  _getLineArray(board, x, y, dx, dy, player, range = 6) {
-    const line = [];
-    const size = board.length;
-    for (let offset = -range; offset <= range; offset += 1) {
-      if (offset === 0) {
-        line.push(1);
-        continue;
-      }
-      const nx = x + dx * offset;
-      const ny = y + dy * offset;
-      if (!MathUtils.inBounds(nx, ny, size)) {
-        line.push(3);
-      } else if (board[ny][nx] === player) {
-        line.push(1);
-      } else if (board[ny][nx] === 0) {
-        line.push(0);
-      } else {
-        line.push(2);
+  _collectEvidence(board, x, y, player, directionStats, counter) {
+    const lines = [];
+    for (const dir of MathUtils.BOARD_DIRECTIONS) {
+      const stats = directionStats.find(item => item.direction === dir.name);
+      if (!stats || counter(stats) === 0) continue;
+
+      // 从落子点向两侧延伸，最多跨过一个空点
+      const offsets = [0];
+      for (const sign of [-1, 1]) {
+        let gaps = 0;
+        for (let step = 1; step <= 4; step += 1) {
+          const cell = this._cellAt(board, x, y, dir, step * sign);
+          if (cell === player) {
+            offsets.push(step * sign);
+          } else if (cell === 0 && gaps === 0) {
+            gaps += 1;
+          } else {
+            break;
+          }
+        }
       }
+
+      offsets.sort((a, b) => a - b);
+      lines.push(offsets.map(offset => ({ x: x + dir.dx * offset, y: y + dir.dy * offset })));
     }
-    return line;
+    return lines;
   }
 
   /**
-   * 统计开放三数量
-   * @param {number[]} line
-   * @param {number} centerIndex
-   * @returns {number}
+   * 读取沿方向偏移offset处的格子
+   * @returns {number} 0=空, 1=黑, 2=白, 3=棋盘外
    */
-  _countOpenThrees(line, centerIndex) {
-    // 活三的标准模式：
-    // 1. _XXX_ (01110) - 连续三子，两端开放
-    // 2. _XX_X_ (01101) - 跳一活三
-    // 3. _X_XX_ (01011) - 跳一活三
-    
-    const patterns = [
-      [0, 1, 1, 1, 0],       // 01110 连三
-      [0, 1, 1, 0, 1, 0],    // 011010 跳三
-      [0, 1, 0, 1, 1, 0]     // 010110 跳三
-    ];
-    
-    const foundThrees = new Set();
-    
-    for (const pattern of patterns) {
-      const patternLen = pattern.length;
-      
-      // 滑动窗口查找该模式
-      for (let start = 0; start <= line.length - patternLen; start += 1) {
-        const end = start + patternLen - 1;
-        
-        // 检查中心点是否在此窗口内
-        if (centerIndex < start || centerIndex > end) continue;
-        
-        const window = line.slice(start, end + 1);
-        
-        // 检查窗口是否匹配模式
-        let matches = true;
-        let piecePositions = [];
-        for (let i = 0; i < patternLen; i += 1) {
-          if (pattern[i] === 1 && window[i] !== 1) {
-            matches = false;
-            break;
-          }
-          if (pattern[i] === 0 && window[i] !== 0) {
-            matches = false;
-            break;
-          }
-          if (pattern[i] === 1) {
-            piecePositions.push(start + i);
-          }
-        }
-        
-        if (!matches) continue;
-        
-        // 使用棋子的实际位置作为去重key
-        const key = piecePositions.join(',');
-        if (!foundThrees.has(key)) {
-          foundThrees.add(key);
-        }
-      }
+  _cellAt(board, x, y, dir, offset) {
+    const nx = x + dir.dx * offset;
+    const ny = y + dir.dy * offset;
+    if (!MathUtils.inBounds(nx, ny, board.length)) {
+      return 3;
     }
-    
-    return foundThrees.size;
+    return board[ny][nx];
+  }
+
+  /**
+   * 经过(x, y)的直线棋型（调用前(x, y)已落子）
+   * @param {number[][]} board
+   * @param {number} x
+   * @param {number} y
+   * @param {{dx:number, dy:number}} dir
+   * @param {number} player
+   * @param {boolean} [exactFive]
+   * @returns {Array<{type:string, stones:number[], points:number[]}>} 下标相对(x, y)的偏移为 下标 - RADIUS
+   */
+  _linePatterns(board, x, y, dir, player, exactFive = true) {
+    const cells = LinePatterns.readLine(board, x, y, dir.dx, dir.dy, player);
+    return LinePatterns.through(cells, LinePatterns.RADIUS, exactFive);
   }
 
   /**
-   * 统计四的数量
-   * @param {number[]} line
-   * @param {number} centerIndex
+   * 活三（含跳三）走成活四的延伸点，以相对(x, y)的偏移表示
+   * @param {Array<{type:string, points:number[]}>} patterns - _linePatterns 的结果
+   * @returns {number[]}
+   */
+  _threeExtensions(patterns) {
+    const { OPEN_THREE, SPLIT_THREE } = LinePatterns.TYPES;
+    return patterns
+      .filter(item => item.type === OPEN_THREE || item.type === SPLIT_THREE)
+      .flatMap(item => item.points.map(index => index - LinePatterns.RADIUS));
+  }
+
+  /**
+   * 统计经过(x, y)的四：在该方向上再下一子即可恰好成五
+   * 补成五的点对应同一组四子时（如 _XXXX_）视为一个活四，否则每组各算一个冲四
+   * @param {number[][]} board
+   * @param {number} x
+   * @param {number} y
+   * @param {{dx:number, dy:number}} dir
+   * @param {number} player
    * @returns {{openFours:number, rushFours:number}}
    */
-  _countFours(line, centerIndex) {
-    // 活四的标准模式：
-    // 1. _XXXX_ (011110) - 连续四子，两端开放
-    // 2. _XXX_X_ (0111010) - 跳一活四
-    // 3. _XX_XX_ (0110110) - 跳一活四
-    // 4. _X_XXX_ (0101110) - 跳一活四
-    
-    // 冲四：一端被堵的四
-    // 1. XXXX_ 或 _XXXX (边界或对方棋子)
-    // 2. XXX_X_ 或 _X_XXX (跳四，一端被堵)
-    // 等等...
-    
-    const openFourPatterns = [
-      [0, 1, 1, 1, 1, 0],          // 011110 连四
-      [0, 1, 1, 1, 0, 1, 0],       // 0111010 跳四
-      [0, 1, 1, 0, 1, 1, 0],       // 0110110 跳四
-      [0, 1, 0, 1, 1, 1, 0]        // 0101110 跳四
-    ];
-    
-    const foundOpenFours = new Set();
-    const foundRushFours = new Set();
-    
-    // 检测活四
-    for (const pattern of openFourPatterns) {
-      const patternLen = pattern.length;
-      
-      for (let start = 0; start <= line.length - patternLen; start += 1) {
-        const end = start + patternLen - 1;
-        
-        if (centerIndex < start || centerIndex > end) continue;
-        
-        const window = line.slice(start, end + 1);
-        
-        let matches = true;
-        let piecePositions = [];
-        for (let i = 0; i < patternLen; i += 1) {
-          if (pattern[i] === 1 && window[i] !== 1) {
-            matches = false;
-            break;
-          }
-          if (pattern[i] === 0 && window[i] !== 0) {
-            matches = false;
-            break;
-          }
-          if (pattern[i] === 1) {
-            piecePositions.push(start + i);
-          }
-        }
-        
-        if (matches) {
-          const key = piecePositions.join(',');
-          foundOpenFours.add(key);
-        }
-      }
-    }
-    
-    // 检测冲四：寻找恰好4个己方棋子，且只有一端开放的情况
-    // 扫描5-7长度的窗口
-    for (let len = 5; len <= 7; len += 1) {
-      for (let start = 0; start <= line.length - len; start += 1) {
-        const end = start + len - 1;
-        
-        if (centerIndex < start || centerIndex > end) continue;
-        
-        const window = line.slice(start, end + 1);
-        
-        // 统计己方棋子
-        const pieces = window.filter(v => v === 1).length;
-        if (pieces !== 4) continue;
-        
-        // 检查是否包含对方棋子或边界
-        const hasOpponentOrBorder = window.some(v => v === 2 || v === 3);
-        if (!hasOpponentOrBorder) continue; // 如果没有被堵，可能是活四
-        
-        // 检查端点情况
-        const leftEnd = window[0];
-        const rightEnd = window[len - 1];
-        
-        // 冲四：一端是空，另一端是堵（对方棋子、边界）
-        const isRushFour = (leftEnd === 0 && (rightEnd === 2 || rightEnd === 3)) ||
-                           (rightEnd === 0 && (leftEnd === 2 || leftEnd === 3));
-        
-        if (isRushFour) {
-          // 提取棋子位置
-          const piecePositions = [];
-          for (let i = 0; i < len; i += 1) {
-            if (window[i] === 1) {
-              piecePositions.push(start + i);
-            }
-          }
-          
-          const key = piecePositions.join(',');
-          // 确保不与活四重复
-          if (!foundOpenFours.has(key)) {
-            foundRushFours.add(key);
-          }
-        }
-      }
+  _countFours(board, x, y, dir, player) {
+    const patterns = this._linePatterns(board, x, y, dir, player);
+    return {
+      openFours: patterns.filter(item => item.type === LinePatterns.TYPES.OPEN_FOUR).length,
+      rushFours: patterns.filter(item => item.type === LinePatterns.TYPES.FOUR).length
+    };
+  }
+
+  /**
+   * 判断经过(x, y)的方向上是否存在真活三：
+   * 存在一个延伸点，落子后形成经过(x, y)的活四，且该点对黑棋不是禁手
+   * @param {number[][]} board
+   * @param {number} x
+   * @param {number} y
+   * @param {{dx:number, dy:number}} dir
+   * @param {number} player
+   * @param {number} depth
+   * @returns {boolean}
+   */
+  _hasTrueThree(board, x, y, dir, player, depth) {
+    const offsets = this._threeExtensions(this._linePatterns(board, x, y, dir, player));
+    if (offsets.length === 0) return false;
+
+    // 超过递归深度时不再验证延伸点，按真活三处理
+    if (depth >= RuleEngine.FORBIDDEN_MAX_DEPTH) {
+      return true;
     }
-    
-    return { openFours: foundOpenFours.size, rushFours: foundRushFours.size };
+
+    return offsets.some(offset => !this._detectRenjuForbidden(
+      x + dir.dx * offset,
+      y + dir.dy * offset,
+      player,
+      depth + 1
+    ).isForbidden);
   }
 }
 
 RuleEngine.__moduleInfo = {
   name: 'RuleEngine',
   version: '2.0.0',
-  dependencies: ['GameState', 'MathUtils']
+  dependencies: ['GameState', 'RenjuOpening', 'MathUtils', 'LinePatterns']
 };
 
 if (typeof window !== 'undefined') {
@@ -0,0 +1,196 @@
+/**
+ * 威胁检测 - 基于RuleEngine的棋型分析，列出成五点、冲四点、活三点以及活三的防守点
+ * 供VCF / VCT搜索使用；所有判断都直接读取GameState的棋盘，临时落子在返回前恢复
+ */
+import MathUtils from '../utils/MathUtils.js';
+
+class ThreatDetector {
+  /**
+   * @param {GameState} gameState
+   * @param {RuleEngine} ruleEngine
+   */
+  constructor(gameState, ruleEngine) {
+    this.state = gameState;
+    this.rules = ruleEngine;
+  }
+
+  /**
+   * 经过给定棋子的直线上，player再下一子即可获胜的空点
+   * @param {number} player
+   * @param {Array<{x:number, y:number}>} [stones] - 缺省为player的全部棋子
+   * @returns {Array<{x:number, y:number}>}
+   */
+  findFivePoints(player, stones = this.stonesOf(player)) {
+    const board = this.state.board;
+    const points = [];
+    const seen = new Set();
+
+    for (const stone of stones) {
+      for (const dir of MathUtils.BOARD_DIRECTIONS) {
+        for (let offset = -4; offset <= 4; offset += 1) {
+          const x = stone.x + dir.dx * offset;
+          const y = stone.y + dir.dy * offset;
+          if (!MathUtils.inBounds(x, y, board.length) || board[y][x] !== 0) continue;
+          const key = y * board.length + x;
+          if (seen.has(key)) continue;
+          seen.add(key);
+          if (this.rules.checkWin(x, y, player).isWin) {
+            points.push({ x, y });
+          }
+        }
+      }
+    }
+
+    return points;
+  }
+
+  /**
+   * 落子后能成四的点（排除禁手点），活四优先，其次是周围己方棋子多的点
+   * @param {number} player
+   * @returns {Array<{x:number, y:number, type:string, completions:number, support:number}>}
+   */
+  findFourMoves(player) {
+    return this.findThreatMoves(player, false);
+  }
+
+  /**
+   * 落子后成四或成活三的点（排除禁手点），四在前且成五点多的优先，同类按周围己方棋子数排序
+   * @param {number} player
+   * @param {boolean} [includeThrees]
+   * @returns {Array<{x:number, y:number, type:string, completions:number, support:number}>}
+   *   type 为 four | three，completions 为成四后的成五点数
+   */
+  findThreatMoves(player, includeThrees = true) {
+    const board = this.state.board;
+    const size = board.length;
+    const moves = [];
+    const minLine = includeThrees ? 2 : 3;
+
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        if (board[y][x] !== 0) continue;
+        let support = 0;
+        let maxLine = 0;
+        for (const dir of MathUtils.BOARD_DIRECTIONS) {
+          const line = this.countLine(x, y, dir, player);
+          maxLine = Math.max(maxLine, line);
+          support += line;
+        }
+        // 成四需要同一条线上5格内已有三枚己方棋子，成活三需要两枚
+        if (maxLine < minLine) continue;
+
+        let type = null;
+        let completions = 0;
+        if (maxLine >= 3) {
+          board[y][x] = player;
+          completions = this.findFivePoints(player, [{ x, y }]).length;
+          board[y][x] = 0;
+          if (completions > 0) type = 'four';
+        }
+        if (!type && includeThrees && this.rules.analyzePatterns(x, y, player).some(item => item.openThree)) {
+          type = 'three';
+        }
+        if (!type || this.rules.detectForbidden(x, y, player).isForbidden) continue;
+        moves.push({ x, y, type, completions, support });
+      }
+    }
+
+    return moves.sort((a, b) => {
+      if (a.type !== b.type) return a.type === 'four' ? -1 : 1;
+      return b.completions - a.completions || b.support - a.support;
+    });
+  }
+
+  /**
+   * 已落下的活三(x, y)的防守点：该线上落子后活三不再能走成活四的空点
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player - 活三一方
+   * @returns {Array<{x:number, y:number}>}
+   */
+  findThreeDefences(x, y, player) {
+    const board = this.state.board;
+    const opponent = MathUtils.getOpponent(player);
+    const defences = [];
+
+    this.rules.analyzePatterns(x, y, player).forEach((pattern, index) => {
+      if (!pattern.openThree) return;
+      for (let offset = -4; offset <= 4; offset += 1) {
+        const nx = x + pattern.dx * offset;
+        const ny = y + pattern.dy * offset;
+        if (offset === 0 || !MathUtils.inBounds(nx, ny, board.length) || board[ny][nx] !== 0) continue;
+        if (defences.some(point => point.x === nx && point.y === ny)) continue;
+
+        board[ny][nx] = opponent;
+        const stillOpen = this.rules.analyzePatterns(x, y, player)[index].openThree;
+        board[ny][nx] = 0;
+        if (!stillOpen) defences.push({ x: nx, y: ny });
+      }
+    });
+
+    return defences;
+  }
+
+  /**
+   * (x, y)所在直线上，含该点的5格窗口中己方棋子数的最大值（窗口内不能有对方棋子）
+   * @param {number} x
+   * @param {number} y
+   * @param {{dx:number, dy:number}} dir
+   * @param {number} player
+   * @returns {number}
+   */
+  countLine(x, y, dir, player) {
+    const board = this.state.board;
+    let best = 0;
+    for (let start = -4; start <= 0; start += 1) {
+      let count = 0;
+      let blocked = false;
+      for (let offset = start; offset < start + 5; offset += 1) {
+        const nx = x + dir.dx * offset;
+        const ny = y + dir.dy * offset;
+        if (!MathUtils.inBounds(nx, ny, board.length)) {
+          blocked = true;
+          break;
+        }
+        const cell = board[ny][nx];
+        if (cell === player) {
+          count += 1;
+        } else if (cell !== 0) {
+          blocked = true;
+          break;
+        }
+      }
+      if (!blocked) best = Math.max(best, count);
+    }
+    return best;
+  }
+
+  /**
+   * @param {number} player
+   * @returns {Array<{x:number, y:number}>}
+   */
+  stonesOf(player) {
+    const stones = [];
+    this.state.board.forEach((row, y) => row.forEach((cell, x) => {
+      if (cell === player) stones.push({ x, y });
+    }));
+    return stones;
+  }
+}
+
+ThreatDetector.__moduleInfo = {
+  name: 'ThreatDetector',
+  version: '2.0.0',
+  dependencies: ['GameState', 'RuleEngine', 'MathUtils']
+};
+
+if (typeof window !== 'undefined') {
+  window.ThreatDetector = ThreatDetector;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: ThreatDetector.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThreatDetector;
+}
+
+export default ThreatDetector;
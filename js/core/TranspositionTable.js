@@ -0,0 +1,90 @@
+/**
+ * 置换表 - 缓存搜索过的局面，由各搜索策略共用
+ * 以Zobrist哈希为键，记录剩余搜索深度、分数的界类型与该局面的最佳着法；
+ * 最佳着法在再次搜索（包括迭代加深的下一层）时优先展开，提高剪枝效率
+ */
+class TranspositionTable {
+  static EXACT = 'exact';
+
+  static LOWER = 'lower'; // 分数是下界（发生beta剪枝）
+
+  static UPPER = 'upper'; // 分数是上界（所有着法都不超过alpha）
+
+  static MAX_ENTRIES = 1 << 18;
+
+  constructor(maxEntries = TranspositionTable.MAX_ENTRIES) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.boardSize = null;
+    this.ruleSet = null;
+    this.hits = 0;
+  }
+
+  /**
+   * 换用其他尺寸的棋盘或规则集时清空（不同尺寸的哈希键表不同，不同规则集的棋型分数不同）
+   * @param {number} size
+   * @param {string|null} [ruleSet]
+   */
+  ensureContext(size, ruleSet = null) {
+    if (this.boardSize !== size || this.ruleSet !== ruleSet) {
+      this.clear();
+      this.boardSize = size;
+      this.ruleSet = ruleSet;
+    }
+  }
+
+  /**
+   * @param {number} key
+   * @returns {{depth:number, score:number, flag:string, move:{x:number, y:number}|null}|undefined}
+   */
+  probe(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.hits += 1;
+    }
+    return entry;
+  }
+
+  /**
+   * 写入一个局面；已有更深的结果时保留原记录
+   * @param {number} key
+   * @param {number} depth - 剩余搜索深度
+   * @param {number} score
+   * @param {string} flag - EXACT | LOWER | UPPER
+   * @param {{x:number, y:number}|null} move
+   */
+  store(key, depth, score, flag, move) {
+    const existing = this.entries.get(key);
+    if (existing && existing.depth > depth) return;
+    if (!existing && this.entries.size >= this.maxEntries) {
+      this.entries.clear();
+    }
+    this.entries.set(key, { depth, score, flag, move });
+  }
+
+  clear() {
+    this.entries.clear();
+    this.hits = 0;
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+TranspositionTable.__moduleInfo = {
+  name: 'TranspositionTable',
+  version: '2.0.0',
+  dependencies: []
+};
+
+if (typeof window !== 'undefined') {
+  window.TranspositionTable = TranspositionTable;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: TranspositionTable.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TranspositionTable;
+}
+
+export default TranspositionTable;
@@ -0,0 +1,172 @@
+/**
+ * VCF求解器 - 搜索连续冲四取胜（Victory by Continuous Fours）
+ * 进攻方每一手都必须成四，防守方只能挡在唯一的成五点上；进攻方走出活四、双四，
+ * 或防守方（黑棋）的挡点是禁手时即为胜局。防守方一旦有成五点，进攻即告失败。
+ * 成五、禁手均由RuleEngine按当前规则集判定，因此黑棋的VCF不会用到禁手点。
+ * 搜索直接在GameState的棋盘上落子并在返回前恢复，利用其Zobrist哈希记录已证明失败的局面
+ */
+import MathUtils from '../utils/MathUtils.js';
+import ThreatDetector from './ThreatDetector.js';
+
+class VCFSolver {
+  static MAX_DEPTH = 12; // 进攻方最多连续冲四的手数
+
+  static MAX_NODES = 20000;
+
+  /**
+   * @param {GameState} gameState
+   * @param {RuleEngine} ruleEngine
+   */
+  constructor(gameState, ruleEngine) {
+    this.state = gameState;
+    this.rules = ruleEngine;
+    this.detector = new ThreatDetector(gameState, ruleEngine);
+    this.nodes = 0;
+    this.failed = new Map(); // 局面哈希 -> 已证明失败的剩余深度
+  }
+
+  /**
+   * 提子规则与每回合多子的规则下冲四不再是绝对先手，不做VCF搜索
+   * @returns {boolean}
+   */
+  isSupported() {
+    const ruleSet = this.rules.getRuleSet();
+    return ruleSet.capturesToWin === 0 && ruleSet.getStonesForTurn(1) === 1;
+  }
+
+  /**
+   * 搜索player的VCF，假定轮到player落子
+   * @param {number} player
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth] - 进攻方最多手数
+   * @param {number} [options.maxNodes]
+   * @param {number} [options.deadline] - 截止时间戳（毫秒）
+   * @returns {{winner:number, sequence:Array<{x:number, y:number, player:number}>}|null}
+   *   sequence 为双方交替的着法，最后一手是进攻方成五；找不到或超出限制时返回null
+   */
+  solve(player, options = {}) {
+    if (!this.isSupported()) return null;
+
+    const maxDepth = options.maxDepth || VCFSolver.MAX_DEPTH;
+    this.maxNodes = options.maxNodes || VCFSolver.MAX_NODES;
+    this.deadline = options.deadline || null;
+    this.nodes = 0;
+    this.failed.clear();
+
+    const opponent = MathUtils.getOpponent(player);
+    const five = this.detector.findFivePoints(player)[0];
+    if (five) {
+      return { winner: player, sequence: [{ x: five.x, y: five.y, player }] };
+    }
+
+    const threats = this.detector.findFivePoints(opponent);
+    const sequence = this._attack(player, maxDepth, threats);
+    return sequence ? { winner: player, sequence } : null;
+  }
+
+  /**
+   * 对手有VCF时，找出能破解它的落子点：对手VCF中的进攻点与挡点逐一试下，落子后对手不再有VCF的即为解
+   * @param {number} player - 防守方，假定轮到其落子
+   * @param {Object} [options] - 同 solve
+   * @returns {{threat:Object, defences:Array<{x:number, y:number}>}|null} 对手没有VCF时返回null
+   */
+  findDefences(player, options = {}) {
+    const opponent = MathUtils.getOpponent(player);
+    const threat = this.solve(opponent, options);
+    if (!threat) return null;
+
+    const points = [];
+    threat.sequence.forEach(({ x, y }) => {
+      if (!points.some(point => point.x === x && point.y === y)) {
+        points.push({ x, y });
+      }
+    });
+
+    const defences = points.filter(({ x, y }) => {
+      if (this.state.board[y][x] !== 0) return false;
+      if (this.rules.detectForbidden(x, y, player).isForbidden) return false;
+      this.state.setPiece(x, y, player);
+      try {
+        return !this.solve(opponent, options);
+      } finally {
+        this.state.setPiece(x, y, 0);
+      }
+    });
+    return { threat, defences };
+  }
+
+  /**
+   * @param {number} player - 进攻方
+   * @param {number} depth - 剩余手数
+   * @param {Array<{x:number, y:number}>} threats - 防守方可能的成五点
+   * @returns {Array<{x:number, y:number, player:number}>|null}
+   */
+  _attack(player, depth, threats) {
+    if (depth <= 0 || this._isExhausted()) return null;
+    const key = this.state.getHash();
+    if ((this.failed.get(key) ?? -1) >= depth) return null;
+    this.nodes += 1;
+
+    const opponent = MathUtils.getOpponent(player);
+    for (const { x, y } of this.detector.findFourMoves(player)) {
+      this.state.setPiece(x, y, player);
+      try {
+        // 冲四未挡住防守方的成五点，对方直接获胜
+        if (threats.some(point => this.state.board[point.y][point.x] === 0)) continue;
+
+        const completions = this.detector.findFivePoints(player, [{ x, y }]);
+        if (completions.length === 0) continue;
+
+        const attack = { x, y, player };
+        if (completions.length >= 2) {
+          const [block, win] = completions;
+          return [attack, { x: block.x, y: block.y, player: opponent }, { x: win.x, y: win.y, player }];
+        }
+
+        const [block] = completions;
+        if (this.rules.detectForbidden(block.x, block.y, opponent).isForbidden) {
+          // 黑棋无法在禁手点上防守
+          return [attack, { x: block.x, y: block.y, player }];
+        }
+
+        this.state.setPiece(block.x, block.y, opponent);
+        try {
+          const counterThreats = threats.concat(this.detector.findFivePoints(opponent, [block]));
+          const rest = this._attack(player, depth - 1, counterThreats);
+          if (rest) {
+            return [attack, { x: block.x, y: block.y, player: opponent }, ...rest];
+          }
+        } finally {
+          this.state.setPiece(block.x, block.y, 0);
+        }
+      } finally {
+        this.state.setPiece(x, y, 0);
+      }
+      if (this._isExhausted()) return null;
+    }
+
+    this.failed.set(key, depth);
+    return null;
+  }
+
+  _isExhausted() {
+    return this.nodes >= this.maxNodes || (this.deadline !== null && Date.now() >= this.deadline);
+  }
+}
+
+VCFSolver.__moduleInfo = {
+  name: 'VCFSolver',
+  version: '2.0.0',
+  dependencies: ['GameState', 'RuleEngine', 'ThreatDetector', 'MathUtils']
+};
+
+if (typeof window !== 'undefined') {
+  window.VCFSolver = VCFSolver;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: VCFSolver.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VCFSolver;
+}
+
+export default VCFSolver;
@@ -0,0 +1,205 @@
+/**
+ * VCT求解器 - 搜索连续威胁取胜（Victory by Continuous Threats）
+ * 进攻方每手走冲四或活三：冲四只能挡在成五点，活三须挡在其防守点上（ThreatDetector.findThreeDefences），
+ * 防守方也可以先反冲四，进攻方挡住后防守方仍须应对原来的活三。每个进攻节点先做VCF子搜索，
+ * 所有防守都被证明失败时该手成立。搜索受进攻手数、节点数与截止时间限制，超出时视为未找到
+ */
+import MathUtils from '../utils/MathUtils.js';
+import ThreatDetector from './ThreatDetector.js';
+import VCFSolver from './VCFSolver.js';
+
+class VCTSolver {
+  static MAX_DEPTH = 4; // 进攻方最多走出的威胁手数（不含VCF部分）
+
+  static VCF_DEPTH = 8; // 每个进攻节点内VCF子搜索的深度
+
+  static MAX_NODES = 2000; // 进攻节点数（含只做VCF子搜索的叶节点）
+
+  static MAX_COUNTER_FOURS = 2; // 应对同一个活三时防守方最多连续反冲四的次数
+
+  /**
+   * @param {GameState} gameState
+   * @param {RuleEngine} ruleEngine
+   */
+  constructor(gameState, ruleEngine) {
+    this.state = gameState;
+    this.rules = ruleEngine;
+    this.detector = new ThreatDetector(gameState, ruleEngine);
+    this.vcf = new VCFSolver(gameState, ruleEngine);
+    this.nodes = 0;
+    this.failed = new Map(); // 局面哈希 -> 已证明失败的剩余深度
+  }
+
+  /**
+   * @returns {boolean}
+   */
+  isSupported() {
+    return this.vcf.isSupported();
+  }
+
+  /**
+   * 搜索player的VCT，假定轮到player落子
+   * @param {number} player
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth] - 进攻方最多威胁手数
+   * @param {number} [options.maxNodes]
+   * @param {number} [options.deadline] - 截止时间戳（毫秒）
+   * @returns {{winner:number, sequence:Array<{x:number, y:number, player:number}>}|null}
+   *   sequence 为一条双方交替的主变化，最后一手是进攻方成五；找不到或超出限制时返回null
+   */
+  solve(player, options = {}) {
+    if (!this.isSupported()) return null;
+
+    const maxDepth = options.maxDepth || VCTSolver.MAX_DEPTH;
+    this.maxNodes = options.maxNodes || VCTSolver.MAX_NODES;
+    this.deadline = options.deadline || null;
+    this.nodes = 0;
+    this.failed.clear();
+
+    const sequence = this._attack(player, maxDepth);
+    return sequence ? { winner: player, sequence } : null;
+  }
+
+  /**
+   * 进攻方落子
+   * @param {number} player - 进攻方
+   * @param {number} depth - 剩余威胁手数
+   * @returns {Array<{x:number, y:number, player:number}>|null}
+   */
+  _attack(player, depth) {
+    if (this._isExhausted()) return null;
+    this.nodes += 1;
+    const vcf = this.vcf.solve(player, {
+      maxDepth: VCTSolver.VCF_DEPTH,
+      maxNodes: VCFSolver.MAX_NODES,
+      deadline: this.deadline
+    });
+    if (vcf) return vcf.sequence;
+    if (depth <= 0) return null;
+
+    const key = this.state.getHash();
+    if ((this.failed.get(key) ?? -1) >= depth) return null;
+
+    const opponent = MathUtils.getOpponent(player);
+    // 防守方有成五点时只有冲四能继续，已由VCF覆盖
+    if (this.detector.findFivePoints(opponent).length > 0) {
+      this.failed.set(key, depth);
+      return null;
+    }
+
+    for (const move of this.detector.findThreatMoves(player)) {
+      const attack = { x: move.x, y: move.y, player };
+      this.state.setPiece(move.x, move.y, player);
+      try {
+        let rest = null;
+        if (move.type === 'four') {
+          const [block] = this.detector.findFivePoints(player, [move]);
+          this.state.setPiece(block.x, block.y, opponent);
+          try {
+            const sub = this._attack(player, depth - 1);
+            rest = sub && [{ x: block.x, y: block.y, player: opponent }, ...sub];
+          } finally {
+            this.state.setPiece(block.x, block.y, 0);
+          }
+        } else {
+          rest = this._defend(player, move, depth, VCTSolver.MAX_COUNTER_FOURS);
+        }
+        if (rest) return [attack, ...rest];
+      } finally {
+        this.state.setPiece(move.x, move.y, 0);
+      }
+      if (this._isExhausted()) return null;
+    }
+
+    this.failed.set(key, depth);
+    return null;
+  }
+
+  /**
+   * 防守方应对活三(three)：逐一尝试防守点与反冲四，全部失败时返回其中一条变化
+   * @param {number} player - 进攻方
+   * @param {{x:number, y:number}} three - 进攻方刚走出的活三
+   * @param {number} depth
+   * @param {number} counterFours - 剩余可反冲四次数
+   * @returns {Array<{x:number, y:number, player:number}>|null}
+   */
+  _defend(player, three, depth, counterFours) {
+    const opponent = MathUtils.getOpponent(player);
+    if (this.detector.findFivePoints(opponent).length > 0) return null;
+
+    const fives = this.detector.findFivePoints(player);
+    if (fives.length >= 2) {
+      return [{ x: fives[0].x, y: fives[0].y, player: opponent }, { x: fives[1].x, y: fives[1].y, player }];
+    }
+
+    let replies = fives;
+    if (fives.length === 0) {
+      const defences = this.detector.findThreeDefences(three.x, three.y, player);
+      if (defences.length === 0) return null;
+      // 反冲四在前：能走成活四的反击可以最快推翻进攻
+      replies = counterFours > 0 ? this.detector.findFourMoves(opponent) : [];
+      defences.forEach((point) => {
+        if (!replies.some(move => move.x === point.x && move.y === point.y)) {
+          replies.push(point);
+        }
+      });
+    }
+
+    let line = null;
+    let tried = 0;
+    for (const { x, y } of replies) {
+      if (this.rules.detectForbidden(x, y, opponent).isForbidden) continue;
+      tried += 1;
+      const reply = { x, y, player: opponent };
+      this.state.setPiece(x, y, opponent);
+      try {
+        let branch;
+        const counter = this.detector.findFivePoints(opponent, [reply]);
+        if (counter.length >= 2) return null;
+        if (counter.length === 1) {
+          const [block] = counter;
+          if (this.rules.detectForbidden(block.x, block.y, player).isForbidden) return null;
+          this.state.setPiece(block.x, block.y, player);
+          try {
+            const sub = this._defend(player, three, depth, counterFours - 1);
+            if (!sub) return null;
+            branch = [reply, { x: block.x, y: block.y, player }, ...sub];
+          } finally {
+            this.state.setPiece(block.x, block.y, 0);
+          }
+        } else {
+          const sub = this._attack(player, depth - 1);
+          if (!sub) return null;
+          branch = [reply, ...sub];
+        }
+        line = line || branch;
+      } finally {
+        this.state.setPiece(x, y, 0);
+      }
+      if (this._isExhausted()) return null;
+    }
+    // 防守点全是禁手时黑棋无从防守，进攻方直接继续
+    return tried > 0 ? line : this._attack(player, depth - 1);
+  }
+
+  _isExhausted() {
+    return this.nodes >= this.maxNodes || (this.deadline !== null && Date.now() >= this.deadline);
+  }
+}
+
+VCTSolver.__moduleInfo = {
+  name: 'VCTSolver',
+  version: '2.0.0',
+  dependencies: ['GameState', 'RuleEngine', 'ThreatDetector', 'VCFSolver', 'MathUtils']
+};
+
+if (typeof window !== 'undefined') {
+  window.VCTSolver = VCTSolver;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: VCTSolver.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = VCTSolver;
+}
+
+export default VCTSolver;
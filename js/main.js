@@ -7,11 +7,13 @@ import GameState from './core/GameState.js';
 import RuleEngine from './core/RuleEngine.js';
 import AIEngine from './core/AIEngine.js';
 import ModeManager from './core/ModeManager.js';
+import GameClock from './core/GameClock.js';
 import CanvasRenderer from './ui/CanvasRenderer.js';
 import HudPanel from './ui/HudPanel.js';
 import DialogManager from './ui/DialogManager.js';
 import SaveLoadService from './services/SaveLoadService.js';
 import ReplayService from './services/ReplayService.js';
+import OpeningBookLoader from './services/OpeningBookLoader.js';
 import ModuleRegistry from './services/ModuleRegistry.js';
 
 class GomokuApp {
@@ -33,7 +35,12 @@ class GomokuApp {
   _initCore() {
     this.gameState = new GameState(this.eventBus);
     this.ruleEngine = new RuleEngine(this.gameState, this.eventBus);
-    this.aiEngine = new AIEngine(this.gameState, this.ruleEngine, this.eventBus);
+    this.gameClock = new GameClock(this.gameState, this.eventBus);
+    this.aiEngine = new AIEngine(this.gameState, this.ruleEngine, this.eventBus, this.gameClock);
+    // 浏览器支持模块Worker时在后台线程搜索，不支持时自动退回主线程
+    this.aiEngine.useWorker(new URL('./core/AIWorker.js', import.meta.url));
+    // 以 type 'ai-strategy' 注册到 moduleRegistry 的模块自动成为可选难度
+    this.aiEngine.attachRegistry(this.moduleRegistry);
     this.modeManager = new ModeManager(
       this.gameState,
       this.aiEngine,
@@ -41,11 +48,11 @@ class GomokuApp {
       this.eventBus
     );
 
-    this._registerModules([this.gameState, this.ruleEngine, this.aiEngine, this.modeManager]);
+    this._registerModules([this.gameState, this.ruleEngine, this.gameClock, this.aiEngine, this.modeManager]);
   }
 
   _initUI() {
-    this.renderer = new CanvasRenderer('game-board', this.gameState, this.eventBus);
+    this.renderer = new CanvasRenderer('game-board', this.gameState, this.eventBus, this.ruleEngine);
     this.hudPanel = new HudPanel(this.gameState, this.eventBus);
     this.dialogManager = new DialogManager(this.eventBus);
 
@@ -61,17 +68,30 @@ class GomokuApp {
         return;
       }
 
-      if (this.gameState.mode === 'PvE') {
-        const playerSide = this.gameState.settings.playerSide;
-        if (this.gameState.currentPlayer !== playerSide) {
-          this.hudPanel.showMessage('Waiting for AI...', 'info', 1000);
+      if (this.modeManager.isOpeningActive() && this.gameState.opening.phase === 'choose') {
+        const opening = this.gameState.opening;
+        const option = `${pos.x},${pos.y}`;
+        // 选定第五手时也可直接点击棋盘上的打点
+        if (opening.decision === 'fifth' && opening.controllers[opening.chooser] === 'human'
+          && opening.options.includes(option)) {
+          this.modeManager.chooseOpening(option);
           return;
         }
+        this.hudPanel.showMessage('Opening choice pending', 'info', 1000);
+        return;
+      }
+
+      if (this.gameState.mode === 'PvE' && this.modeManager.shouldAIMove()) {
+        this.hudPanel.showMessage('Waiting for AI...', 'info', 1000);
+        return;
       }
 
       this.modeManager.handleMove(pos.x, pos.y);
     });
 
+    this.eventBus.on('opening:choose', (data) => this.modeManager.chooseOpening(data.option));
+    this.eventBus.on('draw:respond', (data) => this.modeManager.respondToDraw(data.accept));
+
     this.eventBus.on('mode:changed', (data) => {
       const mode = data && data.mode ? data.mode : this.gameState.mode;
       this._updateModeButtons(mode);
@@ -85,7 +105,12 @@ class GomokuApp {
     this.saveLoadService = new SaveLoadService(this.gameState, this.eventBus);
     this.replayService = new ReplayService(this.gameState, this.eventBus, this.modeManager);
 
+    // 本地存档中的对局并入AI开局库
+    OpeningBookLoader.fromGames(this.saveLoadService.getAutoSaves())
+      .forEach(book => this.aiEngine.mergeOpeningBook(book));
+
     this._registerModules([this.saveLoadService, this.replayService]);
+    this.moduleRegistry.register(OpeningBookLoader.__moduleInfo);
   }
 
   _registerModules(instances) {
@@ -111,15 +136,40 @@ class GomokuApp {
   _bindControls() {
     const newGameBtn = document.getElementById('new-game-btn');
     const undoBtn = document.getElementById('undo-btn');
+    const redoBtn = document.getElementById('redo-btn');
     const hintBtn = document.getElementById('hint-btn');
+    const drawBtn = document.getElementById('draw-btn');
+    const resignBtn = document.getElementById('resign-btn');
     const saveBtn = document.getElementById('save-btn');
     const loadBtn = document.getElementById('load-btn');
     const replayBtn = document.getElementById('replay-btn');
     const exportBtn = document.getElementById('export-btn');
+    const variationButtons = {
+      back: document.getElementById('variation-back-btn'),
+      forward: document.getElementById('variation-forward-btn'),
+      switch: document.getElementById('variation-switch-btn'),
+      promote: document.getElementById('variation-promote-btn'),
+      delete: document.getElementById('variation-delete-btn')
+    };
+    const moveNumbersToggle = document.getElementById('move-numbers-toggle');
+
+    this.ruleSetSelect = document.getElementById('rule-set-select');
+    this.forbiddenLosesToggle = document.getElementById('forbidden-loses-toggle');
+    this.openingSelect = document.getElementById('opening-select');
+    this.restrictionSelect = document.getElementById('opening-restriction-select');
+    this.timeControlSelect = document.getElementById('time-control-select');
+    this.moveLimitSelect = document.getElementById('move-limit-select');
+    this.boardSizeSelect = document.getElementById('board-size-select');
+    this.boardSizeInput = document.getElementById('board-size-input');
 
     this.modePvPBtn = document.getElementById('mode-pvp-btn');
     this.modePvEBtn = document.getElementById('mode-pve-btn');
     this.modeEvEBtn = document.getElementById('mode-eve-btn');
+    this.modeAnalysisBtn = document.getElementById('mode-analysis-btn');
+    this.aiSelects = {
+      1: document.getElementById('black-ai-select'),
+      2: document.getElementById('white-ai-select')
+    };
 
     if (newGameBtn) {
       newGameBtn.addEventListener('click', () => this.startNewGame());
@@ -129,10 +179,22 @@ class GomokuApp {
       undoBtn.addEventListener('click', () => this.undo());
     }
 
+    if (redoBtn) {
+      redoBtn.addEventListener('click', () => this.redo());
+    }
+
     if (hintBtn) {
       hintBtn.addEventListener('click', () => this.requestHint());
     }
 
+    if (drawBtn) {
+      drawBtn.addEventListener('click', () => this.offerDraw());
+    }
+
+    if (resignBtn) {
+      resignBtn.addEventListener('click', () => this.resign());
+    }
+
     if (saveBtn) {
       saveBtn.addEventListener('click', () => this.save());
     }
@@ -149,24 +211,142 @@ class GomokuApp {
       exportBtn.addEventListener('click', () => this.export());
     }
 
+    Object.entries(variationButtons).forEach(([action, button]) => {
+      if (button) {
+        button.addEventListener('click', () => this.navigateVariation(action));
+      }
+    });
+
+    if (moveNumbersToggle) {
+      moveNumbersToggle.addEventListener('change', () => this.renderer.setShowMoveNumbers(moveNumbersToggle.checked));
+    }
+
     if (this.modePvPBtn) {
       this.modePvPBtn.addEventListener('click', () => this.changeMode('PvP'));
     }
 
     if (this.modePvEBtn) {
-      this.modePvEBtn.addEventListener('click', () => this.changeMode('PvE', { aiDifficulty: 'NORMAL', playerSide: 1 }));
+      this.modePvEBtn.addEventListener('click', () => this.changeMode('PvE', this._aiModeOptions('PvE')));
     }
 
     if (this.modeEvEBtn) {
-      this.modeEvEBtn.addEventListener('click', () => this.changeMode('EvE', { blackAI: 'NORMAL', whiteAI: 'HARD' }));
+      this.modeEvEBtn.addEventListener('click', () => this.changeMode('EvE', this._aiModeOptions('EvE')));
+    }
+
+    if (this.modeAnalysisBtn) {
+      this.modeAnalysisBtn.addEventListener('click', () => this.enterAnalysis());
+    }
+
+    [1, 2].forEach((player) => {
+      const select = this.aiSelects[player];
+      if (!select) return;
+      select.addEventListener('change', () => {
+        const mode = this.gameState.mode;
+        const aiSide = this.gameState.settings.playerSide === 1 ? 2 : 1;
+        if (mode === 'EvE' || (mode === 'PvE' && player === aiSide)) {
+          this.changeMode(mode, this._aiModeOptions(mode));
+        }
+      });
+    });
+    this._populateAISelects();
+    this.eventBus.on('ai:strategyRegistered', () => this._populateAISelects());
+    this.eventBus.on('ai:strategyUnregistered', () => this._populateAISelects());
+    this.eventBus.on('ai:difficultyChanged', (data) => {
+      const select = this.aiSelects[data.player];
+      if (select) select.value = data.level;
+    });
+
+    if (this.ruleSetSelect) {
+      this.ruleSetSelect.value = this.gameState.settings.ruleSet;
+      this.ruleSetSelect.addEventListener('change', () => this.changeRuleSet(this.ruleSetSelect.value));
+      const syncRuleSet = (snapshot) => {
+        this.ruleSetSelect.value = snapshot.settings.ruleSet;
+      };
+      this.eventBus.on('state:reset', syncRuleSet);
+      this.eventBus.on('state:restored', syncRuleSet);
+    }
+
+    if (this.forbiddenLosesToggle) {
+      this.forbiddenLosesToggle.checked = this.gameState.settings.forbiddenMoveLoses;
+      this.forbiddenLosesToggle.addEventListener('change', () => {
+        this.modeManager.setForbiddenMoveLoses(this.forbiddenLosesToggle.checked);
+      });
+      const syncToggle = (snapshot) => {
+        this.forbiddenLosesToggle.checked = snapshot.settings.forbiddenMoveLoses;
+      };
+      this.eventBus.on('state:reset', syncToggle);
+      this.eventBus.on('state:restored', syncToggle);
+    }
+
+    if (this.openingSelect) {
+      this.openingSelect.value = this.gameState.settings.openingProtocol;
+      this.openingSelect.addEventListener('change', () => this.changeOpeningProtocol(this.openingSelect.value));
+      const syncOpening = (snapshot) => {
+        this.openingSelect.value = snapshot.settings.openingProtocol;
+      };
+      this.eventBus.on('state:reset', syncOpening);
+      this.eventBus.on('state:restored', syncOpening);
+    }
+
+    if (this.restrictionSelect) {
+      this.restrictionSelect.value = this.gameState.settings.openingRestriction;
+      this.restrictionSelect.addEventListener('change', () => this.changeOpeningRestriction(this.restrictionSelect.value));
+      const syncRestriction = (snapshot) => {
+        this.restrictionSelect.value = snapshot.settings.openingRestriction;
+      };
+      this.eventBus.on('state:reset', syncRestriction);
+      this.eventBus.on('state:restored', syncRestriction);
     }
 
+    if (this.timeControlSelect) {
+      const syncTimeControl = (snapshot) => {
+        this.timeControlSelect.value = GameClock.findPreset(snapshot.settings.timeControl) || 'NONE';
+      };
+      syncTimeControl(this.gameState);
+      this.timeControlSelect.addEventListener('change', () => this.changeTimeControl(this.timeControlSelect.value));
+      this.eventBus.on('state:reset', syncTimeControl);
+      this.eventBus.on('state:restored', syncTimeControl);
+    }
+
+    if (this.moveLimitSelect) {
+      this.moveLimitSelect.value = String(this.gameState.settings.moveLimit);
+      this.moveLimitSelect.addEventListener('change', () => this.changeMoveLimit(Number(this.moveLimitSelect.value)));
+      const syncMoveLimit = (snapshot) => {
+        this.moveLimitSelect.value = String(snapshot.settings.moveLimit || 0);
+      };
+      this.eventBus.on('state:reset', syncMoveLimit);
+      this.eventBus.on('state:restored', syncMoveLimit);
+    }
+
+    if (this.boardSizeSelect) {
+      this.boardSizeSelect.addEventListener('change', () => {
+        const isCustom = this.boardSizeSelect.value === 'custom';
+        if (this.boardSizeInput) {
+          this.boardSizeInput.hidden = !isCustom;
+        }
+        if (!isCustom) {
+          this.changeBoardSize(Number(this.boardSizeSelect.value));
+        }
+      });
+    }
+
+    if (this.boardSizeInput) {
+      this.boardSizeInput.addEventListener('change', () => this.changeBoardSize(Number(this.boardSizeInput.value)));
+    }
+
+    this.eventBus.on('state:reset', () => this._syncBoardSizeControls());
+    this.eventBus.on('state:restored', () => this._syncBoardSizeControls());
+
     this._updateModeButtons();
 
     document.addEventListener('keydown', (e) => this._handleKeyboard(e));
   }
 
   _handleKeyboard(e) {
+    // 输入框、下拉框中的按键留给控件本身处理
+    const target = e.target;
+    if (target && (['INPUT', 'SELECT', 'TEXTAREA'].includes(target.tagName) || target.isContentEditable)) return;
+
     switch (e.key.toLowerCase()) {
       case 'n':
         this.startNewGame();
@@ -174,9 +354,22 @@ class GomokuApp {
       case 'u':
         this.undo();
         break;
+      case 'r':
+        // Ctrl+R / Cmd+R 是浏览器刷新，不作重做
+        if (!e.ctrlKey && !e.metaKey && !e.altKey) this.redo();
+        break;
       case 'h':
         this.requestHint();
         break;
+      case 'arrowleft':
+      case 'arrowright':
+        if (this.navigateVariation(e.key === 'ArrowLeft' ? 'back' : 'forward')) e.preventDefault();
+        break;
+      case 'arrowup':
+      case 'arrowdown':
+        // 只有确实切换了变化才拦截方向键，否则保留页面滚动
+        if (this.navigateVariation('switch', e.key === 'ArrowUp' ? -1 : 1)) e.preventDefault();
+        break;
       case 's':
         if (e.ctrlKey || e.metaKey) {
           e.preventDefault();
@@ -192,11 +385,58 @@ class GomokuApp {
     }
   }
 
+  _syncBoardSizeControls() {
+    if (!this.boardSizeSelect) return;
+    const size = this.gameState.boardSize;
+    this.boardSizeSelect.value = [15, 19].includes(size) ? String(size) : 'custom';
+    if (this.boardSizeInput) {
+      this.boardSizeInput.value = String(size);
+      this.boardSizeInput.hidden = this.boardSizeSelect.value !== 'custom';
+    }
+  }
+
+  /**
+   * 按AI选择框生成模式参数：PvE取AI一方的选择，EvE取双方
+   * @param {string} mode
+   * @returns {Object}
+   */
+  _aiModeOptions(mode) {
+    const level = player => (this.aiSelects[player] ? this.aiSelects[player].value : 'NORMAL') || 'NORMAL';
+    if (mode === 'PvE') {
+      const playerSide = this.gameState.mode === 'PvE' ? this.gameState.settings.playerSide : 1;
+      return { aiDifficulty: level(playerSide === 1 ? 2 : 1), playerSide };
+    }
+    return { blackAI: level(1), whiteAI: level(2) };
+  }
+
+  /**
+   * 以已注册的全部策略（含自定义策略）填充AI选择框，保留当前选择
+   */
+  _populateAISelects() {
+    const strategies = this.aiEngine.listStrategies();
+    const sides = { 1: '黑方 AI', 2: '白方 AI' };
+    [1, 2].forEach((player) => {
+      const select = this.aiSelects[player];
+      if (!select) return;
+      const current = this.aiEngine.currentDifficulty[player === 1 ? 'black' : 'white'];
+      select.innerHTML = '';
+      strategies.forEach((info) => {
+        const option = document.createElement('option');
+        option.value = info.id;
+        option.textContent = `${sides[player]}：${info.label}`;
+        option.title = info.description;
+        select.appendChild(option);
+      });
+      select.value = current;
+    });
+  }
+
   _updateModeButtons(activeMode = this.gameState.mode) {
     const mapping = [
       { mode: 'PvP', element: this.modePvPBtn },
       { mode: 'PvE', element: this.modePvEBtn },
-      { mode: 'EvE', element: this.modeEvEBtn }
+      { mode: 'EvE', element: this.modeEvEBtn },
+      { mode: 'Analysis', element: this.modeAnalysisBtn }
     ];
 
     for (const { mode, element } of mapping) {
@@ -230,6 +470,80 @@ class GomokuApp {
     }
   }
 
+  redo() {
+    if (this.modeManager.redo()) {
+      this.hudPanel.showMessage('Move redone', 'info', 1000);
+    } else if (this.modeManager.isAIThinking()) {
+      this.hudPanel.showMessage('Waiting for AI...', 'info', 1000);
+    } else {
+      this.hudPanel.showMessage('Cannot redo', 'error', 1000);
+    }
+  }
+
+  /**
+   * 在变化树中移动：后退到上一手、沿主线前进、切换相邻变化、把当前变化设为主线或删除当前分支
+   * @param {string} action - back | forward | switch | promote | delete
+   * @param {number} [offset] - switch 的方向，1 为下一个变化，-1 为上一个
+   * @returns {boolean} 是否移动成功
+   */
+  navigateVariation(action, offset = 1) {
+    const { nodePath, currentNode } = this.gameState;
+    let result;
+    if (action === 'back' || action === 'forward') {
+      const target = action === 'back' ? nodePath[nodePath.length - 2] : currentNode.children[0];
+      result = target
+        ? this.modeManager.navigateVariation('goTo', target.id)
+        : { success: false, error: action === 'back' ? 'No moves to undo' : 'No next move' };
+    } else {
+      result = this.modeManager.navigateVariation(action, action === 'switch' ? offset : undefined);
+    }
+
+    if (!result.success) {
+      this.hudPanel.showMessage(result.error, 'warning', 1500);
+    } else if (action === 'promote') {
+      this.hudPanel.showMessage('Variation promoted to main line', 'success', 1000);
+    } else if (action === 'delete') {
+      this.hudPanel.showMessage('Variation deleted', 'info', 1000);
+    }
+    return result.success;
+  }
+
+  /**
+   * 玩家一方：PvE为玩家执子方，PvP为当前行棋方；EvE无玩家
+   * @returns {number|null}
+   */
+  _humanPlayer() {
+    if (this.gameState.mode === 'EvE') return null;
+    if (this.gameState.mode === 'PvE') return this.gameState.settings.playerSide;
+    return this.gameState.currentPlayer;
+  }
+
+  offerDraw() {
+    const player = this._humanPlayer();
+    if (player === null) {
+      this.hudPanel.showMessage('Draw offers are not available in EvE mode', 'warning');
+      return;
+    }
+
+    const result = this.modeManager.offerDraw(player);
+    if (!result.success) {
+      this.hudPanel.showMessage(`Cannot offer a draw: ${result.error}`, 'error', 1500);
+    }
+  }
+
+  resign() {
+    const player = this._humanPlayer();
+    if (player === null) {
+      this.hudPanel.showMessage('Resignation is not available in EvE mode', 'warning');
+      return;
+    }
+
+    const result = this.modeManager.resign(player);
+    if (!result.success) {
+      this.hudPanel.showMessage(`Cannot resign: ${result.error}`, 'error', 1500);
+    }
+  }
+
   async requestHint() {
     if (this.gameState.mode === 'EvE') {
       this.hudPanel.showMessage('Hint not available in EvE mode', 'warning');
@@ -240,9 +554,13 @@ class GomokuApp {
       const hint = await this.modeManager.requestHint();
       if (hint) {
         this.renderer.showHint(hint);
-        this.hudPanel.showMessage(`Hint: ${String.fromCharCode(65 + hint.x)}${hint.y + 1}`, 'info');
+        const label = move => `${String.fromCharCode(65 + move.x)}${move.y + 1}`;
+        const alternatives = hint.lines.slice(1).map(label);
+        const extra = alternatives.length > 0 ? ` (alternatives: ${alternatives.join(', ')})` : '';
+        this.hudPanel.showMessage(`Hint: ${label(hint)}${extra}`, 'info');
       }
     } catch (error) {
+      if (error.code === 'cancelled') return;
       this.logger.error('Hint request error:', error);
       this.hudPanel.showMessage('Failed to get hint', 'error');
     }
@@ -300,6 +618,88 @@ class GomokuApp {
       this.hudPanel.showMessage('Failed to change mode', 'error');
     }
   }
+
+  /**
+   * 进入分析模式：保留当前局面，双方均可自由落子，引擎持续分析
+   */
+  enterAnalysis() {
+    try {
+      this.modeManager.setMode('Analysis');
+      this._updateModeButtons('Analysis');
+      this.hudPanel.update();
+      this.hudPanel.showMessage('Mode changed to Analysis', 'info', 1500);
+    } catch (error) {
+      this.logger.error('Mode change error:', error);
+      this.hudPanel.showMessage('Failed to change mode', 'error');
+    }
+  }
+
+  changeBoardSize(size) {
+    try {
+      this.modeManager.setBoardSize(size);
+      this.hudPanel.showMessage(`Board size changed to ${size}`, 'info', 1500);
+      this.startNewGame();
+    } catch (error) {
+      this.logger.error('Board size change error:', error);
+      this.hudPanel.showMessage('Invalid board size', 'error');
+      this._syncBoardSizeControls();
+    }
+  }
+
+  changeOpeningProtocol(protocol) {
+    try {
+      this.modeManager.setOpeningProtocol(protocol);
+      this.hudPanel.showMessage(`Opening protocol changed to ${protocol}`, 'info', 1500);
+      this.startNewGame();
+    } catch (error) {
+      this.logger.error('Opening protocol change error:', error);
+      this.hudPanel.showMessage('Failed to change opening protocol', 'error');
+    }
+  }
+
+  changeOpeningRestriction(restriction) {
+    try {
+      this.modeManager.setOpeningRestriction(restriction);
+      this.hudPanel.showMessage(`Opening restriction changed to ${restriction}`, 'info', 1500);
+      this.startNewGame();
+    } catch (error) {
+      this.logger.error('Opening restriction change error:', error);
+      this.hudPanel.showMessage('Failed to change opening restriction', 'error');
+    }
+  }
+
+  changeTimeControl(preset) {
+    try {
+      this.modeManager.setTimeControl(preset);
+      this.hudPanel.showMessage(`Time control changed to ${preset}`, 'info', 1500);
+      this.startNewGame();
+    } catch (error) {
+      this.logger.error('Time control change error:', error);
+      this.hudPanel.showMessage('Failed to change time control', 'error');
+    }
+  }
+
+  changeMoveLimit(limit) {
+    try {
+      this.modeManager.setMoveLimit(limit);
+      this.hudPanel.showMessage(`Move limit changed to ${limit || 'none'}`, 'info', 1500);
+      this.startNewGame();
+    } catch (error) {
+      this.logger.error('Move limit change error:', error);
+      this.hudPanel.showMessage('Failed to change move limit', 'error');
+    }
+  }
+
+  changeRuleSet(ruleSet) {
+    try {
+      this.modeManager.setRuleSet(ruleSet);
+      this.hudPanel.showMessage(`Rule set changed to ${ruleSet}`, 'info', 1500);
+      this.startNewGame();
+    } catch (error) {
+      this.logger.error('Rule set change error:', error);
+      this.hudPanel.showMessage('Failed to change rule set', 'error');
+    }
+  }
 }
 
 let app;
@@ -34,6 +34,22 @@ class ModuleRegistry {
     return info;
   }
 
+  /**
+   * 移除模块
+   * @param {string} name
+   * @returns {boolean} 是否移除了模块
+   */
+  unregister(name) {
+    const info = this.modules.get(name);
+    if (!info) return false;
+
+    this.modules.delete(name);
+    if (this.eventBus) {
+      this.eventBus.emit('module:unregistered', info);
+    }
+    return true;
+  }
+
   /**
    * 注入实例并自动注册模块信息
    * @param {string} name
@@ -62,6 +78,15 @@ class ModuleRegistry {
     return Array.from(this.modules.values());
   }
 
+  /**
+   * 按类型列出模块（如 'ai-strategy'）
+   * @param {string} type
+   * @returns {Array<Object>}
+   */
+  listByType(type) {
+    return this.list().filter(info => info.type === type);
+  }
+
   /**
    * 校验依赖是否满足
    * @returns {{missing: Array<{module: string, dependency: string}>}}
@@ -0,0 +1,115 @@
+/**
+ * 开局库加载器 - 从存档集合建立开局库
+ * 接受 SaveLoadService 的存档（{snapshot}）与导出的JSON（{moves, ruleSet, boardSize, result}），
+ * 按规则集与棋盘尺寸分别建库；每手按该局结果加权：胜方的着法权重高，负方的着法不推荐。
+ * 着法序列与棋盘不符（越界、重复落子）的存档只收录出错之前的部分
+ */
+import OpeningBook from '../core/OpeningBook.js';
+
+class OpeningBookLoader {
+  static RESULT_WEIGHTS = {
+    win: 3,
+    draw: 1, // 和棋与未下完的对局
+    loss: 0
+  };
+
+  /**
+   * 从存档集合建库
+   * @param {Array<Object>} games - 存档或导出数据
+   * @param {Object} [options]
+   * @param {number} [options.maxPly] - 每局最多记录的手数
+   * @param {string} [options.ruleSet] - 只收录该规则集的对局
+   * @returns {Map<string, OpeningBook>} "规则集:尺寸" -> 开局库
+   */
+  static fromGames(games, options = {}) {
+    const books = new Map();
+    games.forEach((data) => {
+      const game = OpeningBookLoader.parseGame(data);
+      if (!game || (options.ruleSet && game.ruleSet !== options.ruleSet)) return;
+
+      const key = OpeningBook.bookKey(game.ruleSet, game.boardSize);
+      if (!books.has(key)) {
+        books.set(key, new OpeningBook({ ruleSet: game.ruleSet, boardSize: game.boardSize, maxPly: options.maxPly }));
+      }
+      try {
+        books.get(key).addLine(game.moves, move => OpeningBookLoader.weighMove(move, game.winner));
+      } catch (error) {
+        // 着法与棋盘不符的存档从出错处截断，前面的着法已记录
+      }
+    });
+    return books;
+  }
+
+  /**
+   * 从存档集合建立单个规则集的开局库，没有该规则集的对局时返回空库
+   * @param {Array<Object>} games
+   * @param {string} ruleSet
+   * @param {number} [boardSize]
+   * @param {Object} [options] - 同 fromGames
+   * @returns {OpeningBook}
+   */
+  static buildBook(games, ruleSet, boardSize = 15, options = {}) {
+    const books = OpeningBookLoader.fromGames(games, { ...options, ruleSet });
+    return books.get(OpeningBook.bookKey(ruleSet, boardSize))
+      || new OpeningBook({ ruleSet, boardSize, maxPly: options.maxPly });
+  }
+
+  /**
+   * 统一存档与导出两种格式
+   * @param {Object} data
+   * @returns {{ruleSet:string, boardSize:number, winner:number|null,
+   *   moves:Array<{x:number, y:number, player:number, captured?:Array}>}|null} 无法识别时返回null
+   */
+  static parseGame(data) {
+    if (!data) return null;
+    const source = data.snapshot
+      ? {
+        ruleSet: data.snapshot.settings && data.snapshot.settings.ruleSet,
+        boardSize: data.snapshot.boardSize,
+        winner: data.snapshot.winner,
+        moves: data.snapshot.moveHistory
+      }
+      : {
+        ruleSet: data.ruleSet || (data.settings && data.settings.ruleSet),
+        boardSize: data.boardSize,
+        winner: data.result ? data.result.winner : null,
+        moves: data.moves
+      };
+    if (!source.ruleSet || !Array.isArray(source.moves)) return null;
+
+    return {
+      ruleSet: source.ruleSet,
+      boardSize: source.boardSize || 15,
+      winner: source.winner || null,
+      // 开局协议的选择记录不是落子
+      moves: source.moves.filter(move => move.type !== 'opening_choice')
+    };
+  }
+
+  /**
+   * @param {{player:number}} move
+   * @param {number|null} winner
+   * @returns {number}
+   */
+  static weighMove(move, winner) {
+    if (!winner) return OpeningBookLoader.RESULT_WEIGHTS.draw;
+    return move.player === winner ? OpeningBookLoader.RESULT_WEIGHTS.win : OpeningBookLoader.RESULT_WEIGHTS.loss;
+  }
+}
+
+OpeningBookLoader.__moduleInfo = {
+  name: 'OpeningBookLoader',
+  version: '2.0.0',
+  dependencies: ['OpeningBook']
+};
+
+if (typeof window !== 'undefined') {
+  window.OpeningBookLoader = OpeningBookLoader;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: OpeningBookLoader.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = OpeningBookLoader;
+}
+
+export default OpeningBookLoader;
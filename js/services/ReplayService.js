@@ -1,5 +1,6 @@
 /**
  * 回放服务 - 负责棋谱的播放控制
+ * 从当前对局回放时沿当前变化线播放，可在分支处改走其他变化
  */
 class ReplayService {
   constructor(gameState, eventBus, modeManager) {
@@ -8,6 +9,7 @@ class ReplayService {
     this.modeManager = modeManager;
 
     this.sequence = [];
+    this.lineNodes = null; // 与 sequence 对应的变化树节点（含根节点），无变化树时为 null
     this.currentIndex = 0;
     this.isPlaying = false;
     this.speed = 1;
@@ -21,13 +23,15 @@ class ReplayService {
    */
   startFromCurrent(options = {}) {
     const snapshot = this.state.getSnapshot();
-    this.startReplay(snapshot.moveHistory, options);
+    this.startReplay(snapshot.moveHistory, { ...options, variations: snapshot.variations });
   }
 
   /**
    * 开始回放指定棋谱
    * @param {Array} moves
    * @param {Object} [options]
+   * @param {number} [options.speed]
+   * @param {{root: Object, currentId: number}} [options.variations] - 棋谱所在的变化树（见 GameState.getVariationTree），moves 为根到 currentId 的一条线
    */
   startReplay(moves, options = {}) {
     if (!Array.isArray(moves) || moves.length === 0) {
@@ -40,6 +44,7 @@ class ReplayService {
     this.stop();
 
     this.sequence = moves.map(move => ({ ...move }));
+    this.lineNodes = this._findLine(options.variations);
     this.currentIndex = 0;
     this.speed = options.speed || 1;
     this.originalSnapshot = this.state.getSnapshot();
@@ -49,7 +54,7 @@ class ReplayService {
       this.modeManager.enterReplayMode();
     }
 
-    this.state.reset();
+    this.state.reset(this.originalSnapshot.settings);
     this.state.gameStatus = 'replay';
     this.state.mode = 'Replay';
 
@@ -122,7 +127,7 @@ class ReplayService {
     this.pause();
     if (this.currentIndex <= 0) return;
 
-    this.state.reset();
+    this.state.reset(this.state.settings);
     this.state.gameStatus = 'replay';
 
     this.currentIndex -= 1;
@@ -150,6 +155,66 @@ class ReplayService {
     }
   }
 
+  /**
+   * 下一手可走的变化（回放当前位置节点的全部分支）
+   * @returns {Array<{id:number, move:Object, main:boolean, selected:boolean}>}
+   */
+  getVariations() {
+    if (!this.lineNodes) return [];
+    const node = this.lineNodes[this.currentIndex];
+    const next = this.lineNodes[this.currentIndex + 1];
+    return node.children.map((child, index) => ({
+      id: child.id,
+      move: { ...child.move },
+      main: index === 0,
+      selected: child === next
+    }));
+  }
+
+  /**
+   * 从当前位置改走另一个变化：之后沿该分支的主线播放
+   * @param {number} id - getVariations 返回的节点id
+   * @returns {boolean}
+   */
+  selectVariation(id) {
+    if (!this.lineNodes) return false;
+    let node = this.lineNodes[this.currentIndex].children.find(child => child.id === id);
+    if (!node) return false;
+
+    this.lineNodes = this.lineNodes.slice(0, this.currentIndex + 1);
+    this.sequence = this.sequence.slice(0, this.currentIndex);
+    while (node) {
+      this.lineNodes.push(node);
+      this.sequence.push({ ...node.move });
+      node = node.children[0];
+    }
+
+    if (this.eventBus) {
+      this.eventBus.emit('replay:variation', { index: this.currentIndex, nodeId: id, totalMoves: this.sequence.length });
+    }
+    return true;
+  }
+
+  /**
+   * 在变化树中找出从根到当前节点的路径，须与回放的棋谱一致
+   * @param {Object} [variations]
+   * @returns {Array|null}
+   */
+  _findLine(variations) {
+    if (!variations || !variations.root) return null;
+    const search = (node, path) => {
+      path.push(node);
+      if (node.id === variations.currentId) return path;
+      for (const child of node.children) {
+        if (search(child, path)) return path;
+      }
+      path.pop();
+      return null;
+    };
+    const path = search(variations.root, []);
+    return path && path.length === this.sequence.length + 1 ? path : null;
+  }
+
   _scheduleNext() {
     if (!this.isPlaying) return;
     if (this.currentIndex >= this.sequence.length) {
@@ -170,11 +235,21 @@ class ReplayService {
   }
 
   _applyMove(move, silent = false) {
+    if (move.type === 'opening_choice') {
+      this.state.recordOpeningChoice(move);
+      if (!silent && this.eventBus) {
+        this.eventBus.emit('replay:progress', { index: this.currentIndex + 1, move });
+      }
+      return;
+    }
+
     const player = move.player || ((this.state.currentPlayer === 1) ? 1 : 2);
 
     this.state.currentPlayer = player;
-    this.state.applyMove({ x: move.x, y: move.y, player });
-    this.state.currentPlayer = player === 1 ? 2 : 1;
+    this.state.applyMove({ x: move.x, y: move.y, player, turn: move.turn, captured: move.captured });
+    if (this.state.isTurnComplete()) {
+      this.state.switchPlayer();
+    }
 
     if (!silent && this.eventBus) {
       this.eventBus.emit('replay:progress', { index: this.currentIndex + 1, move });
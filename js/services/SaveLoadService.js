@@ -2,6 +2,7 @@
  * 存档加载服务 - 负责游戏状态的保存和加载
  */
 import StorageUtils from '../utils/StorageUtils.js';
+import GameState from '../core/GameState.js';
 
 class SaveLoadService {
   static STORAGE_KEYS = {
@@ -77,7 +78,7 @@ class SaveLoadService {
   }
 
   /**
-   * 导出游戏数据为JSON文件
+   * 导出游戏数据为JSON文件：moves 为主线，variations 为完整变化树
    * @param {string} [filename]
    */
   exportJSON(filename = null) {
@@ -85,11 +86,16 @@ class SaveLoadService {
     const exportData = {
       version: '2.0.0',
       mode: snapshot.mode,
+      boardSize: snapshot.boardSize,
+      ruleSet: snapshot.settings.ruleSet,
+      openingProtocol: snapshot.settings.openingProtocol,
       settings: snapshot.settings,
-      moves: snapshot.moveHistory,
+      moves: this.state.getMainLine(),
+      variations: snapshot.variations,
       result: {
         winner: snapshot.winner,
         winLine: snapshot.winLine,
+        reason: snapshot.finishReason,
         gameStatus: snapshot.gameStatus
       },
       metadata: {
@@ -113,7 +119,7 @@ class SaveLoadService {
   }
 
   /**
-   * 从JSON文件导入游戏数据
+   * 从JSON文件导入游戏数据，带变化树时恢复全部分支并回到导出时所在的节点
    * @param {File} file
    * @returns {Promise<{success: boolean, error?: string}>}
    */
@@ -128,15 +134,32 @@ class SaveLoadService {
             return;
           }
 
-          this.state.reset();
-          this.state.mode = data.mode || 'PvP';
-          if (data.settings) {
-            this.state.settings = { ...this.state.settings, ...data.settings };
+          const settings = { ...(data.settings || {}) };
+          if (data.ruleSet) {
+            settings.ruleSet = data.ruleSet;
           }
 
-          for (const move of data.moves) {
-            this.state.applyMove(move);
-            this.state.switchPlayer();
+          this.state.boardSize = GameState.normalizeBoardSize(data.boardSize || 15);
+          this.state.reset(settings);
+          this.state.mode = data.mode || 'PvP';
+
+          if (data.variations) {
+            const loaded = this.state.loadVariationTree(data.variations);
+            if (!loaded.success) {
+              resolve(loaded);
+              return;
+            }
+          } else {
+            for (const move of data.moves) {
+              if (move.type === 'opening_choice') {
+                this.state.recordOpeningChoice(move);
+                continue;
+              }
+              this.state.applyMove(move);
+              if (this.state.isTurnComplete()) {
+                this.state.switchPlayer();
+              }
+            }
           }
 
           if (this.eventBus) {
@@ -2,7 +2,15 @@
  * Canvas渲染器 - 负责棋盘和棋子的绘制
  */
 class CanvasRenderer {
-  constructor(canvasId, gameState, eventBus) {
+  static CAPTURE_ANIMATION_MS = 450;
+
+  /**
+   * @param {string} canvasId
+   * @param {GameState} gameState
+   * @param {EventBus} eventBus
+   * @param {RuleEngine} [ruleEngine] - 用于绘制开局限制禁入区，可选
+   */
+  constructor(canvasId, gameState, eventBus, ruleEngine = null) {
     this.canvas = document.getElementById(canvasId);
     if (!this.canvas) {
       throw new Error(`Canvas element with id "${canvasId}" not found`);
@@ -11,21 +19,47 @@ class CanvasRenderer {
     this.ctx = this.canvas.getContext('2d');
     this.state = gameState;
     this.eventBus = eventBus;
+    this.rules = ruleEngine;
 
-    this.cellSize = 36;
     this.padding = 40;
-    this.pieceRadius = 15;
-    this.boardSize = 15;
+    this.boardSize = gameState.boardSize;
+    this._updateMetrics();
 
     this.lastMove = null;
     this.hintMove = null;
+    this.analysis = null; // 分析模式的最新结果
+    this.showMoveNumbers = false; // 在当前变化线的棋子上标注手数
     this.forbiddenHighlight = null;
     this.hoverPosition = null;
+    this.captureAnimations = [];
+    this.animationFrame = null;
 
     this._setupCanvas();
     this._setupEventListeners();
   }
 
+  /**
+   * 根据棋盘尺寸计算格距与棋子半径，使不同路数的棋盘整体尺寸相近
+   */
+  _updateMetrics() {
+    this.cellSize = Math.max(20, Math.min(36, Math.floor(540 / this.boardSize)));
+    this.pieceRadius = Math.round(this.cellSize * 0.42);
+  }
+
+  /**
+   * 棋盘尺寸变化（新设置或加载不同尺寸的存档）时重建画布
+   */
+  _syncBoardSize() {
+    if (this.state.boardSize === this.boardSize) return;
+    this.boardSize = this.state.boardSize;
+    this._updateMetrics();
+    this._setupCanvas();
+    this.lastMove = null;
+    this.hintMove = null;
+    this.forbiddenHighlight = null;
+    this.hoverPosition = null;
+  }
+
   _setupCanvas() {
     const totalSize = this.boardSize * this.cellSize + this.padding * 2;
     this.canvas.width = totalSize;
@@ -46,10 +80,41 @@ class CanvasRenderer {
 
     if (this.eventBus) {
       this.eventBus.on('state:changed', () => this.render());
+      this.eventBus.on('state:reset', () => {
+        this.captureAnimations = [];
+        this.analysis = null;
+        this._syncBoardSize();
+        this.render();
+      });
+      this.eventBus.on('state:restored', () => {
+        this.captureAnimations = [];
+        this.analysis = null;
+        this._syncBoardSize();
+        this.render();
+      });
       this.eventBus.on('move:applied', (data) => {
         this.lastMove = { x: data.x, y: data.y };
         this.render();
       });
+      // 重做或切换变化后，最后一手改为新局面中的最后一子
+      ['variation:changed', 'move:redone'].forEach((event) => {
+        this.eventBus.on(event, () => {
+          const stones = this.state.moveHistory.filter(record => record.type !== 'opening_choice');
+          const last = stones[stones.length - 1];
+          this.lastMove = last ? { x: last.x, y: last.y } : null;
+          this.hintMove = null;
+          this.render();
+        });
+      });
+      this.eventBus.on('stones:captured', (data) => this.animateCaptures(data.stones));
+      this.eventBus.on('analysis:updated', (data) => {
+        this.analysis = data;
+        this.render();
+      });
+      this.eventBus.on('analysis:stopped', () => {
+        this.analysis = null;
+        this.render();
+      });
       this.eventBus.on('move:invalid', (data) => {
         if (data.forbiddenInfo) {
           this.showForbidden({ x: data.x, y: data.y, ...data.forbiddenInfo });
@@ -121,6 +186,7 @@ class CanvasRenderer {
     this.drawBoard();
     this.drawStarPoints();
     this.drawCoordinates();
+    this.drawRestrictedZone();
     this.drawPieces();
     this.drawEffects();
   }
@@ -213,15 +279,40 @@ class CanvasRenderer {
     this.ctx.restore();
   }
 
-  drawStarPoints() {
-    const starPoints = [
-      { x: 3, y: 3 },
-      { x: 11, y: 3 },
-      { x: 7, y: 7 },
-      { x: 3, y: 11 },
-      { x: 11, y: 11 }
+  /**
+   * 计算星位：四角星 + 天元，19路及以上再加四边中点
+   * @returns {Array<{x:number, y:number}>}
+   */
+  getStarPoints() {
+    const size = this.boardSize;
+    const center = Math.floor(size / 2);
+    const edge = size >= 13 ? 3 : 2;
+    const far = size - 1 - edge;
+
+    const points = [
+      { x: edge, y: edge },
+      { x: far, y: edge },
+      { x: center, y: center },
+      { x: edge, y: far },
+      { x: far, y: far }
     ];
 
+    if (size >= 19) {
+      points.push(
+        { x: center, y: edge },
+        { x: edge, y: center },
+        { x: far, y: center },
+        { x: center, y: far }
+      );
+    }
+
+    return points;
+  }
+
+  drawStarPoints() {
+    const starPoints = this.getStarPoints();
+    const radius = Math.max(3, Math.round(this.cellSize / 6));
+
     for (const point of starPoints) {
       const pos = this.gridToScreen(point.x, point.y);
       
@@ -231,13 +322,13 @@ class CanvasRenderer {
       this.ctx.shadowOffsetX = 1;
       this.ctx.shadowOffsetY = 1;
       
-      const gradient = this.ctx.createRadialGradient(pos.x, pos.y, 0, pos.x, pos.y, 6);
+      const gradient = this.ctx.createRadialGradient(pos.x, pos.y, 0, pos.x, pos.y, radius);
       gradient.addColorStop(0, '#2a2a2a');
       gradient.addColorStop(0.7, '#1a1a1a');
       gradient.addColorStop(1, 'rgba(10, 10, 10, 0.7)');
       this.ctx.fillStyle = gradient;
       this.ctx.beginPath();
-      this.ctx.arc(pos.x, pos.y, 6, 0, Math.PI * 2);
+      this.ctx.arc(pos.x, pos.y, radius, 0, Math.PI * 2);
       this.ctx.fill();
       this.ctx.restore();
     }
@@ -267,6 +358,35 @@ class CanvasRenderer {
     this.ctx.restore();
   }
 
+  /**
+   * 开局限制（Pro / Long Pro）生效的这一手，用半透明红色标出禁入区域
+   */
+  drawRestrictedZone() {
+    if (!this.rules || this.state.gameStatus === 'finished' || this.state.gameStatus === 'replay') return;
+    const restriction = this.rules.getOpeningRestriction(this.state.currentPlayer);
+    if (!restriction) return;
+
+    const half = this.cellSize / 2;
+    const center = this.gridToScreen(restriction.center.x, restriction.center.y);
+
+    this.ctx.save();
+    this.ctx.fillStyle = 'rgba(239, 68, 68, 0.16)';
+    this.ctx.beginPath();
+    if (restriction.requireCenter) {
+      // 除天元外全部禁入：整盘减去天元一格
+      const start = this.gridToScreen(0, 0);
+      const span = (this.boardSize - 1) * this.cellSize;
+      this.ctx.rect(start.x - half, start.y - half, span + this.cellSize, span + this.cellSize);
+      this.ctx.rect(center.x - half, center.y - half, this.cellSize, this.cellSize);
+      this.ctx.fill('evenodd');
+    } else {
+      const reach = (restriction.minDistance - 1) * this.cellSize + half;
+      this.ctx.rect(center.x - reach, center.y - reach, reach * 2, reach * 2);
+      this.ctx.fill();
+    }
+    this.ctx.restore();
+  }
+
   drawPieces() {
     for (let y = 0; y < this.boardSize; y += 1) {
       for (let x = 0; x < this.boardSize; x += 1) {
@@ -439,22 +559,10 @@ class CanvasRenderer {
     }
 
     if (this.hintMove) {
-      const pos = this.gridToScreen(this.hintMove.x, this.hintMove.y);
-      
-      this.ctx.save();
-      this.ctx.shadowColor = 'rgba(34, 197, 94, 0.7)';
-      this.ctx.shadowBlur = 12;
-      
-      this.ctx.strokeStyle = 'rgba(34, 197, 94, 0.85)';
-      this.ctx.lineWidth = 3;
-      this.ctx.lineCap = 'round';
-      this.ctx.beginPath();
-      this.ctx.moveTo(pos.x - 14, pos.y);
-      this.ctx.lineTo(pos.x + 14, pos.y);
-      this.ctx.moveTo(pos.x, pos.y - 14);
-      this.ctx.lineTo(pos.x, pos.y + 14);
-      this.ctx.stroke();
-      this.ctx.restore();
+      // 备选着法以较淡、较小的十字标出
+      const alternatives = (this.hintMove.lines || []).slice(1);
+      alternatives.forEach(move => this.drawHintCross(move, 'rgba(34, 197, 94, 0.4)', this.pieceRadius * 0.6));
+      this.drawHintCross(this.hintMove, 'rgba(34, 197, 94, 0.85)', this.pieceRadius - 1);
     }
 
     if (this.forbiddenHighlight) {
@@ -472,6 +580,29 @@ class CanvasRenderer {
       this.ctx.restore();
     }
 
+    if (this.showMoveNumbers) {
+      this.drawMoveNumbers();
+    }
+    this.drawVariationMarkers();
+
+    if (this.captureAnimations.length > 0) {
+      this.drawCaptureAnimations();
+    }
+
+    if (this.state.forbiddenInfo) {
+      this.drawForbiddenEvidence(this.state.forbiddenInfo);
+    }
+
+    const opening = this.state.opening;
+    if (opening && opening.phase !== 'done' && opening.offers && opening.offers.length > 0) {
+      this.drawFifthOffers(opening.offers);
+    }
+
+    // 局面已变化、新的分析尚未返回时不显示旧结果
+    if (this.analysis && this.analysis.player === this.state.currentPlayer) {
+      this.drawAnalysis(this.analysis.lines);
+    }
+
     if (this.state.winLine && this.state.winLine.length > 0) {
       this.ctx.save();
       
@@ -498,6 +629,219 @@ class CanvasRenderer {
     this.ctx.restore();
   }
 
+  /**
+   * 绘制禁手判负的证据：禁手点方框与构成禁手的连线（虚线）
+   * @param {{x:number, y:number, lines:Array<Array<{x:number,y:number}>>}} info
+   */
+  drawForbiddenEvidence(info) {
+    this.ctx.save();
+    this.ctx.shadowColor = 'rgba(239, 68, 68, 0.6)';
+    this.ctx.shadowBlur = 12;
+    this.ctx.strokeStyle = 'rgba(239, 68, 68, 0.9)';
+    this.ctx.lineWidth = 4;
+    this.ctx.lineCap = 'round';
+    this.ctx.lineJoin = 'round';
+    this.ctx.setLineDash([8, 6]);
+
+    for (const line of info.lines || []) {
+      if (line.length < 2) continue;
+      const start = this.gridToScreen(line[0].x, line[0].y);
+      const end = this.gridToScreen(line[line.length - 1].x, line[line.length - 1].y);
+      this.ctx.beginPath();
+      this.ctx.moveTo(start.x, start.y);
+      this.ctx.lineTo(end.x, end.y);
+      this.ctx.stroke();
+    }
+
+    this.ctx.setLineDash([]);
+    const pos = this.gridToScreen(info.x, info.y);
+    const size = this.pieceRadius + 4;
+    this.ctx.strokeRect(pos.x - size, pos.y - size, size * 2, size * 2);
+    this.ctx.restore();
+  }
+
+  /**
+   * 绘制黑方提交的第五手打点：半透明黑子并标注序号
+   * @param {{x:number, y:number}[]} offers
+   */
+  drawFifthOffers(offers) {
+    this.ctx.save();
+    this.ctx.font = `bold ${Math.round(this.pieceRadius * 0.9)}px sans-serif`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+
+    offers.forEach((offer, index) => {
+      const pos = this.gridToScreen(offer.x, offer.y);
+      this.ctx.beginPath();
+      this.ctx.arc(pos.x, pos.y, this.pieceRadius - 2, 0, Math.PI * 2);
+      this.ctx.fillStyle = 'rgba(0, 0, 0, 0.45)';
+      this.ctx.fill();
+      this.ctx.strokeStyle = 'rgba(255, 182, 87, 0.9)';
+      this.ctx.lineWidth = 2;
+      this.ctx.stroke();
+      this.ctx.fillStyle = '#ffffff';
+      this.ctx.fillText(String(index + 1), pos.x, pos.y);
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * 按当前变化线标注手数：第 n 手为从根走到该子的第 n 枚棋子，被提走后又落子的点显示最新的手数
+   */
+  drawMoveNumbers() {
+    const numbers = new Map();
+    let count = 0;
+    this.state.moveHistory.forEach((record) => {
+      if (record.type === 'opening_choice') return;
+      count += 1;
+      numbers.set(`${record.x},${record.y}`, { x: record.x, y: record.y, player: record.player, number: count });
+    });
+
+    this.ctx.save();
+    this.ctx.font = `bold ${Math.round(this.pieceRadius * 0.8)}px sans-serif`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    numbers.forEach(({ x, y, player, number }) => {
+      if (this.state.board[y][x] !== player) return;
+      const pos = this.gridToScreen(x, y);
+      this.ctx.fillStyle = player === 1 ? '#ffffff' : '#1a1a1a';
+      this.ctx.fillText(String(number), pos.x, pos.y);
+    });
+    this.ctx.restore();
+  }
+
+  /**
+   * 标出下一手的各个变化：A 为主线，其余分支依次为 B、C……
+   */
+  drawVariationMarkers() {
+    const variations = this.state.getVariations()
+      .filter(variation => variation.move.type !== 'opening_choice');
+    if (variations.length === 0 || this.state.gameStatus === 'replay') return;
+
+    this.ctx.save();
+    this.ctx.font = `bold ${Math.round(this.pieceRadius * 0.8)}px sans-serif`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+    variations.forEach((variation, index) => {
+      const { x, y } = variation.move;
+      if (this.state.board[y][x] !== 0) return;
+      const pos = this.gridToScreen(x, y);
+      this.ctx.beginPath();
+      this.ctx.arc(pos.x, pos.y, this.pieceRadius * 0.6, 0, Math.PI * 2);
+      this.ctx.fillStyle = variation.main ? 'rgba(59, 130, 246, 0.75)' : 'rgba(148, 163, 184, 0.75)';
+      this.ctx.fill();
+      this.ctx.fillStyle = '#ffffff';
+      this.ctx.fillText(String.fromCharCode(65 + index), pos.x, pos.y);
+    });
+    this.ctx.restore();
+  }
+
+  /**
+   * 设置是否标注手数
+   * @param {boolean} enabled
+   */
+  setShowMoveNumbers(enabled) {
+    this.showMoveNumbers = Boolean(enabled);
+    this.render();
+  }
+
+  /**
+   * 绘制分析候选点热力图：颜色由红到绿表示落子方胜率，越靠前的着法越醒目，并标注胜率百分比
+   * @param {Array<{x:number, y:number, winRate:number}>} lines - 按分数排序
+   */
+  drawAnalysis(lines) {
+    this.ctx.save();
+    this.ctx.font = `bold ${Math.round(this.pieceRadius * 0.75)}px sans-serif`;
+    this.ctx.textAlign = 'center';
+    this.ctx.textBaseline = 'middle';
+
+    lines.forEach((line, index) => {
+      if (this.state.board[line.y][line.x] !== 0) return;
+      const pos = this.gridToScreen(line.x, line.y);
+      const hue = Math.round(line.winRate * 120);
+      const alpha = Math.max(0.25, 0.7 - index * 0.1);
+      this.ctx.beginPath();
+      this.ctx.arc(pos.x, pos.y, this.pieceRadius - 1, 0, Math.PI * 2);
+      this.ctx.fillStyle = `hsla(${hue}, 75%, 45%, ${alpha})`;
+      this.ctx.fill();
+      if (index === 0) {
+        this.ctx.strokeStyle = `hsl(${hue}, 75%, 35%)`;
+        this.ctx.lineWidth = 2;
+        this.ctx.stroke();
+      }
+      this.ctx.fillStyle = '#ffffff';
+      this.ctx.fillText(String(Math.round(line.winRate * 100)), pos.x, pos.y);
+    });
+
+    this.ctx.restore();
+  }
+
+  /**
+   * 被提走的棋子淡出缩小，动画期间逐帧重绘
+   * @param {Array<{x:number, y:number, player:number}>} stones
+   */
+  animateCaptures(stones) {
+    if (!stones || stones.length === 0) return;
+    this.captureAnimations.push({ stones, start: performance.now() });
+    if (this.animationFrame) return;
+
+    const step = () => {
+      const now = performance.now();
+      this.captureAnimations = this.captureAnimations.filter(
+        anim => now - anim.start < CanvasRenderer.CAPTURE_ANIMATION_MS
+      );
+      this.render();
+      this.animationFrame = this.captureAnimations.length > 0 ? requestAnimationFrame(step) : null;
+    };
+    this.animationFrame = requestAnimationFrame(step);
+  }
+
+  drawCaptureAnimations() {
+    const now = performance.now();
+    for (const anim of this.captureAnimations) {
+      const progress = Math.min(1, (now - anim.start) / CanvasRenderer.CAPTURE_ANIMATION_MS);
+      const scale = 1 - progress * 0.6;
+      for (const stone of anim.stones) {
+        // 悔棋后该点可能已恢复棋子，不再重复绘制
+        if (this.state.board[stone.y][stone.x] !== 0) continue;
+        const pos = this.gridToScreen(stone.x, stone.y);
+        this.ctx.save();
+        this.ctx.globalAlpha = 1 - progress;
+        this.ctx.translate(pos.x, pos.y);
+        this.ctx.scale(scale, scale);
+        this.ctx.translate(-pos.x, -pos.y);
+        this.drawPiece(stone.x, stone.y, stone.player);
+        this.ctx.restore();
+      }
+    }
+  }
+
+  /**
+   * 绘制提示十字
+   * @param {{x:number, y:number}} move
+   * @param {string} color
+   * @param {number} arm - 十字半臂长
+   */
+  drawHintCross(move, color, arm) {
+    const pos = this.gridToScreen(move.x, move.y);
+
+    this.ctx.save();
+    this.ctx.shadowColor = 'rgba(34, 197, 94, 0.7)';
+    this.ctx.shadowBlur = 12;
+
+    this.ctx.strokeStyle = color;
+    this.ctx.lineWidth = 3;
+    this.ctx.lineCap = 'round';
+    this.ctx.beginPath();
+    this.ctx.moveTo(pos.x - arm, pos.y);
+    this.ctx.lineTo(pos.x + arm, pos.y);
+    this.ctx.moveTo(pos.x, pos.y - arm);
+    this.ctx.lineTo(pos.x, pos.y + arm);
+    this.ctx.stroke();
+    this.ctx.restore();
+  }
+
   showHint(move) {
     this.hintMove = move;
     this.render();
@@ -7,6 +7,10 @@ class DialogManager {
     this.resultDialog = document.getElementById('result-dialog');
     this.resultContent = document.getElementById('result-content');
     this.settingsDialog = document.getElementById('settings-dialog');
+    this.openingDialog = document.getElementById('opening-dialog');
+    this.openingContent = document.getElementById('opening-content');
+    this.drawDialog = document.getElementById('draw-dialog');
+    this.drawContent = document.getElementById('draw-content');
 
     this._setupEventListeners();
   }
@@ -16,6 +20,128 @@ class DialogManager {
 
     this.eventBus.on('game:finished', (data) => this.showResult(data));
     this.eventBus.on('replay:started', () => this.closeResult());
+    this.eventBus.on('opening:choiceRequired', (data) => {
+      if (data.byHuman) {
+        this.showOpeningChoice(data);
+      }
+    });
+    this.eventBus.on('opening:chosen', () => this.closeOpeningChoice());
+    this.eventBus.on('game:started', () => this.closeOpeningChoice());
+    this.eventBus.on('draw:offered', (data) => {
+      if (data.byHuman) {
+        this.showDrawOffer(data);
+      }
+    });
+    this.eventBus.on('draw:accepted', () => this.closeDrawOffer());
+    this.eventBus.on('draw:declined', () => this.closeDrawOffer());
+    this.eventBus.on('game:started', () => this.closeDrawOffer());
+  }
+
+  /**
+   * 开局协议选择弹窗，选择结果通过 opening:choose 事件发出
+   * @param {{chooser: string, decision: string, options: string[]}} data
+   */
+  showOpeningChoice(data) {
+    if (!this.openingDialog || !this.openingContent) return;
+
+    const roleMap = { first: '先手方', second: '后手方' };
+    const optionMap = {
+      black: '执黑',
+      white: '执白',
+      place2: '再摆两子，交还选择权'
+    };
+    const promptMap = {
+      declare: '请声明黑方第五手的打点数量',
+      fifth: '请从黑方提交的打点中选定第五手'
+    };
+
+    const formatOption = (option) => {
+      if (data.decision === 'declare') return `${option} 个打点`;
+      if (data.decision === 'fifth') {
+        const [x, y] = option.split(',').map(Number);
+        return `${String.fromCharCode(65 + x)}${y + 1}`;
+      }
+      return optionMap[option] || option;
+    };
+
+    const buttons = data.options
+      .map(option => `<button class="btn" data-option="${option}">${formatOption(option)}</button>`)
+      .join('');
+
+    this.openingContent.innerHTML = `
+      <h2>${roleMap[data.chooser] || ''}请选择</h2>
+      <p>${promptMap[data.decision] || '开局已摆好，请决定执子方'}</p>
+      <div class="dialog-actions">${buttons}</div>
+    `;
+
+    this.openingContent.querySelectorAll('button[data-option]').forEach((button) => {
+      button.addEventListener('click', () => {
+        if (this.eventBus) {
+          this.eventBus.emit('opening:choose', { option: button.dataset.option });
+        }
+      }, { once: true });
+    });
+
+    if (typeof this.openingDialog.showModal === 'function') {
+      this.openingDialog.showModal();
+    } else {
+      this.openingDialog.classList.add('open');
+    }
+  }
+
+  closeOpeningChoice() {
+    if (!this.openingDialog) return;
+    if (typeof this.openingDialog.close === 'function') {
+      if (this.openingDialog.open) {
+        this.openingDialog.close();
+      }
+    } else {
+      this.openingDialog.classList.remove('open');
+    }
+  }
+
+  /**
+   * 提和答复弹窗，答复通过 draw:respond 事件发出
+   * @param {{player: number, recipient: number}} data
+   */
+  showDrawOffer(data) {
+    if (!this.drawDialog || !this.drawContent) return;
+
+    const offerer = data.player === 1 ? '黑棋' : '白棋';
+    const recipient = data.recipient === 1 ? '黑棋' : '白棋';
+    this.drawContent.innerHTML = `
+      <h2>${offerer}提和</h2>
+      <p>请${recipient}决定是否同意和棋</p>
+      <div class="dialog-actions">
+        <button class="btn btn-primary" data-accept="true">同意</button>
+        <button class="btn" data-accept="false">拒绝</button>
+      </div>
+    `;
+
+    this.drawContent.querySelectorAll('button[data-accept]').forEach((button) => {
+      button.addEventListener('click', () => {
+        if (this.eventBus) {
+          this.eventBus.emit('draw:respond', { accept: button.dataset.accept === 'true' });
+        }
+      }, { once: true });
+    });
+
+    if (typeof this.drawDialog.showModal === 'function') {
+      this.drawDialog.showModal();
+    } else {
+      this.drawDialog.classList.add('open');
+    }
+  }
+
+  closeDrawOffer() {
+    if (!this.drawDialog) return;
+    if (typeof this.drawDialog.close === 'function') {
+      if (this.drawDialog.open) {
+        this.drawDialog.close();
+      }
+    } else {
+      this.drawDialog.classList.remove('open');
+    }
   }
 
   showResult(data) {
@@ -30,10 +156,16 @@ class DialogManager {
 
     const reasonMap = {
       five_in_row: '五连成功',
+      six_in_row: '六连成功',
+      captures: '提满五对',
+      timeout: '对方超时',
+      resign: '对方认输',
+      draw_agreed: '双方同意和棋',
+      move_limit: '达到手数上限，判和',
       draw: '棋盘已满',
-      long_line: '长连禁手',
-      double_three: '三三禁手',
-      double_four: '四四禁手'
+      long_line: '黑棋长连禁手判负',
+      double_three: '黑棋三三禁手判负',
+      double_four: '黑棋四四禁手判负'
     };
 
     const reasonText = reasonMap[data.reason] || '对局结束';
@@ -2,6 +2,31 @@
  * HUD面板 - 显示游戏状态、控制按钮等
  */
 class HudPanel {
+  static RULE_SET_LABELS = {
+    FREESTYLE: '无禁手',
+    STANDARD: '标准五子棋',
+    RENJU: '连珠（禁手）',
+    CARO: 'Caro',
+    CONNECT6: '六子棋',
+    PENTE: 'Pente（提子）'
+  };
+
+  static DIFFICULTY_LABELS = {
+    BEGINNER: '新手',
+    NORMAL: '标准',
+    HARD: '困难',
+    HELL: '地狱',
+    MCTS: '蒙特卡洛'
+  };
+
+  static OPENING_PROTOCOL_LABELS = {
+    SWAP: 'Swap',
+    SWAP2: 'Swap2',
+    RIF: 'RIF',
+    YAMAGUCHI: 'Yamaguchi',
+    SOOSYRV8: 'Soosõrv-8'
+  };
+
   constructor(gameState, eventBus) {
     this.state = gameState;
     this.eventBus = eventBus;
@@ -9,13 +34,26 @@ class HudPanel {
     this.elements = {
       status: document.getElementById('status-display'),
       mode: document.getElementById('mode-display'),
+      rule: document.getElementById('rule-display'),
+      captures: document.getElementById('capture-display'),
+      variation: document.getElementById('variation-display'),
       player: document.getElementById('player-display'),
       message: document.getElementById('message-display'),
       timer: document.getElementById('timer-display'),
+      confidence: document.getElementById('ai-confidence-display'),
+      analysis: document.getElementById('analysis-display'),
+      evalBar: document.getElementById('eval-bar-black'),
+      principalVariation: document.getElementById('pv-display'),
+      clocks: {
+        1: document.getElementById('black-clock'),
+        2: document.getElementById('white-clock')
+      },
       playerIndicator: document.getElementById('current-player-indicator'),
       moveCounter: document.getElementById('move-counter')
     };
 
+    // 难度id -> 显示名称，自定义策略注册时加入
+    this.difficultyLabels = { ...HudPanel.DIFFICULTY_LABELS };
     this.timerInterval = null;
     this.messageTimeout = null;
     this._setupEventListeners();
@@ -25,14 +63,52 @@ class HudPanel {
     if (!this.eventBus) return;
 
     this.eventBus.on('state:changed', () => this.update());
-    this.eventBus.on('game:started', (data) => this.showMessage(`Game started: ${data.mode}`, 'info'));
+    this.eventBus.on('game:started', (data) => {
+      this.showMessage(`Game started: ${data.mode}`, 'info');
+      this.updateConfidence(null);
+    });
     this.eventBus.on('game:finished', (data) => this.showGameResult(data));
     this.eventBus.on('move:invalid', (data) => this.showInvalidMove(data));
     this.eventBus.on('ai:thinking', (data) => {
       const playerName = data.player === 1 ? 'Black' : 'White';
       this.showMessage(`${playerName} AI is thinking...`, 'info');
     });
+    this.eventBus.on('ai:computed', (data) => this.updateConfidence(data));
+    this.eventBus.on('analysis:updated', (data) => this.updateAnalysis(data));
+    this.eventBus.on('analysis:stopped', () => this.updateAnalysis(null));
+    this.eventBus.on('ai:strategyRegistered', (data) => {
+      this.difficultyLabels[data.id] = data.label;
+      this.updateMode();
+    });
+    this.eventBus.on('ai:strategyUnregistered', (data) => {
+      delete this.difficultyLabels[data.id];
+    });
     this.eventBus.on('mode:changed', () => this.update());
+    this.eventBus.on('rules:changed', () => this.update());
+    this.eventBus.on('board:resized', () => this.update());
+    this.eventBus.on('opening:choiceRequired', (data) => {
+      const role = data.chooser === 'first' ? 'First player' : 'Second player';
+      this.showMessage(`${role} to choose`, 'info');
+    });
+    this.eventBus.on('opening:chosen', (data) => this.showOpeningChoice(data));
+    this.eventBus.on('stones:captured', (data) => {
+      const playerName = data.player === 1 ? 'Black' : 'White';
+      this.showMessage(`${playerName} captured ${data.stones.length} stones`, 'info');
+    });
+    this.eventBus.on('clock:tick', (data) => this.updateClocks(data));
+    this.eventBus.on('draw:offered', (data) => {
+      const playerName = data.player === 1 ? 'Black' : 'White';
+      this.showMessage(`${playerName} offers a draw`, 'info');
+    });
+    this.eventBus.on('draw:declined', (data) => {
+      if (!data.implicit) {
+        this.showMessage('Draw offer declined', 'info');
+      }
+    });
+    this.eventBus.on('clock:flagged', (data) => {
+      const playerName = data.player === 1 ? 'Black' : 'White';
+      this.showMessage(`${playerName} ran out of time`, 'warning', 5000);
+    });
     this.eventBus.on('replay:started', () => this.showMessage('Replay started', 'info'));
     this.eventBus.on('replay:finished', () => this.showMessage('Replay finished', 'info'));
   }
@@ -40,7 +116,10 @@ class HudPanel {
   update() {
     this.updateStatus();
     this.updateMode();
+    this.updateRuleSet();
     this.updateCurrentPlayer();
+    this.updateCaptures();
+    this.updateVariation();
     this.updateTimer();
   }
 
@@ -60,12 +139,7 @@ class HudPanel {
   updateMode() {
     if (!this.elements.mode) return;
 
-    const difficultyMap = {
-      BEGINNER: '新手',
-      NORMAL: '标准',
-      HARD: '困难',
-      HELL: '地狱'
-    };
+    const difficultyMap = this.difficultyLabels;
 
     let modeText = '';
 
@@ -82,6 +156,8 @@ class HudPanel {
       const blackAI = difficultyMap[blackAIKey] || blackAIKey;
       const whiteAI = difficultyMap[whiteAIKey] || whiteAIKey;
       modeText = `AI 观战 · 黑(${blackAI}) vs 白(${whiteAI})`;
+    } else if (this.state.mode === 'Analysis') {
+      modeText = '分析模式 · 双方自由落子';
     } else {
       modeText = this.state.mode;
     }
@@ -89,14 +165,26 @@ class HudPanel {
     this.elements.mode.textContent = modeText;
   }
 
+  updateRuleSet() {
+    if (!this.elements.rule) return;
+
+    const ruleSet = this.state.settings.ruleSet;
+    const label = HudPanel.RULE_SET_LABELS[ruleSet] || ruleSet;
+    const restrictionMap = { PRO: ' · Pro', LONG_PRO: ' · Long Pro' };
+    const restriction = restrictionMap[this.state.settings.openingRestriction] || '';
+    this.elements.rule.textContent = `${label} · ${this.state.boardSize}路${restriction}`;
+  }
+
   updateCurrentPlayer() {
     if (!this.elements.player) return;
 
     const playerName = this.state.currentPlayer === 1 ? '黑棋' : '白棋';
-    const stepCount = this.state.moveHistory.length;
+    const stepCount = this.state.getStoneCount();
     const nextMoveIndex = stepCount + 1;
 
-    this.elements.player.textContent = `${playerName} · 第 ${nextMoveIndex} 手`;
+    const turnSize = this.state.getStonesForTurn();
+    const turnInfo = turnSize > 1 ? `（本回合 ${this.state.turnStones + 1}/${turnSize}）` : '';
+    this.elements.player.textContent = `${playerName} · 第 ${nextMoveIndex} 手${turnInfo}`;
 
     if (this.elements.playerIndicator) {
       this.elements.playerIndicator.classList.remove('player-avatar--black', 'player-avatar--white');
@@ -106,7 +194,10 @@ class HudPanel {
     }
 
     if (this.elements.moveCounter) {
-      if (this.state.gameStatus === 'ready' && stepCount === 0) {
+      const opening = this.state.opening;
+      if (opening && opening.phase !== 'done' && this.state.gameStatus !== 'finished') {
+        this.elements.moveCounter.textContent = this.formatOpeningPhase(opening);
+      } else if (this.state.gameStatus === 'ready' && stepCount === 0) {
         this.elements.moveCounter.textContent = '等待开局';
       } else if (this.state.gameStatus === 'finished') {
         this.elements.moveCounter.textContent = `共进行 ${stepCount} 手对弈`;
@@ -116,6 +207,107 @@ class HudPanel {
     }
   }
 
+  /**
+   * 提子计数，仅在提子类规则下显示
+   */
+  updateCaptures() {
+    if (!this.elements.captures) return;
+
+    const container = this.elements.captures.closest('.status-item') || this.elements.captures;
+    const visible = this.state.settings.ruleSet === 'PENTE';
+    container.hidden = !visible;
+    if (!visible) return;
+
+    const { captures } = this.state;
+    this.elements.captures.textContent = `黑 ${captures[1]}/5 · 白 ${captures[2]}/5`;
+  }
+
+  /**
+   * 变化树中的位置：主线或第几个分支，以及下一手有几个变化；棋谱没有分支时隐藏
+   */
+  updateVariation() {
+    if (!this.elements.variation) return;
+
+    const container = this.elements.variation.closest('.status-item') || this.elements.variation;
+    const hasBranches = (node) => node.children.length > 1 || node.children.some(hasBranches);
+    const visible = hasBranches(this.state.variationRoot);
+    container.hidden = !visible;
+    if (!visible) return;
+
+    const path = this.state.nodePath;
+    let position = '主线';
+    if (!this.state.isOnMainLine()) {
+      const siblings = path[path.length - 2].children;
+      position = siblings.length > 1 ? `分支 ${siblings.indexOf(this.state.currentNode) + 1}/${siblings.length}` : '分支';
+    }
+    const next = this.state.currentNode.children.length;
+    this.elements.variation.textContent = next > 1 ? `${position} · 下一手 ${next} 个变化` : position;
+  }
+
+  /**
+   * 显示蒙特卡洛策略对所选着法的置信度（该点访问次数占全部模拟的比例），其他策略的落子隐藏该项
+   * @param {{player:number, move:Object}|null} data - ai:computed 事件数据
+   */
+  updateConfidence(data) {
+    if (!this.elements.confidence) return;
+
+    const container = this.elements.confidence.closest('.status-item') || this.elements.confidence;
+    const move = data && data.move;
+    const visible = Boolean(move && Array.isArray(move.candidates) && move.visits > 0);
+    container.hidden = !visible;
+    if (!visible) return;
+
+    const side = data.player === 1 ? '黑' : '白';
+    const percent = Math.round(move.confidence * 100);
+    this.elements.confidence.textContent = `${side} ${percent}% · ${move.visits} 次模拟`;
+    this.elements.confidence.title = move.candidates
+      .slice(0, 5)
+      .map(item => `(${item.x}, ${item.y}) ${item.visits} 次 · 胜率 ${Math.round(item.winRate * 100)}%`)
+      .join('\n');
+  }
+
+  /**
+   * 显示分析模式的评估条（黑方胜率）、搜索深度与节点数，以及最佳着法的主变化；data 为 null 时隐藏
+   * @param {Object|null} data - analysis:updated 的数据，见 ModeManager._runAnalysis
+   */
+  updateAnalysis(data) {
+    if (!this.elements.analysis) return;
+
+    const container = this.elements.analysis.closest('.status-item') || this.elements.analysis;
+    const visible = Boolean(data && data.lines.length > 0);
+    container.hidden = !visible;
+    if (!visible) return;
+
+    const point = move => `${String.fromCharCode(65 + move.x)}${move.y + 1}`;
+    const percent = Math.round(data.blackWinRate * 100);
+    const depth = data.depth !== null ? ` · 深度 ${data.depth}` : '';
+    if (this.elements.evalBar) {
+      this.elements.evalBar.style.width = `${percent}%`;
+    }
+    this.elements.analysis.textContent = `黑 ${percent}% : 白 ${100 - percent}%${depth} · ${data.nodes ?? 0} 节点`;
+    this.elements.analysis.title = data.lines
+      .map((line, index) => `${index + 1}. ${point(line)} 胜率 ${Math.round(line.winRate * 100)}%`)
+      .join('\n');
+    if (this.elements.principalVariation) {
+      this.elements.principalVariation.textContent = data.lines[0].pv
+        .map(move => `${move.player === 1 ? '黑' : '白'}${point(move)}`)
+        .join(' ');
+    }
+  }
+
+  formatOpeningPhase(opening) {
+    const roleMap = { first: '先手方', second: '后手方' };
+    const decisionMap = { declare: '声明第五手打点数', fifth: '选定第五手' };
+    const protocol = HudPanel.OPENING_PROTOCOL_LABELS[opening.protocol] || opening.protocol;
+    if (opening.phase === 'place') {
+      return `${protocol} 开局 · ${roleMap[opening.actor]}摆子（剩 ${opening.stonesRemaining} 子）`;
+    }
+    if (opening.phase === 'offer') {
+      return `${protocol} 开局 · ${roleMap[opening.actor]}提交第五手打点（剩 ${opening.stonesRemaining} 个）`;
+    }
+    return `${protocol} 开局 · 等待${roleMap[opening.chooser]}${decisionMap[opening.decision] || '选择'}`;
+  }
+
   updateTimer() {
     if (!this.elements.timer) return;
 
@@ -136,6 +328,40 @@ class HudPanel {
     }
   }
 
+  /**
+   * 双方倒计时，未启用计时时隐藏
+   * @param {{type:string, activePlayer:number|null, clocks:Object}} data
+   */
+  updateClocks(data) {
+    for (const player of [1, 2]) {
+      const element = this.elements.clocks[player];
+      if (!element) continue;
+
+      const container = element.closest('.status-item') || element;
+      container.hidden = data.type === 'NONE';
+      if (data.type === 'NONE') continue;
+
+      const clock = data.clocks[player];
+      element.textContent = this.formatClock(data.type, clock);
+      container.classList.toggle('status-item--active', clock.active);
+      container.classList.toggle('status-item--low', this._clockSeconds(data.type, clock) <= 10);
+    }
+  }
+
+  formatClock(type, clock) {
+    if (!clock.overtime) {
+      return this.formatTime(clock.remaining);
+    }
+    if (type === 'BYOYOMI') {
+      return `读秒 ${Math.ceil(clock.periodRemaining / 1000)}秒 × ${clock.periodsLeft}`;
+    }
+    return `加时 ${this.formatTime(clock.periodRemaining)} / ${clock.movesLeft}手`;
+  }
+
+  _clockSeconds(type, clock) {
+    return (clock.overtime ? clock.periodRemaining : clock.remaining) / 1000;
+  }
+
   formatTime(ms) {
     const seconds = Math.floor(ms / 1000);
     const minutes = Math.floor(seconds / 60);
@@ -155,6 +381,18 @@ class HudPanel {
       'Game started': '游戏开始',
       'Move undone': '已悔棋',
       'Cannot undo': '无法悔棋',
+      'Move redone': '已重做',
+      'Cannot redo': '无法重做',
+      'No moves to undo': '已回到开局',
+      'No next move': '后面没有着法',
+      'No variations at the root': '开局处没有可切换的变化',
+      'No other variation': '没有其他变化',
+      'Cannot delete the root': '开局处没有可删除的分支',
+      'Cannot navigate in EvE auto-play mode': 'EvE 对战进行中不可切换变化',
+      'Cannot navigate during replay': '回放中不可切换变化',
+      'Cannot navigate during opening protocol': '开局协议进行中不可切换变化',
+      'Variation promoted to main line': '已设为主线',
+      'Variation deleted': '已删除分支',
       'Hint not available in EvE mode': 'EvE 模式不可使用提示',
       'Failed to get hint': '提示失败',
       'Game saved': '棋局已保存',
@@ -165,23 +403,30 @@ class HudPanel {
       'Starting replay...': '正在启动回放',
       'Game exported': '已导出棋谱',
       'Failed to export': '导出失败',
+      'Failed to change rule set': '规则切换失败',
+      'Invalid board size': '棋盘尺寸无效（9 ~ 26）',
+      'Failed to change opening protocol': '开局协议切换失败',
+      'Failed to change opening restriction': '开局限制切换失败',
       'Waiting for AI...': 'AI 思考中...',
       'EvE mode is running, cannot place pieces manually': 'EvE 模式不可手动落子',
-      'AI is thinking...': 'AI 思考中...'
+      'AI is thinking...': 'AI 思考中...',
+      'First player to choose': '等待先手方做出开局选择',
+      'Second player to choose': '等待后手方做出开局选择',
+      'Opening choice pending': '请先完成开局选择',
+      'Opening stone must follow the 26 canonical openings': '前三手须为连珠26种开局之一（黑1天元，白2紧邻，黑3在中心5×5内）',
+      'Fifth move offer is symmetric to an existing one': '该打点与已提交的打点对称等价',
+      'First black stone must be on the center': '黑棋第一子须下在天元',
+      'Black stone is too close to the center': '黑棋第二子离天元太近（红色区域禁入）'
     };
 
     const modeMap = {
       PvP: '双人对弈',
       PvE: '人机对战',
-      EvE: 'AI 观战'
+      EvE: 'AI 观战',
+      Analysis: '分析模式'
     };
 
-    const difficultyMap = {
-      BEGINNER: '新手',
-      NORMAL: '标准',
-      HARD: '困难',
-      HELL: '地狱'
-    };
+    const difficultyMap = this.difficultyLabels;
 
     const sideMap = {
       Black: '黑方',
@@ -204,7 +449,8 @@ class HudPanel {
             let item = part.trim();
             item = item.replace('You:', '玩家:').replace('AI:', 'AI:');
             item = item.replace('Black', '黑棋').replace('White', '白棋');
-            Object.entries(difficultyMap).forEach(([key, value]) => {
+            // 长id先替换，避免自定义策略id中的内置id被先行替换
+            Object.entries(difficultyMap).sort(([a], [b]) => b.length - a.length).forEach(([key, value]) => {
               item = item.replace(key, value);
             });
             return item;
@@ -216,8 +462,22 @@ class HudPanel {
         const modeKey = text.replace('Mode changed to', '').trim();
         const localizedMode = modeMap[modeKey] || modeKey;
         displayText = `模式切换至 ${localizedMode}`;
+      } else if (text.startsWith('Rule set changed to')) {
+        const ruleKey = text.replace('Rule set changed to', '').trim();
+        displayText = `规则切换至 ${HudPanel.RULE_SET_LABELS[ruleKey] || ruleKey}`;
+      } else if (text.startsWith('Opening protocol changed to')) {
+        const protocol = text.replace('Opening protocol changed to', '').trim();
+        const label = HudPanel.OPENING_PROTOCOL_LABELS[protocol];
+        displayText = `开局协议切换至 ${label ? `${label} 开局` : '无开局协议'}`;
+      } else if (text.startsWith('Opening restriction changed to')) {
+        const restrictionMap = { NONE: '无开局限制', PRO: 'Pro', LONG_PRO: 'Long Pro' };
+        const restriction = text.replace('Opening restriction changed to', '').trim();
+        displayText = `开局限制切换至 ${restrictionMap[restriction] || restriction}`;
+      } else if (text.startsWith('Board size changed to')) {
+        const size = text.replace('Board size changed to', '').trim();
+        displayText = `棋盘切换至 ${size} 路`;
       } else if (text.startsWith('Hint:')) {
-        const hint = text.replace('Hint:', '').trim();
+        const hint = text.replace('Hint:', '').trim().replace('alternatives:', '备选');
         displayText = `推荐落子：${hint}`;
       } else if (text.endsWith('AI is thinking...')) {
         const prefix = text.replace('AI is thinking...', '').trim();
@@ -244,14 +504,34 @@ class HudPanel {
     }
   }
 
+  showOpeningChoice(data) {
+    const roleMap = { first: '先手方', second: '后手方' };
+    const optionMap = { black: '执黑', white: '执白', place2: '加摆两子' };
+    let choice = optionMap[data.option];
+    if (data.decision === 'declare') {
+      choice = `第五手打点数 ${data.option}`;
+    } else if (data.decision === 'fifth') {
+      const [x, y] = data.option.split(',').map(Number);
+      choice = `第五手 ${String.fromCharCode(65 + x)}${y + 1}`;
+    }
+    this.showMessage(`${roleMap[data.chooser]}选择${choice}`, 'info');
+  }
+
   showGameResult(data) {
+    const reasonMap = {
+      resign: ' by resignation',
+      timeout: ' on time',
+      draw_agreed: ' by agreement',
+      move_limit: ' (move limit reached)'
+    };
     let message = '';
     if (data.winner === null) {
       message = 'Game ended in a draw';
     } else {
       const winnerName = data.winner === 1 ? 'Black' : 'White';
-      message = `${winnerName} wins!`;
+      message = `${winnerName} wins`;
     }
+    message += reasonMap[data.reason] || (data.winner === null ? '' : '!');
 
     const duration = this.formatTime(data.duration || 0);
     this.showMessage(`${message} (${duration})`, 'success', 5000);
@@ -270,6 +550,14 @@ class HudPanel {
       message = 'Position already occupied';
     } else if (data.error === 'out_of_bounds') {
       message = 'Position out of bounds';
+    } else if (data.error === 'opening_restriction') {
+      message = data.restriction && data.restriction.requireCenter
+        ? 'First black stone must be on the center'
+        : 'Black stone is too close to the center';
+    } else if (data.error === 'invalid_opening') {
+      message = 'Opening stone must follow the 26 canonical openings';
+    } else if (data.error === 'symmetric_offer') {
+      message = 'Fifth move offer is symmetric to an existing one';
     }
 
     this.showMessage(message, 'error', 2000);
@@ -0,0 +1,335 @@
+/**
+ * 直线棋型分类 - 在一条直线（一维格子序列）上识别成五、活四、冲四、活三、跳三、眠三、活二、眠二
+ * 棋型按落子定义：冲四是再下一子即成五，两个成五点属于同一组四子时为活四；
+ * 活三是再下一子可成活四（棋子相连为活三，中间有空为跳三，如 X_XX），只能成冲四为眠三；
+ * 活二、眠二同理。较低的棋型若其棋子已包含在更高的棋型中则不重复计入。
+ * 格子编码：0 空，1 己方，2 对方或棋盘外。分析结果按格子序列缓存，RuleEngine的禁手判定与AI局面评估共用
+ */
+class LinePatterns {
+  static EMPTY = 0;
+
+  static OWN = 1;
+
+  static BLOCKED = 2;
+
+  static RADIUS = 5; // readLine 读取落子点两侧的格数，足以判定经过该点的四与五是否恰好五连
+
+  static TYPES = {
+    FIVE: 'five',
+    OPEN_FOUR: 'openFour',
+    FOUR: 'four',
+    OPEN_THREE: 'openThree',
+    SPLIT_THREE: 'splitThree',
+    CLOSED_THREE: 'closedThree',
+    OPEN_TWO: 'openTwo',
+    CLOSED_TWO: 'closedTwo'
+  };
+
+  /**
+   * 默认棋型分数，规则集可覆盖（RuleSet.getPatternScores）
+   */
+  static SCORES = {
+    five: 1000000,
+    openFour: 100000,
+    four: 40000,
+    openThree: 6000,
+    splitThree: 5000,
+    closedThree: 1500,
+    openTwo: 400,
+    closedTwo: 80
+  };
+
+  static MAX_CACHE = 1 << 16;
+
+  static cache = new Map(); // 格子序列的编码 -> 棋型列表
+
+  static lineCache = new Map(); // 棋盘尺寸 -> 全部直线
+
+  /**
+   * 棋盘上的全部直线：各行、各列、左上-右下斜线（按 x - y）、左下-右上斜线（按 x + y）
+   * @param {number} size
+   * @returns {Array<{x:number, y:number, dx:number, dy:number, length:number}>} 起点、方向与格数
+   */
+  static boardLines(size) {
+    if (!LinePatterns.lineCache.has(size)) {
+      const lines = [];
+      for (let y = 0; y < size; y += 1) lines.push({ x: 0, y, dx: 1, dy: 0, length: size });
+      for (let x = 0; x < size; x += 1) lines.push({ x, y: 0, dx: 0, dy: 1, length: size });
+      for (let d = 0; d < size * 2 - 1; d += 1) {
+        const x = Math.max(0, d - size + 1);
+        const y = Math.max(0, size - 1 - d);
+        lines.push({ x, y, dx: 1, dy: 1, length: size - Math.abs(d - size + 1) });
+      }
+      for (let s = 0; s < size * 2 - 1; s += 1) {
+        const x = Math.max(0, s - size + 1);
+        lines.push({ x, y: s - x, dx: 1, dy: -1, length: size - Math.abs(s - size + 1) });
+      }
+      LinePatterns.lineCache.set(size, lines);
+    }
+    return LinePatterns.lineCache.get(size);
+  }
+
+  /**
+   * 经过(x, y)的四条直线在 boardLines 中的下标
+   * @param {number} x
+   * @param {number} y
+   * @param {number} size
+   * @returns {number[]}
+   */
+  static lineIndexes(x, y, size) {
+    return [y, size + x, size * 3 - 1 + x - y, size * 4 - 1 + x + y];
+  }
+
+  /**
+   * 读取经过(x, y)的一段直线，以player为己方编码
+   * @param {number[][]} board
+   * @param {number} x
+   * @param {number} y
+   * @param {number} dx
+   * @param {number} dy
+   * @param {number} player
+   * @param {number} [radius]
+   * @returns {number[]} 长度为 radius * 2 + 1，(x, y) 位于下标 radius
+   */
+  static readLine(board, x, y, dx, dy, player, radius = LinePatterns.RADIUS) {
+    const size = board.length;
+    const cells = new Array(radius * 2 + 1);
+    for (let offset = -radius; offset <= radius; offset += 1) {
+      const nx = x + dx * offset;
+      const ny = y + dy * offset;
+      let cell = LinePatterns.BLOCKED;
+      if (nx >= 0 && ny >= 0 && nx < size && ny < size) {
+        const value = board[ny][nx];
+        if (value === 0) {
+          cell = LinePatterns.EMPTY;
+        } else if (value === player) {
+          cell = LinePatterns.OWN;
+        }
+      }
+      cells[offset + radius] = cell;
+    }
+    return cells;
+  }
+
+  /**
+   * 分析格子序列中的全部棋型
+   * @param {number[]} cells
+   * @param {boolean} [exactFive] - 是否须恰好五连（长连不算成五）
+   * @returns {Array<{type:string, stones:number[], points:number[]}>}
+   *   stones 为构成棋型的己方棋子下标；points 为成五点（五、四）或延伸点（三、二）
+   */
+  static analyze(cells, exactFive = false) {
+    let code = 0;
+    for (let i = 0; i < cells.length; i += 1) {
+      code = code * 4 + cells[i] + 1;
+    }
+    return LinePatterns._lookup(code, exactFive);
+  }
+
+  /**
+   * 经过下标index的棋型
+   * @param {number[]} cells
+   * @param {number} index
+   * @param {boolean} [exactFive]
+   * @returns {Array<{type:string, stones:number[], points:number[]}>}
+   */
+  static through(cells, index, exactFive = false) {
+    return LinePatterns.analyze(cells, exactFive).filter(pattern => pattern.stones.includes(index));
+  }
+
+  /**
+   * 棋盘上一条完整直线的棋型分数：按对方棋子与棋盘边缘分段，长度不足5的段无法成五，不计分
+   * 逐格编码各段后直接查缓存，不另建格子数组
+   * @param {number[][]} board
+   * @param {{x:number, y:number, dx:number, dy:number, length:number}} line - boardLines 中的一条
+   * @param {number} player
+   * @param {boolean} exactFive
+   * @param {Object} scores - 棋型 -> 分数
+   * @returns {number}
+   */
+  static scoreBoardLine(board, line, player, exactFive, scores) {
+    let total = 0;
+    let code = 0;
+    let length = 0;
+    let hasOwn = false;
+    for (let i = 0; i <= line.length; i += 1) {
+      const value = i < line.length ? board[line.y + line.dy * i][line.x + line.dx * i] : -1;
+      if (value === 0 || value === player) {
+        code = code * 4 + (value === 0 ? LinePatterns.EMPTY : LinePatterns.OWN) + 1;
+        length += 1;
+        hasOwn = hasOwn || value === player;
+        continue;
+      }
+      if (hasOwn && length >= 5) {
+        const patterns = LinePatterns._lookup(code, exactFive);
+        for (let j = 0; j < patterns.length; j += 1) {
+          total += scores[patterns[j].type] || 0;
+        }
+      }
+      code = 0;
+      length = 0;
+      hasOwn = false;
+    }
+    return total;
+  }
+
+  /**
+   * 按编码查询棋型，未缓存时解码出格子序列再分类
+   * 编码为每格 (格子值 + 1) 的四进制数，不同长度的序列编码也不同
+   */
+  static _lookup(code, exactFive) {
+    const key = exactFive ? -code : code;
+    let patterns = LinePatterns.cache.get(key);
+    if (!patterns) {
+      if (LinePatterns.cache.size >= LinePatterns.MAX_CACHE) {
+        LinePatterns.cache.clear();
+      }
+      const cells = [];
+      for (let rest = code; rest > 0; rest = Math.floor(rest / 4)) {
+        cells.unshift((rest % 4) - 1);
+      }
+      patterns = LinePatterns._classify(cells, exactFive);
+      LinePatterns.cache.set(key, patterns);
+    }
+    return patterns;
+  }
+
+  static _classify(cells, exactFive) {
+    const { TYPES } = LinePatterns;
+    const patterns = [];
+    const add = (type, groups) => groups.forEach(({ stones, points }) => {
+      // 已被更高棋型包含的棋子组不再计入
+      if (patterns.some(item => stones.every(stone => item.stones.includes(stone)))) return;
+      patterns.push({ type, stones, points });
+    });
+
+    add(TYPES.FIVE, LinePatterns._fives(cells, exactFive));
+    const fours = LinePatterns._fours(cells, exactFive);
+    add(TYPES.OPEN_FOUR, fours.filter(group => group.points.length >= 2));
+    add(TYPES.FOUR, fours.filter(group => group.points.length === 1));
+
+    const threes = LinePatterns._extend(cells, exactFive, next => LinePatterns._fours(next, exactFive));
+    add(TYPES.OPEN_THREE, threes.open.filter(group => LinePatterns._isContiguous(group.stones)));
+    add(TYPES.SPLIT_THREE, threes.open.filter(group => !LinePatterns._isContiguous(group.stones)));
+    add(TYPES.CLOSED_THREE, threes.closed);
+
+    const twos = LinePatterns._extend(cells, exactFive, (next) => {
+      const { open, closed } = LinePatterns._extend(next, exactFive, deeper => LinePatterns._fours(deeper, exactFive));
+      // 下一子成活三即为活二，成眠三为眠二
+      return [
+        ...open.map(group => ({ ...group, points: [0, 0] })),
+        ...closed.map(group => ({ ...group, points: [0] }))
+      ];
+    });
+    add(TYPES.OPEN_TWO, twos.open.filter(group => group.stones.length === 2));
+    add(TYPES.CLOSED_TWO, twos.closed.filter(group => group.stones.length === 2));
+
+    return patterns;
+  }
+
+  /**
+   * 已成五的连子
+   */
+  static _fives(cells, exactFive) {
+    const groups = [];
+    let start = -1;
+    for (let i = 0; i <= cells.length; i += 1) {
+      if (i < cells.length && cells[i] === LinePatterns.OWN) {
+        if (start < 0) start = i;
+        continue;
+      }
+      if (start >= 0 && LinePatterns._isFiveLength(i - start, exactFive)) {
+        groups.push({ stones: LinePatterns._range(start, i - 1), points: [] });
+      }
+      start = -1;
+    }
+    return groups;
+  }
+
+  /**
+   * 四：按构成五连的己方棋子分组，points 为该组的成五点
+   */
+  static _fours(cells, exactFive) {
+    const groups = new Map();
+    for (let i = 0; i < cells.length; i += 1) {
+      if (cells[i] !== LinePatterns.EMPTY) continue;
+      let start = i;
+      let end = i;
+      while (start > 0 && cells[start - 1] === LinePatterns.OWN) start -= 1;
+      while (end < cells.length - 1 && cells[end + 1] === LinePatterns.OWN) end += 1;
+      if (!LinePatterns._isFiveLength(end - start + 1, exactFive)) continue;
+
+      const stones = LinePatterns._range(start, end).filter(index => index !== i);
+      const key = stones.join(',');
+      if (!groups.has(key)) {
+        groups.set(key, { stones, points: [] });
+      }
+      groups.get(key).points.push(i);
+    }
+    return Array.from(groups.values());
+  }
+
+  /**
+   * 在每个空点试下一子，按 next 找出因该子形成的更高棋型，去掉该子即为原棋型的棋子组
+   * @param {number[]} cells
+   * @param {boolean} exactFive
+   * @param {Function} next - (cells) => 更高棋型的分组，points 不少于2个视为活型
+   * @returns {{open:Array, closed:Array}} 能走成活型的为 open，只能走成眠型的为 closed
+   */
+  static _extend(cells, exactFive, next) {
+    const open = new Map();
+    const closed = new Map();
+    for (let i = 0; i < cells.length; i += 1) {
+      if (cells[i] !== LinePatterns.EMPTY) continue;
+      cells[i] = LinePatterns.OWN;
+      next(cells).forEach((group) => {
+        if (!group.stones.includes(i)) return;
+        const stones = group.stones.filter(index => index !== i);
+        const key = stones.join(',');
+        const target = group.points.length >= 2 ? open : closed;
+        if (!target.has(key)) {
+          target.set(key, { stones, points: [] });
+        }
+        if (!target.get(key).points.includes(i)) {
+          target.get(key).points.push(i);
+        }
+      });
+      cells[i] = LinePatterns.EMPTY;
+    }
+    open.forEach((group, key) => closed.delete(key));
+    return { open: Array.from(open.values()), closed: Array.from(closed.values()) };
+  }
+
+  static _isFiveLength(length, exactFive) {
+    return exactFive ? length === 5 : length >= 5;
+  }
+
+  static _isContiguous(stones) {
+    return stones[stones.length - 1] - stones[0] === stones.length - 1;
+  }
+
+  static _range(start, end) {
+    const indices = [];
+    for (let i = start; i <= end; i += 1) {
+      indices.push(i);
+    }
+    return indices;
+  }
+}
+
+LinePatterns.__moduleInfo = {
+  name: 'LinePatterns',
+  version: '2.0.0',
+  dependencies: []
+};
+
+if (typeof window !== 'undefined') {
+  window.LinePatterns = LinePatterns;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: LinePatterns.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LinePatterns;
+}
+
+export default LinePatterns;
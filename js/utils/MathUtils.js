@@ -1,6 +1,8 @@
 /**
  * 数学与棋盘相关的工具函数
  */
+import LinePatterns from './LinePatterns.js';
+
 class MathUtils {
   static BOARD_DIRECTIONS = [
     { dx: 1, dy: 0, name: 'horizontal' },
@@ -19,6 +21,8 @@ class MathUtils {
     CLOSED_TWO: 80
   };
 
+  static SYMMETRY_COUNT = 8;
+
   /**
    * 克隆棋盘
    * @param {number[][]} board - 棋盘矩阵
@@ -91,54 +95,18 @@ class MathUtils {
   }
 
   /**
-   * 基于局面评估分数
+   * 基于局面评估分数：逐条直线识别棋型（LinePatterns）并累加棋型分数
    * @param {number[][]} board
    * @param {number} player
+   * @param {Object} [scores] - 棋型 -> 分数，缺省为 LinePatterns.SCORES
+   * @param {boolean} [exactFive] - 长连是否不计为成五
    * @returns {number}
    */
-  static evaluateBoard(board, player) {
-    const size = board.length;
-    let score = 0;
-
-    for (let y = 0; y < size; y += 1) {
-      for (let x = 0; x < size; x += 1) {
-        if (board[y][x] !== player) continue;
-
-        for (const dir of MathUtils.BOARD_DIRECTIONS) {
-          const prevX = x - dir.dx;
-          const prevY = y - dir.dy;
-          if (MathUtils.inBounds(prevX, prevY, size) && board[prevY][prevX] === player) {
-            continue; // 避免重复统计相同线段
-          }
-
-          const { count, openEnds } = MathUtils.countDirection(board, x, y, dir.dx, dir.dy, player);
-
-          if (count >= 5) {
-            score += MathUtils.SCORE_TABLE.FIVE;
-          } else if (count === 4) {
-            if (openEnds === 2) {
-              score += MathUtils.SCORE_TABLE.OPEN_FOUR;
-            } else if (openEnds === 1) {
-              score += MathUtils.SCORE_TABLE.CLOSED_FOUR;
-            }
-          } else if (count === 3) {
-            if (openEnds === 2) {
-              score += MathUtils.SCORE_TABLE.OPEN_THREE;
-            } else if (openEnds === 1) {
-              score += MathUtils.SCORE_TABLE.CLOSED_THREE;
-            }
-          } else if (count === 2) {
-            if (openEnds === 2) {
-              score += MathUtils.SCORE_TABLE.OPEN_TWO;
-            } else if (openEnds === 1) {
-              score += MathUtils.SCORE_TABLE.CLOSED_TWO;
-            }
-          }
-        }
-      }
-    }
-
-    return score;
+  static evaluateBoard(board, player, scores = LinePatterns.SCORES, exactFive = false) {
+    return LinePatterns.boardLines(board.length).reduce(
+      (score, line) => score + LinePatterns.scoreBoardLine(board, line, player, exactFive, scores),
+      0
+    );
   }
 
   /**
@@ -151,6 +119,7 @@ class MathUtils {
     const size = board.length;
     const candidates = new Map();
     const center = (size - 1) / 2;
+    const centerWeight = size + 5; // 距中心越近权重越高，随棋盘尺寸缩放
     let hasAnyPiece = false;
 
     for (let y = 0; y < size; y += 1) {
@@ -171,7 +140,7 @@ class MathUtils {
               candidates.set(key, {
                 x: nx,
                 y: ny,
-                weight: weight + neighborWeight + (20 - distanceToCenter)
+                weight: weight + neighborWeight + (centerWeight - distanceToCenter)
               });
             }
           }
@@ -220,12 +189,66 @@ class MathUtils {
     }
     return false;
   }
+
+  /**
+   * 查找落子(x, y)后被夹吃的棋子：同一直线上恰好两枚对方棋子被己方两子夹住
+   * @param {number[][]} board
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player
+   * @returns {Array<{x:number, y:number, player:number}>}
+   */
+  static findCaptures(board, x, y, player) {
+    const size = board.length;
+    const opponent = MathUtils.getOpponent(player);
+    const captured = [];
+
+    for (const dir of MathUtils.BOARD_DIRECTIONS) {
+      for (const sign of [1, -1]) {
+        const dx = dir.dx * sign;
+        const dy = dir.dy * sign;
+        const endX = x + dx * 3;
+        const endY = y + dy * 3;
+        if (!MathUtils.inBounds(endX, endY, size) || board[endY][endX] !== player) continue;
+        if (board[y + dy][x + dx] !== opponent || board[y + dy * 2][x + dx * 2] !== opponent) continue;
+        captured.push(
+          { x: x + dx, y: y + dy, player: opponent },
+          { x: x + dx * 2, y: y + dy * 2, player: opponent }
+        );
+      }
+    }
+
+    return captured;
+  }
+
+  /**
+   * 按棋盘的8种对称变换（旋转/镜像）映射坐标，以棋盘中心为对称中心
+   * @param {number} x
+   * @param {number} y
+   * @param {number} size
+   * @param {number} symmetry - 0 ~ 7，0为恒等变换
+   * @returns {{x:number, y:number}}
+   */
+  static transformPoint(x, y, size, symmetry) {
+    const max = size - 1;
+    let tx = x;
+    let ty = y;
+    if (symmetry & 4) {
+      tx = max - tx;
+    }
+    for (let i = 0; i < (symmetry & 3); i += 1) {
+      const rotatedX = max - ty;
+      ty = tx;
+      tx = rotatedX;
+    }
+    return { x: tx, y: ty };
+  }
 }
 
 MathUtils.__moduleInfo = {
   name: 'MathUtils',
   version: '2.0.0',
-  dependencies: []
+  dependencies: ['LinePatterns']
 };
 
 if (typeof window !== 'undefined') {
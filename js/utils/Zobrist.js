@@ -0,0 +1,105 @@
+/**
+ * Zobrist哈希 - 每个棋盘格的每种棋子对应一个随机键，局面哈希为全部棋子键的异或
+ * 落子、提子时只需异或对应的键即可增量更新。哈希分为低32位与高21位两段，
+ * 合并后是53位以内的整数，可以直接作为Map的键
+ */
+class Zobrist {
+  static SEED = 0x2545f491;
+
+  static HIGH_MASK = 0x1fffff;
+
+  /**
+   * 区分搜索视角（以哪一方为最大化方）的附加键
+   */
+  static PERSPECTIVE_KEY = { low: 0x5bd1e995, high: 0x0c2b2a };
+
+  /**
+   * 区分搜索是否计入黑棋禁手的附加键
+   */
+  static FORBIDDEN_KEY = { low: 0x9e3779b9, high: 0x1b8735 };
+
+  static tables = new Map(); // 棋盘尺寸 -> Uint32Array
+
+  /**
+   * 取得指定尺寸棋盘的键表，同一尺寸在任何线程中生成的键都相同
+   * @param {number} size
+   * @returns {Uint32Array} 每个格子、每种棋子依次存放低位与高位
+   */
+  static getTable(size) {
+    if (!Zobrist.tables.has(size)) {
+      const table = new Uint32Array(size * size * 4);
+      let seed = (Zobrist.SEED ^ size) >>> 0;
+      for (let i = 0; i < table.length; i += 1) {
+        // xorshift32
+        seed ^= seed << 13;
+        seed ^= seed >>> 17;
+        seed ^= seed << 5;
+        seed >>>= 0;
+        table[i] = i % 2 === 0 ? seed : seed & Zobrist.HIGH_MASK;
+      }
+      Zobrist.tables.set(size, table);
+    }
+    return Zobrist.tables.get(size);
+  }
+
+  /**
+   * 棋子键在键表中的下标（低位），高位紧随其后
+   * @param {number} x
+   * @param {number} y
+   * @param {number} player - 1 | 2
+   * @param {number} size
+   * @returns {number}
+   */
+  static keyIndex(x, y, player, size) {
+    return ((y * size + x) * 2 + (player - 1)) * 2;
+  }
+
+  /**
+   * 完整计算棋盘哈希
+   * @param {number[][]} board
+   * @returns {{low:number, high:number}}
+   */
+  static hashBoard(board) {
+    const size = board.length;
+    const table = Zobrist.getTable(size);
+    let low = 0;
+    let high = 0;
+    for (let y = 0; y < size; y += 1) {
+      for (let x = 0; x < size; x += 1) {
+        const player = board[y][x];
+        if (player === 0) continue;
+        const index = Zobrist.keyIndex(x, y, player, size);
+        low ^= table[index];
+        high ^= table[index + 1];
+      }
+    }
+    return { low: low >>> 0, high };
+  }
+
+  /**
+   * 合并两段哈希
+   * @param {number} low
+   * @param {number} high
+   * @returns {number}
+   */
+  static combine(low, high) {
+    return (high & Zobrist.HIGH_MASK) * 0x100000000 + (low >>> 0);
+  }
+}
+
+Zobrist.__moduleInfo = {
+  name: 'Zobrist',
+  version: '2.0.0',
+  dependencies: []
+};
+
+if (typeof window !== 'undefined') {
+  window.Zobrist = Zobrist;
+  window.dispatchEvent(new CustomEvent('moduleLoaded', { detail: Zobrist.__moduleInfo }));
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Zobrist;
+}
+
+export default Zobrist;
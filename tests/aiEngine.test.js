@@ -0,0 +1,352 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import EventBus from '../js/utils/EventBus.js';
+import MathUtils from '../js/utils/MathUtils.js';
+import GameState from '../js/core/GameState.js';
+import RuleEngine from '../js/core/RuleEngine.js';
+import AIEngine from '../js/core/AIEngine.js';
+import ModeManager from '../js/core/ModeManager.js';
+import ModuleRegistry from '../js/services/ModuleRegistry.js';
+
+const createEngine = (stones = [], ruleSet = 'FREESTYLE') => {
+  const eventBus = new EventBus();
+  const state = new GameState(eventBus);
+  state.reset({ ruleSet });
+  stones.forEach(([x, y, player]) => state.setPiece(x, y, player));
+  state.gameStatus = 'playing';
+  const rules = new RuleEngine(state, eventBus);
+  const ai = new AIEngine(state, rules, eventBus);
+  return { eventBus, state, rules, ai };
+};
+
+const OPENING = [[7, 7, 1], [8, 7, 2], [7, 8, 1], [6, 6, 2]];
+
+// (7,7)是黑棋的三三；白棋在(6,7)冲四后只能挡在(7,7)
+const FORBIDDEN_TRAP = [
+  [7, 5, 1], [7, 6, 1], [8, 6, 1], [9, 5, 1], [2, 7, 1],
+  [3, 7, 2], [4, 7, 2], [5, 7, 2], [12, 12, 2], [12, 2, 2]
+];
+
+test('Iterative deepening reports the completed depth in ai:computed', async () => {
+  const { eventBus, ai } = createEngine(OPENING);
+  let computed = null;
+  eventBus.on('ai:computed', (data) => { computed = data; });
+  ai.setDifficulty(1, 'NORMAL');
+
+  const move = await ai.computeMove(1);
+  const strategy = ai.getStrategy('NORMAL');
+  assert.ok(computed.depth >= 2 && computed.depth <= strategy.maxDepth);
+  assert.equal(move.depth, computed.depth);
+});
+
+test('An exhausted budget returns the last completed depth', async () => {
+  const { ai } = createEngine(OPENING);
+  const move = await ai.searchInThread({ player: 1, level: 'HELL', budget: 0 });
+  assert.equal(move.depth, 1, 'the second depth is abandoned when time is up');
+  assert.equal(ai.state.board[move.y][move.x], 0);
+});
+
+test('Search stops deepening once a win is found', async () => {
+  const { ai } = createEngine([[3, 7, 1], [4, 7, 1], [5, 7, 1], [6, 7, 1], [3, 8, 2], [4, 8, 2], [5, 8, 2]]);
+  const move = await ai.searchInThread({ player: 1, level: 'HARD', budget: 2000 });
+  assert.equal(move.y, 7);
+  assert.ok([2, 7].includes(move.x));
+  assert.equal(move.depth, 1);
+});
+
+test('Search only counts a five that wins under the active rule set', async () => {
+  // 黑棋 XXX_XX：填空成六，标准规则下不算胜
+  const overline = [[3, 7, 1], [4, 7, 1], [5, 7, 1], [7, 7, 1], [8, 7, 1], [4, 8, 2], [5, 8, 2], [6, 8, 2], [7, 9, 2]];
+  for (const level of ['NORMAL', 'HARD']) {
+    const { ai } = createEngine(overline, 'STANDARD');
+    const move = await ai.searchInThread({ player: 1, level, budget: 1000 });
+    assert.notDeepEqual([move.x, move.y], [6, 7], `${level} does not fill the gap into an overline`);
+    assert.ok(move.score < MathUtils.SCORE_TABLE.FIVE / 2);
+  }
+  const freestyle = createEngine(overline);
+  const six = await freestyle.ai.searchInThread({ player: 1, level: 'NORMAL', budget: 1000 });
+  assert.deepEqual([six.x, six.y, six.score], [6, 7, MathUtils.SCORE_TABLE.FIVE], 'an overline wins in freestyle');
+
+  // Caro：两端都被白棋堵住的五连不算胜
+  const caro = createEngine([[2, 9, 2], [3, 9, 1], [4, 9, 1], [5, 9, 1], [6, 9, 1], [8, 9, 2], [9, 3, 2]], 'CARO');
+  const blocked = await caro.ai.searchInThread({ player: 1, level: 'NORMAL', budget: 1000 });
+  assert.ok(blocked.score < MathUtils.SCORE_TABLE.FIVE / 2);
+});
+
+test('Transposition table keeps the search result and expands fewer nodes', async () => {
+  const stones = [[7, 7, 1], [8, 7, 2], [7, 8, 1], [6, 6, 2], [8, 9, 1], [9, 8, 2], [6, 9, 1], [5, 10, 2]];
+  const { ai, state } = createEngine(stones);
+  const strategy = ai.getStrategy('HARD');
+  const table = strategy.table;
+  assert.equal(table, ai.getStrategy('HELL').table, 'the table is shared between strategies');
+
+  strategy.table = null;
+  const plain = await ai.searchInThread({ player: 1, level: 'HARD', budget: Infinity });
+  strategy.table = table;
+  const cached = await ai.searchInThread({ player: 1, level: 'HARD', budget: Infinity });
+
+  assert.deepEqual([cached.x, cached.y, cached.score, cached.depth], [plain.x, plain.y, plain.score, plain.depth]);
+  assert.ok(cached.nodes < plain.nodes, `${cached.nodes} < ${plain.nodes}`);
+  assert.ok(table.size > 0);
+  assert.equal(state.board[cached.y][cached.x], 0);
+});
+
+test('Search keeps black off forbidden points and lets white aim for them', async () => {
+  const renju = createEngine(FORBIDDEN_TRAP, 'RENJU');
+  const hash = renju.state.getHash();
+  const trap = await renju.ai.searchInThread({ player: 2, level: 'NORMAL', budget: 1000 });
+  assert.deepEqual([trap.x, trap.y], [6, 7]);
+  assert.ok(trap.score >= MathUtils.SCORE_TABLE.FIVE / 2, 'black cannot block on its forbidden point');
+  assert.equal(renju.state.getHash(), hash, 'the board is restored after the search');
+
+  const strategy = renju.ai.getStrategy('NORMAL');
+  const blocksTrap = player => strategy.generateCandidates(renju.state.board, player)
+    .some(move => move.x === 7 && move.y === 7);
+  assert.equal(blocksTrap(1), false);
+  assert.equal(blocksTrap(2), true);
+
+  const freestyle = createEngine(FORBIDDEN_TRAP);
+  const block = await freestyle.ai.searchInThread({ player: 2, level: 'NORMAL', budget: 1000 });
+  assert.deepEqual([block.x, block.y], [7, 7], 'without forbidden moves white blocks the double three');
+});
+
+test('Leaf evaluation counts a four whose only block is forbidden for black', async () => {
+  const { state, rules, ai } = createEngine([...FORBIDDEN_TRAP, [6, 7, 2]], 'RENJU');
+  const strategy = ai.getStrategy('NORMAL');
+  const plain = strategy.evaluate(state.board, 2);
+  strategy.forbiddenRules = rules;
+  strategy.lastX = 6;
+  strategy.lastY = 7;
+  assert.equal(strategy.evaluateNode(state.board, 2, 1), plain + MathUtils.SCORE_TABLE.OPEN_FOUR);
+  assert.equal(
+    strategy.evaluateNode(state.board, 1, 1),
+    strategy.evaluate(state.board, 1) - MathUtils.SCORE_TABLE.OPEN_FOUR
+  );
+  assert.equal(strategy.evaluateNode(state.board, 2, 2), plain, 'white to move simply wins');
+});
+
+test('Leaf scores that depend on the last move are not cached under forbidden rules', async () => {
+  const leafDepths = async (ruleSet) => {
+    const { ai } = createEngine(FORBIDDEN_TRAP, ruleSet);
+    const table = ai.getStrategy('NORMAL').table;
+    table.clear();
+    await ai.searchInThread({ player: 2, level: 'NORMAL', budget: 1000 });
+    return [...table.entries.values()].filter(entry => entry.depth === 0).length;
+  };
+  assert.equal(await leafDepths('RENJU'), 0);
+  assert.ok(await leafDepths('FREESTYLE') > 0, 'leaves are still cached without forbidden moves');
+});
+
+const seededRandom = (seed) => {
+  let value = seed;
+  return () => {
+    value = (value * 1103515245 + 12345) % 2147483648;
+    return value / 2147483648;
+  };
+};
+
+test('MCTS strategy is selectable and reports visit counts per candidate', async () => {
+  const { eventBus, ai } = createEngine([
+    [5, 7, 1], [6, 7, 1], [7, 7, 1], [8, 7, 1], [4, 7, 2], [5, 8, 2], [6, 8, 2], [7, 8, 2]
+  ]);
+  let computed = null;
+  eventBus.on('ai:computed', (data) => { computed = data; });
+  ai.setDifficulty(2, 'MCTS');
+  const strategy = ai.getStrategy('MCTS');
+  strategy.random = seededRandom(7);
+  strategy.maxSimulations = 400;
+
+  const move = await ai.computeMove(2);
+  assert.deepEqual([move.x, move.y], [9, 7], 'white blocks the four');
+  assert.equal(computed.move.visits, move.visits);
+  assert.equal(move.candidates.reduce((sum, item) => sum + item.visits, 0), move.visits);
+  assert.equal(move.confidence, move.candidates[0].visits / move.visits);
+  assert.ok(move.candidates.every((item, index, list) => index === 0 || list[index - 1].visits >= item.visits));
+});
+
+test('Pente search stops expanding once the time is up', async () => {
+  const { state, rules, ai } = createEngine(OPENING, 'PENTE');
+  const strategy = ai.getStrategy('HELL');
+  let expanded = 0;
+  const orderMoves = strategy.orderMoves.bind(strategy);
+  strategy.orderMoves = (...args) => {
+    expanded += 1;
+    return orderMoves(...args);
+  };
+  strategy.startSearch(0);
+
+  const move = await strategy.compute(state, 1, rules);
+  assert.equal(state.board[move.y][move.x], 0);
+  assert.equal(expanded, 1, 'only the root candidates are ordered');
+});
+
+test('Pente leaf evaluation rescans capture threats only around the search line', async () => {
+  const { state, rules, ai } = createEngine([
+    [7, 7, 1], [8, 7, 2], [9, 7, 2], [7, 8, 1], [6, 6, 2], [8, 9, 2], [5, 5, 1]
+  ], 'PENTE');
+  const strategy = ai.getStrategy('NORMAL');
+  let leaves = 0;
+  const evaluatePosition = strategy.evaluatePosition.bind(strategy);
+  strategy.evaluatePosition = (board, captures, player) => {
+    const changed = strategy._changedPoints(board.length);
+    assert.ok(changed.size < board.length * board.length);
+    [1, 2].forEach((side) => {
+      assert.equal(strategy.countCaptureThreats(board, side, changed), strategy.countCaptureThreats(board, side));
+    });
+    leaves += 1;
+    return evaluatePosition(board, captures, player);
+  };
+  strategy.startSearch(60000);
+
+  await strategy.compute(state, 1, rules);
+  assert.ok(leaves > 0);
+  assert.equal(strategy.threatBase, null, 'outside a search the threats are counted on the whole board');
+});
+
+test('MCTS falls back to the best ordered candidate when the time is up before any simulation', async () => {
+  const { state, rules, ai } = createEngine([
+    [5, 7, 1], [6, 7, 1], [7, 7, 1], [8, 7, 1], [4, 7, 2], [5, 8, 2], [6, 8, 2], [7, 8, 2]
+  ]);
+  const strategy = ai.getStrategy('MCTS');
+  strategy.startSearch(0);
+
+  const move = await strategy.compute(state, 2, rules);
+  assert.equal(state.board[move.y][move.x], 0);
+  assert.deepEqual([move.visits, move.confidence], [0, 0]);
+  assert.equal(move.candidates.length, 1);
+
+  strategy.startSearch(0);
+  const analysis = await strategy.analyze(state, 2, rules, 2);
+  assert.deepEqual(analysis.lines.map(line => line.pv.length), [1]);
+  assert.equal(analysis.winRate, 0.5);
+});
+
+test('MCTS keeps black off forbidden points under Renju', async () => {
+  const results = {};
+  for (const ruleSet of ['RENJU', 'FREESTYLE']) {
+    const { state, ai } = createEngine(FORBIDDEN_TRAP, ruleSet);
+    const hash = state.getHash();
+    const strategy = ai.getStrategy('MCTS');
+    strategy.random = seededRandom(1);
+    strategy.maxSimulations = 600;
+    results[ruleSet] = await ai.searchInThread({ player: 1, level: 'MCTS', budget: Infinity });
+    assert.equal(state.getHash(), hash, 'the board is restored after the simulations');
+  }
+
+  const isTrap = item => item.x === 7 && item.y === 7;
+  assert.equal(results.RENJU.candidates.some(isTrap), false);
+  assert.ok(isTrap(results.FREESTYLE), 'without forbidden moves black takes the double three');
+});
+
+// 总是走天元右侧第一个空点的自定义策略
+class FirstEmptyStrategy extends AIEngine.AIStrategy {
+  static CONFIG_OPTIONS = [...AIEngine.AIStrategy.CONFIG_OPTIONS, 'offset'];
+
+  constructor() {
+    super({ name: 'FirstEmpty', timeout: 100 });
+    this.offset = 1;
+  }
+
+  compute(state, player) {
+    const center = Math.floor(state.boardSize / 2);
+    let x = center + this.offset;
+    while (state.board[center][x] !== 0) x += 1;
+    return { x, y: center, player };
+  }
+}
+
+test('Registered strategies are listed, configurable and selectable per rule set', async () => {
+  const { eventBus, ai, rules } = createEngine(OPENING);
+  const registered = [];
+  eventBus.on('ai:strategyRegistered', (data) => registered.push(data));
+  ai.setOpeningBookEnabled(false);
+
+  const info = ai.registerStrategy('FIRST_EMPTY', new FirstEmptyStrategy(), {
+    label: '占位', ruleSets: ['FREESTYLE'], config: { offset: 2 }
+  });
+  assert.deepEqual(registered.map(item => [item.id, item.config.offset]), [['FIRST_EMPTY', 2]]);
+  assert.equal(info.builtin, false);
+  assert.deepEqual(ai.listStrategies().map(item => item.id), ['BEGINNER', 'NORMAL', 'HARD', 'HELL', 'MCTS', 'FIRST_EMPTY']);
+
+  ai.setDifficulty(1, 'FIRST_EMPTY');
+  const move = await ai.computeMove(1);
+  assert.deepEqual([move.x, move.y], [9, 7]);
+
+  assert.throws(() => ai.registerStrategy('FIRST_EMPTY', new FirstEmptyStrategy()), /already registered/);
+  assert.throws(() => ai.registerStrategy('first', new FirstEmptyStrategy()), /Invalid strategy id/);
+  assert.throws(() => ai.registerStrategy('PLAIN', { compute: () => null }), /must extend AIEngine.AIStrategy/);
+  assert.throws(() => ai.configureStrategy('FIRST_EMPTY', { depth: 3 }), /Unknown strategy option/);
+  assert.throws(() => ai.configureStrategy('NORMAL', { timeout: -1 }), /Invalid strategy option/);
+  assert.equal(ai.configureStrategy('MCTS', { maxSimulations: 200 }).maxSimulations, 200);
+
+  rules.state.settings.ruleSet = 'RENJU';
+  assert.equal(ai.getStrategy('FIRST_EMPTY'), ai.getStrategy('NORMAL'), 'outside its rule sets the strategy falls back');
+  assert.throws(() => ai.unregisterStrategy('HELL'), /built-in/);
+});
+
+test('Strategies registered through the module registry reach EvE matchups and leave cleanly', () => {
+  const { eventBus, state, rules, ai } = createEngine();
+  const registry = new ModuleRegistry(eventBus);
+  const manager = new ModeManager(state, ai, rules, eventBus);
+  ai.registerStrategy('DIRECT', new FirstEmptyStrategy());
+  ai.attachRegistry(registry);
+  assert.equal(registry.get('AIStrategy:DIRECT').strategyId, 'DIRECT', 'earlier registrations are listed');
+
+  registry.register({ name: 'PluginAI', type: 'ai-strategy', strategyId: 'PLUGIN', label: '插件', strategy: new FirstEmptyStrategy() });
+  manager.setMode('EvE', { blackAI: 'PLUGIN', whiteAI: 'DIRECT' });
+  assert.deepEqual(ai.currentDifficulty, { black: 'PLUGIN', white: 'DIRECT' });
+  assert.deepEqual(registry.listByType('ai-strategy').map(info => info.name), ['AIStrategy:DIRECT', 'PluginAI']);
+
+  registry.unregister('PluginAI');
+  ai.unregisterStrategy('DIRECT');
+  assert.equal(ai.hasStrategy('PLUGIN'), false);
+  assert.equal(registry.get('AIStrategy:DIRECT'), null);
+  assert.deepEqual(ai.currentDifficulty, { black: 'NORMAL', white: 'NORMAL' });
+  assert.deepEqual([state.settings.blackAI, state.settings.whiteAI], ['NORMAL', 'NORMAL']);
+
+  // 无效的策略模块不会留在注册中心
+  registry.register({ name: 'Broken', type: 'ai-strategy', strategy: new FirstEmptyStrategy() });
+  assert.equal(registry.get('Broken'), null);
+});
+
+test('Analysis returns several scored lines with principal variations without touching the game', async () => {
+  const { eventBus, state, ai } = createEngine(OPENING);
+  const hash = state.getHash();
+  let analyzed = null;
+  eventBus.on('ai:analyzed', (data) => { analyzed = data; });
+
+  const analysis = await ai.analyze(null, { player: 1, level: 'NORMAL', lines: 3, budget: Infinity });
+  assert.equal(analyzed, analysis);
+  assert.equal(analysis.depth, ai.getStrategy('NORMAL').maxDepth);
+  assert.ok(analysis.nodes > 0);
+  assert.equal(analysis.lines.length, 3);
+  assert.equal(new Set(analysis.lines.map(line => `${line.x},${line.y}`)).size, 3);
+  analysis.lines.forEach((line, index, lines) => {
+    assert.ok(index === 0 || lines[index - 1].score >= line.score, 'lines are ordered by score');
+    assert.deepEqual(line.pv[0], { x: line.x, y: line.y, player: 1 });
+    assert.ok(line.pv.length > 1 && line.pv.length <= analysis.depth);
+    line.pv.forEach((move, ply) => {
+      assert.equal(move.player, ply % 2 === 0 ? 1 : 2);
+      assert.equal(state.board[move.y][move.x], 0);
+    });
+  });
+  assert.equal(state.getHash(), hash);
+
+  // 分析其他局面与策略：白棋必须挡住黑棋的冲四
+  const position = createEngine([
+    [5, 7, 1], [6, 7, 1], [7, 7, 1], [8, 7, 1], [4, 7, 2], [5, 8, 2], [6, 8, 2], [7, 8, 2]
+  ]).state;
+  const strategy = ai.getStrategy('MCTS');
+  strategy.random = seededRandom(3);
+  strategy.maxSimulations = 300;
+  const mcts = await ai.analyze(position.getSnapshot(), { player: 2, level: 'MCTS', lines: 2, budget: Infinity });
+  assert.equal(mcts.lines.length, 2);
+  assert.ok(mcts.lines.every(line => line.score >= 0 && line.score <= 1 && line.pv[0].player === 2));
+  assert.ok(mcts.nodes >= mcts.lines[0].visits + mcts.lines[1].visits, 'nodes counts every simulation');
+  assert.deepEqual([mcts.lines[0].x, mcts.lines[0].y], [9, 7]);
+
+  await assert.rejects(ai.analyze(null, { level: 'NORMAL', lines: 0 }), /Invalid analysis line count/);
+  const hint = await ai.getHint(1);
+  assert.deepEqual(hint.lines.length, AIEngine.ANALYSIS_LINES);
+});
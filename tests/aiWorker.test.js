@@ -0,0 +1,108 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import EventBus from '../js/utils/EventBus.js';
+import GameState from '../js/core/GameState.js';
+import RuleEngine from '../js/core/RuleEngine.js';
+import AIEngine from '../js/core/AIEngine.js';
+import AIWorker from '../js/core/AIWorker.js';
+
+test('Worker answers compute requests from the posted snapshot', async () => {
+  const state = new GameState(null);
+  state.reset({ ruleSet: 'FREESTYLE' });
+  for (const [x, y, player] of [[7, 7, 1], [8, 7, 2], [7, 8, 1], [6, 6, 2], [7, 6, 1]]) {
+    state.setPiece(x, y, player);
+  }
+  state.currentPlayer = 2;
+  state.gameStatus = 'playing';
+  const request = { type: 'compute', snapshot: state.getSnapshot(), player: 2, level: 'NORMAL', budget: 1000 };
+
+  const worker = new AIWorker();
+  const reply = await worker.handleMessage({ ...request, id: 3 });
+  assert.equal(reply.id, 3);
+  assert.equal(reply.type, 'result');
+
+  // 与主线程对同一局面的搜索结果一致
+  const ai = new AIEngine(state, new RuleEngine(state, null), null);
+  const local = await ai.searchInThread(request);
+  assert.deepEqual(reply.move, local);
+  assert.equal(worker.state.board[6][7], 1);
+
+  const error = await worker.handleMessage({ id: 4, type: 'ponder' });
+  assert.deepEqual(error, { id: 4, type: 'error', error: 'Unknown AI worker message: ponder' });
+});
+
+test('Cancelling terminates the worker and rejects the pending search', async (t) => {
+  const workers = [];
+  class FakeWorker {
+    constructor(url) {
+      this.url = url;
+      this.messages = [];
+      this.terminated = false;
+      workers.push(this);
+    }
+    postMessage(message) { this.messages.push(message); }
+    terminate() { this.terminated = true; }
+  }
+  globalThis.Worker = FakeWorker;
+  t.after(() => { delete globalThis.Worker; });
+
+  const eventBus = new EventBus();
+  const state = new GameState(eventBus);
+  state.reset();
+  const ai = new AIEngine(state, new RuleEngine(state, eventBus), eventBus);
+  ai.setOpeningBookEnabled(false); // 空棋盘在开局库中，停用后才会发起搜索
+  assert.equal(ai.useWorker('AIWorker.js'), true);
+  let cancelled = null;
+  eventBus.on('ai:cancelled', (data) => { cancelled = data; });
+
+  const search = ai.computeMove(1);
+  assert.equal(workers.length, 1);
+  assert.equal(workers[0].messages[0].type, 'compute');
+  ai.cancel();
+  await assert.rejects(search, (error) => error.code === 'cancelled');
+  assert.equal(workers[0].terminated, true);
+  assert.deepEqual(cancelled, { count: 1 });
+
+  // 已取消请求的迟到结果被忽略，下一次搜索使用新的Worker
+  ai._handleWorkerMessage({ id: workers[0].messages[0].id, type: 'result', move: { x: 0, y: 0 } });
+  const next = ai.computeMove(1);
+  const { id } = workers[1].messages[0];
+  workers[1].onmessage({ data: { id, type: 'result', move: { x: 7, y: 7 } } });
+  const move = await next;
+  assert.deepEqual([move.x, move.y], [7, 7]);
+});
+
+test('Analysis requests go through the worker and can be cancelled', async (t) => {
+  const workers = [];
+  globalThis.Worker = class {
+    constructor() {
+      this.messages = [];
+      workers.push(this);
+    }
+    postMessage(message) { this.messages.push(message); }
+    terminate() {}
+  };
+  t.after(() => { delete globalThis.Worker; });
+
+  const state = new GameState(null);
+  state.reset({ ruleSet: 'FREESTYLE' });
+  state.setPiece(7, 7, 1);
+  state.currentPlayer = 2;
+  const ai = new AIEngine(state, new RuleEngine(state, null), null);
+  ai.useWorker('AIWorker.js');
+
+  const pending = ai.analyze(null, { lines: 2, budget: 300 });
+  const [message] = workers[0].messages;
+  assert.equal(message.type, 'analyze');
+  assert.deepEqual([message.player, message.level, message.multiPV], [2, 'HARD', 2]);
+  ai.cancel();
+  await assert.rejects(pending, (error) => error.code === 'cancelled');
+
+  // Worker在快照副本上分析，不改动其保存的对局
+  const worker = new AIWorker();
+  const reply = await worker.handleMessage({ ...message, level: 'NORMAL', budget: Infinity });
+  assert.equal(reply.type, 'result');
+  assert.equal(reply.move.lines.length, 2);
+  assert.equal(worker.state.getStoneCount(), 0);
+});
@@ -386,3 +386,187 @@ test('真实案例 - 假三三（有眠三）', () => {
   // 如果一个是眠三，则不应该是三三禁手
   // 但这取决于算法的具体实现
 });
+
+// ============ 连珠真假三与成五优先测试 ============
+
+test('构造局面 - 假三三（一端被堵只能冲四）', () => {
+  const { state, engine } = createEngine();
+
+  // 横向：W _ X X X _ _ X  —— 左延伸被白棋堵成冲四，右延伸后补五成长连，不能走成活四
+  state.setPiece(4, 7, 2);
+  state.setPiece(6, 7, 1);
+  state.setPiece(8, 7, 1);
+  state.setPiece(11, 7, 1);
+  // 纵向真活三
+  state.setPiece(7, 8, 1);
+  state.setPiece(7, 9, 1);
+
+  const forbidden = engine.detectForbidden(7, 7, 1);
+  assert.deepEqual(forbidden, { isForbidden: false }, '只能成冲四的三不是活三');
+});
+
+test('构造局面 - 假三三（延伸点为长连禁手）', () => {
+  const { state, engine } = createEngine();
+
+  // 横向：W _ X X X _ _ W  —— 唯一能成活四的延伸点(9,7)
+  state.setPiece(4, 7, 2);
+  state.setPiece(6, 7, 1);
+  state.setPiece(8, 7, 1);
+  state.setPiece(11, 7, 2);
+  // (9,7)纵向落子即成长连，是禁手点
+  state.setPiece(9, 4, 1);
+  state.setPiece(9, 5, 1);
+  state.setPiece(9, 6, 1);
+  state.setPiece(9, 8, 1);
+  state.setPiece(9, 9, 1);
+  // 纵向真活三
+  state.setPiece(7, 8, 1);
+  state.setPiece(7, 9, 1);
+
+  assert.equal(engine.detectForbidden(9, 7, 1).type, 'long_line');
+
+  const forbidden = engine.detectForbidden(7, 7, 1);
+  assert.deepEqual(forbidden, { isForbidden: false }, '延伸点是禁手的三不算活三');
+});
+
+test('构造局面 - 真三三（延伸点合法）', () => {
+  const { state, engine } = createEngine();
+
+  // 与上例相同的横向三，但(9,7)不再是禁手点
+  state.setPiece(4, 7, 2);
+  state.setPiece(6, 7, 1);
+  state.setPiece(8, 7, 1);
+  state.setPiece(11, 7, 2);
+  state.setPiece(7, 8, 1);
+  state.setPiece(7, 9, 1);
+
+  const forbidden = engine.detectForbidden(7, 7, 1);
+  assert.equal(forbidden.isForbidden, true);
+  assert.equal(forbidden.type, 'double_three');
+  assert.equal(forbidden.details.openThrees, 2);
+  assert.deepEqual(
+    forbidden.details.directions.filter(item => item.openThrees > 0).map(item => item.direction),
+    ['horizontal', 'vertical']
+  );
+});
+
+test('构造局面 - 同一直线上的四四', () => {
+  const { state, engine } = createEngine();
+
+  // X _ X X X _ X  —— 两个空点分别补成不同的五
+  state.setPiece(4, 7, 1);
+  state.setPiece(6, 7, 1);
+  state.setPiece(8, 7, 1);
+  state.setPiece(10, 7, 1);
+
+  const forbidden = engine.detectForbidden(7, 7, 1);
+  assert.equal(forbidden.isForbidden, true);
+  assert.equal(forbidden.type, 'double_four');
+  assert.equal(forbidden.details.openFours + forbidden.details.rushFours, 2);
+  assert.deepEqual(
+    forbidden.details.directions.filter(item => item.openFours + item.rushFours > 0).map(item => item.direction),
+    ['horizontal'],
+    '两个四在同一直线上'
+  );
+});
+
+test('构造局面 - 成五优先于三三', () => {
+  const { state, engine } = createEngine();
+
+  // 横向恰好成五，同时纵向、斜向各形成活三
+  state.setPiece(3, 7, 1);
+  state.setPiece(4, 7, 1);
+  state.setPiece(5, 7, 1);
+  state.setPiece(6, 7, 1);
+  state.setPiece(7, 8, 1);
+  state.setPiece(7, 9, 1);
+  state.setPiece(8, 8, 1);
+  state.setPiece(9, 9, 1);
+
+  const forbidden = engine.detectForbidden(7, 7, 1);
+  assert.deepEqual(forbidden, { isForbidden: false }, '成五时不判禁手');
+});
+
+test('构造局面 - 成五优先于长连', () => {
+  const { state, engine } = createEngine();
+
+  // 横向恰好成五，纵向形成长连
+  state.setPiece(3, 7, 1);
+  state.setPiece(4, 7, 1);
+  state.setPiece(5, 7, 1);
+  state.setPiece(6, 7, 1);
+  state.setPiece(7, 4, 1);
+  state.setPiece(7, 5, 1);
+  state.setPiece(7, 6, 1);
+  state.setPiece(7, 8, 1);
+  state.setPiece(7, 9, 1);
+
+  const forbidden = engine.detectForbidden(7, 7, 1);
+  assert.deepEqual(forbidden, { isForbidden: false }, '成五时不判长连');
+  state.setPiece(7, 7, 1);
+  const win = engine.checkWin(7, 7, 1);
+  assert.equal(win.isWin, true);
+  assert.equal(win.direction, 'horizontal', '长连方向不计胜，由横向五连判胜');
+});
+
+// ============ RIF 规则中的假三三 ============
+// 依据 RIF《国际连珠规则》对三三禁手的判定：“三”须能再下一子走成活四；
+// 若只能借助禁手点（长连、四四、三三）或只能走成冲四，则不算三，该三三不构成禁手。
+// 下列局面按条文所述情形构造，不是规则附图或题集中的原局面。
+
+// 横向 W _ X X X _ _ W，(7,7)落子后唯一能走成活四的延伸点为(9,7)；纵向为真活三
+const RIF_BASE_STONES = [[4, 7, 2], [6, 7, 1], [8, 7, 1], [11, 7, 2], [7, 8, 1], [7, 9, 1]];
+
+const createRifPosition = (extraStones) => {
+  const { state, engine } = createEngine();
+  [...RIF_BASE_STONES, ...extraStones].forEach(([x, y, player]) => state.setPiece(x, y, player));
+  return { state, engine };
+};
+
+test('RIF 规则 - 假三三（延伸点为四四禁手）', () => {
+  // (9,7)纵向(9,4)~(9,7)与斜向(9,7)~(12,10)同时成四
+  const { engine } = createRifPosition([
+    [9, 4, 1], [9, 5, 1], [9, 6, 1],
+    [10, 8, 1], [11, 9, 1], [12, 10, 1]
+  ]);
+
+  assert.equal(engine.detectForbidden(9, 7, 1).type, 'double_four');
+  assert.equal(engine.detectForbidden(7, 7, 1).isForbidden, false, '延伸点是四四禁手的三不算活三');
+});
+
+test('RIF 规则 - 假三三（延伸点为三三禁手）', () => {
+  // (7,7)落子后，(9,7)横向成四，纵向(9,5)~(9,7)与斜向(9,7)~(11,9)各成活三，仍是三三禁手
+  const { engine } = createRifPosition([
+    [9, 5, 1], [9, 6, 1],
+    [10, 8, 1], [11, 9, 1]
+  ]);
+
+  assert.equal(engine.detectForbidden(7, 7, 1).isForbidden, false, '延伸点是三三禁手的三不算活三');
+});
+
+test('RIF 规则 - 真三三（延伸点的三三本身为假）', () => {
+  // 与上例相同，但白棋(12,10)堵住斜向，(9,7)的斜向三只能走成冲四，(9,7)不再是禁手
+  const { engine } = createRifPosition([
+    [9, 5, 1], [9, 6, 1],
+    [10, 8, 1], [11, 9, 1], [12, 10, 2]
+  ]);
+
+  const forbidden = engine.detectForbidden(7, 7, 1);
+  assert.equal(forbidden.isForbidden, true, '需逐层判定延伸点');
+  assert.equal(forbidden.type, 'double_three');
+});
+
+test('RIF 规则 - 假三三（靠边的三只能走成冲四）', () => {
+  // 横向 | _ X X X _ W：两个延伸点都只能走成一端靠边或被堵的冲四；纵向为真活三
+  const { state, engine } = createEngine();
+  state.setPiece(1, 7, 1);
+  state.setPiece(3, 7, 1);
+  state.setPiece(5, 7, 2);
+  state.setPiece(2, 8, 1);
+  state.setPiece(2, 9, 1);
+
+  assert.equal(engine.detectForbidden(2, 7, 1).isForbidden, false, '走不成活四的三不算活三');
+
+  state.setPiece(5, 7, 0);
+  assert.equal(engine.detectForbidden(2, 7, 1).type, 'double_three', '移去白子后横向可走成活四');
+});
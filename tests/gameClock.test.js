@@ -0,0 +1,117 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import EventBus from '../js/utils/EventBus.js';
+import GameState from '../js/core/GameState.js';
+import RuleEngine from '../js/core/RuleEngine.js';
+import AIEngine from '../js/core/AIEngine.js';
+import GameClock from '../js/core/GameClock.js';
+
+const createClock = (timeControl) => {
+  const eventBus = new EventBus();
+  const state = new GameState(eventBus);
+  state.reset({ timeControl });
+  const time = { now: 0 };
+  const clock = new GameClock(state, eventBus, { now: () => time.now });
+
+  // 落一子并结束回合，spent为本方用时
+  const play = (x, y, spent = 0) => {
+    time.now += spent;
+    state.applyMove({ x, y });
+    state.switchPlayer();
+  };
+  return { eventBus, state, clock, time, play };
+};
+
+test('Fischer clock adds the increment after each turn and starts after the first move', () => {
+  const { state, clock, time, play } = createClock({ type: 'FISCHER', mainTime: 60000, increment: 5000 });
+
+  play(7, 7, 30000);
+  assert.equal(clock.getClock(1).remaining, 60000, 'first move is not timed');
+  assert.equal(clock.activePlayer, 2);
+
+  play(8, 8, 20000);
+  assert.equal(clock.getClock(2).remaining, 45000);
+
+  time.now += 10000;
+  assert.equal(clock.getClock(1).remaining, 50000);
+  assert.equal(clock.getClock(1).active, true);
+  assert.equal(state.currentPlayer, 1);
+  clock.stop();
+});
+
+test('Flag fall finishes the game with a timeout reason', () => {
+  const { state, clock, time, eventBus, play } = createClock({ type: 'SUDDEN_DEATH', mainTime: 10000 });
+  let finished = null;
+  eventBus.on('game:finished', (data) => { finished = data; });
+
+  play(7, 7);
+  time.now += 9999;
+  assert.equal(clock.check(), false);
+  time.now += 1;
+  assert.equal(clock.check(), true);
+
+  assert.equal(state.gameStatus, 'finished');
+  assert.equal(finished.winner, 1);
+  assert.equal(finished.reason, 'timeout');
+  assert.equal(clock.activePlayer, null);
+});
+
+test('Byo-yomi periods reset when the move is in time and are used up when exceeded', () => {
+  const { state, clock, time, play } = createClock({
+    type: 'BYOYOMI', mainTime: 10000, periods: 2, periodTime: 5000
+  });
+
+  play(7, 7);
+  play(8, 8, 12000); // 基本用时10秒 + 读秒内2秒
+  let white = clock.getClock(2);
+  assert.equal(white.overtime, true);
+  assert.equal(white.periodsLeft, 2);
+  assert.equal(white.periodRemaining, 5000);
+
+  play(6, 6);
+  play(9, 9, 6000); // 超出一次读秒
+  white = clock.getClock(2);
+  assert.equal(white.periodsLeft, 1);
+  assert.equal(white.periodRemaining, 5000);
+
+  play(5, 5);
+  time.now += 5000;
+  assert.equal(clock.check(), true);
+  assert.equal(state.winner, 1);
+});
+
+test('Canadian overtime refills the period once the required moves are made', () => {
+  const { clock, play } = createClock({
+    type: 'CANADIAN', mainTime: 1000, periodTime: 10000, periodMoves: 2
+  });
+
+  play(7, 7);
+  play(8, 8, 4000);
+  let white = clock.getClock(2);
+  assert.equal(white.overtime, true);
+  assert.equal(white.movesLeft, 1);
+  assert.equal(white.periodRemaining, 7000);
+
+  play(6, 6);
+  play(9, 9, 6000);
+  white = clock.getClock(2);
+  assert.equal(white.movesLeft, 2);
+  assert.equal(white.periodRemaining, 10000);
+  clock.stop();
+});
+
+test('AI thinking time comes from the remaining clock', () => {
+  const { eventBus, state, clock, play } = createClock({ type: 'SUDDEN_DEATH', mainTime: 30000 });
+  const rules = new RuleEngine(state, eventBus);
+  const ai = new AIEngine(state, rules, eventBus, clock);
+  const strategy = ai.getStrategy('HARD');
+
+  play(7, 7);
+  assert.equal(ai.getThinkingBudget(2, strategy), 1000);
+  clock.stop();
+
+  const unclocked = new AIEngine(state, rules, eventBus);
+  assert.equal(unclocked.getThinkingBudget(2, strategy), strategy.timeout);
+  assert.throws(() => GameClock.normalize({ type: 'HOURGLASS' }), /Invalid time control/);
+});
@@ -3,6 +3,7 @@ import assert from 'node:assert/strict';
 
 import EventBus from '../js/utils/EventBus.js';
 import GameState from '../js/core/GameState.js';
+import Zobrist from '../js/utils/Zobrist.js';
 
 const createState = () => new GameState(new EventBus());
 
@@ -39,3 +40,190 @@ test('GameState undo removes last move', () => {
   assert.equal(state.moveHistory.length, 0);
   assert.equal(state.gameStatus, 'ready');
 });
+
+test('GameState supports configurable board size', () => {
+  const state = new GameState(new EventBus(), 19);
+  assert.equal(state.board.length, 19);
+  assert.equal(state.isValidPosition(18, 18), true);
+
+  state.applyMove({ x: 18, y: 18, player: 1 });
+  const snapshot = state.getSnapshot();
+
+  state.setBoardSize(15);
+  assert.equal(state.board.length, 15);
+  assert.equal(state.moveHistory.length, 0);
+
+  state.restoreSnapshot(snapshot);
+  assert.equal(state.boardSize, 19);
+  assert.equal(state.board[18][18], 1);
+
+  assert.throws(() => state.setBoardSize(4), /Invalid board size/);
+});
+
+test('GameState groups stones into turns and undo restores the turn', () => {
+  const state = createState();
+  state.setTurnPolicy(turn => (turn === 0 ? 1 : 2));
+
+  state.applyMove({ x: 7, y: 7 });
+  assert.equal(state.isTurnComplete(), true);
+  state.switchPlayer();
+  state.applyMove({ x: 8, y: 8 });
+  assert.equal(state.isTurnComplete(), false);
+  state.applyMove({ x: 6, y: 8 });
+  assert.equal(state.isTurnComplete(), true);
+  state.switchPlayer();
+
+  assert.deepEqual(state.moveHistory.map(record => record.turn), [0, 1, 1]);
+  assert.equal(state.currentPlayer, 1);
+
+  state.undoMove();
+  assert.equal(state.currentPlayer, 2);
+  assert.equal(state.turnNumber, 1);
+  assert.equal(state.turnStones, 1);
+
+  const snapshot = state.getSnapshot();
+  state.reset();
+  state.restoreSnapshot(snapshot);
+  assert.equal(state.turnNumber, 1);
+  assert.equal(state.turnStones, 1);
+});
+
+test('GameState keeps the Zobrist hash in step with moves, captures and undo', () => {
+  const state = createState();
+  const fullHash = () => {
+    const { low, high } = Zobrist.hashBoard(state.board);
+    return Zobrist.combine(low, high);
+  };
+  assert.equal(state.getHash(), 0);
+
+  state.applyMove({ x: 7, y: 7 });
+  state.switchPlayer();
+  const afterFirst = state.getHash();
+  state.applyMove({ x: 8, y: 7 });
+  state.switchPlayer();
+  state.setPiece(9, 7, 2);
+  state.applyMove({ x: 10, y: 7, captured: [{ x: 8, y: 7 }, { x: 9, y: 7 }] });
+  assert.equal(state.getHash(), fullHash());
+
+  state.undoMove();
+  state.undoMove();
+  state.setPiece(9, 7, 0);
+  assert.equal(state.getHash(), afterFirst);
+
+  const restored = new GameState(null);
+  restored.restoreSnapshot(state.getSnapshot());
+  assert.equal(restored.getHash(), afterFirst);
+  assert.notEqual(Zobrist.hashBoard(state.board).low, 0);
+});
+
+test('GameState keeps undone moves as variations and navigates between them', () => {
+  const state = createState();
+  const play = (x, y) => {
+    state.applyMove({ x, y });
+    state.switchPlayer();
+    return state.currentNode.id;
+  };
+  play(7, 7);
+  const second = play(8, 8);
+  const third = play(9, 9);
+
+  state.undoMove();
+  assert.equal(state.currentNode.id, second);
+  const branch = play(9, 10);
+  assert.deepEqual(state.moveHistory.map(record => [record.x, record.y]), [[7, 7], [8, 8], [9, 10]]);
+  assert.deepEqual(state.getVariations(second).map(item => [item.id, item.main]), [[third, true], [branch, false]]);
+  assert.equal(state.isOnMainLine(), false);
+
+  assert.equal(state.goToNode(third).success, true);
+  assert.equal(state.board[9][9], 1);
+  assert.equal(state.board[10][9], 0);
+  assert.equal(state.currentPlayer, 2);
+  assert.equal(state.turnNumber, 3);
+  const { low, high } = Zobrist.hashBoard(state.board);
+  assert.equal(state.getHash(), Zobrist.combine(low, high));
+
+  assert.equal(state.switchVariation(1).success, true);
+  assert.equal(state.currentNode.id, branch);
+  assert.equal(state.switchVariation(1).success, false);
+
+  state.undoMove();
+  play(9, 9);
+  assert.equal(state.currentNode.id, third, 'replaying a known move re-enters its node');
+  assert.equal(state.getVariations(second).length, 2);
+
+  assert.equal(state.promoteVariation(branch).success, true);
+  assert.deepEqual(state.getMainLine().map(record => [record.x, record.y]), [[7, 7], [8, 8], [9, 10]]);
+  assert.equal(state.deleteVariation(third).success, true);
+  assert.equal(state.currentNode.id, second, 'deleting the current branch steps back to its parent');
+  assert.equal(state.board[9][9], 0);
+  assert.deepEqual(state.getVariations().map(item => item.id), [branch]);
+  assert.equal(state.deleteVariation(0).success, false);
+  assert.equal(state.goToNode(third).success, false);
+});
+
+test('GameState snapshots carry the variation tree and each line keeps its own result', () => {
+  const state = createState();
+  state.applyMove({ x: 7, y: 7 });
+  state.switchPlayer();
+  const end = state.currentNode.id;
+  state.finishGame({ winner: 1, reason: 'resign' });
+
+  assert.equal(state.goToNode(0).success, true);
+  assert.equal(state.gameStatus, 'ready');
+  assert.equal(state.winner, null);
+  state.applyMove({ x: 3, y: 3 });
+  state.switchPlayer();
+  const branch = state.currentNode.id;
+
+  assert.equal(state.goToNode(end).success, true);
+  assert.equal(state.gameStatus, 'finished');
+  assert.equal(state.finishReason, 'resign');
+  state.goToNode(branch);
+  assert.equal(state.gameStatus, 'playing');
+
+  const restored = createState();
+  restored.restoreSnapshot(state.getSnapshot());
+  assert.equal(restored.currentNode.id, branch);
+  assert.equal(restored.moveHistory[0], restored.currentNode.move, 'history and tree share the records');
+  assert.deepEqual(restored.getVariations(0).map(item => item.id), [end, branch]);
+  restored.applyMove({ x: 4, y: 4 });
+  assert.ok(restored.currentNode.id > branch, 'new nodes get fresh ids');
+
+  const legacy = state.getSnapshot();
+  delete legacy.variations;
+  restored.restoreSnapshot(legacy);
+  assert.deepEqual(restored.getMainLine().map(record => [record.x, record.y]), [[3, 3]]);
+
+  const loaded = createState();
+  assert.equal(loaded.loadVariationTree({ root: state.getVariationTree().root }).success, true);
+  assert.equal(loaded.currentNode.id, end, 'without a current node the main line end is loaded');
+  assert.equal(loaded.gameStatus, 'finished');
+  assert.equal(loaded.loadVariationTree({}).success, false);
+});
+
+test('GameState redoes undone moves until a different move is played', () => {
+  const state = createState();
+  state.applyMove({ x: 7, y: 7 });
+  state.switchPlayer();
+  state.applyMove({ x: 8, y: 8 });
+  state.switchPlayer();
+  state.finishGame({ winner: 2, reason: 'resign' });
+
+  state.undoMove();
+  state.undoMove();
+  assert.equal(state.gameStatus, 'ready');
+  assert.equal(state.redoMove().success, true);
+  assert.deepEqual([state.board[7][7], state.currentPlayer, state.gameStatus], [1, 2, 'playing']);
+  assert.equal(state.redoMove().move.y, 8);
+  assert.equal(state.finishReason, 'resign', 'redoing the last move restores its result');
+  assert.equal(state.redoMove().success, false);
+
+  state.undoMove();
+  state.undoMove();
+  state.applyMove({ x: 7, y: 7 });
+  state.switchPlayer();
+  assert.equal(state.canRedo(), true, 'replaying the undone move keeps the rest of the stack');
+  state.applyMove({ x: 9, y: 9 });
+  assert.equal(state.canRedo(), false, 'a diverging move clears the stack');
+  assert.equal(state.redoMove().error, 'No moves to redo');
+});
@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import MathUtils from '../js/utils/MathUtils.js';
+import LinePatterns from '../js/utils/LinePatterns.js';
+import GameState from '../js/core/GameState.js';
+import RuleEngine from '../js/core/RuleEngine.js';
+import PatternEvaluator from '../js/core/PatternEvaluator.js';
+
+// X 己方，O 对方或棋盘外，_ 空
+const cellsOf = text => [...text].map((char) => {
+  if (char === 'X') return LinePatterns.OWN;
+  return char === 'O' ? LinePatterns.BLOCKED : LinePatterns.EMPTY;
+});
+
+const typesOf = (text, exactFive = false) => LinePatterns.analyze(cellsOf(text), exactFive).map(item => item.type);
+
+test('Line classifier recognises fours, threes and twos by the moves that complete them', () => {
+  assert.deepEqual(typesOf('_XXXX_'), ['openFour']);
+  assert.deepEqual(typesOf('OXXXX_'), ['four']);
+  assert.deepEqual(typesOf('XX_XX'), ['four'], 'a split four has one completion point');
+  assert.deepEqual(typesOf('__XXX__'), ['openThree']);
+  assert.deepEqual(typesOf('_X_XX_'), ['splitThree']);
+  assert.deepEqual(typesOf('OXXX__'), ['closedThree']);
+  assert.deepEqual(typesOf('__XX__'), ['openTwo']);
+  assert.deepEqual(typesOf('OXX___'), ['closedTwo']);
+
+  assert.deepEqual(typesOf('_XXXXXX_'), ['five']);
+  assert.deepEqual(typesOf('_XXXXXX_', true), [], 'an overline is not a five when exactly five is required');
+  const [four] = LinePatterns.analyze(cellsOf('X_XXXX_'), true);
+  assert.deepEqual([four.type, four.points], ['four', [6]], 'filling the gap would make six');
+
+  const [three] = LinePatterns.analyze(cellsOf('__X_XX__'));
+  assert.deepEqual(three.points, [3], 'only filling the gap makes an open four');
+  assert.equal(LinePatterns.through(cellsOf('XX_XX'), 2).length, 0);
+});
+
+test('Incremental evaluation matches a full evaluation after every move and undo', () => {
+  const state = new GameState(null);
+  state.reset({ ruleSet: 'RENJU' });
+  const rules = new RuleEngine(state, null);
+  const ruleSet = rules.getRuleSet();
+  const board = state.board;
+  const evaluator = new PatternEvaluator(ruleSet);
+  evaluator.reset(board);
+
+  const moves = [[7, 7, 1], [8, 8, 2], [7, 8, 1], [7, 6, 2], [6, 8, 1], [8, 7, 2], [5, 8, 1], [9, 9, 2], [0, 0, 1]];
+  moves.forEach(([x, y, player]) => {
+    board[y][x] = player;
+    evaluator.update(board, x, y);
+    assert.equal(evaluator.evaluate(1), PatternEvaluator.evaluateBoard(board, 1, ruleSet));
+  });
+  [...moves].reverse().forEach(([x, y]) => {
+    board[y][x] = 0;
+    evaluator.update(board, x, y);
+  });
+  assert.equal(evaluator.evaluate(2), 0);
+
+  // 黑棋 X_XX 跳三 + 白棋活二
+  [[5, 5, 1], [7, 5, 1], [8, 5, 1], [5, 9, 2], [6, 9, 2]].forEach(([x, y, player]) => { board[y][x] = player; });
+  const black = ruleSet.getPatternScores(1);
+  const white = ruleSet.getPatternScores(2);
+  assert.equal(MathUtils.evaluateBoard(board, 1, black, true), black.splitThree);
+  assert.ok(black.splitThree < white.splitThree, 'Renju black threes are worth less than white threes');
+  assert.equal(
+    PatternEvaluator.evaluateBoard(board, 2, ruleSet),
+    white.openTwo - black.splitThree * PatternEvaluator.OPPONENT_WEIGHT
+  );
+  assert.ok(rules.analyzePatterns(6, 5, 1)[0].openFours === 1, 'the rule engine reads the same patterns');
+});
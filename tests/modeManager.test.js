@@ -0,0 +1,574 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import EventBus from '../js/utils/EventBus.js';
+import Logger from '../js/utils/Logger.js';
+import GameState from '../js/core/GameState.js';
+import RuleEngine from '../js/core/RuleEngine.js';
+import AIEngine from '../js/core/AIEngine.js';
+import ModeManager from '../js/core/ModeManager.js';
+import RenjuOpening from '../js/core/RenjuOpening.js';
+import GameClock from '../js/core/GameClock.js';
+import ReplayService from '../js/services/ReplayService.js';
+
+const createManager = () => {
+  const eventBus = new EventBus();
+  const state = new GameState(eventBus);
+  const rules = new RuleEngine(state, eventBus);
+  const ai = new AIEngine(state, rules, eventBus);
+  const manager = new ModeManager(state, ai, rules, eventBus);
+  manager.logger.setLevel(Logger.Level.OFF);
+  return { eventBus, state, rules, ai, manager };
+};
+
+// 黑棋落在(7,7)即形成三三
+const setupDoubleThree = (state) => {
+  state.setPiece(6, 7, 1);
+  state.setPiece(8, 7, 1);
+  state.setPiece(7, 6, 1);
+  state.setPiece(7, 8, 1);
+  state.gameStatus = 'playing';
+};
+
+test('Forbidden move is rejected by default', async () => {
+  const { state, manager, eventBus } = createManager();
+  setupDoubleThree(state);
+
+  let invalid = null;
+  eventBus.on('move:invalid', (data) => { invalid = data; });
+
+  const accepted = await manager.handleMove(7, 7);
+  assert.equal(accepted, false);
+  assert.equal(state.board[7][7], 0);
+  assert.equal(invalid.error, 'forbidden_move');
+});
+
+test('Forbidden move loses when the setting is enabled', async () => {
+  const { state, manager, eventBus } = createManager();
+  manager.setForbiddenMoveLoses(true);
+  setupDoubleThree(state);
+
+  let finished = null;
+  eventBus.on('game:finished', (data) => { finished = data; });
+
+  const accepted = await manager.handleMove(7, 7);
+  assert.equal(accepted, true);
+  assert.equal(state.board[7][7], 1);
+  assert.equal(state.gameStatus, 'finished');
+  assert.equal(state.winner, 2);
+  assert.equal(finished.reason, 'double_three');
+  assert.equal(finished.forbiddenInfo.lines.length, 2);
+  assert.deepEqual(state.getSnapshot().forbiddenInfo, finished.forbiddenInfo);
+});
+
+test('AI strategies never choose forbidden points for black', async () => {
+  const { state, ai, rules, manager } = createManager();
+  manager.setForbiddenMoveLoses(true);
+  setupDoubleThree(state);
+
+  for (const level of ['BEGINNER', 'NORMAL', 'HARD']) {
+    const move = await ai.strategies.get(level).compute(state, 1, rules);
+    assert.equal(rules.detectForbidden(move.x, move.y, 1).isForbidden, false, level);
+  }
+});
+
+test('Swap2 opening lets the second player place two more stones', async () => {
+  const { state, manager, eventBus } = createManager();
+  manager.setOpeningProtocol('SWAP2');
+  manager.startNewGame();
+
+  const requests = [];
+  eventBus.on('opening:choiceRequired', (data) => requests.push(data));
+
+  await manager.handleMove(7, 7);
+  await manager.handleMove(8, 8);
+  await manager.handleMove(6, 8);
+  assert.equal(state.opening.phase, 'choose');
+  assert.deepEqual(requests[0].options, ['black', 'white', 'place2']);
+  assert.equal(await manager.handleMove(5, 5), false, 'moves are blocked while a choice is pending');
+
+  assert.equal(manager.chooseOpening('place2'), true);
+  await manager.handleMove(9, 9);
+  await manager.handleMove(5, 9);
+  assert.equal(requests[1].chooser, 'first');
+  assert.deepEqual(requests[1].options, ['black', 'white']);
+
+  assert.equal(manager.chooseOpening('white'), true);
+  assert.equal(manager.isOpeningActive(), false);
+  assert.deepEqual(state.opening.colors, { first: 2, second: 1 });
+  assert.equal(state.currentPlayer, 2);
+  assert.equal(state.getStoneCount(), 5);
+
+  const choices = state.moveHistory.filter(record => record.type === 'opening_choice');
+  assert.deepEqual(choices.map(record => record.choice), ['place2', 'white']);
+  await manager.handleMove(10, 10);
+  assert.equal(manager.undo(), true);
+  assert.equal(manager.undo(), false, 'opening choices cannot be undone');
+});
+
+test('AI picks the favoured colour in an opening choice', () => {
+  const { state, ai } = createManager();
+  state.setPiece(5, 7, 1);
+  state.setPiece(6, 7, 1);
+  state.setPiece(7, 7, 1);
+  state.setPiece(0, 0, 2);
+
+  assert.equal(ai.chooseOpeningOption(['black', 'white', 'place2'], 'NORMAL'), 'black');
+});
+
+test('RIF opening enforces canonical stones and records the fifth move offers', async () => {
+  const { state, manager } = createManager();
+  manager.setOpeningProtocol('RIF');
+  manager.startNewGame();
+
+  await manager.handleMove(7, 7);
+  await manager.handleMove(7, 6);
+  assert.equal(await manager.handleMove(11, 11), false, 'third stone must be near the center');
+  await manager.handleMove(7, 5);
+  assert.equal(state.opening.name, 'Kansei');
+  assert.equal(state.opening.decision, 'swap');
+
+  assert.equal(manager.chooseOpening('black'), true);
+  assert.deepEqual(state.opening.colors, { first: 2, second: 1 });
+  assert.equal(state.opening.actor, 'first', 'the player now holding white places the 4th move');
+  await manager.handleMove(7, 8);
+
+  assert.equal(state.opening.phase, 'offer');
+  assert.equal(state.opening.actor, 'second');
+  assert.equal(await manager.handleMove(8, 8), true);
+  assert.equal(await manager.handleMove(6, 8), false, 'mirror image of an existing offer');
+  assert.equal(state.board[8][8], 0, 'offers are not placed on the board');
+  assert.equal(await manager.handleMove(9, 9), true);
+
+  assert.equal(state.opening.decision, 'fifth');
+  assert.equal(state.opening.chooser, 'first');
+  assert.deepEqual(state.opening.options, ['8,8', '9,9']);
+  assert.equal(manager.chooseOpening('9,9'), true);
+
+  assert.equal(manager.isOpeningActive(), false);
+  assert.equal(state.board[9][9], 1);
+  assert.equal(state.currentPlayer, 2);
+  const record = state.moveHistory[state.moveHistory.length - 1];
+  assert.equal(record.choice, 'fifth');
+  assert.equal(record.opening, 'Kansei');
+  assert.deepEqual(record.offers, [{ x: 8, y: 8 }, { x: 9, y: 9 }]);
+  assert.deepEqual(record.selected, { x: 9, y: 9 });
+});
+
+test('Soosyrv-8 lets white declare the offer count and black swap again', async () => {
+  const { state, manager } = createManager();
+  manager.setOpeningProtocol('SOOSYRV8');
+  manager.startNewGame();
+
+  await manager.handleMove(7, 7);
+  await manager.handleMove(8, 6);
+  await manager.handleMove(9, 7);
+  manager.chooseOpening('white');
+  await manager.handleMove(6, 8);
+
+  assert.equal(state.opening.decision, 'declare');
+  assert.equal(state.opening.chooser, 'second');
+  manager.chooseOpening('3');
+  assert.equal(state.opening.decision, 'swap');
+  assert.equal(state.opening.chooser, 'first');
+  manager.chooseOpening('white');
+
+  assert.equal(state.opening.phase, 'offer');
+  assert.equal(state.opening.actor, 'second');
+  assert.equal(state.opening.stonesRemaining, 3);
+  const choices = state.moveHistory.filter(record => record.type === 'opening_choice');
+  assert.deepEqual(choices.map(record => record.choice), ['white', 'declare', 'white']);
+  assert.equal(choices[1].count, 3);
+});
+
+test('Renju openings are skipped for other rule sets', () => {
+  const { state, manager } = createManager();
+  manager.setRuleSet('FREESTYLE');
+  manager.setOpeningProtocol('YAMAGUCHI');
+  manager.startNewGame();
+  assert.equal(state.opening, null);
+});
+
+test('Rule set chosen mid-game waits for the next game', async () => {
+  const { state, rules, manager } = createManager();
+  manager.setRuleSet('FREESTYLE');
+  assert.equal(rules.getRuleSet().name, 'FREESTYLE', 'no stone placed yet, applies at once');
+
+  manager.startNewGame();
+  assert.equal(await manager.handleMove(7, 7), true);
+  manager.setRuleSet('CONNECT6');
+  assert.equal(state.settings.ruleSet, 'FREESTYLE');
+
+  assert.equal(await manager.handleMove(8, 8), true);
+  assert.equal(state.currentPlayer, 1, 'white still places one stone per turn');
+
+  manager.startNewGame();
+  assert.equal(rules.getRuleSet().name, 'CONNECT6');
+  assert.equal(manager.pendingRuleSet, null);
+});
+
+test('AI offers distinct fifth moves and white picks the weakest one', async () => {
+  const { state, ai, manager } = createManager();
+  state.setPiece(7, 7, 1);
+  state.setPiece(7, 6, 2);
+  state.setPiece(7, 5, 1);
+  state.setPiece(7, 8, 2);
+
+  const offers = await ai.computeFifthOffers(3, 'NORMAL', (x, y) => manager.rules.validateMove(x, y, 1).valid);
+  assert.equal(offers.length, 3);
+  offers.forEach((offer, index) => {
+    assert.equal(RenjuOpening.isEquivalentOffer(state.board, offers.slice(0, index), offer.x, offer.y), false);
+  });
+
+  const selected = ai.chooseFifthOffer(offers, 'NORMAL');
+  const scoreOf = ({ x, y }) => {
+    state.board[y][x] = 1;
+    const score = ai.strategies.get('NORMAL').evaluate(state.board, 1);
+    state.board[y][x] = 0;
+    return score;
+  };
+  assert.equal(scoreOf(selected), Math.min(...offers.map(scoreOf)));
+});
+
+test('AI respects the Long Pro restriction without falling back', async () => {
+  const { state, ai, manager } = createManager();
+  manager.setOpeningRestriction('LONG_PRO');
+  state.applyMove({ x: 7, y: 7, player: 1 });
+  state.applyMove({ x: 8, y: 8, player: 2 });
+  state.currentPlayer = 1;
+
+  let fallback = false;
+  const original = ai._findFallbackMove.bind(ai);
+  ai._findFallbackMove = (...args) => {
+    fallback = true;
+    return original(...args);
+  };
+
+  for (const level of ['BEGINNER', 'NORMAL', 'HARD']) {
+    ai.setDifficulty(1, level);
+    const move = await ai.computeMove(1);
+    assert.ok(Math.max(Math.abs(move.x - 7), Math.abs(move.y - 7)) >= 4, level);
+  }
+  assert.equal(fallback, false);
+});
+
+test('Connect6 turns alternate after two stones and PvE undo removes the whole AI turn', async () => {
+  const { state, manager } = createManager();
+  manager.setRuleSet('CONNECT6');
+  manager.startNewGame();
+
+  await manager.handleMove(9, 9);
+  assert.equal(state.currentPlayer, 2);
+  await manager.handleMove(10, 10);
+  assert.equal(state.currentPlayer, 2, 'white still has a stone to place');
+  await manager.handleMove(8, 10);
+  assert.equal(state.currentPlayer, 1);
+
+  manager.currentMode = 'PvE';
+  state.settings.playerSide = 2;
+  state.applyMove({ x: 5, y: 5 });
+  state.applyMove({ x: 6, y: 5 });
+  state.switchPlayer();
+  assert.equal(manager.undo(), true);
+  assert.equal(state.currentPlayer, 2);
+  assert.equal(state.getStoneCount(), 2, 'both AI stones and the last white stone are undone');
+  assert.equal(state.turnStones, 1);
+});
+
+test('Connect6 AI completes six with a stone pair and blocks four', async () => {
+  const { state, ai, manager } = createManager();
+  manager.setRuleSet('CONNECT6');
+  state.turnNumber = 3;
+  for (let x = 5; x <= 8; x += 1) {
+    state.setPiece(x, 3, 1);
+  }
+  for (let x = 5; x <= 8; x += 1) {
+    state.setPiece(x, 10, 2);
+  }
+  state.currentPlayer = 2;
+
+  const first = await ai.computeMove(2);
+  state.applyMove(first);
+  const second = await ai.computeMove(2);
+  state.applyMove(second);
+  assert.equal(manager.rules.checkWin(second.x, second.y, 2).isWin
+    || manager.rules.checkWin(first.x, first.y, 2).isWin, true);
+
+  state.reset({ ruleSet: 'CONNECT6' });
+  state.turnNumber = 3;
+  for (let x = 5; x <= 8; x += 1) {
+    state.setPiece(x, 3, 1);
+  }
+  state.setPiece(10, 10, 2);
+  state.currentPlayer = 2;
+  const block1 = await ai.computeMove(2);
+  state.applyMove(block1);
+  const block2 = await ai.computeMove(2);
+  state.applyMove(block2);
+  const strategy = ai.getStrategy('NORMAL');
+  assert.ok(strategy.scorePosition(state.board, 2) > -strategy.constructor.WIN_SCORE / 2, 'black no longer has an unblocked four');
+});
+
+test('Pente captures are removed on move and restored on undo', async () => {
+  const { state, manager, eventBus } = createManager();
+  manager.setRuleSet('PENTE');
+  manager.startNewGame();
+
+  let captured = null;
+  eventBus.on('stones:captured', (data) => { captured = data; });
+
+  state.setPiece(4, 7, 1);
+  state.setPiece(5, 7, 2);
+  state.setPiece(6, 7, 2);
+  assert.equal(await manager.handleMove(7, 7), true);
+  assert.equal(state.board[7][5], 0);
+  assert.equal(state.board[7][6], 0);
+  assert.equal(state.captures[1], 1);
+  assert.equal(captured.stones.length, 2);
+
+  manager.undo();
+  assert.equal(state.board[7][7], 0);
+  assert.equal(state.board[7][5], 2);
+  assert.equal(state.board[7][6], 2);
+  assert.equal(state.captures[1], 0);
+  assert.equal(state.currentPlayer, 1);
+});
+
+test('Pente AI takes the fifth capture to win', async () => {
+  const { state, ai, manager } = createManager();
+  manager.setRuleSet('PENTE');
+  state.captures[2] = 4;
+  state.setPiece(10, 3, 2);
+  state.setPiece(9, 4, 1);
+  state.setPiece(8, 5, 1);
+  // 黑棋活三作干扰
+  state.setPiece(6, 10, 1);
+  state.setPiece(7, 10, 1);
+  state.setPiece(8, 10, 1);
+  state.currentPlayer = 2;
+
+  const move = await ai.computeMove(2);
+  assert.deepEqual({ x: move.x, y: move.y }, { x: 7, y: 6 });
+});
+
+test('Resignation and agreed draws finish the game with their own reasons', () => {
+  const { state, manager, eventBus } = createManager();
+  manager.startNewGame();
+  const finished = [];
+  eventBus.on('game:finished', (data) => finished.push(data));
+
+  assert.equal(manager.resign().success, false, 'cannot resign before the game starts');
+  state.applyMove({ x: 7, y: 7 });
+  state.switchPlayer();
+  assert.equal(manager.resign(2).success, true);
+  assert.equal(state.winner, 1);
+  assert.equal(state.finishReason, 'resign');
+
+  manager.startNewGame();
+  state.applyMove({ x: 7, y: 7 });
+  state.switchPlayer();
+  assert.equal(manager.offerDraw(2).success, true);
+  assert.equal(manager.offerDraw(2).error, 'draw_offer_pending');
+  assert.equal(manager.respondToDraw(true).accepted, true);
+  assert.deepEqual(finished.map(data => [data.winner, data.reason]), [[1, 'resign'], [null, 'draw_agreed']]);
+  assert.equal(state.getSnapshot().finishReason, 'draw_agreed');
+});
+
+test('A draw offer lapses when the opponent moves', async () => {
+  const { state, manager, eventBus } = createManager();
+  manager.startNewGame();
+  let declined = null;
+  eventBus.on('draw:declined', (data) => { declined = data; });
+
+  await manager.handleMove(7, 7);
+  assert.equal(manager.offerDraw(2).success, true);
+  await manager.handleMove(8, 8);
+  assert.notEqual(state.drawOffer, null, 'the offer stands after the offering side moves');
+  await manager.handleMove(9, 9);
+  assert.equal(state.drawOffer, null);
+  assert.equal(declined.implicit, true);
+  assert.equal(manager.respondToDraw(true).error, 'no_draw_offer');
+});
+
+test('Move limit ends an undecided game in a draw', async () => {
+  const { state, manager } = createManager();
+  manager.setMoveLimit(4);
+  manager.startNewGame();
+  assert.throws(() => manager.setMoveLimit(-1), /Invalid move limit/);
+
+  for (const [x, y] of [[0, 0], [14, 14], [0, 14], [14, 0]]) {
+    await manager.handleMove(x, y);
+  }
+  assert.equal(state.gameStatus, 'finished');
+  assert.equal(state.winner, null);
+  assert.equal(state.finishReason, 'move_limit');
+});
+
+test('PvE AI answers draw offers from its evaluation and resigns a lost position', () => {
+  const { state, ai, manager } = createManager();
+  manager.setMode('PvE', { playerSide: 1, aiDifficulty: 'NORMAL' });
+  manager.startNewGame();
+
+  // 白棋（AI）活三占优，拒绝提和
+  state.applyMove({ x: 2, y: 2 });
+  state.switchPlayer();
+  for (const x of [5, 6, 7]) {
+    state.setPiece(x, 9, 2);
+  }
+  assert.equal(manager.offerDraw(1).success, true);
+  assert.equal(state.gameStatus, 'playing');
+  assert.equal(state.drawOffer, null);
+
+  // 黑棋活四，白棋无法挽回
+  for (const x of [5, 6, 7, 8]) {
+    state.setPiece(x, 4, 1);
+  }
+  assert.equal(ai.shouldResign(2, { x: 4, y: 4 }), true);
+  assert.equal(ai.shouldAcceptDraw(2), true);
+  manager.offerDraw(1);
+  assert.equal(state.finishReason, 'draw_agreed');
+});
+
+test('AI results that return after a new game are discarded', async () => {
+  const { state, manager } = createManager();
+  manager.setMode('PvE', { playerSide: 2, aiDifficulty: 'NORMAL' });
+  manager.startNewGame();
+
+  const pending = manager.triggerAIMove();
+  manager.startNewGame();
+  await pending;
+  assert.equal(state.getStoneCount(), 0);
+  assert.equal(manager.aiTimers.size, 1, 'the new game schedules its own first AI move');
+  manager.cancelAI();
+  assert.equal(manager.aiTimers.size, 0);
+});
+
+test('Analysis mode lets either side move and re-analyses every new position', async () => {
+  const { eventBus, state, ai, manager } = createManager();
+  state.reset({ ruleSet: 'FREESTYLE' });
+  let computed = 0;
+  ai.computeMove = async () => { computed += 1; };
+  const updates = [];
+  eventBus.on('analysis:updated', (data) => updates.push(data));
+  let stopped = 0;
+  eventBus.on('analysis:stopped', () => { stopped += 1; });
+
+  manager.setMode('Analysis', { analysisLevel: 'NORMAL', analysisLines: 2 });
+  const analysed = new Promise(resolve => eventBus.once('analysis:updated', resolve));
+  for (const [x, y] of [[7, 7], [8, 8], [7, 8]]) {
+    assert.equal(await manager.handleMove(x, y), true);
+  }
+  assert.equal(manager.shouldAIMove(), false);
+
+  const analysis = await analysed;
+  assert.equal(updates.length, 1, 'positions replaced before their analysis finished are never reported');
+  assert.equal(analysis.player, 2);
+  assert.equal(analysis.lines.length, 2);
+  assert.ok(analysis.lines.every(line => state.board[line.y][line.x] === 0));
+  assert.equal(analysis.blackWinRate, 1 - analysis.winRate);
+  assert.equal(manager.aiTimers.size, 1, 'the next, longer analysis is queued');
+
+  manager.resign(2);
+  assert.equal(stopped, 1, 'a finished game is not analysed');
+  assert.equal(manager.aiTimers.size, 0);
+  assert.equal(computed, 0, 'analysis moves never trigger the AI');
+  assert.throws(() => manager.setMode('Analysis', { analysisLevel: 'GRANDMASTER' }), /Unknown difficulty level/);
+});
+
+test('Variation navigation restores Pente captures and replay can follow another branch', async () => {
+  const { eventBus, state, manager } = createManager();
+  manager.setRuleSet('PENTE');
+  manager.startNewGame();
+
+  for (const [x, y] of [[4, 7], [5, 7], [9, 9], [6, 7]]) {
+    assert.equal(await manager.handleMove(x, y), true);
+  }
+  const beforeCapture = state.currentNode.id;
+  assert.equal(await manager.handleMove(7, 7), true);
+  const capture = state.currentNode.id;
+  assert.equal(state.captures[1], 1);
+
+  manager.undo();
+  assert.equal(await manager.handleMove(7, 8), true);
+  const quiet = state.currentNode.id;
+  assert.equal(state.board[7][5], 2, 'the capture belongs to the other branch');
+
+  assert.equal(manager.navigateVariation('goTo', capture).success, true);
+  assert.equal(state.board[7][5], 0);
+  assert.equal(state.captures[1], 1);
+  assert.equal(state.currentPlayer, 2);
+  assert.equal(manager.navigateVariation('switch', 1).success, true);
+  assert.equal(state.currentNode.id, quiet);
+  assert.equal(state.captures[1], 0);
+  assert.throws(() => manager.navigateVariation('jump'), /Invalid variation action/);
+
+  const replay = new ReplayService(state, eventBus, manager);
+  replay.startFromCurrent();
+  replay.pause();
+  for (let i = 0; i < 4; i += 1) replay.stepForward();
+  assert.deepEqual(replay.getVariations().map(item => [item.id, item.selected]), [[capture, false], [quiet, true]]);
+  assert.equal(manager.navigateVariation('goTo', beforeCapture).success, false, 'the tree is locked during replay');
+
+  assert.equal(replay.selectVariation(capture), true);
+  replay.stepForward();
+  assert.equal(state.board[7][5], 0, 'replay follows the chosen branch');
+  assert.equal(state.captures[1], 1);
+  replay.stop();
+  assert.equal(state.currentNode.id, quiet);
+});
+
+test('PvE redo restores the player move with the AI reply and is refused while the AI thinks', async () => {
+  const { state, ai, manager } = createManager();
+  manager.setMode('PvE', { playerSide: 1, aiDifficulty: 'NORMAL' });
+  manager.startNewGame();
+  const replies = [[8, 8], [9, 9]];
+  ai.computeMove = async () => { const [x, y] = replies.shift(); return { x, y }; };
+
+  await manager.handleMove(7, 7);
+  await manager.triggerAIMove();
+  await manager.handleMove(7, 6);
+  assert.equal(manager.isAIThinking(), true, 'the AI reply is queued');
+  assert.equal(manager.redo(), false);
+  await manager.triggerAIMove();
+  manager.cancelAI();
+
+  assert.equal(manager.undo(), true);
+  assert.equal(manager.undo(), true);
+  assert.equal(state.getStoneCount(), 0);
+  assert.equal(manager.redo(), true);
+  assert.equal(state.getStoneCount(), 2, 'the AI reply is redone with the player move');
+  assert.equal(state.currentPlayer, 1);
+  assert.equal(manager.aiTimers.size, 0);
+  assert.equal(manager.redo(), true);
+  assert.equal(state.board[9][9], 2);
+  assert.equal(manager.redo(), false);
+
+  manager.undo();
+  manager.setMode('PvP');
+  assert.equal(manager.redo(), false, 'a mode change invalidates the redo stack');
+  assert.equal(state.getStoneCount(), 2);
+});
+
+test('A flag falling while the AI thinks cancels the search and leaves no move applied', async () => {
+  const { eventBus, state, ai, manager } = createManager();
+  const time = { now: 0 };
+  const clock = new GameClock(state, eventBus, { now: () => time.now });
+  manager.setMode('PvE', { playerSide: 1, aiDifficulty: 'NORMAL' });
+  manager.setTimeControl({ type: 'SUDDEN_DEATH', mainTime: 10000 });
+  manager.startNewGame();
+  let release = null;
+  ai.computeMove = () => new Promise((resolve) => { release = resolve; });
+
+  await manager.handleMove(7, 7);
+  const thinking = manager.triggerAIMove();
+  time.now += 10000;
+  assert.equal(clock.check(), true);
+  assert.equal(state.finishReason, 'timeout');
+  assert.equal(manager.isAIThinking(), false, 'the search and the queued AI move are cancelled');
+
+  release({ x: 8, y: 8 });
+  await thinking;
+  assert.equal(state.board[8][8], 0);
+  assert.equal(state.getStoneCount(), 1);
+  assert.equal(state.winner, 1);
+});
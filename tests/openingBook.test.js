@@ -0,0 +1,129 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import EventBus from '../js/utils/EventBus.js';
+import MathUtils from '../js/utils/MathUtils.js';
+import GameState from '../js/core/GameState.js';
+import RuleEngine from '../js/core/RuleEngine.js';
+import AIEngine from '../js/core/AIEngine.js';
+import OpeningBook from '../js/core/OpeningBook.js';
+import RenjuOpening from '../js/core/RenjuOpening.js';
+import OpeningBookLoader from '../js/services/OpeningBookLoader.js';
+
+const emptyBoard = (size = 15) => Array.from({ length: size }, () => new Array(size).fill(0));
+
+const createEngine = (ruleSet, stones = []) => {
+  const eventBus = new EventBus();
+  const state = new GameState(eventBus);
+  state.reset({ ruleSet });
+  stones.forEach(([x, y, player]) => state.setPiece(x, y, player));
+  state.gameStatus = 'playing';
+  const rules = new RuleEngine(state, eventBus);
+  return { eventBus, state, ai: new AIEngine(state, rules, eventBus) };
+};
+
+const LINE = [
+  { x: 7, y: 7, player: 1 }, { x: 8, y: 6, player: 2 }, { x: 9, y: 7, player: 1 }, { x: 10, y: 8, player: 2 }
+];
+
+test('Symmetric positions share one book entry and map moves back', () => {
+  const book = new OpeningBook({ ruleSet: 'FREESTYLE', boardSize: 15 });
+  book.addLine(LINE);
+
+  // 前三子的局面没有自身对称，8种变换下的应答各不相同
+  for (let symmetry = 0; symmetry < MathUtils.SYMMETRY_COUNT; symmetry += 1) {
+    const board = emptyBoard();
+    LINE.slice(0, 3).forEach(({ x, y, player }) => {
+      const point = MathUtils.transformPoint(x, y, 15, symmetry);
+      board[point.y][point.x] = player;
+    });
+    const [move] = book.lookup(board, 2);
+    assert.deepEqual({ x: move.x, y: move.y }, MathUtils.transformPoint(10, 8, 15, symmetry));
+  }
+
+  // 天元开局的8种对称应答合并为一条着法
+  const center = emptyBoard();
+  center[7][7] = 1;
+  book.addMove(center, 2, 6, 8);
+  book.addMove(center, 2, 8, 8);
+  assert.equal(book.lookup(center, 2).length, 1);
+  assert.equal(book.lookup(center, 2)[0].games, 3);
+  assert.equal(book.lookup(center, 1).length, 0, 'the side to move is part of the key');
+});
+
+test('Loader builds separate weighted books from saves and exports', () => {
+  const save = {
+    name: 'auto',
+    snapshot: {
+      boardSize: 15,
+      settings: { ruleSet: 'RENJU' },
+      winner: 2,
+      moveHistory: [
+        { step: 1, type: 'opening_choice', choice: 'white' },
+        ...LINE.slice(0, 3).map((move, index) => ({ ...move, step: index + 2 }))
+      ]
+    }
+  };
+  const exported = {
+    ruleSet: 'FREESTYLE',
+    boardSize: 15,
+    moves: [...LINE, { x: 10, y: 8, player: 2 }],
+    result: { winner: 1 }
+  };
+  const drawn = { ruleSet: 'RENJU', boardSize: 15, moves: [LINE[0], { x: 7, y: 6, player: 2 }], result: { winner: null } };
+
+  const books = OpeningBookLoader.fromGames([save, exported, drawn, { moves: 'broken' }]);
+  assert.deepEqual([...books.keys()].sort(), ['FREESTYLE:15', 'RENJU:15']);
+
+  const renju = books.get('RENJU:15');
+  const afterCenter = emptyBoard();
+  afterCenter[7][7] = 1;
+  const replies = renju.lookup(afterCenter, 2);
+  assert.equal(replies[0].weight, OpeningBookLoader.RESULT_WEIGHTS.win, 'the winner\'s reply ranks first');
+  assert.equal(replies[1].weight, OpeningBookLoader.RESULT_WEIGHTS.draw);
+  const afterReply = emptyBoard();
+  afterReply[7][7] = 1;
+  afterReply[6][8] = 2;
+  assert.equal(renju.lookup(afterReply, 1).length, 1);
+  assert.equal(renju.pickMove(afterReply, 1), null, 'the loser\'s moves are never recommended');
+
+  const restored = OpeningBook.fromJSON(JSON.parse(JSON.stringify(renju.toJSON())));
+  assert.deepEqual(restored.lookup(afterCenter, 2), replies);
+  assert.equal(OpeningBookLoader.buildBook([exported], 'FREESTYLE').size, 4);
+  assert.equal(OpeningBookLoader.buildBook([exported], 'CARO').size, 0);
+});
+
+test('AIEngine plays from the rule set book before searching', async () => {
+  const { eventBus, ai, state } = createEngine('RENJU', [[7, 7, 1], [7, 6, 2]]);
+  let computed = null;
+  eventBus.on('ai:computed', (data) => { computed = data; });
+
+  const move = await ai.computeMove(1);
+  assert.equal(computed.book, true);
+  const thirds = RenjuOpening.getTemplates(RenjuOpening.AI_OPENINGS)
+    .filter(template => template[1][0] === 0)
+    .map(template => ({ x: 7 + template[2][0], y: 7 + template[2][1] }));
+  const mirrored = thirds.map(point => MathUtils.transformPoint(point.x, point.y, 15, 4));
+  assert.ok([...thirds, ...mirrored].some(point => point.x === move.x && point.y === move.y));
+
+  const custom = new OpeningBook({ ruleSet: 'RENJU', boardSize: 15 });
+  custom.addMove(state.board, 1, 9, 9, 5);
+  custom.addMove(state.board, 1, 7, 9, 1);
+  ai.setOpeningBook(custom);
+  ai.setBookVariety(0);
+  const best = ai.findBookMove(1);
+  assert.equal(best.book, true);
+  assert.ok([9, 5].includes(best.x) && best.y === 9, 'the heaviest move or its mirror image is played');
+  assert.throws(() => ai.setBookVariety(2), /Invalid opening book variety/);
+
+  const learned = OpeningBookLoader.buildBook([{ ruleSet: 'RENJU', moves: LINE, result: { winner: 1 } }], 'RENJU');
+  ai.mergeOpeningBook(learned);
+  assert.equal(ai.getOpeningBook(), custom, 'saved games are merged into the loaded book');
+  assert.equal(custom.size, 1 + learned.size);
+
+  const caro = createEngine('CARO');
+  await caro.ai.computeMove(1);
+  assert.equal(caro.ai.getOpeningBook(), null);
+  ai.setOpeningBookEnabled(false);
+  assert.equal(ai.findBookMove(1), null);
+});
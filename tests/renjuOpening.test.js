@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import MathUtils from '../js/utils/MathUtils.js';
+import RenjuOpening from '../js/core/RenjuOpening.js';
+
+const emptyBoard = (size = 15) => Array.from({ length: size }, () => Array(size).fill(0));
+
+const placeOpening = (template, symmetry = 0) => {
+  const board = emptyBoard();
+  template.forEach(([dx, dy], index) => {
+    const point = MathUtils.transformPoint(7 + dx, 7 + dy, 15, symmetry);
+    board[point.y][point.x] = index === 1 ? 2 : 1;
+  });
+  return board;
+};
+
+test('All 26 canonical openings are identified under every symmetry', () => {
+  const all = [...RenjuOpening.DIRECT_OPENINGS, ...RenjuOpening.INDIRECT_OPENINGS];
+  assert.equal(all.length, 26);
+
+  for (const opening of all) {
+    const [template] = RenjuOpening.getTemplates([opening.id]);
+    for (let symmetry = 0; symmetry < MathUtils.SYMMETRY_COUNT; symmetry += 1) {
+      const identified = RenjuOpening.identify(placeOpening(template, symmetry));
+      assert.equal(identified && identified.id, opening.id, `${opening.name} / ${symmetry}`);
+    }
+  }
+});
+
+test('Opening stones must stay within the central area', () => {
+  const board = emptyBoard();
+  assert.equal(RenjuOpening.validateOpeningStone(board, 0, 7, 7).valid, true);
+  assert.equal(RenjuOpening.validateOpeningStone(board, 0, 8, 7).error, 'invalid_opening');
+  assert.equal(RenjuOpening.validateOpeningStone(board, 1, 8, 6).valid, true);
+  assert.equal(RenjuOpening.validateOpeningStone(board, 1, 9, 7).valid, false);
+  assert.equal(RenjuOpening.validateOpeningStone(board, 2, 5, 9).valid, true);
+  assert.equal(RenjuOpening.validateOpeningStone(board, 2, 10, 7).valid, false);
+});
+
+test('Symmetric fifth move offers are detected only when the position is symmetric', () => {
+  // 寒星：黑1天元、白2正上、黑3再上，关于竖直中线对称
+  const symmetric = placeOpening([[0, 0], [0, -1], [0, -2]]);
+  assert.equal(RenjuOpening.isEquivalentOffer(symmetric, [{ x: 8, y: 8 }], 6, 8), true);
+  assert.equal(RenjuOpening.isEquivalentOffer(symmetric, [{ x: 8, y: 8 }], 9, 9), false);
+
+  // 花月没有对称轴
+  const asymmetric = placeOpening([[0, 0], [0, -1], [1, -1]]);
+  assert.equal(RenjuOpening.isEquivalentOffer(asymmetric, [{ x: 8, y: 8 }], 6, 8), false);
+  assert.equal(RenjuOpening.isEquivalentOffer(asymmetric, [{ x: 8, y: 8 }], 8, 8), true);
+});
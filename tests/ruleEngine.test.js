@@ -64,3 +64,136 @@ test('White move is not forbidden by double three rule', () => {
   const forbidden = engine.detectForbidden(7, 7, 2);
   assert.equal(forbidden.isForbidden, false);
 });
+
+test('RuleEngine defaults to Renju rule set', () => {
+  const { engine } = createEngine();
+  assert.equal(engine.getRuleSet().name, 'RENJU');
+});
+
+test('Freestyle rule set accepts overline as win', () => {
+  const { state, engine } = createEngine();
+  state.settings.ruleSet = 'FREESTYLE';
+
+  for (let x = 2; x <= 7; x += 1) {
+    state.setPiece(x, 7, 1);
+  }
+
+  const result = engine.checkWin(7, 7, 1);
+  assert.equal(result.isWin, true);
+  assert.equal(result.winLine.length, 6);
+  assert.equal(engine.detectForbidden(6, 6, 1).isForbidden, false);
+});
+
+test('Standard rule set requires exactly five for both sides', () => {
+  const { state, engine } = createEngine();
+  state.settings.ruleSet = 'STANDARD';
+
+  for (let x = 2; x <= 7; x += 1) {
+    state.setPiece(x, 7, 2);
+  }
+  assert.equal(engine.checkWin(7, 7, 2).isWin, false);
+
+  for (let x = 2; x <= 6; x += 1) {
+    state.setPiece(x, 9, 1);
+  }
+  assert.equal(engine.checkWin(6, 9, 1).isWin, true);
+});
+
+test('Renju rule set lets white overline win but not black', () => {
+  const { state, engine } = createEngine();
+
+  for (let x = 2; x <= 7; x += 1) {
+    state.setPiece(x, 7, 2);
+    state.setPiece(x, 9, 1);
+  }
+
+  assert.equal(engine.checkWin(7, 7, 2).isWin, true);
+  assert.equal(engine.checkWin(7, 9, 1).isWin, false);
+});
+
+test('Caro rule set rejects five blocked at both ends', () => {
+  const { state, engine } = createEngine();
+  state.settings.ruleSet = 'CARO';
+
+  state.setPiece(1, 7, 2);
+  for (let x = 2; x <= 6; x += 1) {
+    state.setPiece(x, 7, 1);
+  }
+  state.setPiece(7, 7, 2);
+  assert.equal(engine.checkWin(6, 7, 1).isWin, false);
+
+  state.setPiece(7, 7, 0);
+  assert.equal(engine.checkWin(6, 7, 1).isWin, true);
+});
+
+test('Rule set is kept in snapshot and across new games', () => {
+  const { state } = createEngine();
+  state.settings.ruleSet = 'CARO';
+
+  const snapshot = state.getSnapshot();
+  assert.equal(snapshot.settings.ruleSet, 'CARO');
+
+  state.reset(state.settings);
+  assert.equal(state.settings.ruleSet, 'CARO');
+
+  state.reset();
+  state.restoreSnapshot(snapshot);
+  assert.equal(state.settings.ruleSet, 'CARO');
+});
+
+test('Pro restriction keeps black first stone on the center and the second one away', () => {
+  const { state, engine } = createEngine();
+  state.settings.openingRestriction = 'PRO';
+
+  assert.equal(engine.validateMove(6, 6, 1).error, 'opening_restriction');
+  state.applyMove({ x: 7, y: 7, player: 1 });
+  state.applyMove({ x: 8, y: 7, player: 2 });
+
+  assert.equal(engine.validateMove(9, 9, 1).error, 'opening_restriction');
+  assert.equal(engine.validateMove(10, 9, 1).valid, true);
+  assert.equal(engine.validateMove(9, 9, 2).valid, true, 'white is never restricted');
+
+  state.settings.openingRestriction = 'LONG_PRO';
+  assert.equal(engine.validateMove(10, 9, 1).error, 'opening_restriction');
+  assert.equal(engine.validateMove(11, 7, 1).valid, true);
+
+  state.applyMove({ x: 11, y: 7, player: 1 });
+  assert.equal(engine.getOpeningRestriction(1), null);
+});
+
+test('Connect6 rule set needs six in a row and two stones per turn', () => {
+  const { state, engine } = createEngine();
+  state.settings.ruleSet = 'CONNECT6';
+
+  assert.equal(engine.getStonesForTurn(0), 1);
+  assert.equal(engine.getStonesForTurn(1), 2);
+  assert.equal(state.getStonesForTurn(5), 2, 'GameState follows the rule set turn policy');
+
+  for (let x = 3; x <= 7; x += 1) {
+    state.setPiece(x, 7, 1);
+  }
+  assert.equal(engine.checkWin(7, 7, 1).isWin, false);
+  state.setPiece(8, 7, 1);
+  assert.equal(engine.checkWin(8, 7, 1).isWin, true);
+});
+
+test('Pente rule set captures exactly two flanked stones and wins on five captures', () => {
+  const { state, engine } = createEngine();
+  state.settings.ruleSet = 'PENTE';
+
+  state.setPiece(4, 7, 1);
+  state.setPiece(5, 7, 2);
+  state.setPiece(6, 7, 2);
+  assert.deepEqual(engine.findCaptures(7, 7, 1).map(stone => [stone.x, stone.y]), [[6, 7], [5, 7]]);
+
+  // 三子相连不能被夹吃
+  state.setPiece(7, 7, 2);
+  assert.deepEqual(engine.findCaptures(8, 7, 1), []);
+
+  state.setPiece(0, 0, 1);
+  assert.equal(engine.checkWin(0, 0, 1).isWin, false);
+  state.captures[1] = 5;
+  const result = engine.checkWin(0, 0, 1);
+  assert.equal(result.isWin, true);
+  assert.equal(result.reason, 'captures');
+});
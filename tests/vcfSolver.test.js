@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import GameState from '../js/core/GameState.js';
+import RuleEngine from '../js/core/RuleEngine.js';
+import AIEngine from '../js/core/AIEngine.js';
+import VCFSolver from '../js/core/VCFSolver.js';
+
+const createPosition = (ruleSet, stones, currentPlayer = 1) => {
+  const state = new GameState(null);
+  state.reset({ ruleSet });
+  stones.forEach(([x, y, player]) => state.setPiece(x, y, player));
+  state.currentPlayer = currentPlayer;
+  state.gameStatus = 'playing';
+  const rules = new RuleEngine(state, null);
+  return { state, rules, ai: new AIEngine(state, rules, null) };
+};
+
+// 黑棋：横向冲四后斜向成活四
+const CHAINED_FOURS = [
+  [5, 5, 1], [6, 5, 1], [7, 5, 1], [4, 5, 2],
+  [8, 6, 1], [8, 7, 1], [8, 4, 2],
+  [9, 7, 1], [10, 7, 1], [7, 7, 2],
+  [2, 2, 2], [12, 12, 2], [2, 12, 2], [12, 2, 2]
+];
+
+// 黑棋唯一的取胜点(8,7)是四四
+const DOUBLE_FOUR = [
+  [5, 7, 1], [6, 7, 1], [7, 7, 1], [4, 7, 2],
+  [8, 4, 1], [8, 5, 1], [8, 6, 1], [8, 3, 2],
+  [2, 2, 2], [12, 12, 2], [3, 12, 2]
+];
+
+test('VCF solver returns a sequence of fours that ends in five', () => {
+  const { state, rules, ai } = createPosition('RENJU', CHAINED_FOURS);
+  const hash = state.getHash();
+  const result = ai.findVCF(1);
+
+  assert.equal(result.winner, 1);
+  assert.equal(state.getHash(), hash, 'the board is restored after the search');
+  const { sequence } = result;
+  sequence.slice(0, -1).forEach(({ x, y, player }) => state.setPiece(x, y, player));
+  const last = sequence[sequence.length - 1];
+  assert.equal(last.player, 1);
+  assert.equal(rules.checkWin(last.x, last.y, 1).isWin, true);
+});
+
+test('A VCF that needs a forbidden point is invalid for black', () => {
+  const freestyle = createPosition('FREESTYLE', DOUBLE_FOUR);
+  assert.deepEqual(freestyle.ai.findVCF(1).sequence[0], { x: 8, y: 7, player: 1 });
+
+  const renju = createPosition('RENJU', DOUBLE_FOUR);
+  assert.equal(renju.ai.findVCF(1), null);
+  assert.equal(new VCFSolver(renju.state, renju.rules).solve(2), null);
+});
+
+test('HELL plays its own VCF and blocks the opponent one', async () => {
+  const attack = createPosition('FREESTYLE', CHAINED_FOURS);
+  const move = await attack.ai.searchInThread({ player: 1, level: 'HELL', budget: 2400 });
+  // 斜向(6,4)直接成活四，比先横向冲四更短
+  assert.deepEqual([move.x, move.y], [6, 4]);
+  assert.equal(move.vcf.length, 3);
+
+  const defence = createPosition('FREESTYLE', CHAINED_FOURS, 2);
+  const { defences } = new VCFSolver(defence.state, defence.rules).findDefences(2);
+  assert.ok(defences.length > 0);
+  const reply = await defence.ai.searchInThread({ player: 2, level: 'HELL', budget: 2400 });
+  assert.ok(defences.some(point => point.x === reply.x && point.y === reply.y));
+  defence.state.setPiece(reply.x, reply.y, 2);
+  assert.equal(defence.ai.findVCF(1), null);
+});
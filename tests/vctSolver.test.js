@@ -0,0 +1,62 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import GameState from '../js/core/GameState.js';
+import RuleEngine from '../js/core/RuleEngine.js';
+import AIEngine from '../js/core/AIEngine.js';
+import VCTSolver from '../js/core/VCTSolver.js';
+
+const createPosition = (ruleSet, stones) => {
+  const state = new GameState(null);
+  state.reset({ ruleSet });
+  stones.forEach(([x, y, player]) => state.setPiece(x, y, player));
+  state.gameStatus = 'playing';
+  const rules = new RuleEngine(state, null);
+  return { state, rules, ai: new AIEngine(state, rules, null) };
+};
+
+// 黑棋横竖各有一个活二，没有VCF，但可以先走活三再转冲四取胜
+const TWO_TWOS = [[6, 7, 1], [7, 7, 1], [9, 5, 1], [9, 6, 1], [7, 8, 2], [10, 9, 2]];
+
+const replay = (state, rules, sequence) => {
+  sequence.slice(0, -1).forEach(({ x, y, player }) => {
+    if (player === 1) {
+      assert.equal(rules.detectForbidden(x, y, 1).isForbidden, false, `black ${x},${y} is not forbidden`);
+    }
+    state.setPiece(x, y, player);
+  });
+  const last = sequence[sequence.length - 1];
+  return rules.checkWin(last.x, last.y, last.player).isWin;
+};
+
+test('VCT solver wins with open threes where no VCF exists', () => {
+  const { state, rules, ai } = createPosition('FREESTYLE', TWO_TWOS);
+  assert.equal(ai.findVCF(1), null);
+
+  const hash = state.getHash();
+  const result = ai.findVCT(1);
+  assert.equal(result.winner, 1);
+  assert.equal(state.getHash(), hash, 'the board is restored after the search');
+  assert.equal(replay(state, rules, result.sequence), true);
+});
+
+test('Black VCT avoids forbidden double threes under Renju', () => {
+  const { state, rules, ai } = createPosition('RENJU', TWO_TWOS);
+  const result = ai.findVCT(1);
+  assert.notDeepEqual(result.sequence[0], { x: 9, y: 7, player: 1 }, '(9,7) is a double three');
+  assert.equal(replay(state, rules, result.sequence), true);
+});
+
+test('A counter-four that makes an open four refutes the threat sequence', () => {
+  const { state, rules } = createPosition('FREESTYLE', [...TWO_TWOS, [2, 12, 2], [3, 12, 2], [4, 12, 2]]);
+  assert.equal(new VCTSolver(state, rules).solve(1), null);
+});
+
+test('VCT search is bounded by the deadline and used by HELL', async () => {
+  const { state, rules, ai } = createPosition('FREESTYLE', TWO_TWOS);
+  assert.equal(new VCTSolver(state, rules).solve(1, { deadline: Date.now() - 1 }), null);
+
+  const move = await ai.searchInThread({ player: 1, level: 'HELL', budget: 2400 });
+  assert.ok(move.vct);
+  assert.deepEqual([move.x, move.y], [move.vct[0].x, move.vct[0].y]);
+});